@@ -1,14 +1,58 @@
 // bot/TelegramBot.js
 const TelegramBot = require('node-telegram-bot-api');
 const { User } = require('../db/database');
+const gameConfig = require('../config/gameConfig');
+const Wallet = require('../services/Wallet');
+const TelegramAuth = require('../services/TelegramAuth');
+const StarPayments = require('../services/StarPayments');
+const Withdrawals = require('../services/Withdrawals');
+const FraudEngine = require('../services/FraudEngine');
+const SupportTickets = require('../services/SupportTickets');
+const campaigns = require('../services/Campaigns');
+const Kyc = require('../services/Kyc');
+const floodControl = require('../services/FloodControl');
+const events = require('../services/events');
 const axios = require('axios');
 
+// Free text (reasons, references) inside Markdown messages
+const escapeMarkdown = (text) => String(text).replace(/([_*`[])/g, '\\$1');
+
 class AviatorTelegramBot {
   constructor(token, webAppUrl, apiBaseUrl) {
-    this.bot = new TelegramBot(token, { polling: true });
+    // TELEGRAM_API_URL lets tests run the bot against a local Bot API stub
+    this.bot = new TelegramBot(token, { polling: true, baseApiUrl: process.env.TELEGRAM_API_URL });
+    this.token = token;
     this.webAppUrl = webAppUrl;
     this.apiBaseUrl = apiBaseUrl;
+
+    // Flood control runs before any handler sees the update
+    const processUpdate = this.bot.processUpdate.bind(this.bot);
+    this.bot.processUpdate = (update) => {
+      if (this.allowUpdate(update)) processUpdate(update);
+    };
+
     this.setupHandlers();
+
+    // Tell players about every withdrawal status change, whoever made it
+    events.on('withdrawal', (withdrawal) => {
+      this.notifyWithdrawal(withdrawal).catch(error => {
+        console.error('Error sending withdrawal notification:', error.message);
+      });
+    });
+
+    // Relay support replies to the player's chat
+    events.on('ticket', (update) => {
+      this.notifyTicket(update).catch(error => {
+        console.error('Error relaying support ticket update:', error.message);
+      });
+    });
+
+    // Ask for documents and report review results
+    events.on('kyc', (update) => {
+      this.notifyKyc(update).catch(error => {
+        console.error('Error sending KYC notification:', error.message);
+      });
+    });
     
     console.log('🤖 Telegram bot initialized');
   }
@@ -21,12 +65,9 @@ class AviatorTelegramBot {
       const referralCode = match[1] ? match[1].trim() : null;
 
       try {
-        // Register user
+        // Register user - Telegram vouches for msg.from, so the bot signs the login itself
         const response = await axios.post(`${this.apiBaseUrl}/api/player/register`, {
-          telegramId: userId,
-          username: msg.from.username,
-          firstName: msg.from.first_name,
-          lastName: msg.from.last_name
+          initData: TelegramAuth.signInitData(msg.from, this.token)
         });
 
         const keyboard = {
@@ -54,6 +95,15 @@ class AviatorTelegramBot {
                 text: '👥 Referral',
                 callback_data: 'referral'
               }
+            ], [
+              {
+                text: '🏠 Game Rooms',
+                callback_data: 'rooms'
+              },
+              {
+                text: '⭐ Buy Stars',
+                callback_data: 'deposit'
+              }
             ]]
           }
         };
@@ -61,8 +111,8 @@ class AviatorTelegramBot {
         await this.bot.sendMessage(chatId, 
           `🛩️ *Welcome to Aviator!*\n\n` +
           `🎮 The multiplier crash game where you control your destiny!\n\n` +
-          `💰 Starting balance: 1,000⭐\n` +
-          `🎯 Minimum bet: 10⭐\n` +
+          `💰 Starting balance: ${gameConfig.get('startingBalance').toLocaleString()}⭐\n` +
+          `🎯 Minimum bet: ${gameConfig.get('minBet').toLocaleString()}⭐\n` +
           `🚀 Maximum multiplier: 1000x\n\n` +
           `*How to play:*\n` +
           `1️⃣ Place your bet before takeoff\n` +
@@ -78,7 +128,7 @@ class AviatorTelegramBot {
         );
 
         // Handle referral
-        if (referralCode && response.data.user.balance === 1000) {
+        if (referralCode && response.data.user.balance === gameConfig.get('startingBalance')) {
           await this.handleReferral(userId, referralCode);
         }
 
@@ -112,10 +162,28 @@ class AviatorTelegramBot {
           case 'referral':
             await this.handleReferralInfo(chatId, userId);
             break;
+          case 'rooms':
+            await this.handleRooms(chatId);
+            break;
+          case 'deposit':
+            await this.handleDepositMenu(chatId);
+            break;
+          case 'ticket_close':
+            await this.handleCloseTicket(chatId, userId);
+            break;
+          case 'marketing_optout':
+            await this.handleMarketingOptOut(chatId, userId, true);
+            break;
+          case 'kyc_submit':
+            await this.handleKycSubmit(chatId, userId);
+            break;
           default:
-            if (data.startsWith('verify_')) {
-              const gameId = data.split('_')[1];
-              await this.handleVerifyGame(chatId, gameId);
+            if (data.startsWith('deposit_')) {
+              await this.handleDeposit(chatId, userId, parseInt(data.slice('deposit_'.length)));
+            } else if (data.startsWith('verify_')) {
+              // verify_<roomId>_<gameId> (room IDs never contain underscores)
+              const [, roomId, gameId] = data.split('_');
+              await this.handleVerifyGame(chatId, gameId, roomId, userId);
             }
         }
       } catch (error) {
@@ -138,6 +206,39 @@ class AviatorTelegramBot {
       }
     });
 
+    // Telegram Stars payments - confirm the invoice is still good, then
+    // credit the balance once the payment goes through
+    this.bot.on('pre_checkout_query', async (query) => {
+      try {
+        const result = await StarPayments.checkout(query);
+        await this.bot.answerPreCheckoutQuery(query.id, result.ok, result.ok ? {} : { error_message: result.error });
+      } catch (error) {
+        console.error('Error handling pre-checkout query:', error);
+        await this.bot.answerPreCheckoutQuery(query.id, false, { error_message: 'Payment could not be checked, please try again' })
+          .catch(() => {});
+      }
+    });
+
+    this.bot.on('successful_payment', async (msg) => {
+      try {
+        const result = await StarPayments.complete(msg.from.id, msg.successful_payment);
+        if (result.success && !result.duplicate) {
+          await this.bot.sendMessage(msg.chat.id,
+            `✅ *Payment received!*\n\n` +
+            `⭐ ${result.payment.amount.toLocaleString()} stars added\n` +
+            `💳 New balance: ${result.user.balance.toLocaleString()}⭐`,
+            { parse_mode: 'Markdown' }
+          );
+        } else if (!result.success) {
+          await this.bot.sendMessage(msg.chat.id,
+            '⚠️ We received your payment but could not add the stars yet. Support has been notified.'
+          );
+        }
+      } catch (error) {
+        console.error('Error handling successful payment:', error);
+      }
+    });
+
     // Commands
     this.bot.onText(/\/balance/, async (msg) => {
       await this.handleBalance(msg.chat.id, msg.from.id);
@@ -152,14 +253,90 @@ class AviatorTelegramBot {
     });
 
     this.bot.onText(/\/verify (.+)/, async (msg, match) => {
-      const gameId = match[1];
-      await this.handleVerifyGame(msg.chat.id, gameId);
+      // "/verify <gameId>" for the default room or "/verify <roomId> <gameId>"
+      const args = match[1].trim().split(/\s+/);
+      const gameId = args.length > 1 ? args[1] : args[0];
+      const roomId = args.length > 1 ? args[0] : 'main';
+      await this.handleVerifyGame(msg.chat.id, gameId, roomId, msg.from.id);
+    });
+
+    this.bot.onText(/^\/verify$/, async (msg) => {
+      await this.handleSeedChains(msg.chat.id);
+    });
+
+    this.bot.onText(/\/rooms/, async (msg) => {
+      await this.handleRooms(msg.chat.id);
+    });
+
+    // "/withdraw" shows limits and the last request, "/withdraw <amount> [destination]" requests one
+    this.bot.onText(/^\/withdraw(?:\s+(\d+)(?:\s+(.+))?)?$/, async (msg, match) => {
+      if (match[1]) {
+        await this.handleWithdraw(msg.chat.id, msg.from.id, parseInt(match[1]), match[2]);
+      } else {
+        await this.handleWithdrawInfo(msg.chat.id, msg.from.id);
+      }
+    });
+
+    // "/deposit" shows amounts to pick from, "/deposit <amount>" sends the invoice
+    this.bot.onText(/^\/deposit(?:\s+(\d+))?$/, async (msg, match) => {
+      if (match[1]) {
+        await this.handleDeposit(msg.chat.id, msg.from.id, parseInt(match[1]));
+      } else {
+        await this.handleDepositMenu(msg.chat.id);
+      }
+    });
+
+    // "/support [message]" opens a ticket; later chat messages go to it
+    this.bot.onText(/^\/support(?:\s+([\s\S]+))?$/, async (msg, match) => {
+      await this.handleSupport(msg.chat.id, msg.from, match[1] && match[1].trim());
+    });
+
+    // Campaign messages; opting out is also a button on every campaign message
+    this.bot.onText(/^\/unsubscribe$/, async (msg) => {
+      await this.handleMarketingOptOut(msg.chat.id, msg.from.id, true);
+    });
+
+    this.bot.onText(/^\/subscribe$/, async (msg) => {
+      await this.handleMarketingOptOut(msg.chat.id, msg.from.id, false);
+    });
+
+    // Identity verification; documents are sent as photos or files
+    this.bot.onText(/^\/kyc$/, async (msg) => {
+      await this.handleKyc(msg.chat.id, msg.from.id);
+    });
+
+    this.bot.on('message', async (msg) => {
+      if (msg.chat.type !== 'private' || (msg.text && msg.text.startsWith('/'))) return;
+      if (msg.successful_payment || msg.web_app_data) return;
+
+      try {
+        if ((msg.photo || msg.document) && await this.collectKycDocument(msg)) return;
+        await this.relayToSupport(msg);
+      } catch (error) {
+        console.error('Error relaying message to support:', error);
+      }
+    });
+
+    // "/seed" shows the seed pair, "/seed rotate [clientSeed]" reveals it and starts a new one
+    this.bot.onText(/^\/seed(?:\s+(.+))?$/, async (msg, match) => {
+      const args = (match[1] || '').trim().split(/\s+/).filter(Boolean);
+
+      if (args[0] === 'rotate') {
+        await this.handleRotateSeeds(msg.chat.id, msg.from.id, args.slice(1).join(' ') || undefined);
+      } else {
+        await this.handleSeeds(msg.chat.id, msg.from.id);
+      }
     });
   }
 
+  // Request options carrying a player session for the user the bot talks to
+  session(userId) {
+    return { headers: { Authorization: `Bearer ${TelegramAuth.createSession({ telegramId: userId })}` } };
+  }
+
   async handleBalance(chatId, userId) {
     try {
-      const response = await axios.get(`${this.apiBaseUrl}/api/player/profile/${userId}`);
+      const response = await axios.get(`${this.apiBaseUrl}/api/player/profile`, this.session(userId));
       const user = response.data.user;
 
       await this.bot.sendMessage(chatId,
@@ -177,7 +354,7 @@ class AviatorTelegramBot {
 
   async handleStats(chatId, userId) {
     try {
-      const response = await axios.get(`${this.apiBaseUrl}/api/player/profile/${userId}`);
+      const response = await axios.get(`${this.apiBaseUrl}/api/player/profile`, this.session(userId));
       const user = response.data.user;
 
       const winRateEmoji = user.winRate >= 60 ? '🔥' : user.winRate >= 40 ? '⚡' : '📈';
@@ -202,7 +379,7 @@ class AviatorTelegramBot {
 
   async handleHistory(chatId, userId) {
     try {
-      const response = await axios.get(`${this.apiBaseUrl}/api/player/history/${userId}?limit=10`);
+      const response = await axios.get(`${this.apiBaseUrl}/api/player/history?limit=10`, this.session(userId));
       const games = response.data.games;
 
       if (games.length === 0) {
@@ -217,16 +394,22 @@ class AviatorTelegramBot {
         const profit = game.profit > 0 ? `+${game.profit}` : game.profit;
         const multiplier = game.cashoutMultiplier ? `${game.cashoutMultiplier.toFixed(2)}x` : 'Crashed';
         
-        message += `${result} Game #${game.gameId}\n`;
+        const room = game.roomId && game.roomId !== 'main' ? ` [${game.roomId}]` : '';
+        message += `${result} Game #${game.gameId}${room}${game.slot > 1 ? ` (bet ${game.slot})` : ''}\n`;
         message += `   Bet: ${game.betAmount}⭐ | ${multiplier}\n`;
         message += `   Profit: ${profit}⭐ | Crash: ${game.crashPoint.toFixed(2)}x\n\n`;
       });
 
+      // Both bet slots of a round share one verification
+      const verifiableGames = games.filter((game, index) => 
+        games.findIndex(other => other.gameId === game.gameId && other.roomId === game.roomId) === index
+      );
+
       const keyboard = {
         reply_markup: {
-          inline_keyboard: games.slice(0, 3).map(game => [{
+          inline_keyboard: verifiableGames.slice(0, 3).map(game => [{
             text: `🔍 Verify Game #${game.gameId}`,
-            callback_data: `verify_${game.gameId}`
+            callback_data: `verify_${game.roomId || 'main'}_${game.gameId}`
           }])
         }
       };
@@ -240,20 +423,143 @@ class AviatorTelegramBot {
     }
   }
 
-  async handleVerifyGame(chatId, gameId) {
+  async handleRooms(chatId) {
     try {
-      const response = await axios.get(`${this.apiBaseUrl}/api/player/verify/${gameId}`);
+      const response = await axios.get(`${this.apiBaseUrl}/api/rooms`);
+      const rooms = response.data.rooms.filter(room => room.status === 'active');
+
+      if (rooms.length === 0) {
+        await this.bot.sendMessage(chatId, '🏠 No game rooms are open right now. Please try again later.');
+        return;
+      }
+
+      let message = '🏠 *Game Rooms*\n\n';
+      rooms.forEach(room => {
+        message += `${room.vipOnly ? '💎' : '🛩️'} *${room.name}*\n`;
+        message += `   Bets: ${room.minBet.toLocaleString()}-${room.maxBet.toLocaleString()}⭐${room.vipOnly ? ' | VIP only' : ''}\n\n`;
+      });
+
+      const keyboard = {
+        reply_markup: {
+          inline_keyboard: rooms.map(room => [{
+            text: `${room.vipOnly ? '💎' : '🛩️'} Play in ${room.name}`,
+            web_app: { url: `${this.webAppUrl}?room=${encodeURIComponent(room.roomId)}` }
+          }])
+        }
+      };
+
+      await this.bot.sendMessage(chatId, message, {
+        parse_mode: 'Markdown',
+        ...keyboard
+      });
+    } catch (error) {
+      await this.bot.sendMessage(chatId, '❌ Could not fetch game rooms');
+    }
+  }
+
+  async handleSeedChains(chatId) {
+    try {
+      const response = await axios.get(`${this.apiBaseUrl}/api/rooms`);
+      const rooms = response.data.rooms.filter(room => room.seedChain);
+
+      if (rooms.length === 0) {
+        await this.bot.sendMessage(chatId,
+          '🔍 Use /verify <gameId> (or /verify <room> <gameId>) to verify a game.'
+        );
+        return;
+      }
+
+      let message = '⛓️ *Seed Chains*\n\n' +
+        'Server seeds are pre-generated as a SHA-256 chain and used in reverse. ' +
+        'Each revealed seed hashes to the previous round\'s seed, and the first one to the terminating hash below.\n\n';
+      rooms.forEach(room => {
+        message += `🛩️ *${room.name}*\n`;
+        message += `   Terminating hash: \`${room.seedChain.terminatingHash}\`\n`;
+        message += `   Client seed: \`${room.seedChain.clientSeed}\`\n`;
+        message += `   Rounds: ${room.seedChain.roundsPlayed}/${room.seedChain.length}\n\n`;
+      });
+      message += 'Use /verify <gameId> (or /verify <room> <gameId>) to verify a game.';
+
+      await this.bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+    } catch (error) {
+      await this.bot.sendMessage(chatId, '❌ Could not fetch seed chains');
+    }
+  }
+
+  async handleSeeds(chatId, userId) {
+    try {
+      const response = await axios.get(`${this.apiBaseUrl}/api/player/seeds`, this.session(userId));
+      const { current, revealed } = response.data;
+
+      let message = `🛡️ *Your Seeds*\n\n` +
+        `🔐 Server seed (hashed): \`${current.hashedServerSeed}\`\n` +
+        `🎲 Client seed: \`${current.clientSeed}\`\n` +
+        `🔢 Nonce: ${current.nonce}\n\n`;
+
+      if (revealed.length > 0) {
+        message += `🔓 Previous server seed: \`${revealed[0].serverSeed}\`\n\n`;
+      }
+
+      message += `Rotate with /seed rotate (random client seed) or /seed rotate <your client seed>.`;
+
+      await this.bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+    } catch (error) {
+      await this.bot.sendMessage(chatId, '❌ Could not fetch your seeds');
+    }
+  }
+
+  async handleRotateSeeds(chatId, userId, clientSeed) {
+    try {
+      const response = await axios.post(`${this.apiBaseUrl}/api/player/seeds/rotate`, {
+        clientSeed
+      }, this.session(userId));
+      const { previous, current } = response.data;
+
+      let message = `🔄 *Seeds Rotated*\n\n`;
+      if (previous) {
+        message += `🔓 Revealed server seed: \`${previous.serverSeed}\`\n` +
+          `   (hash \`${previous.hashedServerSeed}\`, ${previous.nonce} bets)\n\n`;
+      }
+      message += `🔐 New server seed (hashed): \`${current.hashedServerSeed}\`\n` +
+        `🎲 Client seed: \`${current.clientSeed}\``;
+
+      await this.bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+    } catch (error) {
+      const reason = error.response && error.response.data && error.response.data.error;
+      await this.bot.sendMessage(chatId, `❌ ${reason || 'Could not rotate your seeds'}`);
+    }
+  }
+
+  async handleVerifyGame(chatId, gameId, roomId = 'main', userId = null) {
+    try {
+      const response = await axios.get(
+        `${this.apiBaseUrl}/api/player/verify/${gameId}?roomId=${encodeURIComponent(roomId)}`,
+        userId ? this.session(userId) : undefined
+      );
       const verification = response.data;
 
       const status = verification.isValid ? '✅ VALID' : '❌ INVALID';
+
+      // The player's own bets, checked against their seed pair once it is revealed
+      const playerBets = (verification.playerBets || []).map(bet => 
+        `🎟️ Bet ${bet.slot}: nonce ${bet.nonce}, ` + 
+        (bet.revealed 
+          ? (bet.contributed ? 'seed contributed ✅' : 'seed not among the contributions') 
+          : 'rotate your seeds (/seed rotate) to check it')
+      ).join('\n');
       
       await this.bot.sendMessage(chatId,
         `🔍 *Game Verification*\n\n` +
-        `🎮 Game ID: #${verification.gameId}\n` +
+        `🎮 Game ID: #${verification.gameId} (${verification.roomId})\n` +
         `💥 Crash Point: ${verification.crashPoint.toFixed(2)}x\n` +
         `🔐 Server Seed: \`${verification.serverSeed.substring(0, 16)}...\`\n` +
-        `🎲 Client Seed: \`${verification.clientSeed}\`\n` +
+        `🎲 Client Seed: \`${verification.clientSeed.substring(0, 16)}...\`` +
+        ` (${verification.seedContributions.length} player seeds mixed in)\n` +
         `📊 Calculated: ${verification.calculatedCrash.toFixed(2)}x\n` +
+        (verification.chain 
+          ? `⛓️ Seed chain: ${verification.chain.isValid ? 'linked' : 'NOT linked'} (round ${verification.chain.position})\n` 
+          : '') +
+        (playerBets ? `${playerBets}\n` : '') +
         `✅ Status: ${status}\n\n` +
         `🛡️ *Provably Fair Verified*\n` +
         `This game result can be independently verified using the seeds above.`,
@@ -266,38 +572,27 @@ class AviatorTelegramBot {
 
   async handleBonus(chatId, userId) {
     try {
-      // Check if user is eligible for daily bonus
-      const user = await User.findOne({ telegramId: userId });
-      if (!user) {
+      const result = await Wallet.claimDailyBonus(userId);
+
+      if (!result.success && result.hoursLeft === undefined) {
         await this.bot.sendMessage(chatId, '❌ User not found');
         return;
       }
 
-      const now = new Date();
-      const lastBonus = user.lastDailyBonus || new Date(0);
-      const timeSinceLastBonus = now - lastBonus;
-      const hoursUntilNext = Math.max(0, 24 - (timeSinceLastBonus / (1000 * 60 * 60)));
-
-      if (hoursUntilNext > 0) {
+      if (!result.success) {
         await this.bot.sendMessage(chatId,
           `🎁 *Daily Bonus*\n\n` +
-          `⏰ Next bonus available in ${hoursUntilNext.toFixed(1)} hours\n\n` +
-          `💰 Daily bonus: 100⭐\n` +
-          `🎯 VIP bonus: 250⭐\n` +
-          `👥 Referral bonus: 500⭐ per friend`,
+          `⏰ Next bonus available in ${result.hoursLeft.toFixed(1)} hours\n\n` +
+          `💰 Daily bonus: ${gameConfig.get('dailyBonus')}⭐\n` +
+          `🎯 VIP bonus: ${gameConfig.get('vipDailyBonus')}⭐\n` +
+          `👥 Referral bonus: ${gameConfig.get('referrerBonus')}⭐ per friend`,
           { parse_mode: 'Markdown' }
         );
       } else {
-        // Give daily bonus
-        const bonusAmount = user.isVIP ? 250 : 100;
-        user.balance += bonusAmount;
-        user.lastDailyBonus = now;
-        await user.save();
-
         await this.bot.sendMessage(chatId,
           `🎁 *Daily Bonus Claimed!*\n\n` +
-          `💰 You received: ${bonusAmount}⭐\n` +
-          `💳 New balance: ${user.balance.toLocaleString()}⭐\n\n` +
+          `💰 You received: ${result.bonus}⭐\n` +
+          `💳 New balance: ${result.user.balance.toLocaleString()}⭐\n\n` +
           `See you tomorrow for another bonus! 🌅`,
           { parse_mode: 'Markdown' }
         );
@@ -307,6 +602,328 @@ class AviatorTelegramBot {
     }
   }
 
+  async handleDepositMenu(chatId) {
+    const minDeposit = gameConfig.get('minDeposit');
+    const maxDeposit = gameConfig.get('maxDeposit');
+    const amounts = [100, 500, 1000, 5000].filter(amount => amount >= minDeposit && amount <= maxDeposit);
+
+    await this.bot.sendMessage(chatId,
+      `⭐ *Buy Stars*\n\n` +
+      `Pay with Telegram Stars - 1 Telegram Star = 1⭐\n` +
+      `Pick an amount or send /deposit <amount> (${minDeposit}-${maxDeposit})`,
+      {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: [amounts.map(amount => ({
+            text: `${amount.toLocaleString()}⭐`,
+            callback_data: `deposit_${amount}`
+          }))]
+        }
+      }
+    );
+  }
+
+  async handleDeposit(chatId, userId, amount) {
+    try {
+      const result = await StarPayments.createInvoice(userId, amount);
+      if (!result.success) {
+        await this.bot.sendMessage(chatId, `❌ ${result.error}`);
+        return;
+      }
+
+      const { title, description, payload, currency, prices } = result.invoice;
+      await this.bot.sendInvoice(chatId, title, description, payload, '', currency, prices);
+    } catch (error) {
+      console.error('Error sending invoice:', error);
+      await this.bot.sendMessage(chatId, '❌ Could not create the invoice');
+    }
+  }
+
+  async handleWithdrawInfo(chatId, userId) {
+    try {
+      const [last] = await Withdrawals.history(userId, 1);
+
+      await this.bot.sendMessage(chatId,
+        `💸 *Withdraw Stars*\n\n` +
+        `Send /withdraw <amount> <where to pay>\n` +
+        `Limits: ${gameConfig.get('minWithdrawal').toLocaleString()}-${gameConfig.get('maxWithdrawal').toLocaleString()}⭐, ` +
+        `one request every ${gameConfig.get('withdrawalCooldown')} hours\n` +
+        `The amount is held from your balance until it is reviewed.` +
+        (last ? `\n\nLast request: ${last.amount.toLocaleString()}⭐ - ${last.status}` : ''),
+        { parse_mode: 'Markdown' }
+      );
+    } catch (error) {
+      await this.bot.sendMessage(chatId, '❌ Could not fetch withdrawal info');
+    }
+  }
+
+  async handleWithdraw(chatId, userId, amount, destination) {
+    try {
+      const result = await Withdrawals.request(userId, amount, destination);
+      if (!result.success) {
+        await this.bot.sendMessage(chatId, `❌ ${result.error}`);
+      }
+      // The confirmation comes from the 'withdrawal' event
+    } catch (error) {
+      console.error('Error requesting withdrawal:', error);
+      await this.bot.sendMessage(chatId, '❌ Could not request the withdrawal');
+    }
+  }
+
+  async notifyWithdrawal(withdrawal) {
+    // Holds are reviewed quietly; the player hears about the decision
+    if (withdrawal.holdChanged) return;
+
+    const amount = `${withdrawal.amount.toLocaleString()}⭐`;
+    const messages = {
+      pending: `💸 *Withdrawal requested*\n\n${amount} is held from your balance while we review your request.`,
+      approved: `✅ *Withdrawal approved*\n\n${amount} is on its way.` +
+        (withdrawal.payoutReference ? `\nReference: ${escapeMarkdown(withdrawal.payoutReference)}` : ''),
+      rejected: `❌ *Withdrawal rejected*\n\n${amount} has been returned to your balance.` +
+        (withdrawal.reason ? `\nReason: ${escapeMarkdown(withdrawal.reason)}` : ''),
+      refunded: `↩️ *Withdrawal refunded*\n\nThe payout of ${amount} did not go through, so it has been returned to your balance.` +
+        (withdrawal.reason ? `\nReason: ${escapeMarkdown(withdrawal.reason)}` : '')
+    };
+
+    await this.bot.sendMessage(withdrawal.userId, messages[withdrawal.status], { parse_mode: 'Markdown' });
+  }
+
+  async handleSupport(chatId, from, text) {
+    try {
+      const result = await SupportTickets.open(from, text);
+      const ticket = result.ticket;
+
+      await this.bot.sendMessage(chatId,
+        (result.created ? `🎫 *Ticket #${ticket.number} opened*\n\n` : `🎫 *Ticket #${ticket.number} is open*\n\n`) +
+        (ticket.messageCount > 0
+          ? 'Support will answer here. Anything else you send in this chat is added to your ticket.'
+          : 'Describe your problem in your next message - everything you send in this chat goes to support.'),
+        {
+          parse_mode: 'Markdown',
+          reply_markup: { inline_keyboard: [[{ text: '✅ Close ticket', callback_data: 'ticket_close' }]] }
+        }
+      );
+    } catch (error) {
+      console.error('Error opening support ticket:', error);
+      await this.bot.sendMessage(chatId, '❌ Could not open a support ticket, please try again');
+    }
+  }
+
+  // Chat messages of a player with an open ticket go to support
+  async relayToSupport(msg) {
+    const ticket = await SupportTickets.openTicketOf(msg.from.id);
+    if (!ticket) return;
+
+    if (!msg.text) {
+      await this.bot.sendMessage(msg.chat.id, '📎 Only text messages reach support for now - please describe it in words.');
+      return;
+    }
+    await SupportTickets.addPlayerMessage(msg.from.id, msg.text);
+  }
+
+  async handleCloseTicket(chatId, userId) {
+    const ticket = await SupportTickets.openTicketOf(userId);
+    if (!ticket) {
+      await this.bot.sendMessage(chatId, 'You have no open ticket.');
+      return;
+    }
+
+    await SupportTickets.close(ticket._id, 'player');
+    await this.bot.sendMessage(chatId, `✅ Ticket #${ticket.number} closed. Send /support if you need help again.`);
+  }
+
+  async notifyTicket({ type, ticket, message }) {
+    if (type === 'reply') {
+      await this.bot.sendMessage(ticket.userId,
+        `💬 *Support* (ticket #${ticket.number})\n\n${escapeMarkdown(message.text)}`,
+        {
+          parse_mode: 'Markdown',
+          reply_markup: { inline_keyboard: [[{ text: '✅ Close ticket', callback_data: 'ticket_close' }]] }
+        }
+      );
+    } else if (type === 'closed' && ticket.closedBy !== 'player') {
+      await this.bot.sendMessage(ticket.userId,
+        `✅ Ticket #${ticket.number} has been closed by support. Send /support if you need help again.`
+      );
+    }
+  }
+
+  // Commands and button presses use up the player's flood control buckets;
+  // muted players get nothing through except payments
+  allowUpdate(update) {
+    const query = update.callback_query;
+    const msg = update.message;
+    let result;
+
+    if (query) {
+      result = floodControl.check(query.from, 'callback', query.data);
+    } else if (msg && msg.from && !msg.successful_payment) {
+      const command = msg.text && msg.text.startsWith('/') ? msg.text.split(/\s/)[0] : null;
+      result = floodControl.check(msg.from, command ? 'command' : null, command);
+    } else {
+      return true;
+    }
+    if (result.allowed) return true;
+
+    if (result.notify) {
+      const userId = query ? query.from.id : msg.from.id;
+      const text = result.mutedUntil
+        ? `🔇 Too many requests - the bot will ignore you until ${result.mutedUntil.toUTCString()}.`
+        : '⏳ Slow down a little - some of your requests were ignored.';
+      const reply = query
+        ? this.bot.answerCallbackQuery(query.id, { text, show_alert: !!result.mutedUntil })
+        : this.bot.sendMessage(userId, text);
+      reply.catch(error => console.error('Error sending flood warning:', error.message));
+    }
+    return false;
+  }
+
+  async handleKyc(chatId, userId) {
+    try {
+      let request = await Kyc.latest(userId);
+      if (!request || request.status === 'approved') {
+        if (request) {
+          await this.bot.sendMessage(chatId, '✅ Your identity is verified - nothing else to do.');
+          return;
+        }
+
+        const result = await Kyc.request(userId, { by: 'player', reason: 'Started by the player' });
+        if (!result.success) {
+          await this.bot.sendMessage(chatId, '❌ Send /start first to create your account');
+          return;
+        }
+        request = result.request;
+      }
+
+      if (request.status === 'submitted') {
+        await this.bot.sendMessage(chatId, '⏳ Your documents are being reviewed. We will message you here once they are checked.');
+      } else if (request.status === 'rejected') {
+        await this.bot.sendMessage(chatId,
+          `❌ *Verification rejected*\n\nReason: ${escapeMarkdown(request.rejectionReason)}\n\n` +
+          'Send new photos or files of your documents here to try again.',
+          { parse_mode: 'Markdown' }
+        );
+      } else {
+        await this.sendKycInstructions(chatId, request);
+      }
+    } catch (error) {
+      console.error('Error handling KYC:', error);
+      await this.bot.sendMessage(chatId, '❌ Could not load your verification, please try again');
+    }
+  }
+
+  async sendKycInstructions(chatId, request) {
+    const count = request.documents.length;
+    await this.bot.sendMessage(chatId,
+      `🪪 *Verify your identity*\n\n` +
+      `Send a photo of your passport, ID card or driving licence and a selfie holding it, right here in this chat. ` +
+      `Photos, images and PDFs up to ${Kyc.MAX_FILE_SIZE / 1024 / 1024} MB work.\n\n` +
+      'Withdrawals are paused until your identity is verified.' +
+      (count > 0 ? `\n\n📄 ${count} file(s) received so far.` : ''),
+      {
+        parse_mode: 'Markdown',
+        reply_markup: count > 0 ? { inline_keyboard: [[{ text: '✅ Submit documents', callback_data: 'kyc_submit' }]] } : undefined
+      }
+    );
+  }
+
+  // Returns false when the player has no verification going, so the message goes to support
+  async collectKycDocument(msg) {
+    const request = await Kyc.openRequest(msg.from.id);
+    if (!request) return false;
+
+    let file;
+    if (msg.photo) {
+      // Telegram sends several sizes, the last one is the largest
+      const photo = msg.photo[msg.photo.length - 1];
+      file = { id: photo.file_id, size: photo.file_size, mimeType: 'image/jpeg', fileName: 'photo.jpg', kind: 'photo' };
+    } else {
+      file = {
+        id: msg.document.file_id,
+        size: msg.document.file_size,
+        mimeType: msg.document.mime_type,
+        fileName: msg.document.file_name,
+        kind: 'document'
+      };
+    }
+
+    const tooLarge = `❌ Files can be at most ${Kyc.MAX_FILE_SIZE / 1024 / 1024} MB`;
+    if (file.size > Kyc.MAX_FILE_SIZE) {
+      await this.bot.sendMessage(msg.chat.id, tooLarge);
+      return true;
+    }
+
+    try {
+      const chunks = [];
+      let size = 0;
+      const stream = this.bot.getFileStream(file.id);
+      for await (const chunk of stream) {
+        size += chunk.length;
+        if (size > Kyc.MAX_FILE_SIZE) {
+          stream.destroy();
+          await this.bot.sendMessage(msg.chat.id, tooLarge);
+          return true;
+        }
+        chunks.push(chunk);
+      }
+
+      const result = await Kyc.addDocument(msg.from.id, { ...file, buffer: Buffer.concat(chunks) });
+      if (!result.success) {
+        await this.bot.sendMessage(msg.chat.id, `❌ ${result.error}`);
+        return true;
+      }
+
+      await this.bot.sendMessage(msg.chat.id,
+        `📄 Got it - ${result.request.documents.length} file(s) so far. Send more, or submit them when you are done.`,
+        { reply_markup: { inline_keyboard: [[{ text: '✅ Submit documents', callback_data: 'kyc_submit' }]] } }
+      );
+    } catch (error) {
+      console.error('Error saving KYC document:', error);
+      await this.bot.sendMessage(msg.chat.id, '❌ Could not save your file, please send it again');
+    }
+    return true;
+  }
+
+  async handleKycSubmit(chatId, userId) {
+    const result = await Kyc.submit(userId);
+    await this.bot.sendMessage(chatId, result.success
+      ? '📨 Documents sent for review. We will message you here once they are checked.'
+      : `❌ ${result.error}`
+    );
+  }
+
+  async notifyKyc({ type, request }) {
+    if (type === 'requested' && request.requestedBy !== 'player') {
+      await this.sendKycInstructions(request.userId, request);
+    } else if (type === 'approved') {
+      await this.bot.sendMessage(request.userId, '✅ *Identity verified*\n\nThanks! Withdrawals and all bet sizes are open to you.', { parse_mode: 'Markdown' });
+    } else if (type === 'rejected') {
+      await this.bot.sendMessage(request.userId,
+        `❌ *Verification rejected*\n\nReason: ${escapeMarkdown(request.rejectionReason)}\n\n` +
+        'Send new photos or files of your documents here to try again.',
+        { parse_mode: 'Markdown' }
+      );
+    }
+  }
+
+  async handleMarketingOptOut(chatId, userId, optOut) {
+    try {
+      const result = await campaigns.setOptOut(userId, optOut);
+      if (!result.success) {
+        await this.bot.sendMessage(chatId, '❌ Send /start first to create your account');
+        return;
+      }
+
+      await this.bot.sendMessage(chatId, optOut
+        ? '🔕 You will no longer get promotions from us. Send /subscribe to get them again.'
+        : '🔔 You will get our promotions again. Send /unsubscribe to stop them.'
+      );
+    } catch (error) {
+      console.error('Error updating marketing preference:', error);
+      await this.bot.sendMessage(chatId, '❌ Could not update your preference, please try again');
+    }
+  }
+
   async handleReferralInfo(chatId, userId) {
     try {
       const user = await User.findOne({ telegramId: userId });
@@ -319,8 +936,8 @@ class AviatorTelegramBot {
         `👥 *Referral Program*\n\n` +
         `🔗 Your referral link:\n\`${referralLink}\`\n\n` +
         `📊 Friends referred: ${referralCount}\n` +
-        `🎁 Bonus per friend: 500⭐\n` +
-        `💰 Friend gets: 200⭐ bonus\n\n` +
+        `🎁 Bonus per friend: ${gameConfig.get('referrerBonus')}⭐\n` +
+        `💰 Friend gets: ${gameConfig.get('referralBonus')}⭐ bonus\n\n` +
         `Share your link and earn stars for every friend who joins! 🚀`,
         { parse_mode: 'Markdown' }
       );
@@ -334,28 +951,39 @@ class AviatorTelegramBot {
       const referrer = await User.findOne({ referralCode });
       if (!referrer || referrer.telegramId === userId) return;
 
-      // Give bonus to new user
-      const newUser = await User.findOne({ telegramId: userId });
-      if (newUser) {
-        newUser.balance += 200; // New user bonus
-        newUser.referredBy = referrer.telegramId;
-        await newUser.save();
+      const referralBonus = gameConfig.get('referralBonus');
+      const referrerBonus = gameConfig.get('referrerBonus');
+
+      // Link the new user once - a repeated /start with the code pays nothing
+      const linked = await User.updateOne(
+        { telegramId: userId, referredBy: null },
+        { $set: { referredBy: referrer.telegramId } }
+      );
+      if (!linked.modifiedCount) return;
+
+      // Give bonus to new user and referrer
+      if (referralBonus > 0) {
+        await Wallet.credit(userId, referralBonus, { type: 'referral', description: 'Joined through a referral link' });
+        events.emit('activity', { type: 'bonus', userId, amount: referralBonus, data: { bonusType: 'referral', referrerId: referrer.telegramId } });
+      }
+      if (referrerBonus > 0) {
+        await Wallet.credit(referrer.telegramId, referrerBonus, { type: 'referral', description: `Referred player ${userId}` });
       }
 
-      // Give bonus to referrer
-      referrer.balance += 500; // Referrer bonus
-      await referrer.save();
+      // Many fresh referrals at once may be one person farming the bonus
+      FraudEngine.scanReferrer(referrer.telegramId)
+        .catch(error => console.error(`❌ Referral scan for ${referrer.telegramId} failed:`, error));
 
       // Notify both users
       await this.bot.sendMessage(userId,
         `🎉 *Referral Bonus!*\n\n` +
-        `You got 200⭐ for joining through a friend's link!`,
+        `You got ${referralBonus}⭐ for joining through a friend's link!`,
         { parse_mode: 'Markdown' }
       );
 
       await this.bot.sendMessage(referrer.telegramId,
         `🎉 *Friend Joined!*\n\n` +
-        `You earned 500⭐ for referring a friend!\n` +
+        `You earned ${referrerBonus}⭐ for referring a friend!\n` +
         `Keep sharing and earning! 💰`,
         { parse_mode: 'Markdown' }
       );
@@ -0,0 +1,251 @@
+// config/gameConfig.js
+const EventEmitter = require('events');
+const { ConfigChange } = require('../db/database');
+
+/**
+ * Game settings, read from the environment (see .env.template) and validated
+ * at startup. Settings marked `runtime` can be changed by admins while the
+ * server runs: changes are queued and applied at the next round boundary,
+ * and every change is recorded in the ConfigChange history.
+ */
+const SETTINGS = {
+  houseEdge: { env: 'HOUSE_EDGE', type: 'float', default: 0.02, min: 0, max: 0.2, description: 'House edge applied to crash points' },
+  minBet: { env: 'MIN_BET', type: 'int', default: 10, min: 1, runtime: true, description: 'Smallest bet in any room (stars)' },
+  maxBet: { env: 'MAX_BET', type: 'int', default: 100000, min: 1, runtime: true, description: 'Largest bet in any room (stars)' },
+  betPhaseDuration: { env: 'BET_PHASE_DURATION', type: 'int', default: 10000, min: 3000, max: 60000, runtime: true, description: 'Betting phase length (ms)' },
+  roundDelay: { env: 'ROUND_DELAY', type: 'int', default: 5000, min: 1000, max: 60000, runtime: true, description: 'Pause between a crash and the next betting phase (ms)' },
+  startingBalance: { env: 'STARTING_BALANCE', type: 'int', default: 1000, min: 0, runtime: true, description: 'Balance of new players (stars)' },
+  dailyBonus: { env: 'DAILY_BONUS', type: 'int', default: 100, min: 0, runtime: true, description: 'Daily bonus (stars)' },
+  vipDailyBonus: { env: 'VIP_DAILY_BONUS', type: 'int', default: 250, min: 0, runtime: true, description: 'Daily bonus for VIP players (stars)' },
+  referralBonus: { env: 'REFERRAL_BONUS', type: 'int', default: 200, min: 0, runtime: true, description: 'Bonus for players joining through a referral link (stars)' },
+  referrerBonus: { env: 'REFERRER_BONUS', type: 'int', default: 500, min: 0, runtime: true, description: 'Bonus for the referring player (stars)' },
+  minDeposit: { env: 'MIN_DEPOSIT', type: 'int', default: 50, min: 1, runtime: true, description: 'Smallest Telegram Stars purchase (stars)' },
+  maxDeposit: { env: 'MAX_DEPOSIT', type: 'int', default: 10000, min: 1, max: 100000, runtime: true, description: 'Largest Telegram Stars purchase (stars)' },
+  minWithdrawal: { env: 'MIN_WITHDRAWAL', type: 'int', default: 1000, min: 1, runtime: true, description: 'Smallest withdrawal request (stars)' },
+  maxWithdrawal: { env: 'MAX_WITHDRAWAL', type: 'int', default: 50000, min: 1, runtime: true, description: 'Largest withdrawal request (stars)' },
+  withdrawalCooldown: { env: 'WITHDRAWAL_COOLDOWN', type: 'int', default: 24, min: 0, max: 720, runtime: true, description: 'Hours between withdrawal requests' },
+  kycBetLimit: { env: 'KYC_BET_LIMIT', type: 'int', default: 0, min: 0, runtime: true, description: 'Bets above this need approved KYC (stars, 0 turns the check off)' }
+};
+
+class GameConfig extends EventEmitter {
+  constructor() {
+    super();
+    this.values = null;
+    this.pending = new Map();
+  }
+
+  parse(key, raw) {
+    const setting = SETTINGS[key];
+    const value = setting.type === 'int' ? Number(raw) : parseFloat(raw);
+
+    if (!Number.isFinite(value) || (setting.type === 'int' && !Number.isInteger(value))) {
+      return { error: `${key} must be ${setting.type === 'int' ? 'an integer' : 'a number'}` };
+    }
+    if (setting.min !== undefined && value < setting.min) {
+      return { error: `${key} must be at least ${setting.min}` };
+    }
+    if (setting.max !== undefined && value > setting.max) {
+      return { error: `${key} must be at most ${setting.max}` };
+    }
+    return { value };
+  }
+
+  // Rules spanning several settings
+  checkConsistency(values) {
+    const errors = [];
+    if (values.minBet > values.maxBet) {
+      errors.push('minBet must not be greater than maxBet');
+    }
+    if (values.minDeposit > values.maxDeposit) {
+      errors.push('minDeposit must not be greater than maxDeposit');
+    }
+    if (values.minWithdrawal > values.maxWithdrawal) {
+      errors.push('minWithdrawal must not be greater than maxWithdrawal');
+    }
+    return errors;
+  }
+
+  /**
+   * Read and validate the environment. Throws with every problem found.
+   */
+  load(env = process.env) {
+    const values = {};
+    const errors = [];
+
+    Object.entries(SETTINGS).forEach(([key, setting]) => {
+      if (env[setting.env] === undefined || env[setting.env] === '') {
+        values[key] = setting.default;
+        return;
+      }
+
+      const parsed = this.parse(key, env[setting.env]);
+      if (parsed.error) {
+        errors.push(`${setting.env}: ${parsed.error}`);
+      } else {
+        values[key] = parsed.value;
+      }
+    });
+
+    // RTP is the complement of the house edge; both may be given but must agree
+    if (env.RTP !== undefined && env.RTP !== '') {
+      const rtp = parseFloat(env.RTP);
+      if (!Number.isFinite(rtp)) {
+        errors.push('RTP: must be a number');
+      } else if (env.HOUSE_EDGE === undefined || env.HOUSE_EDGE === '') {
+        values.houseEdge = Math.round((1 - rtp) * 10000) / 10000;
+        const parsed = this.parse('houseEdge', values.houseEdge);
+        if (parsed.error) errors.push(`RTP: ${parsed.error}`);
+      } else if (Math.abs(rtp + values.houseEdge - 1) > 1e-9) {
+        errors.push(`RTP (${env.RTP}) and HOUSE_EDGE (${env.HOUSE_EDGE}) must add up to 1`);
+      }
+    }
+
+    errors.push(...this.checkConsistency(values));
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid game configuration:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    this.values = values;
+    return this.values;
+  }
+
+  get(key) {
+    if (!this.values) this.load();
+    return this.values[key];
+  }
+
+  // Settings used by one round; engines take a copy when a round starts
+  snapshot() {
+    if (!this.values) this.load();
+    return { ...this.values };
+  }
+
+  describe() {
+    return Object.entries(SETTINGS).map(([key, setting]) => ({
+      key,
+      env: setting.env,
+      value: this.get(key),
+      default: setting.default,
+      min: setting.min,
+      max: setting.max,
+      runtime: !!setting.runtime,
+      pending: this.pending.has(key) ? this.pending.get(key).newValue : undefined,
+      description: setting.description
+    }));
+  }
+
+  /**
+   * Re-apply changes admins made before the last restart
+   */
+  async init() {
+    const applied = await ConfigChange.aggregate([
+      { $match: { status: { $in: ['applied', 'pending'] } } },
+      { $sort: { createdAt: -1 } },
+      { $group: { _id: '$key', change: { $first: '$$ROOT' } } }
+    ]);
+
+    const values = this.snapshot();
+    applied.forEach(({ _id: key, change }) => {
+      if (SETTINGS[key] && SETTINGS[key].runtime) values[key] = change.newValue;
+    });
+
+    if (this.checkConsistency(values).length === 0) {
+      this.values = values;
+    }
+
+    // Nothing is in play yet, so queued changes take effect right away
+    await ConfigChange.updateMany({ status: 'pending' }, { status: 'applied', appliedAt: new Date() });
+
+    if (applied.length > 0) {
+      console.log(`⚙️ Restored ${applied.length} runtime setting(s) changed by admins`);
+    }
+  }
+
+  /**
+   * Queue changes to runtime settings for the next round boundary
+   * @param {object} changes - { key: value }
+   * @param {string} requestedBy - Admin making the change
+   */
+  async requestChange(changes, requestedBy, reason = '') {
+    const keys = Object.keys(changes || {});
+
+    if (keys.length === 0) {
+      return { success: false, error: 'No settings given' };
+    }
+
+    const parsed = {};
+    for (const key of keys) {
+      if (!SETTINGS[key]) {
+        return { success: false, error: `Unknown setting: ${key}` };
+      }
+      if (!SETTINGS[key].runtime) {
+        return { success: false, error: `${key} can only be changed in the environment and needs a restart` };
+      }
+
+      const result = this.parse(key, changes[key]);
+      if (result.error) {
+        return { success: false, error: result.error };
+      }
+      parsed[key] = result.value;
+    }
+
+    const pendingValues = {};
+    this.pending.forEach((change, key) => { pendingValues[key] = change.newValue; });
+
+    const errors = this.checkConsistency({ ...this.snapshot(), ...pendingValues, ...parsed });
+    if (errors.length > 0) {
+      return { success: false, error: errors.join(', ') };
+    }
+
+    const queued = [];
+    for (const key of keys) {
+      // A newer change replaces one that has not been applied yet
+      if (this.pending.has(key)) {
+        await ConfigChange.updateOne({ _id: this.pending.get(key)._id }, { status: 'superseded' });
+      }
+
+      const change = await new ConfigChange({
+        key,
+        oldValue: this.get(key),
+        newValue: parsed[key],
+        requestedBy,
+        reason
+      }).save();
+
+      this.pending.set(key, change);
+      queued.push({ key, oldValue: change.oldValue, newValue: change.newValue });
+    }
+
+    console.log(`⚙️ Config change queued by ${requestedBy}: ${queued.map(c => `${c.key}=${c.newValue}`).join(', ')}`);
+    return { success: true, pending: queued };
+  }
+
+  /**
+   * Apply queued changes. Called by the game engines between rounds.
+   */
+  async applyPending() {
+    if (this.pending.size === 0) return [];
+
+    const changes = Array.from(this.pending.values());
+    this.pending.clear();
+
+    for (const change of changes) {
+      this.values[change.key] = change.newValue;
+      await ConfigChange.updateOne({ _id: change._id }, { status: 'applied', appliedAt: new Date() });
+      console.log(`⚙️ ${change.key}: ${change.oldValue} → ${change.newValue}`);
+    }
+
+    this.emit('change', changes);
+    return changes;
+  }
+
+  async history(limit = 50) {
+    return ConfigChange.find().sort({ createdAt: -1 }).limit(limit);
+  }
+}
+
+const gameConfig = new GameConfig();
+gameConfig.SETTINGS = SETTINGS;
+
+module.exports = gameConfig;
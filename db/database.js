@@ -16,45 +16,646 @@ const userSchema = new mongoose.Schema({
   lastActive: { type: Date, default: Date.now },
   isVIP: { type: Boolean, default: false },
   isBanned: { type: Boolean, default: false },
+  lastDailyBonus: Date,
   referralCode: String,
-  referredBy: Number
+  referredBy: Number,
+  // Set by risk rules or admins; blocks withdrawal requests until cleared
+  withdrawalsHeld: { type: Boolean, default: false },
+  // Identity verification (services/Kyc.js); withdrawals, and bets above
+  // KYC_BET_LIMIT, need 'approved'
+  kycStatus: {
+    type: String,
+    enum: ['none', 'requested', 'submitted', 'approved', 'rejected'],
+    default: 'none'
+  },
+  // Players who opted out of campaign messages (/unsubscribe in the bot)
+  marketingOptOut: { type: Boolean, default: false }
+}, { timestamps: true });
+
+// Admin Schema - dashboard accounts, see middleware/adminAuth.js for roles
+const adminSchema = new mongoose.Schema({
+  username: { type: String, unique: true, required: true, lowercase: true, trim: true },
+  passwordHash: { type: String, required: true, select: false },
+  role: { 
+    type: String, 
+    enum: ['superadmin', 'finance', 'support', 'moderator'],
+    required: true 
+  },
+  active: { type: Boolean, default: true },
+  createdBy: String,
+  lastLoginAt: Date,
+  // Two-factor authentication (TOTP); backup codes are stored as SHA-256 hashes
+  totp: {
+    secret: { type: String, select: false },
+    pendingSecret: { type: String, select: false },
+    enabled: { type: Boolean, default: false },
+    enabledAt: Date,
+    lastUsedStep: { type: Number, default: -1 }
+  },
+  backupCodes: { type: [String], select: false },
+  // Raised on every password change; dashboard tokens carry the version they were issued with
+  tokenVersion: { type: Number, default: 0 },
+  passwordChangedAt: Date,
+  // Progressive lockout after failed logins
+  failedLogins: { type: Number, default: 0 },
+  lockedUntil: Date
+}, { timestamps: true });
+
+// Admin Login Attempt Schema - every login, failed ones with the reason
+const adminLoginAttemptSchema = new mongoose.Schema({
+  username: String,
+  adminId: mongoose.Schema.Types.ObjectId,
+  ip: String,
+  userAgent: String,
+  success: { type: Boolean, required: true },
+  reason: { 
+    type: String, 
+    enum: ['bad_password', 'bad_code', 'code_required', 'locked', 'ip_blocked', 'disabled'] 
+  },
+  createdAt: { type: Date, default: Date.now, expires: 90 * 24 * 60 * 60 }
+});
+
+adminLoginAttemptSchema.index({ ip: 1, createdAt: -1 });
+
+// Game Room Schema
+const roomSchema = new mongoose.Schema({
+  roomId: { type: String, unique: true, required: true },
+  name: { type: String, required: true },
+  minBet: { type: Number, default: 10 },
+  maxBet: { type: Number, default: 10000 },
+  vipOnly: { type: Boolean, default: false },
+  status: { 
+    type: String, 
+    enum: ['active', 'paused', 'retired'],
+    default: 'active' 
+  },
+  retiredAt: Date
 }, { timestamps: true });
 
 // Game History Schema
 const gameSchema = new mongoose.Schema({
-  gameId: { type: Number, unique: true, required: true },
-  crashPoint: { type: Number, required: true },
+  roomId: { type: String, default: 'main' },
+  gameId: { type: Number, required: true },
+  status: { 
+    type: String, 
+    enum: ['betting', 'flying', 'crashed', 'recovered'],
+    default: 'crashed' 
+  },
+  crashPoint: Number, // set at takeoff, once the player seed contributions are in
   serverSeed: String,
   clientSeed: String,
+  baseClientSeed: String,
+  seedContributions: [{
+    userId: Number,
+    contribution: String
+  }],
   hashedServerSeed: String,
+  houseEdge: Number,
+  chainId: String,
+  chainPosition: Number,
   bets: [{
     userId: Number,
     username: String,
+    slot: { type: Number, default: 1 },
     betAmount: Number,
+    autoCashout: Number,
     cashoutMultiplier: Number,
     payout: Number,
     profit: Number,
-    cashedOut: Boolean
+    cashedOut: Boolean,
+    playerSeed: {
+      hashedServerSeed: String,
+      clientSeed: String,
+      nonce: Number
+    }
   }],
   totalBets: Number,
   totalPayout: Number,
   houseProfit: Number,
   startTime: Date,
   endTime: Date
+}, { timestamps: true, autoIndex: false });
+
+// Round numbers are counted per room. The indexes are built by
+// GameEngine.migrate(), after the single-room gameId index is dropped
+gameSchema.index({ roomId: 1, gameId: 1 }, { unique: true });
+gameSchema.index({ roomId: 1, status: 1 });
+gameSchema.index({ chainId: 1, chainPosition: 1 });
+
+// Seed Chain Schema - server seeds pre-generated as a SHA-256 chain and used
+// in reverse, so every revealed seed hashes to the one revealed before it
+const seedChainSchema = new mongoose.Schema({
+  chainId: { type: String, unique: true, required: true },
+  roomId: { type: String, required: true },
+  rootSeed: { type: String, required: true, select: false },
+  terminatingHash: { type: String, required: true },
+  clientSeed: { type: String, required: true },
+  length: { type: Number, required: true },
+  position: { type: Number, default: 0 }, // rounds played from this chain
+  status: { 
+    type: String, 
+    enum: ['pending', 'active', 'exhausted', 'retired'],
+    default: 'pending' 
+  },
+  activatedAt: Date,
+  endedAt: Date
+}, { timestamps: true });
+
+seedChainSchema.index({ roomId: 1, status: 1 });
+
+// Player Seed Schema - per-player server/client seed pairs. The hashed server
+// seed is shown while the pair is in use and the seed is revealed on rotation.
+const playerSeedSchema = new mongoose.Schema({
+  userId: { type: Number, required: true },
+  serverSeed: { type: String, required: true, select: false },
+  hashedServerSeed: { type: String, required: true },
+  clientSeed: { type: String, required: true },
+  nonce: { type: Number, default: 0 }, // bets placed with this pair
+  status: { 
+    type: String, 
+    enum: ['active', 'revealed'],
+    default: 'active' 
+  },
+  revealedAt: Date
 }, { timestamps: true });
 
+playerSeedSchema.index({ userId: 1, status: 1 });
+playerSeedSchema.index({ hashedServerSeed: 1 });
+
+// Config Change Schema - runtime setting changes made by admins
+const configChangeSchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  oldValue: Number,
+  newValue: { type: Number, required: true },
+  status: { 
+    type: String, 
+    enum: ['pending', 'applied', 'superseded'],
+    default: 'pending' 
+  },
+  requestedBy: String,
+  reason: String,
+  appliedAt: Date
+}, { timestamps: true });
+
+// Idempotency Key Schema - lets clients retry bets and cashouts safely.
+// The first request with a key runs; retries get its stored response back.
+const idempotencyKeySchema = new mongoose.Schema({
+  userId: { type: Number, required: true },
+  scope: { type: String, required: true },
+  key: { type: String, required: true },
+  status: { 
+    type: String, 
+    enum: ['pending', 'done'],
+    default: 'pending' 
+  },
+  response: mongoose.Schema.Types.Mixed,
+  // Renewed when a retry takes over a key left pending
+  leasedAt: { type: Date, default: Date.now },
+  createdAt: { type: Date, default: Date.now, expires: 24 * 60 * 60 }
+});
+
+idempotencyKeySchema.index({ userId: 1, scope: 1, key: 1 }, { unique: true });
+
+// Audit Log Schema - append-only record of admin actions. Each entry holds
+// the hash of the one before it, so editing or deleting an entry breaks the
+// chain (see services/AuditLog.js).
+const auditLogSchema = new mongoose.Schema({
+  seq: { type: Number, unique: true, required: true },
+  actor: {
+    adminId: String,
+    username: String,
+    role: String
+  },
+  action: { type: String, required: true },
+  target: {
+    type: { type: String },
+    id: String
+  },
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  details: mongoose.Schema.Types.Mixed,
+  ip: String,
+  userAgent: String,
+  createdAt: { type: Date, required: true },
+  prevHash: { type: String, required: true },
+  hash: { type: String, required: true }
+}, { versionKey: false });
+
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ 'actor.username': 1, createdAt: -1 });
+auditLogSchema.index({ 'target.type': 1, 'target.id': 1, createdAt: -1 });
+
+// Append-only: no updates or deletes through the application
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(operation => {
+  auditLogSchema.pre(operation, function() {
+    throw new Error('Audit log entries cannot be changed or removed');
+  });
+});
+auditLogSchema.pre('save', function() {
+  if (!this.isNew) throw new Error('Audit log entries cannot be changed or removed');
+});
+
+// Ledger Schema - double-entry postings. Every journal's amounts add up to
+// zero; a player's balance is the sum of their 'player' postings.
+const ledgerEntrySchema = new mongoose.Schema({
+  journalId: { type: String, required: true, index: true },
+  account: { 
+    type: String, 
+    enum: ['player', 'house', 'bonus', 'promo', 'withdrawals'],
+    required: true 
+  },
+  userId: Number, // player accounts only
+  amount: { type: Number, required: true },
+  type: { type: String, required: true },
+  transactionId: mongoose.Schema.Types.ObjectId,
+  gameId: Number,
+  roomId: String,
+  description: String
+}, { timestamps: true });
+
+ledgerEntrySchema.index({ account: 1, userId: 1 });
+
+// Star Payment Schema - Telegram Stars (XTR) invoices. The invoice payload
+// is invoiceId; a payment is credited once, when it moves from pending to paid.
+const starPaymentSchema = new mongoose.Schema({
+  invoiceId: { type: String, required: true, unique: true },
+  userId: { type: Number, required: true },
+  amount: { type: Number, required: true },
+  status: {
+    type: String,
+    enum: ['pending', 'crediting', 'paid', 'refunding', 'refunded'],
+    default: 'pending'
+  },
+  telegramPaymentChargeId: String,
+  providerPaymentChargeId: String,
+  transactionId: mongoose.Schema.Types.ObjectId,
+  expiresAt: Date,
+  paidAt: Date,
+  refundedAt: Date,
+  refundedBy: String,
+  refundReason: String
+}, { timestamps: true });
+
+starPaymentSchema.index({ telegramPaymentChargeId: 1 }, { unique: true, sparse: true });
+starPaymentSchema.index({ userId: 1, createdAt: -1 });
+starPaymentSchema.index({ status: 1, createdAt: -1 });
+
+// Withdrawal Schema - player payout requests. The amount is held from the
+// balance when requested; approving pays it out, rejecting returns it and a
+// refund returns an approved payout that did not go through.
+const withdrawalSchema = new mongoose.Schema({
+  userId: { type: Number, required: true },
+  amount: { type: Number, required: true },
+  destination: String,
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'refunded'],
+    default: 'pending'
+  },
+  holdTransactionId: mongoose.Schema.Types.ObjectId,
+  // Set while the player's withdrawals are on hold; held requests can't be approved
+  heldAt: Date,
+  heldBy: String,
+  holdReason: String,
+  reviewedBy: String,
+  reviewedAt: Date,
+  payoutReference: String,
+  reason: String,
+  refundedBy: String,
+  refundedAt: Date
+}, { timestamps: true });
+
+// One open request per player
+withdrawalSchema.index({ userId: 1 }, { unique: true, partialFilterExpression: { status: 'pending' } });
+withdrawalSchema.index({ userId: 1, createdAt: -1 });
+withdrawalSchema.index({ status: 1, createdAt: 1 });
+
+// Player Signal Schema - where and on what a player used the mini app
+// (IP address, device ID, browser fingerprint). Accounts sharing a signal
+// are linked by the fraud engine (services/FraudEngine.js).
+const playerSignalSchema = new mongoose.Schema({
+  userId: { type: Number, required: true },
+  kind: { type: String, enum: ['ip', 'device', 'fingerprint'], required: true },
+  value: { type: String, required: true },
+  seenCount: { type: Number, default: 1 },
+  firstSeen: { type: Date, default: Date.now },
+  lastSeen: { type: Date, default: Date.now }
+});
+
+playerSignalSchema.index({ userId: 1, kind: 1, value: 1 }, { unique: true });
+playerSignalSchema.index({ kind: 1, value: 1 });
+
+// Fraud Case Schema - a suspicious cluster of accounts and its review
+const fraudCaseSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['multi_account', 'referral_abuse', 'manual'],
+    required: true
+  },
+  primaryUserId: { type: Number, required: true },
+  userIds: [Number],
+  score: { type: Number, default: 0 },
+  severity: { type: String, enum: ['low', 'medium', 'high'], default: 'low' },
+  signals: [{
+    _id: false,
+    type: { type: String },
+    detail: String,
+    weight: Number,
+    userIds: [Number]
+  }],
+  status: {
+    type: String,
+    enum: ['open', 'reviewing', 'confirmed', 'dismissed'],
+    default: 'open'
+  },
+  assignedTo: String,
+  notes: [{
+    _id: false,
+    by: String,
+    text: String,
+    at: { type: Date, default: Date.now }
+  }],
+  blocked: { type: Boolean, default: false },
+  resolvedBy: String,
+  resolvedAt: Date
+}, { timestamps: true });
+
+fraudCaseSchema.index({ kind: 1, primaryUserId: 1, status: 1 });
+fraudCaseSchema.index({ status: 1, severity: 1, updatedAt: -1 });
+fraudCaseSchema.index({ userIds: 1 });
+
+// Player Event Schema - what players did (bets, cashouts, deposits, bonus
+// claims, registrations), kept 90 days for risk rules and their dry runs
+const playerEventSchema = new mongoose.Schema({
+  userId: { type: Number, required: true },
+  type: {
+    type: String,
+    enum: ['bet', 'cashout', 'deposit', 'bonus', 'registration'],
+    required: true
+  },
+  amount: Number,
+  multiplier: Number,
+  data: mongoose.Schema.Types.Mixed,
+  createdAt: { type: Date, default: Date.now, expires: 90 * 24 * 60 * 60 }
+});
+
+playerEventSchema.index({ type: 1, createdAt: 1 });
+playerEventSchema.index({ userId: 1, type: 1, createdAt: -1 });
+
+// Risk Rule Schema - admin-defined conditions over player events and the
+// actions taken when an event matches all of them (services/RiskRules.js)
+const riskRuleSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  description: String,
+  event: {
+    type: String,
+    enum: ['bet', 'cashout', 'deposit', 'bonus', 'registration'],
+    required: true
+  },
+  conditions: [{
+    _id: false,
+    field: { type: String, required: true },
+    op: { type: String, enum: ['gt', 'gte', 'lt', 'lte', 'eq', 'ne'], required: true },
+    value: { type: Number, required: true }
+  }],
+  windowMinutes: { type: Number, default: 60 },
+  actions: [{ type: String, enum: ['flag', 'hold_withdrawals', 'require_kyc', 'ban'] }],
+  enabled: { type: Boolean, default: true },
+  template: String,
+  hits: { type: Number, default: 0 },
+  lastMatchedAt: Date,
+  createdBy: String,
+  updatedBy: String
+}, { timestamps: true });
+
+// Support Ticket Schema - a player's conversation with support, opened with
+// the bot's /support command and relayed both ways (services/SupportTickets.js)
+const supportTicketSchema = new mongoose.Schema({
+  number: { type: Number, required: true, unique: true },
+  userId: { type: Number, required: true },
+  username: String,
+  subject: String,
+  priority: { type: String, enum: ['low', 'normal', 'high', 'urgent'], default: 'normal' },
+  // open: waiting for support, answered: waiting for the player
+  status: { type: String, enum: ['open', 'answered', 'closed'], default: 'open' },
+  assignedTo: String,
+  escalated: { type: Boolean, default: false },
+  escalatedBy: String,
+  escalatedAt: Date,
+  messages: [{
+    _id: false,
+    from: { type: String, enum: ['player', 'admin'], required: true },
+    author: String,
+    text: { type: String, required: true },
+    at: { type: Date, default: Date.now }
+  }],
+  // When support must answer by; unset while the player has the last word
+  responseDueAt: Date,
+  slaBreached: { type: Boolean, default: false },
+  firstResponseAt: Date,
+  closedBy: String,
+  closedAt: Date
+}, { timestamps: true });
+
+supportTicketSchema.index({ userId: 1, status: 1 });
+supportTicketSchema.index({ status: 1, priority: 1, createdAt: 1 });
+supportTicketSchema.index({ responseDueAt: 1 });
+
+// Reply Template Schema - canned support replies with {variables}
+const replyTemplateSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  title: { type: String, required: true },
+  body: { type: String, required: true },
+  usageCount: { type: Number, default: 0 },
+  createdBy: String,
+  updatedBy: String
+}, { timestamps: true });
+
+// Campaign Schema - a bot message sent to a player segment, at scheduledAt
+// or right away (services/Campaigns.js)
+const campaignSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  segment: { type: String, required: true },
+  message: { type: String, required: true },
+  // Label of the button opening the mini app
+  buttonText: String,
+  status: {
+    type: String,
+    enum: ['scheduled', 'sending', 'completed', 'cancelled'],
+    default: 'scheduled'
+  },
+  scheduledAt: { type: Date, default: Date.now },
+  startedAt: Date,
+  completedAt: Date,
+  stats: {
+    targeted: { type: Number, default: 0 },
+    delivered: { type: Number, default: 0 },
+    // The player blocked the bot or deleted their account
+    blocked: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    clicked: { type: Number, default: 0 }
+  },
+  createdBy: String,
+  cancelledBy: String
+}, { timestamps: true });
+
+campaignSchema.index({ status: 1, scheduledAt: 1 });
+
+// Campaign Delivery Schema - one per player a campaign goes to; pending ones
+// are picked up again after a restart
+const campaignDeliverySchema = new mongoose.Schema({
+  campaignId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  userId: { type: Number, required: true },
+  status: {
+    type: String,
+    enum: ['pending', 'delivered', 'blocked', 'failed'],
+    default: 'pending'
+  },
+  attempts: { type: Number, default: 0 },
+  lastError: String,
+  sentAt: Date,
+  clickedAt: Date
+}, { timestamps: true });
+
+campaignDeliverySchema.index({ campaignId: 1, userId: 1 }, { unique: true });
+campaignDeliverySchema.index({ campaignId: 1, status: 1 });
+
+// Bonus Grant Schema - stars given to every player matching a segment and
+// filters at once, in batches (services/BulkBonuses.js)
+const bonusGrantSchema = new mongoose.Schema({
+  segment: { type: String, required: true },
+  filters: {
+    joinedBefore: Date,
+    joinedAfter: Date,
+    minWagered: Number,
+    maxWagered: Number,
+    vip: Boolean
+  },
+  amount: { type: Number, required: true },
+  reason: { type: String, required: true },
+  maxPlayers: Number,
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'cancelled', 'reversing', 'reversed'],
+    default: 'running'
+  },
+  stats: {
+    targeted: { type: Number, default: 0 },
+    granted: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    reversed: { type: Number, default: 0 },
+    // Not taken back because the player already bet with it
+    kept: { type: Number, default: 0 }
+  },
+  createdBy: String,
+  cancelledBy: String,
+  reversedBy: String,
+  completedAt: Date,
+  reversedAt: Date
+}, { timestamps: true });
+
+bonusGrantSchema.index({ createdAt: -1 });
+
+// Bonus Grant Item Schema - one player of a bulk grant. granting and
+// reverting mark the wallet call in flight; after a crash those are left
+// interrupted for an admin to check rather than paid or taken twice.
+const bonusGrantItemSchema = new mongoose.Schema({
+  grantId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  userId: { type: Number, required: true },
+  status: {
+    type: String,
+    enum: ['pending', 'granting', 'granted', 'failed', 'reverting', 'reversed', 'kept', 'interrupted'],
+    default: 'pending'
+  },
+  // Player's totalWagered right after the credit; more later means they bet
+  wageredAtGrant: Number,
+  grantedAt: Date,
+  reversedAt: Date,
+  lastError: String
+}, { timestamps: true });
+
+bonusGrantItemSchema.index({ grantId: 1, userId: 1 }, { unique: true });
+bonusGrantItemSchema.index({ grantId: 1, status: 1 });
+
+// KYC Request Schema - one round of identity verification: documents the
+// player sent through the bot and the admin's decision. Files live in
+// services/DocumentStorage.js under `key`.
+const kycRequestSchema = new mongoose.Schema({
+  userId: { type: Number, required: true },
+  status: {
+    type: String,
+    enum: ['requested', 'submitted', 'approved', 'rejected'],
+    default: 'requested'
+  },
+  reason: String,
+  requestedBy: String,
+  documents: [{
+    key: { type: String, required: true },
+    kind: { type: String, enum: ['photo', 'document'] },
+    fileName: String,
+    mimeType: String,
+    size: Number,
+    uploadedAt: { type: Date, default: Date.now }
+  }],
+  submittedAt: Date,
+  reviewedBy: String,
+  reviewedAt: Date,
+  rejectionReason: String
+}, { timestamps: true });
+
+kycRequestSchema.index({ userId: 1, createdAt: -1 });
+kycRequestSchema.index({ status: 1, submittedAt: 1 });
+
+// Flood Settings Schema - limits for the bot's flood control, a single
+// document changed from the dashboard (services/FloodControl.js)
+const floodSettingsSchema = new mongoose.Schema({
+  enabled: Boolean,
+  commandBurst: Number,
+  commandsPerMinute: Number,
+  callbackBurst: Number,
+  callbacksPerMinute: Number,
+  autoMute: Boolean,
+  muteAfter: Number,
+  muteMinutes: Number,
+  updatedBy: String
+}, { timestamps: true });
+
+// Spam Log Schema - a flood (a run of commands or button presses dropped
+// for going over the limit) or a mute of a player in the bot
+const spamLogSchema = new mongoose.Schema({
+  userId: { type: Number, required: true },
+  username: String,
+  kind: { type: String, enum: ['flood', 'mute'], required: true },
+  bucket: { type: String, enum: ['command', 'callback'] },
+  // First command or button data that was dropped
+  sample: String,
+  dropped: { type: Number, default: 0 },
+  mutedUntil: Date,
+  mutedBy: String,
+  reason: String,
+  liftedBy: String,
+  liftedAt: Date,
+  createdAt: { type: Date, default: Date.now, expires: 30 * 24 * 60 * 60 }
+});
+
+spamLogSchema.index({ kind: 1, createdAt: -1 });
+spamLogSchema.index({ userId: 1, createdAt: -1 });
+
 // Transaction Schema
 const transactionSchema = new mongoose.Schema({
   userId: { type: Number, required: true },
   type: { 
     type: String, 
-    enum: ['bet', 'win', 'deposit', 'withdrawal', 'bonus', 'referral'],
+    enum: ['bet', 'win', 'loss', 'refund', 'deposit', 'withdrawal', 'bonus', 'referral'],
     required: true 
   },
   amount: { type: Number, required: true },
   balanceBefore: Number,
   balanceAfter: Number,
   gameId: Number,
+  roomId: String,
+  slot: Number,
+  idempotencyKey: String,
   description: String,
   status: { 
     type: String, 
@@ -65,6 +666,30 @@ const transactionSchema = new mongoose.Schema({
 
 module.exports = {
   User: mongoose.model('User', userSchema),
+  Admin: mongoose.model('Admin', adminSchema),
+  AdminLoginAttempt: mongoose.model('AdminLoginAttempt', adminLoginAttemptSchema),
+  Room: mongoose.model('Room', roomSchema),
   Game: mongoose.model('Game', gameSchema),
+  SeedChain: mongoose.model('SeedChain', seedChainSchema),
+  PlayerSeed: mongoose.model('PlayerSeed', playerSeedSchema),
+  ConfigChange: mongoose.model('ConfigChange', configChangeSchema),
+  IdempotencyKey: mongoose.model('IdempotencyKey', idempotencyKeySchema),
+  AuditLog: mongoose.model('AuditLog', auditLogSchema),
+  LedgerEntry: mongoose.model('LedgerEntry', ledgerEntrySchema),
+  StarPayment: mongoose.model('StarPayment', starPaymentSchema),
+  Withdrawal: mongoose.model('Withdrawal', withdrawalSchema),
+  PlayerSignal: mongoose.model('PlayerSignal', playerSignalSchema),
+  FraudCase: mongoose.model('FraudCase', fraudCaseSchema),
+  PlayerEvent: mongoose.model('PlayerEvent', playerEventSchema),
+  RiskRule: mongoose.model('RiskRule', riskRuleSchema),
+  SupportTicket: mongoose.model('SupportTicket', supportTicketSchema),
+  ReplyTemplate: mongoose.model('ReplyTemplate', replyTemplateSchema),
+  Campaign: mongoose.model('Campaign', campaignSchema),
+  CampaignDelivery: mongoose.model('CampaignDelivery', campaignDeliverySchema),
+  BonusGrant: mongoose.model('BonusGrant', bonusGrantSchema),
+  BonusGrantItem: mongoose.model('BonusGrantItem', bonusGrantItemSchema),
+  KycRequest: mongoose.model('KycRequest', kycRequestSchema),
+  FloodSettings: mongoose.model('FloodSettings', floodSettingsSchema),
+  SpamLog: mongoose.model('SpamLog', spamLogSchema),
   Transaction: mongoose.model('Transaction', transactionSchema)
 };
\ No newline at end of file
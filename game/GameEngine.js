@@ -1,17 +1,55 @@
 // game/GameEngine.js (FIXED - Working Game Flow)
 const { User, Game, Transaction } = require('../db/database');
+const gameConfig = require('../config/gameConfig');
 const ProvablyFair = require('./ProvablyFair');
+const SeedChains = require('./SeedChains');
+const PlayerSeeds = require('./PlayerSeeds');
+const Wallet = require('../services/Wallet');
+const Kyc = require('../services/Kyc');
+const events = require('../services/events');
+
+// Independent bets a player can hold in one round (the two bet panels)
+const MAX_BET_SLOTS = 2;
+
+// Bets whose player seeds are mixed into the round's client seed
+const MAX_SEED_CONTRIBUTIONS = 3;
+
+// Shared by every engine, see GameEngine.migrate()
+let migration = null;
 
 class GameEngine {
-  constructor(io) {
+  /**
+   * @param {object} io - socket.io server
+   * @param {object} room - Room settings ({ roomId, name, minBet, maxBet, vipOnly })
+   * @param {Promise} ready - Settles when the server may start taking bets
+   */
+  constructor(io, room = {}, ready = Promise.resolve()) {
     this.io = io;
+    this.roomId = room.roomId || 'main';
+    this.room = {
+      name: room.name || 'Main Hangar',
+      minBet: room.minBet || gameConfig.get('minBet'),
+      maxBet: room.maxBet || gameConfig.get('maxBet'),
+      vipOnly: !!room.vipOnly
+    };
+    this.channel = `room:${this.roomId}`;
+    this.settings = gameConfig.snapshot(); // settings of the current round
+    this.paused = false;
+    this.stopping = false;
     this.gameState = 'waiting';
     this.currentGame = null;
-    this.activeBets = new Map();
+    this.activeBets = new Map(); // keyed by "<telegramId>:<slot>"
+    this.pendingBets = new Set(); // bet keys whose stake is being taken
     this.gameId = 0;
     this.serverSeed = null;
     this.clientSeed = null;
+    this.baseClientSeed = null;
+    this.seedContributions = [];
     this.hashedServerSeed = null;
+    this.seedChains = SeedChains.isEnabled() ? new SeedChains(this.roomId) : null;
+    this.chainId = null;
+    this.chainPosition = null;
+    this.flightSaved = null;
     this.crashPoint = 0;
     this.currentMultiplier = 1.00;
     this.gameStartTime = null;
@@ -22,16 +60,24 @@ class GameEngine {
     };
 
     // Auto-start game loop
-    this.startGameLoop();
+    this.startGameLoop(ready);
   }
 
-  startGameLoop() {
-    console.log('🎮 Starting automatic game loop...');
+  startGameLoop(ready = Promise.resolve()) {
+    console.log(`🎮 [${this.roomId}] Starting automatic game loop...`);
     
-    // Start first game after 3 seconds
-    setTimeout(() => {
-      this.startNewGame();
-    }, 3000);
+    // Once the server is ready, resume the round counter and settle
+    // interrupted rounds, then start the first game after 3 seconds
+    ready
+      .then(() => this.recover())
+      .catch(error => {
+        console.error(`❌ [${this.roomId}] Round recovery failed:`, error.message);
+      })
+      .finally(() => {
+        setTimeout(() => {
+          this.startNewGame();
+        }, 3000);
+      });
 
     // Main game loop - runs every 100ms
     this.intervals.gameLoop = setInterval(() => {
@@ -39,103 +85,338 @@ class GameEngine {
     }, 100);
   }
 
+  // All game events go to this room's socket.io channel only
+  emit(event, data) {
+    this.io.to(this.channel).emit(event, { roomId: this.roomId, ...data });
+  }
+
+  // Events for one player's sockets, whichever room they are watching
+  emitToPlayer(telegramId, event, data) {
+    this.io.to(`user:${telegramId}`).emit(event, { roomId: this.roomId, gameId: this.gameId, ...data });
+  }
+
+  betKey(telegramId, slot) {
+    return `${telegramId}:${slot}`;
+  }
+
   updateGame() {
     const now = Date.now();
 
     switch (this.gameState) {
       case 'betting':
         // Check if betting phase should end (10 seconds)
-        if (now - this.gameStartTime > 10000) {
+        if (now - this.gameStartTime > this.settings.betPhaseDuration) {
           this.startFlight();
         }
         break;
 
       case 'flying':
-        // Update multiplier
+        // The multiplier is a pure function of flight time (see ProvablyFair.getMultiplierAtTime)
         const elapsed = now - this.gameStartTime;
-        const progress = elapsed / 30000; // 30 second max flight
-        
-        // Smooth multiplier curve
-        this.currentMultiplier = 1 + (Math.pow(progress * 3, 1.5));
-        
+        const multiplier = ProvablyFair.getMultiplierAtTime(elapsed);
+
+        // Pay out auto-cashout targets reached on this tick (before a possible crash)
+        this.processAutoCashouts(multiplier);
+
+        // Crash exactly at the committed crash point
+        if (multiplier >= this.crashPoint) {
+          this.currentMultiplier = this.crashPoint;
+          this.crashPlane();
+          break;
+        }
+
+        this.currentMultiplier = multiplier;
+
         // Broadcast multiplier update
-        this.io.emit('game:multiplierUpdate', {
+        this.emit('game:multiplierUpdate', {
           gameId: this.gameId,
           multiplier: this.currentMultiplier,
           elapsed: elapsed
         });
+        break;
+    }
+  }
 
-        // Check if should crash
-        const crashChance = this.calculateCrashChance();
-        if (Math.random() < crashChance || this.currentMultiplier >= this.crashPoint) {
-          this.crashPlane();
+  processAutoCashouts(reachedMultiplier) {
+    for (const bet of this.activeBets.values()) {
+      if (bet.cashedOut || !bet.autoCashout) continue;
+
+      // A target only wins if the plane gets there before crashing
+      if (bet.autoCashout <= reachedMultiplier && bet.autoCashout < this.crashPoint) {
+        this.settleCashout(bet, bet.autoCashout, true).catch(error => {
+          console.error(`Auto cashout error for ${bet.userId}:`, error);
+        });
+      }
+    }
+  }
+
+  /**
+   * Continue numbering after the last persisted round and settle rounds that
+   * were interrupted by a restart. Transactions are the source of truth for
+   * money: every stake without a matching win or refund is settled exactly once.
+   */
+  async recover() {
+    await GameEngine.migrate();
+
+    const lastGame = await Game.findOne({ roomId: this.roomId })
+      .sort({ gameId: -1 })
+      .select('gameId');
+    this.gameId = lastGame ? lastGame.gameId : 0;
+
+    const settled = await GameEngine.recoverRoom(this.roomId);
+
+    console.log(`♻️ [${this.roomId}] Resuming after game #${this.gameId}` +
+      (settled ? ` (${settled} interrupted round(s) settled)` : ''));
+  }
+
+  /**
+   * Games from before rooms existed have no roomId and a unique index on
+   * gameId alone, which makes rooms sharing a round number collide. They are
+   * moved to the main room and the index is replaced, once, before any
+   * engine reads its rounds.
+   */
+  static migrate() {
+    if (!migration) {
+      migration = (async () => {
+        const games = await Game.updateMany({ roomId: null }, { $set: { roomId: 'main' } });
+        const stakes = await Transaction.updateMany(
+          { gameId: { $ne: null }, roomId: null },
+          { $set: { roomId: 'main' } }
+        );
+        if (games.modifiedCount > 0 || stakes.modifiedCount > 0) {
+          console.log(`♻️ Moved ${games.modifiedCount} game(s) and ${stakes.modifiedCount} transaction(s) from before rooms to the main room`);
         }
-        break;
+
+        const indexes = await Game.collection.indexes().catch(error => {
+          if (error.codeName === 'NamespaceNotFound') return [];
+          throw error;
+        });
+        if (indexes.some(index => index.name === 'gameId_1')) {
+          await Game.collection.dropIndex('gameId_1');
+          console.log('♻️ Dropped the single-room gameId index');
+        }
+        await Game.createIndexes();
+
+        // Losses used to debit the stake a second time; the bet transaction already did
+        const losses = await Transaction.updateMany(
+          { type: 'loss', amount: { $ne: 0 } },
+          [{ $set: { amount: 0, balanceBefore: '$balanceAfter' } }]
+        );
+        if (losses.modifiedCount > 0) {
+          console.log(`♻️ Zeroed ${losses.modifiedCount} loss transaction(s) that counted the stake twice`);
+        }
+      })().catch(error => {
+        // Let the next engine try again
+        migration = null;
+        throw error;
+      });
     }
+    return migration;
   }
 
-  calculateCrashChance() {
-    // Higher multiplier = higher crash chance
-    // Also consider the predetermined crash point
-    const baseCrashChance = 0.001; // 0.1% per update
-    const multiplierFactor = Math.pow(this.currentMultiplier - 1, 2) * 0.01;
-    const crashPointFactor = this.currentMultiplier >= this.crashPoint * 0.95 ? 0.5 : 0;
-    
-    return baseCrashChance + multiplierFactor + crashPointFactor;
+  // Settle the rounds a room left open; also used for retired rooms, which
+  // have no engine running
+  static async recoverRoom(roomId) {
+    const interrupted = await Game.find({
+      roomId: roomId,
+      status: { $in: ['betting', 'flying'] }
+    });
+
+    for (const game of interrupted) {
+      await GameEngine.recoverRound(game);
+    }
+    return interrupted.length;
+  }
+
+  static async recoverRound(game) {
+    const roomId = game.roomId;
+    const stakes = await Transaction.find({ roomId: roomId, gameId: game.gameId, type: 'bet' });
+    let totalBets = 0;
+    let totalPayout = 0;
+
+    for (const stake of stakes) {
+      const slot = stake.slot || 1;
+      const betAmount = -stake.amount;
+      totalBets += betAmount;
+
+      const settlement = await Transaction.findOne({
+        roomId: roomId,
+        gameId: game.gameId,
+        userId: stake.userId,
+        slot: slot,
+        type: { $in: ['win', 'refund'] }
+      });
+      if (settlement) {
+        totalPayout += settlement.amount;
+        continue;
+      }
+
+      // Auto-cashout targets below the crash point were reached once the plane
+      // took off; every other open bet is refunded because the flight never finished
+      const recorded = game.bets.find(bet => bet.userId === stake.userId && bet.slot === slot);
+      const autoCashout = recorded && recorded.autoCashout;
+      const won = game.status === 'flying' && autoCashout && autoCashout < game.crashPoint;
+      const amount = won ? Math.floor(betAmount * autoCashout) : betAmount;
+
+      const settled = await Wallet.credit(stake.userId, amount, {
+        type: won ? 'win' : 'refund',
+        gameId: game.gameId,
+        roomId: roomId,
+        slot: slot,
+        description: won
+          ? `Auto cashout of bet ${slot} at ${autoCashout.toFixed(2)}x in interrupted game #${game.gameId}`
+          : `Refund of bet ${slot} in interrupted game #${game.gameId}`
+      }, won ? { totalWins: 1, totalWon: amount } : { totalWagered: -betAmount });
+      if (!settled.success) continue;
+
+      totalPayout += amount;
+      console.log(`♻️ [${roomId}] Game #${game.gameId}: ${won ? 'paid' : 'refunded'} ${amount}⭐ to ${stake.userId} (bet ${slot})`);
+    }
+
+    await Game.updateOne({ _id: game._id }, {
+      status: 'recovered',
+      totalBets: totalBets,
+      totalPayout: totalPayout,
+      houseProfit: totalBets - totalPayout,
+      endTime: new Date()
+    });
   }
 
   async startNewGame() {
-    if (this.gameState !== 'waiting') return;
+    if (this.gameState !== 'waiting' || this.paused) return;
+
+    // Hold the engine while the round record is written so betting only
+    // opens once bets can be persisted against it
+    this.gameState = 'starting';
+
+    try {
+      await this.openRound();
+    } catch (error) {
+      console.error(`❌ [${this.roomId}] Failed to start game #${this.gameId}:`, error.message);
+      if (this.gameState === 'starting') {
+        this.gameState = 'waiting';
+        setTimeout(() => this.startNewGame(), 5000);
+      }
+    }
+  }
+
+  async openRound() {
+    // Setting changes queued by admins take effect between rounds
+    try {
+      await gameConfig.applyPending();
+    } catch (error) {
+      console.error(`❌ [${this.roomId}] Failed to apply setting changes:`, error.message);
+    }
+    this.settings = gameConfig.snapshot();
+
+    // Generate provably fair data - from the room's seed chain unless SEED_MODE=random
+    let chainSeeds = null;
+    if (this.seedChains) {
+      try {
+        chainSeeds = await this.seedChains.next();
+      } catch (error) {
+        console.error(`❌ [${this.roomId}] Could not take seeds from the seed chain:`, error.message);
+        this.gameState = 'waiting';
+        setTimeout(() => this.startNewGame(), 5000);
+        return;
+      }
+    }
 
     this.gameId++;
-    this.gameState = 'betting';
     this.activeBets.clear();
+    this.pendingBets.clear();
     this.currentMultiplier = 1.00;
-    this.gameStartTime = Date.now();
-    
-    // Generate provably fair data
-    this.serverSeed = ProvablyFair.generateServerSeed();
-    this.clientSeed = ProvablyFair.generateClientSeed();
+    this.serverSeed = chainSeeds ? chainSeeds.serverSeed : ProvablyFair.generateServerSeed();
+    this.baseClientSeed = chainSeeds ? chainSeeds.clientSeed : ProvablyFair.generateClientSeed();
+    this.chainId = chainSeeds ? chainSeeds.chainId : null;
+    this.chainPosition = chainSeeds ? chainSeeds.chainPosition : null;
     this.hashedServerSeed = ProvablyFair.hashServerSeed(this.serverSeed);
-    this.crashPoint = ProvablyFair.calculateCrashPoint(
-      this.serverSeed, 
-      this.clientSeed, 
-      this.gameId
-    );
 
-    console.log(`🛩️ Game #${this.gameId} - Betting phase started (will crash at ${this.crashPoint.toFixed(2)}x)`);
+    // The client seed and crash point are fixed at takeoff, once the first
+    // bettors' player seeds have been mixed in
+    this.clientSeed = null;
+    this.seedContributions = [];
+    this.crashPoint = 0;
 
     // Create game record
     this.currentGame = new Game({
+      roomId: this.roomId,
       gameId: this.gameId,
-      crashPoint: this.crashPoint,
+      status: 'betting',
       serverSeed: this.serverSeed,
-      clientSeed: this.clientSeed,
+      baseClientSeed: this.baseClientSeed,
       hashedServerSeed: this.hashedServerSeed,
+      houseEdge: this.settings.houseEdge,
+      chainId: this.chainId,
+      chainPosition: this.chainPosition,
       bets: [],
       startTime: new Date()
     });
 
+    try {
+      await this.currentGame.save();
+    } catch (error) {
+      // Another process wrote this round number - continue after the latest one
+      if (error.code === 11000) {
+        const lastGame = await Game.findOne({ roomId: this.roomId }).sort({ gameId: -1 }).select('gameId');
+        this.gameId = lastGame ? lastGame.gameId : this.gameId;
+        console.warn(`⚠️ [${this.roomId}] Round number taken, continuing after game #${this.gameId}`);
+        this.gameState = 'waiting';
+        return this.startNewGame();
+      }
+
+      this.gameState = 'waiting';
+      console.error(`❌ [${this.roomId}] Failed to save game #${this.gameId}:`, error.message);
+      setTimeout(() => this.startNewGame(), 5000);
+      return;
+    }
+
+    this.gameState = 'betting';
+    this.gameStartTime = Date.now();
+
+    console.log(`🛩️ [${this.roomId}] Game #${this.gameId} - Betting phase started`);
+
     // Broadcast betting phase
-    this.io.emit('game:bettingPhase', {
+    this.emit('game:bettingPhase', {
       gameId: this.gameId,
       hashedServerSeed: this.hashedServerSeed,
+      baseClientSeed: this.baseClientSeed,
+      chainId: this.chainId,
       state: 'betting',
       multiplier: this.currentMultiplier,
-      bettingTimeLeft: 10000
+      bettingTimeLeft: this.settings.betPhaseDuration
     });
   }
 
   startFlight() {
     if (this.gameState !== 'betting') return;
 
-    console.log(`🚁 Game #${this.gameId} - Flight started with ${this.activeBets.size} bets`);
-
     this.gameState = 'flying';
+    this.clientSeed = ProvablyFair.combineClientSeed(
+      this.baseClientSeed,
+      this.seedContributions.map(entry => entry.contribution)
+    );
+    this.crashPoint = ProvablyFair.calculateCrashPoint(
+      this.serverSeed, 
+      this.clientSeed, 
+      this.gameId,
+      this.settings.houseEdge
+    );
     this.gameStartTime = Date.now();
     this.currentMultiplier = 1.00;
 
-    this.io.emit('game:takeoff', {
+    console.log(`🚁 [${this.roomId}] Game #${this.gameId} - Flight started with ${this.activeBets.size} bets (will crash at ${this.crashPoint.toFixed(2)}x)`);
+
+    this.flightSaved = Game.updateOne({ _id: this.currentGame._id }, {
+      status: 'flying',
+      clientSeed: this.clientSeed,
+      seedContributions: this.seedContributions,
+      crashPoint: this.crashPoint
+    }).catch(error => {
+      console.error(`❌ [${this.roomId}] Failed to mark game #${this.gameId} as flying:`, error.message);
+    });
+
+    this.emit('game:takeoff', {
       gameId: this.gameId,
       state: 'flying',
       multiplier: this.currentMultiplier,
@@ -147,206 +428,411 @@ class GameEngine {
     if (this.gameState !== 'flying') return;
 
     this.gameState = 'crashed';
-    const finalCrashPoint = this.currentMultiplier;
+    this.currentMultiplier = this.crashPoint;
+    const finalCrashPoint = this.crashPoint;
+
+    console.log(`💥 [${this.roomId}] Game #${this.gameId} - Crashed at ${finalCrashPoint.toFixed(2)}x`);
+
+    // A failed write must not stop the room: the next round starts regardless
+    try {
+      await this.settleRound(finalCrashPoint);
+    } catch (error) {
+      console.error(`❌ [${this.roomId}] Failed to settle game #${this.gameId}:`, error.message);
+    } finally {
+      // Wait for the round delay then start new game
+      this.gameState = 'waiting';
+      if (this.stopping) {
+        this.destroy();
+      } else {
+        setTimeout(() => {
+          this.startNewGame();
+        }, this.settings.roundDelay);
+      }
+    }
+  }
 
-    console.log(`💥 Game #${this.gameId} - Crashed at ${finalCrashPoint.toFixed(2)}x (target was ${this.crashPoint.toFixed(2)}x)`);
+  async settleRound(finalCrashPoint) {
+    // From here on open bets are lost, so a restart must not refund them
+    await this.flightSaved;
+    await Game.updateOne({ _id: this.currentGame._id }, { status: 'crashed' });
+
+    // Cashouts still being credited decide whether their bet won
+    await Promise.all(Array.from(this.activeBets.values(), bet => bet.settling));
 
     let totalBets = 0;
     let totalPayout = 0;
 
     // Process all bets
     const betResults = [];
-    for (const [userId, bet] of this.activeBets) {
+    for (const bet of this.activeBets.values()) {
+      const userId = bet.userId;
       totalBets += bet.betAmount;
 
       if (bet.cashedOut) {
         totalPayout += bet.payout;
       } else {
-        // User didn't cash out - they lose
-        const user = await User.findOne({ telegramId: userId });
-        if (user) {
-          user.totalBets += 1;
-          await user.save();
-
-          // Create loss transaction
-          await new Transaction({
-            userId: userId,
-            type: 'loss',
-            amount: -bet.betAmount,
-            balanceBefore: user.balance + bet.betAmount,
-            balanceAfter: user.balance,
-            gameId: this.gameId,
-            description: `Game loss at ${finalCrashPoint.toFixed(2)}x`
-          }).save();
+        // User didn't cash out - they lose (the stake was taken when the bet was placed)
+        try {
+          const user = await User.findOneAndUpdate(
+            { telegramId: userId },
+            { $inc: { totalBets: 1 } },
+            { new: true }
+          );
+          if (user) {
+            // The stake is already recorded by the bet transaction; this only
+            // settles the bet, so it moves no stars
+            await new Transaction({
+              userId: userId,
+              type: 'loss',
+              amount: 0,
+              balanceBefore: user.balance,
+              balanceAfter: user.balance,
+              gameId: this.gameId,
+              roomId: this.roomId,
+              slot: bet.slot,
+              description: `Game loss at ${finalCrashPoint.toFixed(2)}x`
+            }).save();
+          }
+        } catch (error) {
+          console.error(`❌ [${this.roomId}] Failed to record the loss of ${userId} in game #${this.gameId}:`, error.message);
         }
       }
 
       betResults.push({
         userId: bet.userId,
         username: bet.username,
+        slot: bet.slot,
         betAmount: bet.betAmount,
+        autoCashout: bet.autoCashout,
         cashoutMultiplier: bet.cashoutMultiplier,
         payout: bet.payout,
         profit: bet.profit,
-        cashedOut: bet.cashedOut
+        cashedOut: bet.cashedOut,
+        playerSeed: bet.playerSeed
       });
     }
 
     // Save game to database
-    this.currentGame.bets = betResults;
-    this.currentGame.totalBets = totalBets;
-    this.currentGame.totalPayout = totalPayout;
-    this.currentGame.houseProfit = totalBets - totalPayout;
-    this.currentGame.endTime = new Date();
-    await this.currentGame.save();
+    await Game.updateOne({ _id: this.currentGame._id }, {
+      crashPoint: finalCrashPoint,
+      bets: betResults,
+      totalBets: totalBets,
+      totalPayout: totalPayout,
+      houseProfit: totalBets - totalPayout,
+      endTime: new Date()
+    });
 
     // Broadcast crash
-    this.io.emit('game:crashed', {
+    this.emit('game:crashed', {
       gameId: this.gameId,
       crashPoint: finalCrashPoint,
       serverSeed: this.serverSeed,
       clientSeed: this.clientSeed,
+      baseClientSeed: this.baseClientSeed,
+      seedContributions: this.seedContributions,
       results: betResults,
       totalBets: totalBets,
       totalPayout: totalPayout,
       state: 'crashed',
       multiplier: finalCrashPoint
     });
+    events.emit('round', {
+      roomId: this.roomId,
+      gameId: this.gameId,
+      crashPoint: finalCrashPoint,
+      players: betResults.length,
+      totalBets,
+      totalPayout,
+      houseProfit: totalBets - totalPayout
+    });
+  }
 
-    // Wait 5 seconds then start new game
-    this.gameState = 'waiting';
-    setTimeout(() => {
-      this.startNewGame();
-    }, 5000);
+  /**
+   * Place a bet. Retries carrying the same idempotency key return the first
+   * result instead of placing (and charging) the bet again.
+   */
+  async placeBet(telegramId, amount, autoCashout = null, slot = 1, idempotencyKey = null) {
+    telegramId = Number(telegramId);
+    return Wallet.idempotent(telegramId, 'bet', idempotencyKey, () => 
+      this.executeBet(telegramId, amount, autoCashout, slot, idempotencyKey)
+    );
   }
 
-  async placeBet(telegramId, amount) {
+  async executeBet(telegramId, amount, autoCashout, slot, idempotencyKey) {
     if (this.gameState !== 'betting') {
       return { success: false, error: 'Betting phase ended' };
     }
 
-    if (this.activeBets.has(telegramId)) {
-      return { success: false, error: 'Already placed bet this round' };
+    if (!Number.isInteger(slot) || slot < 1 || slot > MAX_BET_SLOTS) {
+      return { success: false, error: `Invalid bet slot (1-${MAX_BET_SLOTS})` };
+    }
+
+    if (autoCashout !== null && !(autoCashout >= 1.01 && autoCashout <= 1000)) {
+      return { success: false, error: 'Invalid auto cashout (1.01x - 1000x)' };
+    }
+
+    const { minBet, maxBet } = this.getBetLimits();
+    if (!Number.isInteger(amount) || amount < minBet || amount > maxBet) {
+      return { success: false, error: `Invalid bet amount (${minBet}-${maxBet} stars)` };
+    }
+
+    // Claim the slot before any await so parallel requests can't both place it
+    const key = this.betKey(telegramId, slot);
+    if (this.activeBets.has(key) || this.pendingBets.has(key)) {
+      return { success: false, error: `Already placed bet ${slot} this round` };
+    }
+    this.pendingBets.add(key);
+
+    try {
+      return await this.takeStake(telegramId, amount, autoCashout, slot, idempotencyKey, key);
+    } finally {
+      this.pendingBets.delete(key);
     }
+  }
+
+  async takeStake(telegramId, amount, autoCashout, slot, idempotencyKey, key) {
+    const gameId = this.gameId;
 
-    const user = await User.findOne({ telegramId });
-    if (!user || user.isBanned) {
+    const player = await User.findOne({ telegramId }).select('isVIP isBanned kycStatus');
+    if (!player || player.isBanned) {
       return { success: false, error: 'User not found or banned' };
     }
 
-    if (user.balance < amount || amount < 10 || amount > 10000) {
-      return { success: false, error: 'Invalid bet amount' };
+    const kycBetLimit = this.settings.kycBetLimit;
+    if (!Kyc.clears(player.kycStatus, kycBetLimit > 0 && amount > kycBetLimit)) {
+      return { success: false, error: `Bets above ${kycBetLimit} stars need a verified identity - send /kyc to the bot` };
     }
 
-    // Deduct balance
-    user.balance -= amount;
-    user.totalWagered += amount;
-    await user.save();
+    if (this.room.vipOnly && !player.isVIP) {
+      return { success: false, error: 'This room is for VIP players only' };
+    }
+
+    // Each bet uses the next nonce of the player's seed pair
+    const playerSeed = await PlayerSeeds.use(telegramId);
+
+    // Take the stake - only succeeds if the balance covers it
+    const stake = await Wallet.debit(telegramId, amount, {
+      type: 'bet',
+      gameId: gameId,
+      roomId: this.roomId,
+      slot: slot,
+      idempotencyKey: idempotencyKey || undefined,
+      description: `Bet ${slot} placed in game #${gameId}`
+    }, { totalWagered: amount });
+
+    if (!stake.success) {
+      return stake;
+    }
+    const user = stake.user;
+
+    // Betting closed while the stake was taken - give it back
+    if (this.gameId !== gameId || this.gameState !== 'betting') {
+      await Wallet.credit(telegramId, amount, {
+        type: 'refund',
+        gameId: gameId,
+        roomId: this.roomId,
+        slot: slot,
+        description: `Refund of bet ${slot} placed after betting closed in game #${gameId}`
+      }, { totalWagered: -amount });
+      return { success: false, error: 'Betting phase ended' };
+    }
 
     // Record bet
-    this.activeBets.set(telegramId, {
+    this.activeBets.set(key, {
       userId: telegramId,
       username: user.username,
+      slot: slot,
       betAmount: amount,
+      autoCashout: autoCashout !== null ? Math.floor(autoCashout * 100) / 100 : null,
       cashoutMultiplier: null,
       payout: 0,
       profit: -amount,
       cashedOut: false,
+      playerSeed: {
+        hashedServerSeed: playerSeed.hashedServerSeed,
+        clientSeed: playerSeed.clientSeed,
+        nonce: playerSeed.nonce
+      },
       timestamp: Date.now()
     });
 
-    // Create transaction
-    await new Transaction({
-      userId: telegramId,
-      type: 'bet',
-      amount: -amount,
-      balanceBefore: user.balance + amount,
-      balanceAfter: user.balance,
-      gameId: this.gameId,
-      description: `Bet placed in game #${this.gameId}`
-    }).save();
+    if (this.seedContributions.length < MAX_SEED_CONTRIBUTIONS) {
+      this.seedContributions.push({ userId: telegramId, contribution: playerSeed.contribution });
+    }
+
+    const bet = this.activeBets.get(key);
+
+    // Persist the open bet so it can be settled after a restart
+    await Game.updateOne({ _id: this.currentGame._id }, {
+      $push: {
+        bets: {
+          userId: telegramId,
+          username: user.username,
+          slot: slot,
+          betAmount: amount,
+          autoCashout: bet.autoCashout,
+          payout: 0,
+          profit: -amount,
+          cashedOut: false,
+          playerSeed: bet.playerSeed
+        }
+      }
+    });
 
     // Broadcast bet placed
-    this.io.emit('game:betPlaced', {
+    this.emit('game:betPlaced', {
       gameId: this.gameId,
       username: user.username,
       firstName: user.firstName,
+      slot: slot,
       amount: amount,
+      autoCashout: bet.autoCashout,
       totalBets: this.activeBets.size
     });
 
-    console.log(`💰 Bet placed: ${user.username} - ${amount}⭐`);
+    console.log(`💰 Bet ${slot} placed: ${user.username} - ${amount}⭐${bet.autoCashout ? ` (auto ${bet.autoCashout.toFixed(2)}x)` : ''}`);
+    events.emit('activity', {
+      type: 'bet',
+      userId: telegramId,
+      amount: amount,
+      multiplier: bet.autoCashout,
+      data: { gameId: gameId, roomId: this.roomId, slot: slot }
+    });
 
-    return { 
+    const result = { 
       success: true, 
       newBalance: user.balance,
+      slot: slot,
+      amount: amount,
+      autoCashout: bet.autoCashout,
+      playerSeed: bet.playerSeed,
       totalBets: this.activeBets.size
     };
+    this.emitToPlayer(telegramId, 'player:betConfirmed', result);
+    return result;
+  }
+
+  /**
+   * Cash out a bet at the current multiplier. Retries carrying the same
+   * idempotency key get the original payout back instead of an error.
+   */
+  async cashOut(telegramId, slot = 1, idempotencyKey = null) {
+    telegramId = Number(telegramId);
+    return Wallet.idempotent(telegramId, 'cashout', idempotencyKey, () => 
+      this.executeCashOut(telegramId, slot)
+    );
   }
 
-  async cashOut(telegramId) {
+  async executeCashOut(telegramId, slot) {
     if (this.gameState !== 'flying') {
       return { success: false, error: 'Cannot cash out now' };
     }
 
-    const bet = this.activeBets.get(telegramId);
+    const bet = this.activeBets.get(this.betKey(telegramId, slot));
     if (!bet || bet.cashedOut) {
       return { success: false, error: 'No active bet found' };
     }
 
-    const user = await User.findOne({ telegramId });
-    if (!user) {
-      return { success: false, error: 'User not found' };
+    // Price the cashout from the flight curve, never above the committed crash point
+    const multiplier = ProvablyFair.getMultiplierAtTime(Date.now() - this.gameStartTime);
+    if (multiplier >= this.crashPoint) {
+      return { success: false, error: 'Plane already crashed' };
     }
 
+    return this.settleCashout(bet, multiplier);
+  }
+
+  async settleCashout(bet, multiplier, auto = false) {
+    const telegramId = bet.userId;
+
     // Calculate payout
-    const payout = Math.floor(bet.betAmount * this.currentMultiplier);
+    const payout = Math.floor(bet.betAmount * multiplier);
     const profit = payout - bet.betAmount;
 
-    // Update bet record
-    bet.cashoutMultiplier = this.currentMultiplier;
+    // Update bet record before any await so the bet can never be paid twice
+    bet.cashoutMultiplier = multiplier;
     bet.payout = payout;
     bet.profit = profit;
     bet.cashedOut = true;
 
-    // Update user balance
-    user.balance += payout;
-    user.totalWins += 1;
-    user.totalWon += payout;
-    await user.save();
-
-    // Create transaction
-    await new Transaction({
-      userId: telegramId,
+    // A failed credit leaves the bet open, so it is settled as a loss at the crash
+    const reopen = () => {
+      bet.cashoutMultiplier = null;
+      bet.payout = 0;
+      bet.profit = -bet.betAmount;
+      bet.cashedOut = false;
+    };
+    const credit = Wallet.credit(telegramId, payout, {
       type: 'win',
-      amount: payout,
-      balanceBefore: user.balance - payout,
-      balanceAfter: user.balance,
       gameId: this.gameId,
-      description: `Cashout at ${this.currentMultiplier.toFixed(2)}x in game #${this.gameId}`
-    }).save();
+      roomId: this.roomId,
+      slot: bet.slot,
+      description: `${auto ? 'Auto cashout' : 'Cashout'} of bet ${bet.slot} at ${multiplier.toFixed(2)}x in game #${this.gameId}`
+    }, { totalWins: 1, totalWon: payout }).then(result => {
+      if (!result.success) reopen();
+      return result;
+    }, error => {
+      reopen();
+      throw error;
+    });
+
+    // The crash waits for cashouts still being credited
+    bet.settling = credit.catch(() => null);
+    const paid = await credit;
+
+    if (!paid.success) {
+      return paid;
+    }
+    const user = paid.user;
+
+    await Game.updateOne(
+      { _id: this.currentGame._id },
+      {
+        $set: {
+          'bets.$[bet].cashoutMultiplier': multiplier,
+          'bets.$[bet].payout': payout,
+          'bets.$[bet].profit': profit,
+          'bets.$[bet].cashedOut': true
+        }
+      },
+      { arrayFilters: [{ 'bet.userId': Number(telegramId), 'bet.slot': bet.slot }] }
+    );
 
     // Broadcast cashout
-    this.io.emit('game:cashOut', {
+    this.emit('game:cashOut', {
       gameId: this.gameId,
       username: user.username,
       firstName: user.firstName,
-      multiplier: this.currentMultiplier,
-      payout: payout
+      slot: bet.slot,
+      multiplier: multiplier,
+      payout: payout,
+      auto: auto
     });
 
-    console.log(`🎯 Cashout: ${user.username} - ${payout}⭐ at ${this.currentMultiplier.toFixed(2)}x`);
+    console.log(`🎯 ${auto ? 'Auto cashout' : 'Cashout'}: ${user.username} - ${payout}⭐ at ${multiplier.toFixed(2)}x`);
+    events.emit('activity', {
+      type: 'cashout',
+      userId: telegramId,
+      amount: payout,
+      multiplier: multiplier,
+      data: { gameId: this.gameId, roomId: this.roomId, slot: bet.slot, betAmount: bet.betAmount, auto: auto }
+    });
 
-    return { 
+    const result = { 
       success: true, 
+      slot: bet.slot,
       payout: payout,
-      multiplier: this.currentMultiplier,
+      multiplier: multiplier,
+      auto: auto,
       newBalance: user.balance
     };
+    this.emitToPlayer(telegramId, 'player:cashedOut', result);
+    return result;
   }
 
   getGameState() {
     return {
+      roomId: this.roomId,
       gameId: this.gameId,
       state: this.gameState,
       currentMultiplier: this.currentMultiplier,
@@ -356,18 +842,63 @@ class GameEngine {
     };
   }
 
-  // Admin functions
-  forceNextCrash(multiplier) {
-    this.crashPoint = multiplier;
-    console.log(`🎛️ Admin: Next game will crash at ${multiplier}x`);
+  // Room limits, narrowed to the global MIN_BET / MAX_BET of the current round
+  getBetLimits() {
+    return {
+      minBet: Math.max(this.room.minBet, this.settings.minBet),
+      maxBet: Math.min(this.room.maxBet, this.settings.maxBet)
+    };
+  }
+
+  getRoomInfo() {
+    return {
+      roomId: this.roomId,
+      name: this.room.name,
+      minBet: this.room.minBet,
+      maxBet: this.room.maxBet,
+      vipOnly: this.room.vipOnly,
+      status: this.paused ? 'paused' : 'active',
+      state: this.gameState,
+      gameId: this.gameId,
+      activeBets: this.activeBets.size,
+      seedChain: this.seedChains ? this.seedChains.getPublic() : null
+    };
+  }
+
+  // Room controls - limits apply to the next bet, pausing takes effect after the current round
+  updateRoom(settings) {
+    ['name', 'minBet', 'maxBet', 'vipOnly'].forEach(field => {
+      if (settings[field] !== undefined) this.room[field] = settings[field];
+    });
+  }
+
+  pause() {
+    this.paused = true;
+    console.log(`⏸️ [${this.roomId}] Room paused - no new rounds will start`);
+  }
+
+  resume() {
+    this.paused = false;
+    console.log(`▶️ [${this.roomId}] Room resumed`);
+    this.startNewGame();
+  }
+
+  // Let the current round finish (bets are already paid in), then shut down
+  stop() {
+    this.paused = true;
+    this.stopping = true;
+    if (this.gameState === 'waiting') {
+      this.destroy();
+    }
   }
 
   destroy() {
     // Clean up intervals
+    this.paused = true;
     Object.values(this.intervals).forEach(interval => {
       if (interval) clearInterval(interval);
     });
-    console.log('🛑 Game engine stopped');
+    console.log(`🛑 [${this.roomId}] Game engine stopped`);
   }
 }
 
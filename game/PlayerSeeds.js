@@ -0,0 +1,117 @@
+// game/PlayerSeeds.js
+const { PlayerSeed } = require('../db/database');
+const ProvablyFair = require('./ProvablyFair');
+
+/**
+ * Per-player seed pairs (commit-reveal).
+ *
+ * Every player has one active pair: a hidden server seed whose hash is shown
+ * up front, a client seed the player may choose, and a nonce counting the
+ * bets placed with the pair. Each bet contributes
+ * HMAC-SHA256(serverSeed, "clientSeed:nonce") to the round's client seed.
+ * Rotating reveals the server seed so past contributions can be checked,
+ * and commits to a new one.
+ */
+class PlayerSeeds {
+  static async getActive(userId) {
+    const active = await PlayerSeed.findOne({ userId, status: 'active' });
+    if (active) return active;
+
+    const serverSeed = ProvablyFair.generateServerSeed();
+    return new PlayerSeed({
+      userId,
+      serverSeed,
+      hashedServerSeed: ProvablyFair.hashServerSeed(serverSeed),
+      clientSeed: ProvablyFair.generateClientSeed()
+    }).save();
+  }
+
+  /**
+   * Take the next nonce of the player's active pair for a bet
+   * @returns {object} { hashedServerSeed, clientSeed, nonce, contribution }
+   */
+  static async use(userId) {
+    const active = await this.getActive(userId);
+    const pair = await PlayerSeed.findOneAndUpdate(
+      { _id: active._id, status: 'active' },
+      { $inc: { nonce: 1 } },
+      { new: true }
+    ).select('+serverSeed');
+
+    // Rotated in the meantime - use the new pair
+    if (!pair) return this.use(userId);
+
+    return {
+      hashedServerSeed: pair.hashedServerSeed,
+      clientSeed: pair.clientSeed,
+      nonce: pair.nonce,
+      contribution: ProvablyFair.calculateSeedContribution(pair.serverSeed, pair.clientSeed, pair.nonce)
+    };
+  }
+
+  /**
+   * Reveal the active pair and start a new one
+   * @param {number} userId - Telegram ID
+   * @param {string} clientSeed - New client seed (random if omitted)
+   */
+  static async rotate(userId, clientSeed) {
+    if (clientSeed !== undefined && !ProvablyFair.isValidClientSeed(clientSeed)) {
+      return { success: false, error: 'Client seed must be 1-100 characters' };
+    }
+
+    const previous = await PlayerSeed.findOneAndUpdate(
+      { userId, status: 'active' },
+      { status: 'revealed', revealedAt: new Date() },
+      { new: true }
+    ).select('+serverSeed');
+
+    const serverSeed = ProvablyFair.generateServerSeed();
+    const current = await new PlayerSeed({
+      userId,
+      serverSeed,
+      hashedServerSeed: ProvablyFair.hashServerSeed(serverSeed),
+      clientSeed: clientSeed || ProvablyFair.generateClientSeed()
+    }).save();
+
+    return {
+      success: true,
+      previous: previous ? this.describe(previous) : null,
+      current: this.describe(current)
+    };
+  }
+
+  static async list(userId, limit = 10) {
+    const current = await this.getActive(userId);
+    const revealed = await PlayerSeed.find({ userId, status: 'revealed' })
+      .select('+serverSeed')
+      .sort({ revealedAt: -1 })
+      .limit(limit);
+
+    return {
+      current: this.describe(current),
+      revealed: revealed.map(pair => this.describe(pair))
+    };
+  }
+
+  /**
+   * Revealed server seed for a committed hash, if the pair has been rotated
+   */
+  static async findRevealed(hashedServerSeed) {
+    return PlayerSeed.findOne({ hashedServerSeed, status: 'revealed' }).select('+serverSeed');
+  }
+
+  // The server seed is only shown once the pair has been rotated
+  static describe(pair) {
+    return {
+      hashedServerSeed: pair.hashedServerSeed,
+      serverSeed: pair.status === 'revealed' ? pair.serverSeed : undefined,
+      clientSeed: pair.clientSeed,
+      nonce: pair.nonce,
+      status: pair.status,
+      createdAt: pair.createdAt,
+      revealedAt: pair.revealedAt
+    };
+  }
+}
+
+module.exports = PlayerSeeds;
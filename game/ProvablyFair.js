@@ -1,4 +1,5 @@
 const crypto = require('crypto');
+const gameConfig = require('../config/gameConfig');
 
 /**
  * Provably Fair System for Aviator Game
@@ -10,6 +11,13 @@ const crypto = require('crypto');
  * 4. Results follow a proper distribution curve
  */
 class ProvablyFair {
+  /**
+   * Growth rate of the flight curve, per millisecond of flight time.
+   * multiplier(t) = e^(FLIGHT_GROWTH_RATE * t), so the plane reaches
+   * 2x after ~11.6s, 10x after ~38.4s and 100x after ~76.8s.
+   */
+  static FLIGHT_GROWTH_RATE = 0.00006;
+
   /**
    * Generate a cryptographically secure server seed
    * @returns {string} 64-character hexadecimal string
@@ -19,12 +27,11 @@ class ProvablyFair {
   }
 
   /**
-   * Generate a client seed (can be user-provided or random)
-   * @returns {string} Random alphanumeric string
+   * Generate a client seed (players can replace it with their own)
+   * @returns {string} 32-character hexadecimal string
    */
   static generateClientSeed() {
-    return Math.random().toString(36).substring(2, 15) + 
-           Math.random().toString(36).substring(2, 15);
+    return crypto.randomBytes(16).toString('hex');
   }
 
   /**
@@ -36,15 +43,71 @@ class ProvablyFair {
     return crypto.createHash('sha256').update(serverSeed).digest('hex');
   }
 
+  /**
+   * Hash a seed repeatedly, walking a seed chain towards its terminating hash
+   * @param {string} seed - Seed to start from
+   * @param {number} times - Number of SHA256 rounds (default 1)
+   * @returns {string} SHA256 hash in hexadecimal
+   */
+  static hashChainSeed(seed, times = 1) {
+    let hash = seed;
+    for (let i = 0; i < times; i++) {
+      hash = this.hashServerSeed(hash);
+    }
+    return hash;
+  }
+
+  /**
+   * Check that a revealed chain seed leads to a later link of the chain
+   * (the previous round's seed, or the published terminating hash)
+   * @param {string} serverSeed - Revealed server seed
+   * @param {string} laterHash - Seed revealed earlier, or the terminating hash
+   * @param {number} distance - Chain positions between the two (default 1)
+   * @returns {boolean} True if the seed belongs to the chain
+   */
+  static verifyChainLink(serverSeed, laterHash, distance = 1) {
+    return this.hashChainSeed(serverSeed, distance) === laterHash;
+  }
+
+  /**
+   * A player's contribution to a round, from their own seed pair
+   * @param {string} serverSeed - The player's server seed
+   * @param {string} clientSeed - The player's client seed
+   * @param {number} nonce - The player's bet counter for this seed pair
+   * @returns {string} HMAC-SHA256 of "clientSeed:nonce" keyed by the server seed
+   */
+  static calculateSeedContribution(serverSeed, clientSeed, nonce) {
+    return crypto
+      .createHmac('sha256', serverSeed)
+      .update(`${clientSeed}:${nonce}`)
+      .digest('hex');
+  }
+
+  /**
+   * Mix player contributions into the round's client seed. Without
+   * contributions the base client seed is used as is.
+   * @param {string} baseClientSeed - Client seed the round started with
+   * @param {Array} contributions - Contributions in the order bets were placed
+   * @returns {string} Client seed the crash point is calculated with
+   */
+  static combineClientSeed(baseClientSeed, contributions = []) {
+    if (contributions.length === 0) return baseClientSeed;
+
+    return crypto
+      .createHash('sha256')
+      .update([baseClientSeed, ...contributions].join(':'))
+      .digest('hex');
+  }
+
   /**
    * Calculate the crash point using HMAC-SHA256
    * @param {string} serverSeed - Server seed (64 hex characters)
    * @param {string} clientSeed - Client seed (any string)
    * @param {number} nonce - Game round number (incrementing integer)
-   * @param {number} houseEdge - House edge percentage (default 0.02 = 2%)
+   * @param {number} houseEdge - House edge percentage (default HOUSE_EDGE, 0.02 = 2%)
    * @returns {number} Crash multiplier (1.00 to 1000.00)
    */
-  static calculateCrashPoint(serverSeed, clientSeed, nonce, houseEdge = 0.02) {
+  static calculateCrashPoint(serverSeed, clientSeed, nonce, houseEdge = gameConfig.get('houseEdge')) {
     // Validate inputs
     if (!serverSeed || !clientSeed || typeof nonce !== 'number') {
       throw new Error('Invalid parameters for crash point calculation');
@@ -66,8 +129,30 @@ class ProvablyFair {
     // Apply house edge
     const crashPoint = rawCrashPoint * (1 - houseEdge);
     
-    // Ensure minimum 1.00x and reasonable maximum
-    return Math.max(1.00, Math.min(crashPoint, 1000.00));
+    // Round down to 2 decimals, ensure minimum 1.00x and reasonable maximum
+    const rounded = Math.floor(crashPoint * 100) / 100;
+    return Math.max(1.00, Math.min(rounded, 1000.00));
+  }
+
+  /**
+   * Multiplier shown after a given flight time
+   * The flight is fully determined by this curve: the plane climbs along it
+   * and crashes the moment it reaches the committed crash point.
+   * @param {number} elapsedMs - Milliseconds since takeoff
+   * @returns {number} Multiplier rounded down to 2 decimals (>= 1.00)
+   */
+  static getMultiplierAtTime(elapsedMs) {
+    const multiplier = Math.exp(this.FLIGHT_GROWTH_RATE * Math.max(0, elapsedMs));
+    return Math.floor(multiplier * 100) / 100;
+  }
+
+  /**
+   * Flight time needed to reach a multiplier (inverse of getMultiplierAtTime)
+   * @param {number} multiplier - Target multiplier (>= 1.00)
+   * @returns {number} Milliseconds since takeoff
+   */
+  static getFlightDuration(multiplier) {
+    return Math.ceil(Math.log(Math.max(1, multiplier)) / this.FLIGHT_GROWTH_RATE);
   }
 
   /**
@@ -76,10 +161,10 @@ class ProvablyFair {
    * @param {string} clientSeed - Original client seed  
    * @param {number} nonce - Game round number
    * @param {number} expectedCrashPoint - The crash point to verify
-   * @param {number} houseEdge - House edge used (default 0.02)
+   * @param {number} houseEdge - House edge used (default HOUSE_EDGE)
    * @returns {boolean} True if verification passes
    */
-  static verifyCrashPoint(serverSeed, clientSeed, nonce, expectedCrashPoint, houseEdge = 0.02) {
+  static verifyCrashPoint(serverSeed, clientSeed, nonce, expectedCrashPoint, houseEdge = gameConfig.get('houseEdge')) {
     try {
       const calculatedCrash = this.calculateCrashPoint(serverSeed, clientSeed, nonce, houseEdge);
       const difference = Math.abs(calculatedCrash - expectedCrashPoint);
@@ -114,10 +199,10 @@ class ProvablyFair {
    * @param {string} clientSeed - Client seed
    * @param {number} startNonce - Starting nonce
    * @param {number} count - Number of crash points to generate
-   * @param {number} houseEdge - House edge (default 0.02)
+   * @param {number} houseEdge - House edge (default HOUSE_EDGE)
    * @returns {Array} Array of crash points
    */
-  static generateBatch(serverSeed, clientSeed, startNonce, count, houseEdge = 0.02) {
+  static generateBatch(serverSeed, clientSeed, startNonce, count, houseEdge = gameConfig.get('houseEdge')) {
     const results = [];
     
     for (let i = 0; i < count; i++) {
@@ -186,7 +271,7 @@ class ProvablyFair {
       },
       rtp: {
         actual: parseFloat((actualRTP * 100).toFixed(2)),
-        theoretical: 98.0 // 2% house edge
+        theoretical: parseFloat(((1 - gameConfig.get('houseEdge')) * 100).toFixed(2))
       }
     };
   }
@@ -200,7 +285,7 @@ class ProvablyFair {
    * @param {number} houseEdge - House edge applied
    * @returns {object} Verification data
    */
-  static createVerification(gameId, serverSeed, clientSeed, crashPoint, houseEdge = 0.02) {
+  static createVerification(gameId, serverSeed, clientSeed, crashPoint, houseEdge = gameConfig.get('houseEdge')) {
     const hashedServerSeed = this.hashServerSeed(serverSeed);
     const calculatedCrash = this.calculateCrashPoint(serverSeed, clientSeed, gameId, houseEdge);
     const isValid = this.verifyCrashPoint(serverSeed, clientSeed, gameId, crashPoint, houseEdge);
@@ -220,7 +305,8 @@ class ProvablyFair {
         step1: `Create HMAC-SHA256 hash of "${clientSeed}:${gameId}" using server seed as key`,
         step2: `Take first 8 characters of hash and convert to integer`,
         step3: `Apply formula: (2^32 / (2^32 - hash_int)) * (1 - ${houseEdge})`,
-        step4: `Result should equal ${crashPoint}x`
+        step4: `Round down to 2 decimals - result should equal ${crashPoint}x`,
+        step5: `The flight follows multiplier = e^(${this.FLIGHT_GROWTH_RATE} * ms) and crashes when it reaches the result`
       }
     };
   }
@@ -0,0 +1,210 @@
+// game/RoomManager.js
+const { Room } = require('../db/database');
+const gameConfig = require('../config/gameConfig');
+const GameEngine = require('./GameEngine');
+
+const DEFAULT_ROOM_ID = 'main';
+
+// Rooms created on first boot, when the database has none yet
+const DEFAULT_ROOMS = [
+  { roomId: DEFAULT_ROOM_ID, name: 'Main Hangar', minBet: 10, maxBet: 10000 },
+  { roomId: 'low-stakes', name: 'Low Stakes', minBet: 10, maxBet: 500 },
+  { roomId: 'high-roller', name: 'High Roller', minBet: 1000, maxBet: 100000 },
+  { roomId: 'vip', name: 'VIP Only', minBet: 100, maxBet: 50000, vipOnly: true }
+];
+
+/**
+ * Runs one GameEngine per room. Every room has its own game loop, bet limits,
+ * seeds and socket.io channel (`room:<roomId>`).
+ */
+class RoomManager {
+  /**
+   * @param {object} io - socket.io server
+   * @param {Promise} ready - Engines start their first round once this settles
+   */
+  constructor(io, ready = Promise.resolve()) {
+    this.io = io;
+    this.ready = ready;
+    this.engines = new Map();
+
+    // The default room always exists so the single-room endpoints keep working
+    this.startRoom(DEFAULT_ROOMS[0]);
+  }
+
+  /**
+   * Load rooms from the database (seeding the defaults on first boot)
+   */
+  async init() {
+    try {
+      if (await Room.countDocuments() === 0) {
+        await Room.insertMany(DEFAULT_ROOMS);
+        console.log(`🏠 Created ${DEFAULT_ROOMS.length} default rooms`);
+      }
+
+      const rooms = await Room.find({ status: { $ne: 'retired' } });
+      for (const room of rooms) {
+        const engine = this.engines.get(room.roomId) || this.startRoom(room);
+        engine.updateRoom(room);
+        if (room.status === 'paused') engine.pause();
+      }
+
+      console.log(`🏠 ${this.engines.size} game rooms running`);
+    } catch (error) {
+      console.error('❌ Failed to load game rooms:', error.message);
+      console.log('⚠️ Continuing with the default room only');
+    }
+
+    await this.recoverRetired();
+  }
+
+  // Retired rooms have no engine, so rounds they left open are settled here
+  async recoverRetired() {
+    try {
+      await GameEngine.migrate();
+      const retired = await Room.find({ status: 'retired' }).select('roomId');
+      for (const room of retired) {
+        const settled = await GameEngine.recoverRoom(room.roomId);
+        if (settled > 0) {
+          console.log(`♻️ [${room.roomId}] Settled ${settled} round(s) left open when the room was retired`);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Failed to settle rounds of retired rooms:', error.message);
+    }
+  }
+
+  startRoom(room) {
+    const engine = new GameEngine(this.io, {
+      roomId: room.roomId,
+      name: room.name,
+      minBet: room.minBet,
+      maxBet: room.maxBet,
+      vipOnly: room.vipOnly
+    }, this.ready);
+    this.engines.set(room.roomId, engine);
+    return engine;
+  }
+
+  get(roomId) {
+    return this.engines.get(roomId || DEFAULT_ROOM_ID) || null;
+  }
+
+  getDefault() {
+    return this.engines.get(DEFAULT_ROOM_ID);
+  }
+
+  list() {
+    return Array.from(this.engines.values()).map(engine => engine.getRoomInfo());
+  }
+
+  validateLimits(minBet, maxBet) {
+    if (!Number.isInteger(minBet) || !Number.isInteger(maxBet) || minBet < 1 || maxBet < minBet) {
+      return 'Invalid bet limits (integers, 1 <= minBet <= maxBet)';
+    }
+    if (minBet > gameConfig.get('maxBet') || maxBet < gameConfig.get('minBet')) {
+      return `Bet limits must overlap the global limits (${gameConfig.get('minBet')}-${gameConfig.get('maxBet')})`;
+    }
+    return null;
+  }
+
+  async createRoom({ roomId, name, minBet, maxBet, vipOnly }) {
+    if (!/^[a-z0-9-]{2,32}$/.test(roomId || '')) {
+      return { success: false, error: 'Room ID must be 2-32 lowercase letters, digits or dashes' };
+    }
+    if (!name) {
+      return { success: false, error: 'Room name required' };
+    }
+
+    const limitsError = this.validateLimits(minBet, maxBet);
+    if (limitsError) {
+      return { success: false, error: limitsError };
+    }
+
+    if (await Room.exists({ roomId })) {
+      return { success: false, error: 'Room ID already in use' };
+    }
+
+    const room = await new Room({ roomId, name, minBet, maxBet, vipOnly: !!vipOnly }).save();
+    const engine = this.startRoom(room);
+
+    console.log(`🏠 Room created: ${name} (${roomId})`);
+    return { success: true, room: engine.getRoomInfo() };
+  }
+
+  async updateRoom(roomId, changes) {
+    const engine = this.get(roomId);
+    if (!engine) {
+      return { success: false, error: 'Room not found' };
+    }
+
+    const settings = {};
+    ['name', 'minBet', 'maxBet', 'vipOnly'].forEach(field => {
+      if (changes[field] !== undefined) settings[field] = changes[field];
+    });
+
+    const limitsError = this.validateLimits(
+      settings.minBet ?? engine.room.minBet,
+      settings.maxBet ?? engine.room.maxBet
+    );
+    if (limitsError) {
+      return { success: false, error: limitsError };
+    }
+
+    await Room.updateOne({ roomId }, settings);
+    engine.updateRoom(settings);
+
+    return { success: true, room: engine.getRoomInfo() };
+  }
+
+  async pauseRoom(roomId) {
+    const engine = this.get(roomId);
+    if (!engine) {
+      return { success: false, error: 'Room not found' };
+    }
+
+    await Room.updateOne({ roomId }, { status: 'paused' });
+    engine.pause();
+
+    return { success: true, room: engine.getRoomInfo() };
+  }
+
+  async resumeRoom(roomId) {
+    const engine = this.get(roomId);
+    if (!engine) {
+      return { success: false, error: 'Room not found' };
+    }
+
+    await Room.updateOne({ roomId }, { status: 'active' });
+    engine.resume();
+
+    return { success: true, room: engine.getRoomInfo() };
+  }
+
+  async retireRoom(roomId) {
+    if (roomId === DEFAULT_ROOM_ID) {
+      return { success: false, error: 'The default room cannot be retired' };
+    }
+
+    const engine = this.get(roomId);
+    if (!engine) {
+      return { success: false, error: 'Room not found' };
+    }
+
+    await Room.updateOne({ roomId }, { status: 'retired', retiredAt: new Date() });
+
+    // The current round still finishes so placed bets are settled
+    engine.stop();
+    this.engines.delete(roomId);
+
+    console.log(`🏚️ Room retired: ${engine.room.name} (${roomId})`);
+    return { success: true };
+  }
+
+  destroy() {
+    this.engines.forEach(engine => engine.destroy());
+  }
+}
+
+RoomManager.DEFAULT_ROOM_ID = DEFAULT_ROOM_ID;
+
+module.exports = RoomManager;
@@ -0,0 +1,261 @@
+// game/SeedChains.js
+const crypto = require('crypto');
+const { SeedChain } = require('../db/database');
+const ProvablyFair = require('./ProvablyFair');
+
+const DEFAULT_CHAIN_LENGTH = parseInt(process.env.SEED_CHAIN_LENGTH) || 100000;
+const MAX_CHAIN_LENGTH = 1000000;
+
+// Every CHECKPOINT_INTERVAL-th link is kept in memory, so finding a round's
+// seed never takes more than that many hashes
+const CHECKPOINT_INTERVAL = 1000;
+
+// Hashes computed between yields to the event loop while building a chain
+const BUILD_BATCH = 10000;
+
+/**
+ * Server seeds for one room, taken from pre-generated SHA-256 hash chains.
+ *
+ * chain[0] is a random root seed and chain[i] = sha256(chain[i - 1]). The
+ * terminating hash chain[length] is published before the chain is used and
+ * round n of the chain plays chain[length - n], so sha256 of every revealed
+ * seed equals the seed revealed the round before (the terminating hash for
+ * the first round). The chain's client seed is published with it.
+ */
+class SeedChains {
+  constructor(roomId) {
+    this.roomId = roomId;
+    this.active = null;
+    this.checkpoints = null;
+  }
+
+  static isEnabled() {
+    return (process.env.SEED_MODE || 'chain') === 'chain';
+  }
+
+  // Hashes in batches, giving the event loop back in between so rounds keep
+  // running while a long chain is built
+  static async build(rootSeed, length) {
+    const checkpoints = [rootSeed];
+    let hash = rootSeed;
+
+    for (let i = 1; i <= length; i++) {
+      hash = ProvablyFair.hashServerSeed(hash);
+      if (i % CHECKPOINT_INTERVAL === 0) checkpoints.push(hash);
+      if (i % BUILD_BATCH === 0) await new Promise(resolve => setImmediate(resolve));
+    }
+
+    return { checkpoints, terminatingHash: hash };
+  }
+
+  // chain[index] of the active chain
+  seedAt(index) {
+    const checkpoint = Math.floor(index / CHECKPOINT_INTERVAL);
+    return ProvablyFair.hashChainSeed(this.checkpoints[checkpoint], index - checkpoint * CHECKPOINT_INTERVAL);
+  }
+
+  /**
+   * Make sure an active chain is loaded, activating the next published chain
+   * (or generating one) when the room has none
+   */
+  async load() {
+    let chain = await SeedChain.findOne({ roomId: this.roomId, status: 'active' }).select('+rootSeed');
+
+    if (!chain) {
+      const pending = await SeedChain.findOne({ roomId: this.roomId, status: 'pending' }).sort({ createdAt: 1 });
+      if (pending) {
+        chain = await this.activate(pending);
+      } else {
+        await this.generate();
+        chain = this.active;
+      }
+    }
+
+    if (!this.active || this.active.chainId !== chain.chainId) {
+      this.checkpoints = (await SeedChains.build(chain.rootSeed, chain.length)).checkpoints;
+    }
+    this.active = chain;
+
+    return chain;
+  }
+
+  /**
+   * Take the next round's seeds from the active chain
+   * @returns {object} { serverSeed, clientSeed, chainId, chainPosition }
+   */
+  async next() {
+    if (!this.active) await this.load();
+
+    const chain = await SeedChain.findOneAndUpdate(
+      { _id: this.active._id, status: 'active', position: { $lt: this.active.length } },
+      { $inc: { position: 1 } },
+      { new: true }
+    );
+
+    if (!chain) {
+      // Used up (or rotated away) - move on to the next chain
+      const ended = await SeedChain.updateOne(
+        { _id: this.active._id, status: 'active' },
+        { status: 'exhausted', endedAt: new Date() }
+      );
+      if (ended.modifiedCount) {
+        console.log(`⛓️ [${this.roomId}] Seed chain ${this.active.chainId} exhausted`);
+      }
+      this.active = null;
+      return this.next();
+    }
+    this.active.position = chain.position;
+
+    return {
+      serverSeed: this.seedAt(chain.length - chain.position),
+      clientSeed: chain.clientSeed,
+      chainId: chain.chainId,
+      chainPosition: chain.position
+    };
+  }
+
+  validateLength(length) {
+    if (!Number.isInteger(length) || length < 1 || length > MAX_CHAIN_LENGTH) {
+      return `Chain length must be an integer between 1 and ${MAX_CHAIN_LENGTH}`;
+    }
+    return null;
+  }
+
+  /**
+   * Generate a new chain. It stays pending (published, not yet played) unless
+   * activated, or the room has no chain in play.
+   */
+  async generate(length = DEFAULT_CHAIN_LENGTH, activate = false) {
+    return this.create({
+      rootSeed: crypto.randomBytes(32).toString('hex'),
+      clientSeed: crypto.randomBytes(16).toString('hex'),
+      length
+    }, activate);
+  }
+
+  /**
+   * Load a chain generated elsewhere. When the published terminating hash is
+   * given it must match the root seed.
+   */
+  async importChain({ rootSeed, clientSeed, length, terminatingHash }, activate = false) {
+    if (!ProvablyFair.isValidServerSeed(rootSeed)) {
+      return { success: false, error: 'Root seed must be 64 hexadecimal characters' };
+    }
+    if (clientSeed !== undefined && !ProvablyFair.isValidClientSeed(clientSeed)) {
+      return { success: false, error: 'Invalid client seed' };
+    }
+
+    return this.create({
+      rootSeed: rootSeed.toLowerCase(),
+      clientSeed: clientSeed || crypto.randomBytes(16).toString('hex'),
+      length,
+      terminatingHash
+    }, activate);
+  }
+
+  async create({ rootSeed, clientSeed, length, terminatingHash }, activate) {
+    const lengthError = this.validateLength(length);
+    if (lengthError) {
+      return { success: false, error: lengthError };
+    }
+
+    const built = await SeedChains.build(rootSeed, length);
+    if (terminatingHash && terminatingHash.toLowerCase() !== built.terminatingHash) {
+      return { success: false, error: 'Root seed does not lead to the given terminating hash' };
+    }
+
+    const chain = await new SeedChain({
+      chainId: `${this.roomId}-${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`,
+      roomId: this.roomId,
+      rootSeed,
+      terminatingHash: built.terminatingHash,
+      clientSeed,
+      length
+    }).save();
+
+    console.log(`⛓️ [${this.roomId}] Seed chain ${chain.chainId} created (${length} rounds, terminating hash ${built.terminatingHash})`);
+
+    const hasActive = await SeedChain.exists({ roomId: this.roomId, status: 'active' });
+    if (activate || !hasActive) {
+      return { success: true, chain: this.describe(await this.activate(chain, built.checkpoints)) };
+    }
+
+    return { success: true, chain: this.describe(chain) };
+  }
+
+  /**
+   * Put a chain in play from the next round on, retiring the current one
+   */
+  async activate(chain, checkpoints = null) {
+    // Built first, so the current chain stays in play until the new one is ready
+    if (!checkpoints) {
+      const { rootSeed } = await SeedChain.findById(chain._id).select('+rootSeed');
+      checkpoints = (await SeedChains.build(rootSeed, chain.length)).checkpoints;
+    }
+
+    await SeedChain.updateMany(
+      { roomId: this.roomId, status: 'active', _id: { $ne: chain._id } },
+      { status: 'retired', endedAt: new Date() }
+    );
+
+    const activated = await SeedChain.findOneAndUpdate(
+      { _id: chain._id, status: 'pending' },
+      { status: 'active', activatedAt: new Date() },
+      { new: true }
+    ).select('+rootSeed');
+    if (!activated) {
+      throw new Error('Only pending chains can be activated');
+    }
+
+    this.checkpoints = checkpoints;
+    this.active = activated;
+
+    console.log(`⛓️ [${this.roomId}] Seed chain ${activated.chainId} is now in play`);
+    return activated;
+  }
+
+  /**
+   * Switch to the oldest pending chain, or a freshly generated one
+   */
+  async rotate(length = DEFAULT_CHAIN_LENGTH) {
+    const pending = await SeedChain.findOne({ roomId: this.roomId, status: 'pending' }).sort({ createdAt: 1 });
+    if (pending) {
+      return { success: true, chain: this.describe(await this.activate(pending)) };
+    }
+
+    return this.generate(length, true);
+  }
+
+  async list() {
+    const chains = await SeedChain.find({ roomId: this.roomId })
+      .select('+rootSeed')
+      .sort({ createdAt: -1 });
+    return chains.map(chain => this.describe(chain));
+  }
+
+  getPublic() {
+    return this.active ? this.describe(this.active) : null;
+  }
+
+  // The root seed is only revealed once a chain is out of play
+  describe(chain) {
+    const ended = chain.status === 'exhausted' || chain.status === 'retired';
+    return {
+      chainId: chain.chainId,
+      roomId: chain.roomId,
+      status: chain.status,
+      terminatingHash: chain.terminatingHash,
+      clientSeed: chain.clientSeed,
+      length: chain.length,
+      roundsPlayed: chain.position,
+      rootSeed: ended ? chain.rootSeed : undefined,
+      activatedAt: chain.activatedAt,
+      endedAt: chain.endedAt,
+      createdAt: chain.createdAt
+    };
+  }
+}
+
+SeedChains.DEFAULT_CHAIN_LENGTH = DEFAULT_CHAIN_LENGTH;
+
+module.exports = SeedChains;
@@ -0,0 +1,70 @@
+// middleware/adminAuth.js
+const jwt = require('jsonwebtoken');
+const { Admin } = require('../db/database');
+
+// What each admin role may do; superadmin may do everything
+const ROLE_PERMISSIONS = {
+  superadmin: ['*'],
+  finance: ['dashboard.view', 'users.view', 'games.view', 'balance.adjust', 'ledger.view', 'ledger.manage', 'config.view', 'audit.view', 'payments.view', 'payments.refund', 'withdrawals.view', 'withdrawals.manage', 'fraud.view', 'kyc.review'],
+  support: ['dashboard.view', 'users.view', 'games.view', 'tickets.answer', 'kyc.review'],
+  moderator: ['dashboard.view', 'users.view', 'games.view', 'users.ban', 'broadcast.send', 'fraud.view', 'fraud.manage', 'kyc.review']
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const hasPermission = (role, permission) => {
+  const permissions = ROLE_PERMISSIONS[role] || [];
+  return permissions.includes('*') || permissions.includes(permission);
+};
+
+/**
+ * Look up the admin behind a login token
+ * @returns {object} { admin } or { status, error }
+ */
+const authenticateAdmin = async (token) => {
+  if (!token) {
+    return { status: 401, error: 'Access denied' };
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return { status: 401, error: 'Invalid token' };
+  }
+
+  const admin = decoded.adminId ? await Admin.findById(decoded.adminId) : null;
+  if (!admin || !admin.active) {
+    return { status: 401, error: 'Admin account not found or disabled' };
+  }
+  // Issued before the last password change
+  if ((decoded.version || 0) !== (admin.tokenVersion || 0)) {
+    return { status: 401, error: 'Session expired, please log in again' };
+  }
+  return { admin };
+};
+
+/**
+ * Admin authentication middleware. The account is looked up on every
+ * request, so deactivating an admin, changing their role or their password
+ * applies at once.
+ * @param {string} permission - Permission the route needs (any admin if omitted)
+ */
+const adminAuth = (permission) => async (req, res, next) => {
+  try {
+    const { admin, status, error } = await authenticateAdmin(req.header('Authorization')?.replace('Bearer ', ''));
+    if (!admin) {
+      return res.status(status).json({ error });
+    }
+    if (permission && !hasPermission(admin.role, permission)) {
+      return res.status(403).json({ error: `Your role (${admin.role}) cannot do this` });
+    }
+
+    req.admin = { id: admin._id.toString(), username: admin.username, role: admin.role };
+    next();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = { adminAuth, authenticateAdmin, hasPermission, ROLES, ROLE_PERMISSIONS };
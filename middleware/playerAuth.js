@@ -0,0 +1,22 @@
+// middleware/playerAuth.js
+const TelegramAuth = require('../services/TelegramAuth');
+
+const sessionFrom = (req) => TelegramAuth.verifySession(req.header('Authorization')?.replace('Bearer ', ''));
+
+// Player session required - identity comes from the token, never the request
+const playerAuth = (req, res, next) => {
+  const player = sessionFrom(req);
+  if (!player) {
+    return res.status(401).json({ success: false, error: 'Player session required' });
+  }
+  req.player = player;
+  next();
+};
+
+// Player session used when present
+const optionalPlayerAuth = (req, res, next) => {
+  req.player = sessionFrom(req);
+  next();
+};
+
+module.exports = { playerAuth, optionalPlayerAuth };
@@ -1,48 +1,183 @@
 // routes/admin.js
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
-const { User, Game, Transaction } = require('../db/database');
+const { User, Game, Room } = require('../db/database');
+const gameConfig = require('../config/gameConfig');
+const Wallet = require('../services/Wallet');
+const Ledger = require('../services/Ledger');
+const reconciliation = require('../services/Reconciliation');
+const AdminAccounts = require('../services/AdminAccounts');
+const AuditLog = require('../services/AuditLog');
+const StarPayments = require('../services/StarPayments');
+const Withdrawals = require('../services/Withdrawals');
+const FraudEngine = require('../services/FraudEngine');
+const riskRules = require('../services/RiskRules');
+const SupportTickets = require('../services/SupportTickets');
+const Segments = require('../services/Segments');
+const BulkBonuses = require('../services/BulkBonuses');
+const Kyc = require('../services/Kyc');
+const floodControl = require('../services/FloodControl');
+const campaigns = require('../services/Campaigns');
+const { adminAuth, ROLES, ROLE_PERMISSIONS } = require('../middleware/adminAuth');
 
-// Admin authentication middleware
-const adminAuth = (req, res, next) => {
-  const token = req.header('Authorization')?.replace('Bearer ', '');
-  
-  if (!token) {
-    return res.status(401).json({ error: 'Access denied' });
+// Login lockouts answer 423, blocked addresses 429
+const LOGIN_FAILURE_STATUS = { locked: 423, ip_blocked: 429 };
+
+// Admin login - { username, password, code } where code is a TOTP or backup code
+router.post('/login', async (req, res) => {
+  try {
+    const { username, password, code } = req.body;
+    const result = await AdminAccounts.login(
+      { username, password, code },
+      { ip: req.ip, userAgent: req.get('User-Agent') }
+    );
+
+    if (!result.success) {
+      const { reason, ...response } = result;
+      return res.status(LOGIN_FAILURE_STATUS[reason] || 401).json(response);
+    }
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// The logged-in admin and what their role allows
+router.get('/me', adminAuth(), (req, res) => {
+  res.json({ admin: req.admin, permissions: ROLE_PERMISSIONS[req.admin.role] });
+});
+
+// Two-factor authentication for the logged-in admin: setup returns the
+// secret and otpauth URI for the authenticator app, enable confirms a code
+// and returns the backup codes (shown once)
+router.post('/2fa/setup', adminAuth(), async (req, res) => {
+  try {
+    const result = await AdminAccounts.setupTwoFactor(req.admin.id);
+    if (result.success) AuditLog.fromRequest(req, 'admin.2fa.setup', { target: { type: 'admin', id: req.admin.id } });
+    res.status(result.success ? 200 : 400).json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/2fa/enable', adminAuth(), async (req, res) => {
+  try {
+    const result = await AdminAccounts.enableTwoFactor(req.admin.id, req.body.code);
+    if (result.success) AuditLog.fromRequest(req, 'admin.2fa.enable', { target: { type: 'admin', id: req.admin.id } });
+    res.status(result.success ? 200 : 400).json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/2fa/disable', adminAuth(), async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    const result = await AdminAccounts.disableTwoFactor(req.admin.id, { password, code });
+    if (result.success) AuditLog.fromRequest(req, 'admin.2fa.disable', { target: { type: 'admin', id: req.admin.id } });
+    res.status(result.success ? 200 : 400).json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/2fa/backup-codes', adminAuth(), async (req, res) => {
+  try {
+    const result = await AdminAccounts.regenerateBackupCodes(req.admin.id, req.body.code);
+    if (result.success) AuditLog.fromRequest(req, 'admin.2fa.backupCodes', { target: { type: 'admin', id: req.admin.id } });
+    res.status(result.success ? 200 : 400).json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
+});
+
+// Login attempts, newest first (username, ip, failed=true to filter)
+router.get('/login-attempts', adminAuth('admins.manage'), async (req, res) => {
+  try {
+    const attempts = await AdminAccounts.loginAttempts({
+      username: req.query.username,
+      ip: req.query.ip,
+      failedOnly: req.query.failed === 'true',
+      limit: Math.min(parseInt(req.query.limit) || 100, 500)
+    });
+    res.json({ attempts });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
+// Admin accounts
+router.get('/admins', adminAuth('admins.manage'), async (req, res) => {
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    if (decoded.role !== 'admin') {
-      return res.status(403).json({ error: 'Admin access required' });
+    res.json({ admins: await AdminAccounts.list(), roles: ROLES });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/admins', adminAuth('admins.manage'), async (req, res) => {
+  try {
+    const { username, password, role } = req.body;
+    const result = await AdminAccounts.create({ username, password, role }, req.admin.username);
+    if (result.success) {
+      AuditLog.fromRequest(req, 'admin.create', { target: { type: 'admin', id: result.admin.id }, after: result.admin });
     }
-    req.admin = decoded;
-    next();
+    res.status(result.success ? 201 : 400).json(result);
   } catch (error) {
-    res.status(401).json({ error: 'Invalid token' });
+    res.status(500).json({ error: error.message });
   }
-};
+});
 
-// Admin login
-router.post('/login', (req, res) => {
-  const { password } = req.body;
-  
-  if (password !== process.env.ADMIN_SECRET) {
-    return res.status(401).json({ error: 'Invalid password' });
+// Change role, password or active flag, or lift a lockout with { unlock: true }
+router.patch('/admins/:id', adminAuth('admins.manage'), async (req, res) => {
+  try {
+    const { role, active, password, unlock } = req.body;
+    const existing = await AdminAccounts.find(req.params.id);
+    const result = await AdminAccounts.update(req.params.id, { role, active, password, unlock });
+    if (result.success) {
+      AuditLog.fromRequest(req, 'admin.update', {
+        target: { type: 'admin', id: req.params.id },
+        before: AdminAccounts.describe(existing),
+        after: result.admin,
+        // Never the password itself
+        details: { passwordChanged: password !== undefined, unlocked: !!unlock }
+      });
+    }
+    res.status(result.success ? 200 : result.error === 'Admin not found' ? 404 : 400).json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
+});
 
-  const token = jwt.sign(
-    { role: 'admin', timestamp: Date.now() },
-    process.env.JWT_SECRET,
-    { expiresIn: '24h' }
-  );
+// Reset two-factor authentication for an admin who lost their device and codes
+router.delete('/admins/:id/2fa', adminAuth('admins.manage'), async (req, res) => {
+  try {
+    const result = await AdminAccounts.disableTwoFactor(req.params.id, { force: true });
+    if (result.success) AuditLog.fromRequest(req, 'admin.2fa.reset', { target: { type: 'admin', id: req.params.id } });
+    res.status(result.success ? 200 : result.error === 'Admin not found' ? 404 : 400).json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-  res.json({ success: true, token });
+router.delete('/admins/:id', adminAuth('admins.manage'), async (req, res) => {
+  try {
+    if (req.params.id === req.admin.id) {
+      return res.status(400).json({ success: false, error: 'You cannot delete your own account' });
+    }
+    const existing = await AdminAccounts.find(req.params.id);
+    const result = await AdminAccounts.remove(req.params.id);
+    if (result.success) {
+      AuditLog.fromRequest(req, 'admin.delete', { target: { type: 'admin', id: req.params.id }, before: AdminAccounts.describe(existing) });
+    }
+    res.status(result.success ? 200 : result.error === 'Admin not found' ? 404 : 400).json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
 // Dashboard stats
-router.get('/dashboard', adminAuth, async (req, res) => {
+router.get('/dashboard', adminAuth('dashboard.view'), async (req, res) => {
   try {
     const totalUsers = await User.countDocuments();
     const activeUsers = await User.countDocuments({
@@ -55,9 +190,9 @@ router.get('/dashboard', adminAuth, async (req, res) => {
     ]);
     
     const recentGames = await Game.find()
-      .sort({ gameId: -1 })
+      .sort({ createdAt: -1 })
       .limit(10)
-      .select('gameId crashPoint totalBets totalPayout houseProfit createdAt');
+      .select('roomId gameId crashPoint totalBets totalPayout houseProfit createdAt');
 
     res.json({
       totalUsers,
@@ -65,6 +200,7 @@ router.get('/dashboard', adminAuth, async (req, res) => {
       totalGames,
       totalProfit: totalProfit[0]?.total || 0,
       currentGame: req.gameEngine.getGameState(),
+      rooms: req.roomManager.list(),
       recentGames
     });
   } catch (error) {
@@ -73,7 +209,7 @@ router.get('/dashboard', adminAuth, async (req, res) => {
 });
 
 // User management
-router.get('/users', adminAuth, async (req, res) => {
+router.get('/users', adminAuth('users.view'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 50;
@@ -109,42 +245,117 @@ router.get('/users', adminAuth, async (req, res) => {
 });
 
 // Add bonus to user
-router.post('/users/:telegramId/bonus', adminAuth, async (req, res) => {
+router.post('/users/:telegramId/bonus', adminAuth('balance.adjust'), async (req, res) => {
   try {
-    const { amount, reason } = req.body;
+    const { reason } = req.body;
+    const amount = Number(req.body.amount);
     const telegramId = parseInt(req.params.telegramId);
-    
-    const user = await User.findOne({ telegramId });
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+
+    if (!Number.isInteger(amount) || amount === 0) {
+      return res.status(400).json({ error: 'Amount must be a non-zero integer' });
     }
 
-    const balanceBefore = user.balance;
-    user.balance += amount;
-    await user.save();
+    // Negative amounts take stars back, but never below a zero balance
+    const entry = { type: 'bonus', description: reason || 'Admin bonus' };
+    const result = amount > 0 
+      ? await Wallet.credit(telegramId, amount, entry) 
+      : await Wallet.debit(telegramId, -amount, entry);
+
+    if (!result.success) {
+      return res.status(result.error === 'Insufficient balance' ? 400 : 404).json({ error: result.error });
+    }
 
-    // Create transaction
-    await new Transaction({
-      userId: telegramId,
-      type: 'bonus',
-      amount: amount,
-      balanceBefore: balanceBefore,
-      balanceAfter: user.balance,
-      description: reason || 'Admin bonus'
-    }).save();
+    AuditLog.fromRequest(req, 'user.bonus', {
+      target: { type: 'user', id: telegramId },
+      before: { balance: result.user.balance - amount },
+      after: { balance: result.user.balance },
+      details: { amount, reason }
+    });
 
     res.json({ 
       success: true, 
-      newBalance: user.balance,
-      message: `Added ${amount} stars to ${user.username}`
+      newBalance: result.user.balance,
+      message: `${amount > 0 ? 'Added' : 'Removed'} ${Math.abs(amount)} stars ${amount > 0 ? 'to' : 'from'} ${result.user.username}`
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Bulk bonus - { segment, filters: { joinedBefore, joinedAfter, minWagered, maxWagered, vip }, amount, maxPlayers }
+router.post('/bonus/bulk/preview', adminAuth('balance.adjust'), async (req, res) => {
+  try {
+    const result = await BulkBonuses.preview(req.body);
+    res.status(result.success ? 200 : 400).json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Same body plus reason; players are credited in the background
+router.post('/bonus/bulk', adminAuth('balance.adjust'), async (req, res) => {
+  try {
+    const result = await BulkBonuses.create(req.body, req.admin.username);
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    AuditLog.fromRequest(req, 'bonus.bulk', {
+      target: { type: 'bonusGrant', id: result.grant.id },
+      after: result.grant
     });
+    res.status(202).json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/bonus/bulk', adminAuth('balance.adjust'), async (req, res) => {
+  try {
+    res.json({ grants: await BulkBonuses.list({ limit: Math.min(parseInt(req.query.limit) || 50, 200) }) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/bonus/bulk/:id', adminAuth('balance.adjust'), async (req, res) => {
+  try {
+    const grant = await BulkBonuses.get(req.params.id);
+    if (!grant) {
+      return res.status(404).json({ error: 'Bulk bonus not found' });
+    }
+    res.json({ grant });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+const updateBulkBonus = (action, update) => async (req, res) => {
+  try {
+    const result = await update(req.params.id, req.admin.username);
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    AuditLog.fromRequest(req, `bonus.bulk.${action}`, {
+      target: { type: 'bonusGrant', id: result.grant.id },
+      after: { status: result.grant.status },
+      details: { amount: result.grant.amount, stats: result.grant.stats }
+    });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Stop crediting; players already credited keep the bonus unless reversed
+router.post('/bonus/bulk/:id/cancel', adminAuth('balance.adjust'), updateBulkBonus('cancel', (id, admin) => BulkBonuses.cancel(id, admin)));
+
+// Take the bonus back from players who haven't bet since getting it
+router.post('/bonus/bulk/:id/reverse', adminAuth('balance.adjust'), updateBulkBonus('reverse', (id, admin) => BulkBonuses.reverse(id, admin)));
+
 // Ban/unban user
-router.post('/users/:telegramId/ban', adminAuth, async (req, res) => {
+router.post('/users/:telegramId/ban', adminAuth('users.ban'), async (req, res) => {
   try {
     const { action, reason } = req.body; // action: 'ban' or 'unban'
     const telegramId = parseInt(req.params.telegramId);
@@ -154,9 +365,17 @@ router.post('/users/:telegramId/ban', adminAuth, async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
+    const wasBanned = user.isBanned;
     user.isBanned = action === 'ban';
     await user.save();
 
+    AuditLog.fromRequest(req, user.isBanned ? 'user.ban' : 'user.unban', {
+      target: { type: 'user', id: telegramId },
+      before: { isBanned: wasBanned },
+      after: { isBanned: user.isBanned },
+      details: { reason }
+    });
+
     res.json({ 
       success: true,
       message: `User ${user.username} has been ${action}ned`
@@ -167,17 +386,19 @@ router.post('/users/:telegramId/ban', adminAuth, async (req, res) => {
 });
 
 // Game history with detailed stats
-router.get('/games', adminAuth, async (req, res) => {
+router.get('/games', adminAuth('games.view'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
+    const query = req.query.roomId ? { roomId: req.query.roomId } : {};
     
-    const games = await Game.find()
-      .sort({ gameId: -1 })
+    const games = await Game.find(query)
+      .sort({ createdAt: -1 })
       .limit(limit)
       .skip((page - 1) * limit);
 
     const stats = await Game.aggregate([
+      { $match: query },
       {
         $group: {
           _id: null,
@@ -196,7 +417,7 @@ router.get('/games', adminAuth, async (req, res) => {
       pagination: {
         page,
         limit,
-        total: await Game.countDocuments()
+        total: await Game.countDocuments(query)
       }
     });
   } catch (error) {
@@ -204,40 +425,992 @@ router.get('/games', adminAuth, async (req, res) => {
   }
 });
 
-// Force crash next game (for testing)
-router.post('/games/force-crash', adminAuth, async (req, res) => {
+// Game rooms
+router.get('/rooms', adminAuth('games.view'), async (req, res) => {
   try {
-    const { multiplier } = req.body;
-    
-    if (multiplier < 1.0 || multiplier > 100.0) {
-      return res.status(400).json({ error: 'Invalid multiplier range' });
+    const rooms = await Room.find().sort({ createdAt: 1 });
+    const running = new Map(req.roomManager.list().map(room => [room.roomId, room]));
+
+    res.json({
+      rooms: rooms.map(room => ({
+        ...room.toObject(),
+        live: running.get(room.roomId) || null
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/rooms', adminAuth('rooms.manage'), async (req, res) => {
+  try {
+    const { roomId, name, minBet, maxBet, vipOnly } = req.body;
+    const result = await req.roomManager.createRoom({ 
+      roomId, 
+      name, 
+      minBet: parseInt(minBet), 
+      maxBet: parseInt(maxBet), 
+      vipOnly 
+    });
+    if (result.success) {
+      AuditLog.fromRequest(req, 'room.create', { target: { type: 'room', id: result.room.roomId }, after: result.room });
+    }
+    res.status(result.success ? 201 : 400).json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.patch('/rooms/:roomId', adminAuth('rooms.manage'), async (req, res) => {
+  try {
+    const { name, minBet, maxBet, vipOnly } = req.body;
+    const engine = req.roomManager.get(req.params.roomId);
+    const before = engine && engine.getRoomInfo();
+    const result = await req.roomManager.updateRoom(req.params.roomId, {
+      name,
+      minBet: minBet !== undefined ? parseInt(minBet) : undefined,
+      maxBet: maxBet !== undefined ? parseInt(maxBet) : undefined,
+      vipOnly
+    });
+    if (result.success) {
+      AuditLog.fromRequest(req, 'room.update', {
+        target: { type: 'room', id: req.params.roomId },
+        before: { name: before.name, minBet: before.minBet, maxBet: before.maxBet, vipOnly: before.vipOnly },
+        after: { name: result.room.name, minBet: result.room.minBet, maxBet: result.room.maxBet, vipOnly: result.room.vipOnly }
+      });
     }
+    res.status(result.success ? 200 : 400).json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // This would need to be implemented in the game engine
-    // req.gameEngine.forceNextCrash(multiplier);
-    
-    res.json({ 
-      success: true, 
-      message: `Next game will crash at ${multiplier}x` 
+router.post('/rooms/:roomId/pause', adminAuth('rooms.manage'), async (req, res) => {
+  try {
+    const result = await req.roomManager.pauseRoom(req.params.roomId);
+    if (result.success) AuditLog.fromRequest(req, 'room.pause', { target: { type: 'room', id: req.params.roomId } });
+    res.status(result.success ? 200 : 404).json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/rooms/:roomId/resume', adminAuth('rooms.manage'), async (req, res) => {
+  try {
+    const result = await req.roomManager.resumeRoom(req.params.roomId);
+    if (result.success) AuditLog.fromRequest(req, 'room.resume', { target: { type: 'room', id: req.params.roomId } });
+    res.status(result.success ? 200 : 404).json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.delete('/rooms/:roomId', adminAuth('rooms.manage'), async (req, res) => {
+  try {
+    const result = await req.roomManager.retireRoom(req.params.roomId);
+    if (result.success) AuditLog.fromRequest(req, 'room.retire', { target: { type: 'room', id: req.params.roomId } });
+    res.status(result.success ? 200 : 400).json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Seed chains (hash-chain server seeds, see game/SeedChains.js)
+const seedChainsFor = (req, res) => {
+  const engine = req.roomManager.get(req.params.roomId);
+  if (!engine) {
+    res.status(404).json({ success: false, error: 'Room not found' });
+    return null;
+  }
+  if (!engine.seedChains) {
+    res.status(400).json({ success: false, error: 'Seed chains are disabled (SEED_MODE=random)' });
+    return null;
+  }
+  return engine.seedChains;
+};
+
+// Root seeds never go into the audit log
+const auditSeedChain = (req, action, chain) => AuditLog.fromRequest(req, action, {
+  target: { type: 'room', id: req.params.roomId },
+  after: { chainId: chain.chainId, status: chain.status, length: chain.length, terminatingHash: chain.terminatingHash }
+});
+
+router.get('/rooms/:roomId/seed-chains', adminAuth('games.view'), async (req, res) => {
+  try {
+    const seedChains = seedChainsFor(req, res);
+    if (!seedChains) return;
+
+    res.json({ chains: await seedChains.list() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Generate a chain - publish its terminating hash before activating it
+router.post('/rooms/:roomId/seed-chains', adminAuth('fairness.manage'), async (req, res) => {
+  try {
+    const seedChains = seedChainsFor(req, res);
+    if (!seedChains) return;
+
+    const { length, activate } = req.body;
+    const result = await seedChains.generate(
+      length !== undefined ? parseInt(length) : undefined,
+      !!activate
+    );
+    if (result.success) auditSeedChain(req, 'seedChain.generate', result.chain);
+    res.status(result.success ? 201 : 400).json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Load a chain generated offline from its root seed
+router.post('/rooms/:roomId/seed-chains/import', adminAuth('fairness.manage'), async (req, res) => {
+  try {
+    const seedChains = seedChainsFor(req, res);
+    if (!seedChains) return;
+
+    const { rootSeed, clientSeed, length, terminatingHash, activate } = req.body;
+    const result = await seedChains.importChain({
+      rootSeed,
+      clientSeed,
+      length: parseInt(length),
+      terminatingHash
+    }, !!activate);
+    if (result.success) auditSeedChain(req, 'seedChain.import', result.chain);
+    res.status(result.success ? 201 : 400).json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Retire the chain in play and continue with the next one from the next round
+router.post('/rooms/:roomId/seed-chains/rotate', adminAuth('fairness.manage'), async (req, res) => {
+  try {
+    const seedChains = seedChainsFor(req, res);
+    if (!seedChains) return;
+
+    const result = await seedChains.rotate(req.body.length !== undefined ? parseInt(req.body.length) : undefined);
+    if (result.success) auditSeedChain(req, 'seedChain.rotate', result.chain);
+    res.status(result.success ? 200 : 400).json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Game settings - runtime settings can be changed, the change applies at the next round
+router.get('/config', adminAuth('config.view'), (req, res) => {
+  try {
+    res.json({ settings: gameConfig.describe() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.patch('/config', adminAuth('config.manage'), async (req, res) => {
+  try {
+    const { reason, ...changes } = req.body;
+    const result = await gameConfig.requestChange(changes, req.admin.username, reason);
+    if (result.success) {
+      AuditLog.fromRequest(req, 'config.change', {
+        target: { type: 'config', id: result.pending.map(change => change.key).join(',') },
+        before: Object.fromEntries(result.pending.map(change => [change.key, change.oldValue])),
+        after: Object.fromEntries(result.pending.map(change => [change.key, change.newValue])),
+        details: { reason }
+      });
+    }
+    res.status(result.success ? 202 : 400).json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/config/history', adminAuth('config.view'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    res.json({ changes: await gameConfig.history(limit) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Ledger - net position of the house, bonus, promo and player accounts
+router.get('/ledger/accounts', adminAuth('ledger.view'), async (req, res) => {
+  try {
+    res.json({ accounts: await Ledger.accountBalances() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/ledger/users/:telegramId', adminAuth('ledger.view'), async (req, res) => {
+  try {
+    const telegramId = parseInt(req.params.telegramId);
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    res.json({
+      telegramId,
+      ledgerBalance: await Ledger.balanceOf(telegramId),
+      entries: await Ledger.statement(telegramId, limit)
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Send broadcast message
-router.post('/broadcast', adminAuth, async (req, res) => {
+// Last report of the reconciliation job
+router.get('/ledger/reconciliation', adminAuth('ledger.view'), (req, res) => {
+  res.json({ report: reconciliation.lastReport });
+});
+
+// Reconcile now - every user, or one with { telegramId }. A full run reads
+// the whole ledger, so it takes more than view access
+router.post('/ledger/reconcile', adminAuth('ledger.manage'), async (req, res) => {
   try {
-    const { message, type } = req.body;
-    
-    // Broadcast to all connected clients
-    req.io.emit('admin:broadcast', {
-      message,
-      type: type || 'info',
-      timestamp: new Date()
+    const report = req.body.telegramId
+      ? await Ledger.reconcile({ userId: parseInt(req.body.telegramId) })
+      : await reconciliation.run();
+    AuditLog.fromRequest(req, 'ledger.reconcile', {
+      target: req.body.telegramId ? { type: 'user', id: parseInt(req.body.telegramId) } : undefined,
+      details: { users: report.users, drifted: report.drifted.length }
     });
-    
-    res.json({ success: true });
+    res.json({ success: true, report });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Telegram Stars payments, newest first (userId, status)
+router.get('/payments', adminAuth('payments.view'), async (req, res) => {
+  try {
+    res.json(await StarPayments.list({
+      userId: req.query.userId ? parseInt(req.query.userId) : undefined,
+      status: req.query.status,
+      page: Math.max(parseInt(req.query.page) || 1, 1),
+      limit: Math.min(parseInt(req.query.limit) || 50, 200)
+    }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Refund a payment to the player's Telegram Stars balance
+router.post('/payments/:id/refund', adminAuth('payments.refund'), async (req, res) => {
+  try {
+    const result = await StarPayments.refund(req.params.id, {
+      refundedBy: req.admin.username,
+      reason: req.body.reason
+    });
+    if (result.success) {
+      AuditLog.fromRequest(req, 'payment.refund', {
+        target: { type: 'user', id: result.payment.userId },
+        before: { status: 'paid' },
+        after: { status: 'refunded' },
+        details: { paymentId: result.payment.id, amount: result.payment.amount, reason: req.body.reason }
+      });
+    }
+    res.status(result.success ? 200 : result.error === 'Payment not found' ? 404 : 400).json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Withdrawal queue - pending requests oldest first (status, userId)
+router.get('/withdrawals', adminAuth('withdrawals.view'), async (req, res) => {
+  try {
+    res.json(await Withdrawals.list({
+      status: req.query.status || 'pending',
+      userId: req.query.userId ? parseInt(req.query.userId) : undefined,
+      page: Math.max(parseInt(req.query.page) || 1, 1),
+      limit: Math.min(parseInt(req.query.limit) || 50, 200)
+    }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Runs one review step and audits it
+const reviewWithdrawal = (action, review) => async (req, res) => {
+  try {
+    const result = await review(req);
+    if (result.success) {
+      AuditLog.fromRequest(req, `withdrawal.${action}`, {
+        target: { type: 'user', id: result.withdrawal.userId },
+        after: { status: result.withdrawal.status },
+        details: {
+          withdrawalId: result.withdrawal.id,
+          amount: result.withdrawal.amount,
+          payoutReference: req.body.payoutReference,
+          reason: req.body.reason
+        }
+      });
+    }
+    res.status(result.success ? 200 : result.error === 'Withdrawal not found' ? 404 : 400).json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+router.post('/withdrawals/:id/approve', adminAuth('withdrawals.manage'), reviewWithdrawal('approve', req =>
+  Withdrawals.approve(req.params.id, { reviewedBy: req.admin.username, payoutReference: req.body.payoutReference })
+));
+
+router.post('/withdrawals/:id/reject', adminAuth('withdrawals.manage'), reviewWithdrawal('reject', req =>
+  Withdrawals.reject(req.params.id, { reviewedBy: req.admin.username, reason: req.body.reason })
+));
+
+// A payout that was approved but never arrived
+router.post('/withdrawals/:id/refund', adminAuth('withdrawals.manage'), reviewWithdrawal('refund', req =>
+  Withdrawals.refund(req.params.id, { refundedBy: req.admin.username, reason: req.body.reason })
+));
+
+// Fraud cases, highest score first (status: open|reviewing|confirmed|dismissed|active, severity, userId)
+router.get('/fraud/cases', adminAuth('fraud.view'), async (req, res) => {
+  try {
+    const [result, stats] = await Promise.all([
+      FraudEngine.list({
+        status: req.query.status,
+        severity: req.query.severity,
+        userId: req.query.userId ? parseInt(req.query.userId) : undefined,
+        page: Math.max(parseInt(req.query.page) || 1, 1),
+        limit: Math.min(parseInt(req.query.limit) || 50, 200)
+      }),
+      FraudEngine.stats()
+    ]);
+    res.json({ ...result, stats });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/fraud/cases/:id', adminAuth('fraud.view'), async (req, res) => {
+  try {
+    const result = await FraudEngine.get(req.params.id);
+    res.status(result.success ? 200 : 404).json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Runs one review step on a case and audits it
+const reviewFraudCase = (action, review) => async (req, res) => {
+  try {
+    const result = await review(req);
+    if (result.success) {
+      AuditLog.fromRequest(req, `fraud.${action}`, {
+        target: { type: 'fraudCase', id: result.case.id },
+        after: { status: result.case.status, assignedTo: result.case.assignedTo, blocked: result.case.blocked },
+        details: { userIds: result.case.userIds, note: req.body.note || req.body.text, blocked: result.blocked }
+      });
+    }
+    res.status(result.success ? 200 : result.error === 'Case not found' ? 404 : 400).json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+router.post('/fraud/cases/:id/assign', adminAuth('fraud.manage'), reviewFraudCase('assign', req =>
+  FraudEngine.assign(req.params.id, req.body.assignTo || req.admin.username)
+));
+
+router.post('/fraud/cases/:id/notes', adminAuth('fraud.manage'), reviewFraudCase('note', req =>
+  FraudEngine.addNote(req.params.id, req.admin.username, req.body.text)
+));
+
+// resolution: 'confirmed' or 'dismissed'
+router.post('/fraud/cases/:id/resolve', adminAuth('fraud.manage'), reviewFraudCase('resolve', req =>
+  FraudEngine.resolve(req.params.id, { by: req.admin.username, resolution: req.body.resolution, note: req.body.note })
+));
+
+// Ban every account in the case
+router.post('/fraud/cases/:id/block', adminAuth('fraud.manage'), reviewFraudCase('block', req =>
+  FraudEngine.block(req.params.id, req.admin.username)
+));
+
+// Rescan a player now instead of at their next login
+router.post('/fraud/users/:telegramId/scan', adminAuth('fraud.manage'), async (req, res) => {
+  try {
+    const result = await FraudEngine.scanUser(parseInt(req.params.telegramId));
+    if (!result) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json({
+      success: true,
+      score: result.score,
+      severity: result.severity,
+      signals: result.signals,
+      userIds: result.userIds,
+      case: result.case && FraudEngine.describe(result.case)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/fraud/users/:telegramId/flag', adminAuth('fraud.manage'), async (req, res) => {
+  try {
+    const telegramId = parseInt(req.params.telegramId);
+    const result = await FraudEngine.flag(telegramId, { by: req.admin.username, reason: req.body.reason });
+    if (result.success) {
+      AuditLog.fromRequest(req, 'fraud.flag', {
+        target: { type: 'user', id: telegramId },
+        details: { caseId: result.case.id, reason: req.body.reason }
+      });
+    }
+    res.status(result.success ? 200 : 404).json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Risk rules, with what the rule editor can use (events, fields, operators, actions)
+router.get('/risk/rules', adminAuth('fraud.view'), async (req, res) => {
+  try {
+    res.json({ rules: await riskRules.list(), ...riskRules.options() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/risk/rules', adminAuth('fraud.manage'), async (req, res) => {
+  try {
+    const result = await riskRules.create(req.body, req.admin.username);
+    if (result.success) {
+      AuditLog.fromRequest(req, 'risk.rule.create', {
+        target: { type: 'riskRule', id: result.rule.id },
+        after: result.rule
+      });
+    }
+    res.status(result.success ? 201 : 400).json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.patch('/risk/rules/:id', adminAuth('fraud.manage'), async (req, res) => {
+  try {
+    const { before, ...result } = await riskRules.update(req.params.id, req.body, req.admin.username);
+    if (result.success) {
+      AuditLog.fromRequest(req, 'risk.rule.update', {
+        target: { type: 'riskRule', id: result.rule.id },
+        before,
+        after: result.rule
+      });
+    }
+    res.status(result.success ? 200 : result.error === 'Rule not found' ? 404 : 400).json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.delete('/risk/rules/:id', adminAuth('fraud.manage'), async (req, res) => {
+  try {
+    const result = await riskRules.remove(req.params.id);
+    if (result.success) {
+      AuditLog.fromRequest(req, 'risk.rule.delete', {
+        target: { type: 'riskRule', id: result.rule.id },
+        before: result.rule
+      });
+    }
+    res.status(result.success ? 200 : 404).json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/risk/templates', adminAuth('fraud.view'), (req, res) => {
+  res.json({ templates: riskRules.templates() });
+});
+
+// Imported rules start disabled
+router.post('/risk/templates/:id', adminAuth('fraud.manage'), async (req, res) => {
+  try {
+    const result = await riskRules.importTemplate(req.params.id, req.admin.username);
+    if (result.success) {
+      AuditLog.fromRequest(req, 'risk.rule.create', {
+        target: { type: 'riskRule', id: result.rule.id },
+        after: result.rule,
+        details: { template: req.params.id }
+      });
+    }
+    res.status(result.success ? 201 : 404).json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// What a rule (body: { rule, days }) would have matched - nothing is acted on
+router.post('/risk/dry-run', adminAuth('fraud.view'), async (req, res) => {
+  try {
+    const result = await riskRules.dryRun(req.body.rule, req.body.days || 7);
+    res.status(result.success ? 200 : 400).json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Clear or set a player's withdrawal hold (KYC has its own routes below)
+router.post('/users/:telegramId/holds', adminAuth('fraud.manage'), async (req, res) => {
+  try {
+    const telegramId = parseInt(req.params.telegramId);
+    const user = await User.findOne({ telegramId });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (typeof req.body.withdrawalsHeld !== 'boolean') {
+      return res.status(400).json({ error: 'withdrawalsHeld must be true or false' });
+    }
+
+    const before = { withdrawalsHeld: user.withdrawalsHeld };
+    user.withdrawalsHeld = req.body.withdrawalsHeld;
+    await user.save();
+
+    // The request waiting in the queue follows the player's hold
+    const withdrawal = user.withdrawalsHeld
+      ? await Withdrawals.hold(telegramId, { by: req.admin.username, reason: req.body.reason })
+      : await Withdrawals.release(telegramId);
+
+    const after = { withdrawalsHeld: user.withdrawalsHeld };
+    AuditLog.fromRequest(req, 'user.holds', {
+      target: { type: 'user', id: telegramId },
+      before,
+      after,
+      details: { reason: req.body.reason, withdrawalId: withdrawal ? withdrawal._id.toString() : undefined }
+    });
+    res.json({ success: true, ...after });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// KYC review queue (status: submitted by default, requested|approved|rejected|all; userId)
+router.get('/kyc', adminAuth('kyc.review'), async (req, res) => {
+  try {
+    res.json(await Kyc.list({
+      status: req.query.status || 'submitted',
+      userId: req.query.userId ? parseInt(req.query.userId) : undefined,
+      page: Math.max(parseInt(req.query.page) || 1, 1),
+      limit: Math.min(parseInt(req.query.limit) || 50, 200)
+    }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// The file itself; every view is audited
+router.get('/kyc/:requestId/documents/:documentId', adminAuth('kyc.review'), async (req, res) => {
+  try {
+    const file = await Kyc.readDocument(req.params.requestId, req.params.documentId);
+    if (!file) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    file.stream.on('error', (error) => {
+      console.error('❌ KYC document read failed:', error.message);
+      if (!res.headersSent) res.status(404).json({ error: 'Document file is missing' });
+      else res.destroy();
+    });
+    file.stream.once('open', () => {
+      AuditLog.fromRequest(req, 'kyc.document.view', {
+        target: { type: 'user', id: file.request.userId },
+        details: { requestId: req.params.requestId, documentId: req.params.documentId }
+      });
+      res.set({
+        'Content-Type': file.document.mimeType,
+        'Content-Disposition': 'inline',
+        'Cache-Control': 'no-store',
+        'X-Content-Type-Options': 'nosniff'
+      });
+      file.stream.pipe(res);
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+const reviewKyc = (action, review) => async (req, res) => {
+  try {
+    const telegramId = parseInt(req.params.telegramId);
+    const result = await review(telegramId, req.admin.username, req.body);
+    if (!result.success) {
+      return res.status(result.error === 'User not found' ? 404 : 400).json(result);
+    }
+
+    if (!result.existing) {
+      AuditLog.fromRequest(req, `kyc.${action}`, {
+        target: { type: 'user', id: telegramId },
+        before: result.before ? { kycStatus: result.before } : undefined,
+        after: { kycStatus: result.request.status },
+        details: { requestId: result.request.id, reason: req.body.reason }
+      });
+    }
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Ask the player for documents through the bot (reason)
+router.post('/users/:telegramId/kyc/request', adminAuth('kyc.review'), reviewKyc('request', (userId, admin, body) =>
+  Kyc.request(userId, { by: admin, reason: body.reason })
+));
+
+router.post('/users/:telegramId/kyc/approve', adminAuth('kyc.review'), reviewKyc('approve', (userId, admin) =>
+  Kyc.approve(userId, admin)
+));
+
+// reason is sent to the player
+router.post('/users/:telegramId/kyc/reject', adminAuth('kyc.review'), reviewKyc('reject', (userId, admin, body) =>
+  Kyc.reject(userId, admin, body.reason)
+));
+
+// Bot flood control limits with what each one means
+router.get('/spam/settings', adminAuth('fraud.view'), (req, res) => {
+  res.json({ settings: floodControl.describe(), fields: floodControl.fields() });
+});
+
+router.put('/spam/settings', adminAuth('fraud.manage'), async (req, res) => {
+  try {
+    const result = await floodControl.update(req.body, req.admin.username);
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    AuditLog.fromRequest(req, 'spam.settings', {
+      target: { type: 'floodControl', id: Object.keys(req.body).join(',') },
+      before: result.before,
+      after: result.settings
+    });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Floods and mutes (kind: flood|mute|all, userId) with 24 hour stats
+router.get('/spam/log', adminAuth('fraud.view'), async (req, res) => {
+  try {
+    const [log, stats] = await Promise.all([
+      floodControl.list({
+        kind: req.query.kind || 'all',
+        userId: req.query.userId ? parseInt(req.query.userId) : undefined,
+        page: Math.max(parseInt(req.query.page) || 1, 1),
+        limit: Math.min(parseInt(req.query.limit) || 50, 200)
+      }),
+      floodControl.stats()
+    ]);
+    res.json({ ...log, stats });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/spam/users/:telegramId/mute', adminAuth('fraud.manage'), async (req, res) => {
+  try {
+    const telegramId = parseInt(req.params.telegramId);
+    const user = await User.findOne({ telegramId }).select('telegramId username');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const minutes = parseInt(req.body.minutes);
+    const result = floodControl.mute({ id: telegramId, username: user.username }, {
+      minutes,
+      by: req.admin.username,
+      reason: req.body.reason
+    });
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    AuditLog.fromRequest(req, 'spam.mute', {
+      target: { type: 'user', id: telegramId },
+      after: { mutedUntil: result.until },
+      details: { minutes, reason: req.body.reason }
+    });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/spam/users/:telegramId/unmute', adminAuth('fraud.manage'), async (req, res) => {
+  try {
+    const telegramId = parseInt(req.params.telegramId);
+    const result = await floodControl.unmute(telegramId, req.admin.username);
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    AuditLog.fromRequest(req, 'spam.unmute', { target: { type: 'user', id: telegramId } });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Support inbox - most urgent first (status: active|open|answered|closed|all, priority, assignedTo, userId)
+router.get('/tickets', adminAuth('tickets.answer'), async (req, res) => {
+  try {
+    const [result, stats] = await Promise.all([
+      SupportTickets.list({
+        status: req.query.status || 'active',
+        priority: req.query.priority,
+        assignedTo: req.query.assignedTo,
+        userId: req.query.userId ? parseInt(req.query.userId) : undefined,
+        page: Math.max(parseInt(req.query.page) || 1, 1),
+        limit: Math.min(parseInt(req.query.limit) || 50, 200)
+      }),
+      SupportTickets.stats()
+    ]);
+    res.json({ ...result, stats });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// CSV of tickets (status, priority, assignedTo, userId, from, to)
+router.get('/tickets/export', adminAuth('tickets.answer'), async (req, res) => {
+  try {
+    const { status, priority, assignedTo, userId, from, to } = req.query;
+    const csv = await SupportTickets.exportCsv({
+      status: status || 'all',
+      priority,
+      assignedTo,
+      userId: userId ? parseInt(userId) : undefined,
+      from,
+      to
+    });
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="tickets-${new Date().toISOString().slice(0, 10)}.csv"`);
+    res.send(csv);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/tickets/templates', adminAuth('tickets.answer'), async (req, res) => {
+  try {
+    res.json({ templates: await SupportTickets.templates() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create or replace a reply template ({ title, body } with {variables})
+router.put('/tickets/templates/:key', adminAuth('tickets.answer'), async (req, res) => {
+  try {
+    const { before, ...result } = await SupportTickets.saveTemplate({ ...req.body, key: req.params.key }, req.admin.username);
+    if (result.success) {
+      AuditLog.fromRequest(req, before ? 'ticketTemplate.update' : 'ticketTemplate.create', {
+        target: { type: 'ticketTemplate', id: result.template.key },
+        before: before && { title: before.title, body: before.body },
+        after: { title: result.template.title, body: result.template.body }
+      });
+    }
+    res.status(result.success ? 200 : 400).json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.delete('/tickets/templates/:key', adminAuth('tickets.answer'), async (req, res) => {
+  try {
+    const result = await SupportTickets.deleteTemplate(req.params.key);
+    if (result.success) {
+      AuditLog.fromRequest(req, 'ticketTemplate.delete', {
+        target: { type: 'ticketTemplate', id: result.template.key },
+        before: { title: result.template.title, body: result.template.body }
+      });
+    }
+    res.status(result.success ? 200 : 404).json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// A ticket with its conversation (ID or number)
+router.get('/tickets/:id', adminAuth('tickets.answer'), async (req, res) => {
+  try {
+    const result = await SupportTickets.get(req.params.id);
+    res.status(result.success ? 200 : 404).json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Runs one ticket change and audits it
+const updateTicket = (action, update) => async (req, res) => {
+  try {
+    const result = await update(req);
+    if (result.success) {
+      AuditLog.fromRequest(req, `ticket.${action}`, {
+        target: { type: 'ticket', id: result.ticket.number },
+        after: { status: result.ticket.status, priority: result.ticket.priority, assignedTo: result.ticket.assignedTo },
+        details: { userId: result.ticket.userId, template: req.body.template, reason: req.body.reason }
+      });
+    }
+    res.status(result.success ? 200 : result.error === 'Ticket not found' ? 404 : 400).json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// { text } or { template, variables }
+router.post('/tickets/:id/reply', adminAuth('tickets.answer'), updateTicket('reply', req =>
+  req.body.template
+    ? SupportTickets.replyWithTemplate(req.params.id, req.admin.username, req.body.template, req.body.variables)
+    : SupportTickets.reply(req.params.id, req.admin.username, req.body.text)
+));
+
+router.post('/tickets/:id/assign', adminAuth('tickets.answer'), updateTicket('assign', req =>
+  SupportTickets.assign(req.params.id, req.body.assignTo === undefined ? req.admin.username : req.body.assignTo)
+));
+
+router.post('/tickets/:id/priority', adminAuth('tickets.answer'), updateTicket('priority', req =>
+  SupportTickets.setPriority(req.params.id, req.body.priority)
+));
+
+router.post('/tickets/:id/escalate', adminAuth('tickets.answer'), updateTicket('escalate', req =>
+  SupportTickets.escalate(req.params.id, req.admin.username, req.body.reason)
+));
+
+router.post('/tickets/:id/close', adminAuth('tickets.answer'), updateTicket('close', req =>
+  SupportTickets.close(req.params.id, req.admin.username)
+));
+
+// Audit log, newest first. action accepts a prefix such as 'user.*'
+router.get('/audit', adminAuth('audit.view'), async (req, res) => {
+  try {
+    const { actor, action, targetType, targetId, from, to } = req.query;
+    res.json(await AuditLog.query({
+      actor,
+      action,
+      targetType,
+      targetId,
+      from,
+      to,
+      page: Math.max(parseInt(req.query.page) || 1, 1),
+      limit: Math.min(parseInt(req.query.limit) || 50, 200)
+    }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Recompute the hash chain and report the first broken entry
+router.get('/audit/verify', adminAuth('audit.view'), async (req, res) => {
+  try {
+    res.json(await AuditLog.verify());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Force crash next game (for testing)
+router.post('/games/force-crash', adminAuth('rooms.manage'), async (req, res) => {
+  // Crash points are committed by the provably fair seeds before betting opens,
+  // so overriding one would make the round fail verification.
+  res.status(400).json({ 
+    success: false, 
+    error: 'Crash points are derived from the committed seeds and cannot be forced' 
+  });
+});
+
+// Send broadcast message
+router.post('/broadcast', adminAuth('broadcast.send'), async (req, res) => {
+  try {
+    const { message, type } = req.body;
+    
+    // Broadcast to all connected clients
+    req.io.emit('admin:broadcast', {
+      message,
+      type: type || 'info',
+      timestamp: new Date()
+    });
+
+    AuditLog.fromRequest(req, 'broadcast.send', { details: { message, type: type || 'info' } });
+    
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Bot campaigns - segments to send to, with how many players each reaches
+router.get('/campaigns/segments', adminAuth('broadcast.send'), async (req, res) => {
+  try {
+    res.json({ segments: await Segments.list(true) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Players a campaign to the segment would reach, opted-out players left out
+router.get('/campaigns/preview', adminAuth('broadcast.send'), async (req, res) => {
+  try {
+    const result = await campaigns.preview(req.query.segment);
+    res.status(result.success ? 200 : 400).json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/campaigns', adminAuth('broadcast.send'), async (req, res) => {
+  try {
+    res.json({
+      campaigns: await campaigns.list({
+        status: req.query.status,
+        limit: Math.min(parseInt(req.query.limit) || 50, 200)
+      })
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/campaigns/:id', adminAuth('broadcast.send'), async (req, res) => {
+  try {
+    const campaign = await campaigns.get(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    res.json({ campaign });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// { name, segment, message, buttonText?, scheduledAt? } - sent right away without scheduledAt
+router.post('/campaigns', adminAuth('broadcast.send'), async (req, res) => {
+  try {
+    const result = await campaigns.create(req.body, req.admin.username);
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    AuditLog.fromRequest(req, 'campaign.create', {
+      target: { type: 'campaign', id: result.campaign.id },
+      after: result.campaign
+    });
+    res.status(201).json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/campaigns/:id/cancel', adminAuth('broadcast.send'), async (req, res) => {
+  try {
+    const result = await campaigns.cancel(req.params.id, req.admin.username);
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    AuditLog.fromRequest(req, 'campaign.cancel', {
+      target: { type: 'campaign', id: result.campaign.id },
+      details: { stats: result.campaign.stats }
+    });
+    res.json(result);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -0,0 +1,122 @@
+// routes/adminSocket.js
+const { authenticateAdmin, hasPermission, ROLE_PERMISSIONS } = require('../middleware/adminAuth');
+const AdminActions = require('../services/AdminActions');
+const SupportTickets = require('../services/SupportTickets');
+const events = require('../services/events');
+
+// Every permission a role can hold; each has a socket room (perm:<permission>)
+const PERMISSIONS = [...new Set(Object.values(ROLE_PERMISSIONS).flat())].filter(permission => permission !== '*');
+
+/**
+ * Admin dashboard socket namespace (/admin). Connecting needs an admin login
+ * token (auth: { token }). 'admin_action' runs a registered action and
+ * answers through the acknowledgement callback, or 'admin_action_result'
+ * when the client sent none. Live updates only go to admins whose role has
+ * the permission that would let them read the same thing over the API.
+ * @param {object} io - socket.io server
+ * @param {object} context - { roomManager }
+ */
+module.exports = (io, { roomManager }) => {
+  const admins = io.of('/admin');
+
+  admins.use(async (socket, next) => {
+    try {
+      const { admin, error } = await authenticateAdmin(socket.handshake.auth && socket.handshake.auth.token);
+      if (!admin) return next(new Error(error));
+
+      socket.adminName = admin.username;
+      socket.adminRole = admin.role;
+      next();
+    } catch (error) {
+      next(new Error('Authentication failed'));
+    }
+  });
+
+  const to = (permission) => admins.to(`perm:${permission}`);
+
+  // Live dashboard updates
+  events.on('audit', (entry) => {
+    to('audit.view').emit('adminUpdate', {
+      action: entry.action,
+      actor: entry.actor && entry.actor.username,
+      target: entry.target,
+      createdAt: entry.createdAt
+    });
+  });
+
+  events.on('round', (round) => {
+    to('games.view').emit('gameRound', { ...round, roundNumber: round.gameId });
+  });
+
+  events.on('withdrawal', (withdrawal) => {
+    to('withdrawals.view').emit('star_transaction_update', { type: 'withdrawal', ...withdrawal });
+  });
+
+  events.on('fraudAlert', (alert) => {
+    to('fraud.view').emit('fraud_alert', alert);
+  });
+
+  events.on('ticket', async (update) => {
+    try {
+      to('tickets.answer').emit('support_ticket_update', { ...update, stats: await SupportTickets.stats() });
+    } catch (error) {
+      console.error('❌ Support ticket update failed:', error.message);
+    }
+  });
+
+  events.on('campaign', (campaign) => {
+    to('broadcast.send').emit('campaign_update', campaign);
+  });
+
+  events.on('bulkBonus', (grant) => {
+    to('balance.adjust').emit('bulk_bonus_update', grant);
+  });
+
+  events.on('kyc', (update) => {
+    to('kyc.review').emit('kyc_update', update);
+  });
+
+  events.on('spam', (update) => {
+    to('fraud.view').emit('spam_update', update);
+  });
+
+  admins.on('connection', (socket) => {
+    console.log(`🛡️ Admin dashboard connected: ${socket.adminName}`);
+    PERMISSIONS
+      .filter(permission => hasPermission(socket.adminRole, permission))
+      .forEach(permission => socket.join(`perm:${permission}`));
+
+    socket.on('admin_action', async (data, ack) => {
+      const reply = typeof ack === 'function' ? ack : (result) => socket.emit('admin_action_result', result);
+      const action = data && data.action;
+
+      try {
+        // Looked up again for every action, like adminAuth does per request
+        const { admin, error } = await authenticateAdmin(socket.handshake.auth.token);
+        if (!admin) {
+          reply({ action, success: false, error });
+          socket.disconnect(true);
+          return;
+        }
+
+        const result = await AdminActions.run(action, data, {
+          admin: { id: admin._id.toString(), username: admin.username, role: admin.role },
+          ip: socket.handshake.address,
+          userAgent: socket.handshake.headers['user-agent'],
+          io,
+          roomManager
+        });
+        reply({ action, ...result });
+      } catch (error) {
+        console.error(`❌ Admin action ${action} failed:`, error);
+        reply({ action, success: false, error: error.message });
+      }
+    });
+
+    socket.on('disconnect', () => {
+      console.log(`🛡️ Admin dashboard disconnected: ${socket.adminName}`);
+    });
+  });
+
+  return admins;
+};
@@ -1,9 +1,23 @@
 // routes/player.js (FIXED)
 const express = require('express');
 const router = express.Router();
-const { User, Game, Transaction } = require('../db/database');
+const { User, Game, Transaction, SeedChain } = require('../db/database');
+const ProvablyFair = require('../game/ProvablyFair');
+const PlayerSeeds = require('../game/PlayerSeeds');
+const gameConfig = require('../config/gameConfig');
+const Wallet = require('../services/Wallet');
+const StarPayments = require('../services/StarPayments');
+const Withdrawals = require('../services/Withdrawals');
+const FraudEngine = require('../services/FraudEngine');
+const campaigns = require('../services/Campaigns');
+const TelegramAuth = require('../services/TelegramAuth');
+const { playerAuth, optionalPlayerAuth } = require('../middleware/playerAuth');
 const rateLimit = require('express-rate-limit');
 
+// Rounds whose seeds may be revealed (rounds interrupted before takeoff never got a crash point)
+const FINISHED = ['crashed', 'recovered'];
+const FINISHED_QUERY = { status: { $in: FINISHED }, crashPoint: { $ne: null } };
+
 // Rate limiting
 const betRateLimit = rateLimit({
   windowMs: 1000, // 1 second
@@ -17,48 +31,35 @@ const cashoutRateLimit = rateLimit({
   message: { error: 'Too many cashout attempts' }
 });
 
-// Register/Login user
+// Register/Login user - exchanges Mini App initData for a player session
 router.post('/register', async (req, res) => {
   try {
-    const { telegramId, username, firstName, lastName } = req.body;
-    
-    if (!telegramId) {
-      return res.status(400).json({ error: 'Telegram ID required' });
+    const auth = TelegramAuth.verifyInitData(req.body.initData);
+    if (!auth.success) {
+      return res.status(401).json({ error: auth.error });
     }
-    
-    let user = await User.findOne({ telegramId });
-    if (!user) {
-      // Create new user
-      user = new User({
-        telegramId,
-        username: username || `User${telegramId}`,
-        firstName: firstName || 'Player',
-        lastName: lastName || '',
-        balance: 1000, // Starting balance
-        referralCode: generateReferralCode()
-      });
-      
-      await user.save();
+
+    const telegramId = auth.user.id;
+    const { user, created } = await Wallet.openAccount({
+      telegramId,
+      username: auth.user.username || `User${telegramId}`,
+      firstName: auth.user.first_name || 'Player',
+      lastName: auth.user.last_name || ''
+    });
+
+    if (created) {
       console.log(`👤 New user: ${user.username} (${telegramId})`);
-      
-      // Give welcome bonus
-      await new Transaction({
-        userId: telegramId,
-        type: 'bonus',
-        amount: 1000,
-        balanceBefore: 0,
-        balanceAfter: 1000,
-        description: 'Welcome bonus'
-      }).save();
-      
     } else {
       // Update last active
       user.lastActive = new Date();
       await user.save();
     }
+
+    FraudEngine.observe(telegramId, req.ip, req.body.device);
     
     res.json({
       success: true,
+      token: TelegramAuth.createSession(user),
       user: {
         telegramId: user.telegramId,
         username: user.username,
@@ -75,18 +76,19 @@ router.post('/register', async (req, res) => {
 });
 
 // Get user profile
-router.get('/profile/:telegramId', async (req, res) => {
+router.get('/profile', playerAuth, async (req, res) => {
   try {
-    const user = await User.findOne({ telegramId: req.params.telegramId });
+    const { telegramId } = req.player;
+    const user = await User.findOne({ telegramId });
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
 
     // Get user game stats
-    const games = await Game.find({ 'bets.userId': parseInt(req.params.telegramId) });
+    const games = await Game.find({ 'bets.userId': telegramId });
     const totalGames = games.length;
     const wonGames = games.filter(game => 
-      game.bets.some(bet => bet.userId === parseInt(req.params.telegramId) && bet.cashedOut)
+      game.bets.some(bet => bet.userId === telegramId && bet.cashedOut)
     ).length;
 
     res.json({
@@ -111,20 +113,31 @@ router.get('/profile/:telegramId', async (req, res) => {
 });
 
 // Place bet
-router.post('/bet', betRateLimit, async (req, res) => {
+router.post('/bet', betRateLimit, playerAuth, async (req, res) => {
   try {
-    const { telegramId, amount } = req.body;
+    const { amount, autoCashout, slot } = req.body;
+    const { telegramId } = req.player;
+    const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotencyKey;
     
-    if (!telegramId || !amount) {
+    if (!amount) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
 
+    // Room limits are checked by the engine
     const numAmount = parseInt(amount);
-    if (numAmount < 10 || numAmount > 10000) {
-      return res.status(400).json({ error: 'Invalid bet amount (10-10000 stars)' });
+    const minBet = gameConfig.get('minBet');
+    const maxBet = gameConfig.get('maxBet');
+    if (!(numAmount >= minBet && numAmount <= maxBet)) {
+      return res.status(400).json({ error: `Invalid bet amount (${minBet}-${maxBet} stars)` });
+    }
+
+    // Optional auto-cashout target, settled server-side on the game loop
+    const numAutoCashout = autoCashout ? parseFloat(autoCashout) : null;
+    if (numAutoCashout !== null && !(numAutoCashout >= 1.01 && numAutoCashout <= 1000)) {
+      return res.status(400).json({ error: 'Invalid auto cashout (1.01x - 1000x)' });
     }
     
-    const result = await req.gameEngine.placeBet(telegramId, numAmount);
+    const result = await req.gameEngine.placeBet(telegramId, numAmount, numAutoCashout, slot ? parseInt(slot) : 1, idempotencyKey);
     res.json(result);
   } catch (error) {
     console.error('Bet error:', error);
@@ -133,15 +146,13 @@ router.post('/bet', betRateLimit, async (req, res) => {
 });
 
 // Cash out
-router.post('/cashout', cashoutRateLimit, async (req, res) => {
+router.post('/cashout', cashoutRateLimit, playerAuth, async (req, res) => {
   try {
-    const { telegramId } = req.body;
-    
-    if (!telegramId) {
-      return res.status(400).json({ error: 'Telegram ID required' });
-    }
+    const { slot } = req.body;
+    const { telegramId } = req.player;
+    const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotencyKey;
     
-    const result = await req.gameEngine.cashOut(telegramId);
+    const result = await req.gameEngine.cashOut(telegramId, slot ? parseInt(slot) : 1, idempotencyKey);
     res.json(result);
   } catch (error) {
     console.error('Cashout error:', error);
@@ -161,33 +172,39 @@ router.get('/game-state', (req, res) => {
 });
 
 // Get game history
-router.get('/history/:telegramId', async (req, res) => {
+router.get('/history', playerAuth, async (req, res) => {
   try {
-    const { telegramId } = req.params;
+    const { telegramId } = req.player;
     const limit = parseInt(req.query.limit) || 20;
     const page = parseInt(req.query.page) || 1;
+
+    // Rounds still in play are left out so their crash point stays hidden
+    const query = { 'bets.userId': telegramId, ...FINISHED_QUERY };
+    if (req.query.roomId) query.roomId = req.query.roomId;
     
-    const games = await Game.find({ 'bets.userId': parseInt(telegramId) })
-      .sort({ gameId: -1 })
+    const games = await Game.find(query)
+      .sort({ createdAt: -1 })
       .limit(limit)
       .skip((page - 1) * limit)
-      .select('gameId crashPoint bets createdAt');
+      .select('roomId gameId crashPoint bets createdAt');
     
-    const userGames = games.map(game => {
-      const userBet = game.bets.find(bet => bet.userId === parseInt(telegramId));
-      if (!userBet) return null;
-      
-      return {
+    // One entry per bet, so rounds played with both bet slots list two entries
+    const userGames = games.flatMap(game => game.bets
+      .filter(bet => bet.userId === telegramId)
+      .sort((a, b) => a.slot - b.slot)
+      .map(userBet => ({
+        roomId: game.roomId,
         gameId: game.gameId,
+        slot: userBet.slot,
         crashPoint: game.crashPoint,
         betAmount: userBet.betAmount,
+        autoCashout: userBet.autoCashout,
         cashoutMultiplier: userBet.cashoutMultiplier,
         payout: userBet.payout,
         profit: userBet.profit,
         cashedOut: userBet.cashedOut,
         timestamp: game.createdAt
-      };
-    }).filter(Boolean);
+      })));
 
     res.json({ games: userGames });
   } catch (error) {
@@ -201,12 +218,13 @@ router.get('/recent-history', async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 10;
     
-    const games = await Game.find()
-      .sort({ gameId: -1 })
+    const games = await Game.find(FINISHED_QUERY)
+      .sort({ createdAt: -1 })
       .limit(limit)
-      .select('gameId crashPoint createdAt');
+      .select('roomId gameId crashPoint createdAt');
     
     const history = games.map(game => ({
+      roomId: game.roomId,
       gameId: game.gameId,
       crashPoint: parseFloat(game.crashPoint.toFixed(2)),
       timestamp: game.createdAt
@@ -220,13 +238,13 @@ router.get('/recent-history', async (req, res) => {
 });
 
 // Get transaction history
-router.get('/transactions/:telegramId', async (req, res) => {
+router.get('/transactions', playerAuth, async (req, res) => {
   try {
-    const { telegramId } = req.params;
+    const { telegramId } = req.player;
     const limit = parseInt(req.query.limit) || 20;
     const type = req.query.type; // filter by type
     
-    let query = { userId: parseInt(telegramId) };
+    let query = { userId: telegramId };
     if (type) query.type = type;
     
     const transactions = await Transaction.find(query)
@@ -240,30 +258,104 @@ router.get('/transactions/:telegramId', async (req, res) => {
   }
 });
 
-// Verify game
-router.get('/verify/:gameId', async (req, res) => {
+// Verify game (round numbers are per room, default room unless ?roomId= is given)
+router.get('/verify/:gameId', optionalPlayerAuth, async (req, res) => {
   try {
-    const game = await Game.findOne({ gameId: parseInt(req.params.gameId) });
+    const game = await Game.findOne({ 
+      roomId: req.query.roomId || 'main',
+      gameId: parseInt(req.params.gameId),
+      ...FINISHED_QUERY
+    });
     if (!game) {
       return res.status(404).json({ error: 'Game not found' });
     }
 
-    const ProvablyFair = require('../game/ProvablyFair');
+    // Rounds from before the house edge was recorded used 2%
+    const houseEdge = game.houseEdge ?? 0.02;
     const calculatedCrash = ProvablyFair.calculateCrashPoint(
       game.serverSeed,
       game.clientSeed,
-      game.gameId
+      game.gameId,
+      houseEdge
     );
 
-    const isValid = Math.abs(calculatedCrash - game.crashPoint) < 0.01;
+    // The round's client seed mixes the first bettors' player seed contributions
+    // into the base client seed (rounds before player seeds have no base seed)
+    const contributions = game.seedContributions.map(entry => entry.contribution);
+    const clientSeedValid = !game.baseClientSeed ||
+      ProvablyFair.combineClientSeed(game.baseClientSeed, contributions) === game.clientSeed;
+
+    const isValid = Math.abs(calculatedCrash - game.crashPoint) < 0.01 && clientSeedValid;
+
+    // With a player session the player's own bets are checked against their
+    // seed pairs; contributions can be recomputed once a pair has been rotated
+    let playerBets;
+    if (req.player) {
+      const userId = req.player.telegramId;
+      playerBets = [];
+
+      for (const bet of game.bets.filter(bet => bet.userId === userId && bet.playerSeed)) {
+        const { hashedServerSeed, clientSeed, nonce } = bet.playerSeed;
+        const pair = await PlayerSeeds.findRevealed(hashedServerSeed);
+        const contribution = pair 
+          ? ProvablyFair.calculateSeedContribution(pair.serverSeed, clientSeed, nonce) 
+          : null;
+
+        playerBets.push({
+          slot: bet.slot,
+          hashedServerSeed,
+          serverSeed: pair ? pair.serverSeed : null,
+          clientSeed,
+          nonce,
+          contribution,
+          contributed: contribution ? contributions.includes(contribution) : null,
+          revealed: !!pair
+        });
+      }
+    }
+
+    // Chain seeds must hash to the seed of the chain's previous round, or to
+    // the published terminating hash for the chain's first round
+    let chain = null;
+    if (game.chainId) {
+      const previous = await Game.findOne({ 
+        chainId: game.chainId, 
+        chainPosition: { $lt: game.chainPosition } 
+      })
+        .sort({ chainPosition: -1 })
+        .select('gameId serverSeed chainPosition');
+      const seedChain = await SeedChain.findOne({ chainId: game.chainId });
+      if (!seedChain) {
+        return res.status(404).json({ error: 'Seed chain not found' });
+      }
+
+      const laterHash = previous ? previous.serverSeed : seedChain.terminatingHash;
+      const distance = game.chainPosition - (previous ? previous.chainPosition : 0);
+
+      chain = {
+        chainId: game.chainId,
+        position: game.chainPosition,
+        terminatingHash: seedChain.terminatingHash,
+        linksTo: previous ? { gameId: previous.gameId, serverSeed: previous.serverSeed } : 'terminatingHash',
+        hashesToLink: distance,
+        isValid: ProvablyFair.verifyChainLink(game.serverSeed, laterHash, distance)
+      };
+    }
 
     res.json({
+      roomId: game.roomId,
       gameId: game.gameId,
       serverSeed: game.serverSeed,
       clientSeed: game.clientSeed,
+      baseClientSeed: game.baseClientSeed,
+      seedContributions: contributions,
+      clientSeedValid: clientSeedValid,
       crashPoint: game.crashPoint,
+      houseEdge: houseEdge,
       calculatedCrash: calculatedCrash,
-      isValid: isValid,
+      isValid: isValid && (!chain || chain.isValid),
+      chain: chain,
+      playerBets: playerBets,
       timestamp: game.createdAt
     });
   } catch (error) {
@@ -272,55 +364,50 @@ router.get('/verify/:gameId', async (req, res) => {
   }
 });
 
-// Daily bonus
-router.post('/bonus/daily', async (req, res) => {
+// Player seed pair: hashed server seed, client seed and nonce, plus revealed pairs
+router.get('/seeds', playerAuth, async (req, res) => {
   try {
-    const { telegramId } = req.body;
-    
-    if (!telegramId) {
-      return res.status(400).json({ error: 'Telegram ID required' });
-    }
-    
-    const user = await User.findOne({ telegramId });
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
+    const seeds = await PlayerSeeds.list(req.player.telegramId);
+    res.json(seeds);
+  } catch (error) {
+    console.error('Seeds error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const now = new Date();
-    const lastBonus = user.lastDailyBonus || new Date(0);
-    const timeSinceLastBonus = now - lastBonus;
-    const hoursUntilNext = Math.max(0, 24 - (timeSinceLastBonus / (1000 * 60 * 60)));
+// Rotate seeds: reveals the current server seed and commits to a new one.
+// Pass clientSeed to choose the new client seed.
+router.post('/seeds/rotate', playerAuth, async (req, res) => {
+  try {
+    const result = await PlayerSeeds.rotate(req.player.telegramId, req.body.clientSeed);
+    res.status(result.success ? 200 : 400).json(result);
+  } catch (error) {
+    console.error('Seed rotation error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    if (hoursUntilNext > 0) {
+// Daily bonus
+router.post('/bonus/daily', playerAuth, async (req, res) => {
+  try {
+    const result = await Wallet.claimDailyBonus(req.player.telegramId);
+
+    if (!result.success) {
+      if (result.hoursLeft === undefined) {
+        return res.status(404).json({ error: result.error });
+      }
       return res.json({
         success: false,
-        message: `Next bonus available in ${hoursUntilNext.toFixed(1)} hours`,
-        hoursLeft: hoursUntilNext
+        message: `Next bonus available in ${result.hoursLeft.toFixed(1)} hours`,
+        hoursLeft: result.hoursLeft
       });
     }
 
-    // Give daily bonus
-    const bonusAmount = user.isVIP ? 200 : 100;
-    const balanceBefore = user.balance;
-    user.balance += bonusAmount;
-    user.lastDailyBonus = now;
-    await user.save();
-
-    // Create transaction
-    await new Transaction({
-      userId: telegramId,
-      type: 'bonus',
-      amount: bonusAmount,
-      balanceBefore: balanceBefore,
-      balanceAfter: user.balance,
-      description: 'Daily bonus'
-    }).save();
-
     res.json({
       success: true,
-      bonus: bonusAmount,
-      newBalance: user.balance,
-      message: `Daily bonus claimed: ${bonusAmount}⭐`
+      bonus: result.bonus,
+      newBalance: result.user.balance,
+      message: `Daily bonus claimed: ${result.bonus}⭐`
     });
   } catch (error) {
     console.error('Daily bonus error:', error);
@@ -328,6 +415,65 @@ router.post('/bonus/daily', async (req, res) => {
   }
 });
 
+// Buy stars with Telegram Stars - returns an invoice link for
+// Telegram.WebApp.openInvoice(); the balance is credited when the bot
+// receives the payment
+router.post('/deposit', playerAuth, async (req, res) => {
+  try {
+    const result = await StarPayments.createInvoiceLink(req.player.telegramId, req.body.amount);
+    res.status(result.success ? 201 : 400).json(result);
+  } catch (error) {
+    console.error('Deposit error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/deposits', playerAuth, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const { payments } = await StarPayments.list({ userId: req.player.telegramId, limit });
+    res.json({ deposits: payments });
+  } catch (error) {
+    console.error('Deposits error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Withdrawals - the amount is held from the balance until an admin reviews it
+router.post('/withdrawals', playerAuth, async (req, res) => {
+  try {
+    const { amount, destination } = req.body;
+    const result = await Withdrawals.request(req.player.telegramId, amount, destination);
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+    res.status(201).json({ success: true, withdrawal: result.withdrawal, newBalance: result.user.balance });
+  } catch (error) {
+    console.error('Withdrawal error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/withdrawals', playerAuth, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    res.json({ withdrawals: await Withdrawals.history(req.player.telegramId, limit) });
+  } catch (error) {
+    console.error('Withdrawals error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// The mini app was opened from a campaign message (?campaign=<id> on its URL)
+router.post('/campaigns/:deliveryId/click', playerAuth, async (req, res) => {
+  try {
+    res.json(await campaigns.click(req.params.deliveryId, req.player.telegramId));
+  } catch (error) {
+    console.error('Campaign click error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get leaderboard
 router.get('/leaderboard', async (req, res) => {
   try {
@@ -369,8 +515,4 @@ router.get('/leaderboard', async (req, res) => {
   }
 });
 
-function generateReferralCode() {
-  return Math.random().toString(36).substring(2, 8).toUpperCase();
-}
-
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,178 @@
+// routes/rooms.js
+const express = require('express');
+const router = express.Router();
+const { Game } = require('../db/database');
+const { playerAuth } = require('../middleware/playerAuth');
+
+// Resolve the room's engine for every /:roomId route
+router.param('roomId', (req, res, next, roomId) => {
+  const engine = req.roomManager.get(roomId);
+  if (!engine) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+  req.roomEngine = engine;
+  next();
+});
+
+// List rooms
+router.get('/', (req, res) => {
+  try {
+    res.json({ rooms: req.roomManager.list() });
+  } catch (error) {
+    console.error('Rooms error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Room info and current game state
+router.get('/:roomId', (req, res) => {
+  try {
+    res.json({
+      room: req.roomEngine.getRoomInfo(),
+      gameState: req.roomEngine.getGameState()
+    });
+  } catch (error) {
+    console.error('Room state error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Place bet in a room
+router.post('/:roomId/bet', playerAuth, async (req, res) => {
+  try {
+    const { amount, autoCashout, slot } = req.body;
+    const { telegramId } = req.player;
+    const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotencyKey;
+
+    if (!amount) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    const numAutoCashout = autoCashout ? parseFloat(autoCashout) : null;
+    const result = await req.roomEngine.placeBet(telegramId, parseInt(amount), numAutoCashout, slot ? parseInt(slot) : 1, idempotencyKey);
+    res.json(result);
+  } catch (error) {
+    console.error('Room bet error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Cash out in a room
+router.post('/:roomId/cashout', playerAuth, async (req, res) => {
+  try {
+    const { slot } = req.body;
+    const { telegramId } = req.player;
+    const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotencyKey;
+
+    const result = await req.roomEngine.cashOut(telegramId, slot ? parseInt(slot) : 1, idempotencyKey);
+    res.json(result);
+  } catch (error) {
+    console.error('Room cashout error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Published seed chains: the terminating hash of the chain in play and of
+// upcoming chains, plus the root seeds of chains that are out of play
+router.get('/:roomId/seed-chain', async (req, res) => {
+  try {
+    if (!req.roomEngine.seedChains) {
+      return res.json({ roomId: req.params.roomId, mode: 'random', chains: [] });
+    }
+
+    const chains = await req.roomEngine.seedChains.list();
+    res.json({
+      roomId: req.params.roomId,
+      mode: 'chain',
+      active: chains.find(chain => chain.status === 'active') || null,
+      chains
+    });
+  } catch (error) {
+    console.error('Seed chain error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Recent crash points in a room
+router.get('/:roomId/history', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+
+    const games = await Game.find({ 
+      roomId: req.params.roomId, 
+      status: { $in: ['crashed', 'recovered'] }, 
+      crashPoint: { $ne: null } 
+    })
+      .sort({ gameId: -1 })
+      .limit(limit)
+      .select('gameId crashPoint totalBets totalPayout createdAt');
+
+    const history = games.map(game => ({
+      gameId: game.gameId,
+      crashPoint: parseFloat(game.crashPoint.toFixed(2)),
+      totalBets: game.totalBets,
+      totalPayout: game.totalPayout,
+      timestamp: game.createdAt
+    }));
+
+    res.json({ roomId: req.params.roomId, history });
+  } catch (error) {
+    console.error('Room history error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Leaderboard built from the bets placed in a room
+router.get('/:roomId/leaderboard', async (req, res) => {
+  try {
+    const type = req.query.type || 'profit'; // profit, wins, wagered
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+
+    let sortField;
+    switch (type) {
+      case 'wins':
+        sortField = 'totalWins';
+        break;
+      case 'wagered':
+        sortField = 'totalWagered';
+        break;
+      default:
+        sortField = 'profit';
+    }
+
+    const rows = await Game.aggregate([
+      { $match: { roomId: req.params.roomId } },
+      { $unwind: '$bets' },
+      {
+        $group: {
+          _id: '$bets.userId',
+          username: { $last: '$bets.username' },
+          totalWagered: { $sum: '$bets.betAmount' },
+          totalWon: { $sum: '$bets.payout' },
+          totalWins: { $sum: { $cond: ['$bets.cashedOut', 1, 0] } },
+          totalBets: { $sum: 1 }
+        }
+      },
+      { $addFields: { profit: { $subtract: ['$totalWon', '$totalWagered'] } } },
+      { $sort: { [sortField]: -1 } },
+      { $limit: limit }
+    ]);
+
+    const leaderboard = rows.map((row, index) => ({
+      rank: index + 1,
+      username: row.username,
+      totalBets: row.totalBets,
+      totalWins: row.totalWins,
+      totalWon: row.totalWon,
+      totalWagered: row.totalWagered,
+      profit: row.profit
+    }));
+
+    res.json({ roomId: req.params.roomId, leaderboard, type });
+  } catch (error) {
+    console.error('Room leaderboard error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
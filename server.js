@@ -11,11 +11,29 @@ const rateLimit = require('express-rate-limit');
 const path = require('path');
 
 // Import modules
-const GameEngine = require('./game/GameEngine');
+const gameConfig = require('./config/gameConfig');
+const RoomManager = require('./game/RoomManager');
 const AviatorTelegramBot = require('./bot/TelegramBot');
 const playerRoutes = require('./routes/player');
 const adminRoutes = require('./routes/admin');
+const setupAdminSocket = require('./routes/adminSocket');
+const roomRoutes = require('./routes/rooms');
 const ProvablyFair = require('./game/ProvablyFair');
+const Ledger = require('./services/Ledger');
+const Wallet = require('./services/Wallet');
+const reconciliation = require('./services/Reconciliation');
+const TelegramAuth = require('./services/TelegramAuth');
+const { playerAuth } = require('./middleware/playerAuth');
+const AdminAccounts = require('./services/AdminAccounts');
+const events = require('./services/events');
+const FraudEngine = require('./services/FraudEngine');
+const riskRules = require('./services/RiskRules');
+const SupportTickets = require('./services/SupportTickets');
+const campaigns = require('./services/Campaigns');
+const BulkBonuses = require('./services/BulkBonuses');
+const StarPayments = require('./services/StarPayments');
+const Kyc = require('./services/Kyc');
+const floodControl = require('./services/FloodControl');
 
 const app = express();
 const server = http.createServer(app);
@@ -35,6 +53,21 @@ if (missingVars.length > 0) {
   console.log('📝 Create a .env file based on .env.template');
 }
 
+// Game settings must be valid before any room starts
+try {
+  gameConfig.load();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+// Behind a proxy (Render) the player's IP is in X-Forwarded-For;
+// TRUST_PROXY is the number of proxy hops or an Express trust proxy value
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Security middleware with proper CSP for admin dashboard
 app.use(helmet({
   contentSecurityPolicy: {
@@ -102,24 +135,59 @@ const connectDB = async () => {
   }
 };
 
-// Initialize database
-connectDB();
-
-// Initialize game engine
-const gameEngine = new GameEngine(io);
-
-// Make game engine and io available to routes
+// Opening balances are posted before any room takes a bet, so a player's
+// first ledger entries are never their own stakes
+const startedAt = new Date();
+const ledgerOpened = connectDB()
+  .then(() => Ledger.openBalances(startedAt))
+  .catch(error => console.error('❌ Failed to open ledger balances:', error.message));
+
+// Initialize game rooms - each room runs its own engine; the default room
+// serves the single-room endpoints below
+const roomManager = new RoomManager(io, ledgerOpened);
+const gameEngine = roomManager.getDefault();
+
+// Restore runtime settings, then load the remaining rooms
+ledgerOpened
+  .then(() => AdminAccounts.bootstrap())
+  .catch(error => console.error('❌ Failed to set up admin accounts:', error.message))
+  .then(() => gameConfig.init())
+  .catch(error => console.error('❌ Failed to restore runtime settings:', error.message))
+  .then(() => riskRules.start())
+  .catch(error => console.error('❌ Failed to load risk rules:', error.message))
+  .then(() => SupportTickets.ensureDefaultTemplates())
+  .then(() => SupportTickets.startSlaMonitor())
+  .catch(error => console.error('❌ Failed to start support tickets:', error.message))
+  .then(() => campaigns.start())
+  .catch(error => console.error('❌ Failed to start the campaign queue:', error.message))
+  .then(() => BulkBonuses.resume())
+  .catch(error => console.error('❌ Failed to resume bulk bonuses:', error.message))
+  .then(() => StarPayments.recover(startedAt))
+  .then(recovered => recovered > 0 && console.log(`⭐ Recovered ${recovered} interrupted Stars payment(s)`))
+  .catch(error => console.error('❌ Failed to recover Stars payments:', error.message))
+  .then(() => Kyc.migrateLegacyFlags())
+  .catch(error => console.error('❌ Failed to migrate KYC flags:', error.message))
+  .then(() => floodControl.start())
+  .catch(error => console.error('❌ Failed to start bot flood control:', error.message))
+  .then(() => roomManager.init())
+  .then(() => reconciliation.start())
+  .catch(error => console.error('❌ Failed to start the ledger:', error.message));
+
+// Make game engines and io available to routes
 app.use((req, res, next) => {
   req.gameEngine = gameEngine;
+  req.roomManager = roomManager;
   req.io = io;
   next();
 });
 
 // Apply betting rate limit
 app.use('/api/player/bet', betLimiter);
+app.use('/api/rooms/:roomId/bet', betLimiter);
 
 // Routes
 app.use('/api/player', playerRoutes);
+app.use('/api/rooms', roomRoutes);
 app.use('/api/admin', adminRoutes);
 
 // Serve admin dashboard
@@ -128,18 +196,26 @@ app.get('/admin', (req, res) => {
 });
 
 // API Routes for game functionality
-app.post('/api/bet', async (req, res) => {
+app.post('/api/bet', playerAuth, async (req, res) => {
   try {
-    const { telegramId, amount } = req.body;
+    const { amount, autoCashout, slot } = req.body;
+    const { telegramId } = req.player;
+    const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotencyKey;
     
-    if (!telegramId || !amount) {
+    if (!amount) {
       return res.status(400).json({ 
         success: false, 
-        error: 'Missing telegramId or amount' 
+        error: 'Missing amount' 
       });
     }
     
-    const result = await gameEngine.placeBet(telegramId, amount);
+    const result = await gameEngine.placeBet(
+      telegramId, 
+      parseInt(amount), 
+      autoCashout ? parseFloat(autoCashout) : null, 
+      slot ? parseInt(slot) : 1,
+      idempotencyKey
+    );
     res.json(result);
   } catch (error) {
     console.error('Bet error:', error);
@@ -150,18 +226,13 @@ app.post('/api/bet', async (req, res) => {
   }
 });
 
-app.post('/api/cashout', async (req, res) => {
+app.post('/api/cashout', playerAuth, async (req, res) => {
   try {
-    const { telegramId } = req.body;
+    const { slot } = req.body;
+    const { telegramId } = req.player;
+    const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotencyKey;
     
-    if (!telegramId) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Missing telegramId' 
-      });
-    }
-    
-    const result = await gameEngine.cashOut(telegramId);
+    const result = await gameEngine.cashOut(telegramId, slot ? parseInt(slot) : 1, idempotencyKey);
     res.json(result);
   } catch (error) {
     console.error('Cashout error:', error);
@@ -174,29 +245,57 @@ app.post('/api/cashout', async (req, res) => {
 
 app.post('/api/register', async (req, res) => {
   try {
-    const { telegramId, username, firstName, lastName } = req.body;
-    
-    if (!telegramId) {
-      return res.status(400).json({ 
+    const auth = TelegramAuth.verifyInitData(req.body.initData);
+    if (!auth.success) {
+      return res.status(401).json({ 
         success: false, 
-        error: 'Missing telegramId' 
+        error: auth.error 
       });
     }
+
+    const telegramId = auth.user.id;
+    const username = auth.user.username;
+    const firstName = auth.user.first_name;
+    const lastName = auth.user.last_name;
     
     // In demo mode without database, return mock user
-    const mockUser = {
+    if (mongoose.connection.readyState !== 1) {
+      return res.json({
+        success: true,
+        token: TelegramAuth.createSession({ telegramId, username }),
+        user: {
+          telegramId,
+          username: username || `User${telegramId}`,
+          firstName: firstName || 'Player',
+          lastName: lastName || '',
+          balance: gameConfig.get('startingBalance'),
+          isVIP: false,
+          isBanned: false
+        }
+      });
+    }
+
+    const { user } = await Wallet.openAccount({
       telegramId,
       username: username || `User${telegramId}`,
       firstName: firstName || 'Player',
-      lastName: lastName || '',
-      balance: 1000,
-      isVIP: false,
-      isBanned: false
-    };
-    
+      lastName: lastName || ''
+    });
+
+    FraudEngine.observe(telegramId, req.ip, req.body.device);
+
     res.json({
       success: true,
-      user: mockUser
+      token: TelegramAuth.createSession(user),
+      user: {
+        telegramId: user.telegramId,
+        username: user.username,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        balance: user.balance,
+        isVIP: user.isVIP,
+        isBanned: user.isBanned
+      }
     });
     
   } catch (error) {
@@ -255,7 +354,13 @@ app.get('/health', (req, res) => {
       status: gameEngine.gameState || 'unknown',
       gameId: gameEngine.gameId || 0,
       activeBets: gameEngine.activeBets?.size || 0
-    }
+    },
+    rooms: roomManager.list().map(room => ({
+      roomId: room.roomId,
+      status: room.status,
+      state: room.state,
+      gameId: room.gameId
+    }))
   };
   
   res.json(health);
@@ -270,15 +375,100 @@ app.get('/api/docs', (req, res) => {
     endpoints: {
       game: {
         'GET /api/gamestate': 'Get current game state',
-        'POST /api/register': 'Register/login user',
-        'POST /api/bet': 'Place bet (requires telegramId, amount)',
-        'POST /api/cashout': 'Cash out (requires telegramId)',
+        'POST /api/register': 'Exchange Telegram Mini App initData (and device: { id, fingerprint }) for a player session token',
+        'POST /api/bet': 'Place bet (player session; amount, optional autoCashout, slot 1-2, Idempotency-Key header)',
+        'POST /api/cashout': 'Cash out (player session; optional slot 1-2, Idempotency-Key header)',
         'GET /api/history': 'Get game history (optional: limit parameter)'
       },
+      rooms: {
+        'GET /api/rooms': 'List game rooms',
+        'GET /api/rooms/:roomId': 'Room info and game state',
+        'POST /api/rooms/:roomId/bet': 'Place bet in a room (player session; amount, optional autoCashout, slot)',
+        'POST /api/rooms/:roomId/cashout': 'Cash out in a room (player session; optional slot)',
+        'GET /api/rooms/:roomId/history': 'Recent rounds in a room',
+        'GET /api/rooms/:roomId/leaderboard': 'Room leaderboard (type: profit, wins, wagered)',
+        'GET /api/rooms/:roomId/seed-chain': 'Published seed chain terminating hashes for a room'
+      },
+      fairness: {
+        'GET /api/player/seeds': 'Player seed pair (hashed server seed, client seed, nonce)',
+        'POST /api/player/seeds/rotate': 'Reveal the player server seed and start a new pair (optional clientSeed)',
+        'GET /api/player/verify/:gameId': 'Verify a round (optional roomId; with a player session, own bets are checked too)'
+      },
+      player: {
+        'POST /api/player/register': 'Exchange Telegram Mini App initData (and device: { id, fingerprint }) for a player session token',
+        'GET /api/player/profile': 'Own profile and stats',
+        'GET /api/player/history': 'Own bets (optional roomId, limit, page)',
+        'GET /api/player/transactions': 'Own transactions (optional type, limit)',
+        'POST /api/player/bonus/daily': 'Claim the daily bonus',
+        'POST /api/player/deposit': 'Buy stars with Telegram Stars (amount) - returns an invoice link',
+        'GET /api/player/deposits': 'Own Telegram Stars purchases',
+        'GET/POST /api/player/withdrawals': 'Own withdrawal requests, or request one (amount, destination) - the amount is held at once',
+        'POST /api/player/campaigns/:deliveryId/click': 'Count a campaign message click (the mini app opened with ?campaign=)'
+      },
       admin: {
         'GET /admin': 'Admin dashboard',
-        'POST /api/admin/login': 'Admin login',
-        'GET /api/admin/dashboard': 'Dashboard stats'
+        'POST /api/admin/login': 'Admin login (username, password; code when two-factor is enabled)',
+        'POST /api/admin/2fa/setup|enable|disable|backup-codes': 'Enrol in, confirm, turn off or renew two-factor authentication',
+        'GET /api/admin/login-attempts': 'Admin login attempts with IPs (username, ip, failed)',
+        'GET /api/admin/me': 'Logged-in admin and role permissions',
+        'GET/POST /api/admin/admins': 'List or create admin accounts (username, password, role)',
+        'PATCH/DELETE /api/admin/admins/:id': 'Change role, password, active flag or unlock, or delete an admin',
+        'DELETE /api/admin/admins/:id/2fa': 'Reset two-factor authentication for an admin',
+        'GET /api/admin/dashboard': 'Dashboard stats',
+        'GET/POST /api/admin/rooms': 'List or create rooms',
+        'PATCH /api/admin/rooms/:roomId': 'Update room name or limits',
+        'POST /api/admin/rooms/:roomId/pause|resume': 'Pause or resume a room',
+        'DELETE /api/admin/rooms/:roomId': 'Retire a room',
+        'GET/POST /api/admin/rooms/:roomId/seed-chains': 'List or generate seed chains (length, activate)',
+        'POST /api/admin/rooms/:roomId/seed-chains/import': 'Load a chain from its root seed',
+        'POST /api/admin/rooms/:roomId/seed-chains/rotate': 'Switch to the next seed chain',
+        'GET/PATCH /api/admin/config': 'Game settings; changes apply at the next round',
+        'GET /api/admin/config/history': 'Game setting change history',
+        'GET /api/admin/ledger/accounts': 'Ledger balance of each account',
+        'GET /api/admin/ledger/users/:telegramId': 'Ledger entries of a player',
+        'GET /api/admin/ledger/reconciliation': 'Last balance reconciliation report',
+        'POST /api/admin/ledger/reconcile': 'Reconcile balances against the ledger now',
+        'GET /api/admin/payments': 'Telegram Stars payments (userId, status, page, limit)',
+        'POST /api/admin/payments/:id/refund': 'Refund a Telegram Stars payment (reason)',
+        'GET /api/admin/withdrawals': 'Withdrawal queue (status: pending by default, or approved|rejected|refunded|all; userId)',
+        'POST /api/admin/withdrawals/:id/approve|reject|refund': 'Pay out (payoutReference), turn down (reason) or give back a failed payout (reason)',
+        'GET /api/admin/fraud/cases': 'Fraud cases with review stats (status: open|reviewing|confirmed|dismissed|active, severity, userId)',
+        'GET /api/admin/fraud/cases/:id': 'Fraud case with its linked accounts',
+        'POST /api/admin/fraud/cases/:id/assign|notes|resolve|block': 'Take a case (assignTo), add a note (text), close it (resolution: confirmed|dismissed, note) or ban its accounts',
+        'POST /api/admin/fraud/users/:telegramId/scan': 'Score a player\'s account cluster now',
+        'POST /api/admin/fraud/users/:telegramId/flag': 'Put a player up for fraud review (reason)',
+        'GET/POST /api/admin/risk/rules': 'Risk rules and the events, fields, operators and actions they can use / create a rule',
+        'PATCH/DELETE /api/admin/risk/rules/:id': 'Change (including enabled) or delete a risk rule',
+        'GET /api/admin/risk/templates': 'Built-in risk rule templates',
+        'POST /api/admin/risk/templates/:id': 'Add a template as a disabled rule',
+        'POST /api/admin/risk/dry-run': 'What a rule ({ rule, days }) would have matched over the last days',
+        'POST /api/admin/bonus/bulk/preview': 'Players and total cost of a bulk bonus (segment, filters: joinedBefore|joinedAfter|minWagered|maxWagered|vip, amount, maxPlayers)',
+        'GET/POST /api/admin/bonus/bulk': 'Bulk bonuses, or start one (preview fields plus reason) - credited in batches',
+        'GET /api/admin/bonus/bulk/:id': 'Bulk bonus progress with failed or interrupted players',
+        'POST /api/admin/bonus/bulk/:id/cancel|reverse': 'Stop crediting, or take the bonus back from players who have not bet since',
+        'POST /api/admin/users/:telegramId/holds': 'Set or clear withdrawalsHeld (reason)',
+        'GET /api/admin/kyc': 'KYC requests, oldest submission first (status: submitted|requested|approved|rejected|all, userId, page)',
+        'GET /api/admin/kyc/:requestId/documents/:documentId': 'A document the player sent (audited)',
+        'POST /api/admin/users/:telegramId/kyc/request': 'Ask the player for identity documents through the bot (reason)',
+        'POST /api/admin/users/:telegramId/kyc/approve|reject': 'Approve, or reject with a reason the player sees',
+        'GET/PUT /api/admin/spam/settings': 'Bot flood control limits, or change them (enabled, commandBurst, commandsPerMinute, callbackBurst, callbacksPerMinute, autoMute, muteAfter, muteMinutes)',
+        'GET /api/admin/spam/log': 'Floods and mutes in the bot with 24 hour stats (kind: flood|mute|all, userId, page)',
+        'POST /api/admin/spam/users/:telegramId/mute': 'Make the bot ignore a player for a while (minutes, reason)',
+        'POST /api/admin/spam/users/:telegramId/unmute': 'Lift a player\'s mute',
+        'GET /api/admin/tickets': 'Support inbox with stats (status: active|open|answered|closed|all, priority, assignedTo, userId)',
+        'GET /api/admin/tickets/export': 'Tickets as CSV (status, priority, assignedTo, userId, from, to)',
+        'GET /api/admin/tickets/:id': 'Ticket (ID or number) with its conversation',
+        'POST /api/admin/tickets/:id/reply': 'Answer the player ({ text } or { template, variables })',
+        'POST /api/admin/tickets/:id/assign|priority|escalate|close': 'Assign (assignTo), set priority, escalate (reason) or close a ticket',
+        'GET /api/admin/tickets/templates': 'Reply templates',
+        'PUT/DELETE /api/admin/tickets/templates/:key': 'Save ({ title, body } with {variables}) or delete a reply template',
+        'GET /api/admin/campaigns': 'Bot campaigns with delivered, blocked, failed and clicked counts (status)',
+        'GET /api/admin/campaigns/segments': 'Player segments campaigns can target, with player counts',
+        'GET /api/admin/campaigns/preview': 'Players a campaign to a segment would reach, without those who opted out (segment)',
+        'POST /api/admin/campaigns': 'Schedule a campaign (name, segment, message, buttonText, scheduledAt - now when left out)',
+        'POST /api/admin/campaigns/:id/cancel': 'Stop a scheduled or sending campaign',
+        'GET /api/admin/audit': 'Admin audit log (actor, action or prefix like user.*, targetType, targetId, from, to, page, limit)',
+        'GET /api/admin/audit/verify': 'Check the audit log hash chain'
       },
       utility: {
         'GET /health': 'Server health check',
@@ -286,9 +476,12 @@ app.get('/api/docs', (req, res) => {
       }
     },
     websocket: {
+      handshake: 'io({ auth: { token } }) with a player session token; without one the socket is a read-only spectator',
       events: {
         client_to_server: {
-          'auth': 'Authenticate user (telegramId, username)',
+          'placeBet': 'Place bet (amount; optional roomId, autoCashout, slot, idempotencyKey)',
+          'cashOut': 'Cash out (optional roomId, slot, idempotencyKey)',
+          'joinRoom': 'Switch to a game room (roomId) - sockets start in the default room',
           'disconnect': 'Clean disconnect'
         },
         server_to_client: {
@@ -297,38 +490,109 @@ app.get('/api/docs', (req, res) => {
           'game:multiplierUpdate': 'Multiplier update during flight',
           'game:betPlaced': 'Bet placed by any player',
           'game:cashOut': 'Player cashed out',
-          'game:crashed': 'Game ended with crash'
+          'game:crashed': 'Game ended with crash',
+          'session': 'Whether the socket is authenticated (sent on connect)',
+          'player:balance': 'Own balance changed (private)',
+          'player:betConfirmed': 'Own bet accepted (private)',
+          'player:cashedOut': 'Own bet cashed out, including auto cashouts (private)',
+          'player:withdrawal': 'Own withdrawal request changed status (private)'
+        }
+      },
+      admin: {
+        handshake: "io('/admin', { auth: { token } }) with an admin login token",
+        client_to_server: {
+          'admin_action': 'Run a dashboard action ({ action, ...data }); the result comes back through the acknowledgement'
+        },
+        server_to_client: {
+          'adminUpdate': 'An admin changed something (action, actor, target)',
+          'gameRound': 'A round finished in any room (roomId, gameId, crashPoint, totals)',
+          'star_transaction_update': 'A withdrawal request was made or changed status ({ type: "withdrawal", ... })'
         }
       }
     }
   });
 });
 
+// Socket handshake: a player session (auth: { token }) identifies the player;
+// sockets without one stay read-only spectators
+io.use((socket, next) => {
+  const player = TelegramAuth.verifySession(socket.handshake.auth && socket.handshake.auth.token);
+  if (player) {
+    socket.userId = player.telegramId;
+    socket.username = player.username;
+  }
+  next();
+});
+
+// Private player events go to the player's own channel
+events.on('balance', (change) => {
+  io.to(`user:${change.userId}`).emit('player:balance', change);
+});
+
+events.on('withdrawal', (withdrawal) => {
+  io.to(`user:${withdrawal.userId}`).emit('player:withdrawal', withdrawal);
+});
+
+// Admin dashboard sockets (/admin namespace)
+setupAdminSocket(io, { roomManager });
+
 // Websocket handling with improved error handling
 io.on('connection', (socket) => {
   console.log(`🔌 Client connected: ${socket.id}`);
   
   try {
+    // Spectate the default room until the client picks another one
+    socket.roomId = RoomManager.DEFAULT_ROOM_ID;
+    socket.join(gameEngine.channel);
+
+    // Balance changes, bet confirmations and cashout results for this player
+    if (socket.userId) {
+      socket.join(`user:${socket.userId}`);
+      console.log(`👤 User authenticated: ${socket.username} (${socket.userId})`);
+    }
+    socket.emit('session', { authenticated: !!socket.userId, telegramId: socket.userId });
+
     // Send current game state immediately
     const gameState = gameEngine.getGameState();
     socket.emit('gameState', gameState);
     
-    // Handle player authentication
-    socket.on('auth', (data) => {
-      try {
-        socket.userId = data.telegramId;
-        socket.username = data.username;
-        console.log(`👤 User authenticated: ${data.username} (${data.telegramId})`);
-      } catch (error) {
-        console.error('Auth error:', error);
+    // Switch game room
+    socket.on('joinRoom', (data) => {
+      const engine = roomManager.get(data && data.roomId);
+      if (!engine) {
+        socket.emit('roomError', { error: 'Room not found' });
+        return;
       }
+
+      const previous = roomManager.get(socket.roomId);
+      if (previous) socket.leave(previous.channel);
+
+      socket.roomId = engine.roomId;
+      socket.join(engine.channel);
+      socket.emit('roomJoined', engine.getRoomInfo());
+      socket.emit('gameState', engine.getGameState());
     });
     
     // Handle betting via websocket (alternative to HTTP)
     socket.on('placeBet', async (data) => {
       try {
-        const { telegramId, amount } = data;
-        const result = await gameEngine.placeBet(telegramId, amount);
+        const { amount, autoCashout, slot, idempotencyKey } = data;
+        if (!socket.userId) {
+          socket.emit('betResult', { success: false, error: 'Not authenticated' });
+          return;
+        }
+        const engine = roomManager.get(data.roomId || socket.roomId);
+        if (!engine) {
+          socket.emit('betResult', { success: false, error: 'Room not found' });
+          return;
+        }
+        const result = await engine.placeBet(
+          socket.userId, 
+          parseInt(amount), 
+          autoCashout ? parseFloat(autoCashout) : null, 
+          slot ? parseInt(slot) : 1,
+          idempotencyKey
+        );
         socket.emit('betResult', result);
       } catch (error) {
         console.error('Socket bet error:', error);
@@ -339,8 +603,17 @@ io.on('connection', (socket) => {
     // Handle cashout via websocket
     socket.on('cashOut', async (data) => {
       try {
-        const { telegramId } = data;
-        const result = await gameEngine.cashOut(telegramId);
+        const { slot, idempotencyKey } = data;
+        if (!socket.userId) {
+          socket.emit('cashOutResult', { success: false, error: 'Not authenticated' });
+          return;
+        }
+        const engine = roomManager.get(data.roomId || socket.roomId);
+        if (!engine) {
+          socket.emit('cashOutResult', { success: false, error: 'Room not found' });
+          return;
+        }
+        const result = await engine.cashOut(socket.userId, slot ? parseInt(slot) : 1, idempotencyKey);
         socket.emit('cashOutResult', result);
       } catch (error) {
         console.error('Socket cashout error:', error);
@@ -416,6 +689,12 @@ app.use('*', (req, res) => {
 const gracefulShutdown = (signal) => {
   console.log(`🛑 Received ${signal}, shutting down gracefully`);
   
+  roomManager.destroy();
+  reconciliation.stop();
+  SupportTickets.stopSlaMonitor();
+  campaigns.stop();
+  floodControl.stop();
+  
   server.close(() => {
     console.log('🌐 HTTP server closed');
     
@@ -471,15 +750,8 @@ server.listen(PORT, HOST, () => {
   // Initialize Telegram bot
   initializeTelegramBot();
   
-  // Start first game after 3 seconds
-  setTimeout(() => {
-    try {
-      gameEngine.startNewGame();
-      console.log('🎲 Game engine started - first game beginning...');
-    } catch (error) {
-      console.error('❌ Failed to start game engine:', error);
-    }
-  }, 3000);
+  // Game rooms start their own first round a few seconds after creation
+  console.log('🎲 Game engine started - first game beginning...');
   
   // Show startup info
   console.log('✅ Server ready for connections!');
@@ -488,4 +760,4 @@ server.listen(PORT, HOST, () => {
   }
 });
 
-module.exports = { app, server, gameEngine };
\ No newline at end of file
+module.exports = { app, server, gameEngine, roomManager };
\ No newline at end of file
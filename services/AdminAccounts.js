@@ -0,0 +1,427 @@
+// services/AdminAccounts.js
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const { Admin, AdminLoginAttempt } = require('../db/database');
+const { ROLES } = require('../middleware/adminAuth');
+const Totp = require('./Totp');
+
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS) || 12;
+const MIN_PASSWORD_LENGTH = 10;
+const USERNAME_PATTERN = /^[a-z0-9_.-]{3,32}$/;
+
+// Lockout: after LOCK_AFTER failures an account is locked for LOCK_BASE_MS,
+// doubling with every further failure up to LOCK_MAX_MS
+const LOCK_AFTER = 5;
+const LOCK_BASE_MS = 60 * 1000;
+const LOCK_MAX_MS = 60 * 60 * 1000;
+
+// An address with this many failures inside the window can't log in at all
+const IP_MAX_FAILURES = 20;
+const IP_WINDOW_MS = 15 * 60 * 1000;
+
+const BACKUP_CODE_COUNT = 10;
+
+const hashBackupCode = (code) => crypto.createHash('sha256')
+  .update(String(code).replace(/[\s-]/g, '').toLowerCase())
+  .digest('hex');
+
+/**
+ * Admin dashboard accounts: bcrypt-hashed passwords, one role each and
+ * optional TOTP two-factor authentication with backup codes
+ */
+class AdminAccounts {
+  static validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    return null;
+  }
+
+  /**
+   * Create the first superadmin from ADMIN_USERNAME / ADMIN_SECRET when
+   * there are no admin accounts yet
+   */
+  static async bootstrap() {
+    if (await Admin.exists({})) return null;
+
+    const password = process.env.ADMIN_SECRET;
+    if (!password) {
+      console.warn('⚠️ No admin accounts and no ADMIN_SECRET set - the admin dashboard is locked');
+      return null;
+    }
+
+    const result = await this.create({
+      username: process.env.ADMIN_USERNAME || 'admin',
+      password,
+      role: 'superadmin'
+    }, 'bootstrap');
+
+    if (!result.success) {
+      console.error(`❌ Could not create the first admin: ${result.error}`);
+      return null;
+    }
+
+    console.log(`👑 Created superadmin "${result.admin.username}" - change its password`);
+    return result.admin;
+  }
+
+  /**
+   * Check credentials (and the second factor when enrolled) and issue a
+   * dashboard token. Every attempt is logged with its IP.
+   * @param {object} credentials - { username, password, code } - code is a TOTP or backup code
+   * @param {object} client - { ip, userAgent }
+   * @returns {object} { success, token, admin } or { success: false, error, reason, totpRequired, lockedUntil }
+   */
+  static async login({ username, password, code }, { ip, userAgent } = {}) {
+    const name = String(username || '').toLowerCase().trim();
+    const now = new Date();
+    const log = (success, reason, admin) => AdminLoginAttempt.create({
+      username: name,
+      adminId: admin ? admin._id : undefined,
+      ip,
+      userAgent,
+      success,
+      reason
+    });
+
+    const ipFailures = ip ? await AdminLoginAttempt.countDocuments({
+      ip,
+      success: false,
+      createdAt: { $gte: new Date(now - IP_WINDOW_MS) }
+    }) : 0;
+    if (ipFailures >= IP_MAX_FAILURES) {
+      await log(false, 'ip_blocked');
+      return { success: false, reason: 'ip_blocked', error: 'Too many failed logins from this address, try again later' };
+    }
+
+    const admin = await Admin.findOne({ username: name }).select('+passwordHash +totp.secret');
+
+    if (admin && admin.lockedUntil > now) {
+      await log(false, 'locked', admin);
+      const minutes = Math.ceil((admin.lockedUntil - now) / 60000);
+      return { 
+        success: false, 
+        reason: 'locked', 
+        error: `Account locked after failed logins, try again in ${minutes} minute(s)`, 
+        lockedUntil: admin.lockedUntil 
+      };
+    }
+
+    // Compare even when the account is missing so timing doesn't reveal usernames
+    if (!this.dummyHash) this.dummyHash = await bcrypt.hash('no such admin', BCRYPT_ROUNDS);
+    const valid = await bcrypt.compare(String(password || ''), admin ? admin.passwordHash : this.dummyHash);
+
+    if (!admin || !valid) {
+      if (admin) await this.registerFailure(admin);
+      await log(false, 'bad_password', admin);
+      return { success: false, reason: 'bad_password', error: 'Invalid username or password' };
+    }
+    if (!admin.active) {
+      await log(false, 'disabled', admin);
+      return { success: false, reason: 'disabled', error: 'Invalid username or password' };
+    }
+
+    if (admin.totp.enabled) {
+      if (!code) {
+        await log(false, 'code_required', admin);
+        return { success: false, reason: 'code_required', error: 'Two-factor code required', totpRequired: true };
+      }
+      if (!await this.checkSecondFactor(admin, code)) {
+        await this.registerFailure(admin);
+        await log(false, 'bad_code', admin);
+        return { success: false, reason: 'bad_code', error: 'Invalid two-factor code', totpRequired: true };
+      }
+    }
+
+    await Admin.updateOne({ _id: admin._id }, { 
+      $set: { failedLogins: 0, lastLoginAt: now }, 
+      $unset: { lockedUntil: 1 } 
+    });
+    await log(true, undefined, admin);
+
+    const token = jwt.sign(
+      { adminId: admin._id.toString(), username: admin.username, role: admin.role, version: admin.tokenVersion || 0 },
+      process.env.JWT_SECRET,
+      { expiresIn: '12h' }
+    );
+
+    return { success: true, token, admin: this.describe(admin) };
+  }
+
+  static async registerFailure(admin) {
+    const updated = await Admin.findOneAndUpdate(
+      { _id: admin._id },
+      { $inc: { failedLogins: 1 } },
+      { new: true }
+    );
+
+    if (updated.failedLogins >= LOCK_AFTER) {
+      const lockMs = Math.min(LOCK_BASE_MS * 2 ** (updated.failedLogins - LOCK_AFTER), LOCK_MAX_MS);
+      await Admin.updateOne({ _id: admin._id }, { lockedUntil: new Date(Date.now() + lockMs) });
+      console.warn(`🔒 Admin ${admin.username} locked for ${Math.round(lockMs / 60000)} minute(s) after ${updated.failedLogins} failed logins`);
+    }
+  }
+
+  /**
+   * A TOTP code (each time step accepted once) or an unused backup code
+   * @param {object} admin - Admin loaded with +totp.secret
+   */
+  static async checkSecondFactor(admin, code) {
+    const normalized = String(code).replace(/[\s-]/g, '');
+
+    if (/^\d{6}$/.test(normalized)) {
+      const step = Totp.verify(admin.totp.secret, normalized, { afterStep: admin.totp.lastUsedStep });
+      if (step === null) return false;
+
+      // Conditional so the same code can't be used twice, even in parallel
+      const used = await Admin.updateOne(
+        { _id: admin._id, 'totp.lastUsedStep': { $lt: step } },
+        { $set: { 'totp.lastUsedStep': step } }
+      );
+      return used.modifiedCount === 1;
+    }
+
+    const hash = hashBackupCode(normalized);
+    const used = await Admin.updateOne(
+      { _id: admin._id, backupCodes: hash },
+      { $pull: { backupCodes: hash } }
+    );
+    if (used.modifiedCount === 1) {
+      console.log(`🔑 Admin ${admin.username} used a backup code`);
+    }
+    return used.modifiedCount === 1;
+  }
+
+  static async newBackupCodes(adminId) {
+    const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+      const code = crypto.randomBytes(5).toString('hex');
+      return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+    await Admin.updateOne({ _id: adminId }, { backupCodes: codes.map(hashBackupCode) });
+    return codes;
+  }
+
+  /**
+   * Start TOTP enrolment: a new secret that becomes active once a code from
+   * it has been confirmed
+   * @returns {object} { success, secret, otpauthUri }
+   */
+  static async setupTwoFactor(adminId) {
+    const admin = await this.find(adminId);
+    if (!admin) {
+      return { success: false, error: 'Admin not found' };
+    }
+    if (admin.totp.enabled) {
+      return { success: false, error: 'Two-factor authentication is already enabled' };
+    }
+
+    const secret = Totp.generateSecret();
+    await Admin.updateOne({ _id: admin._id }, { 'totp.pendingSecret': secret });
+
+    return { success: true, secret, otpauthUri: Totp.otpauthUri(secret, admin.username) };
+  }
+
+  /**
+   * Finish enrolment with a code from the authenticator app
+   * @returns {object} { success, backupCodes } - backup codes are only shown here
+   */
+  static async enableTwoFactor(adminId, code) {
+    const admin = await this.find(adminId, '+totp.pendingSecret');
+    if (!admin) {
+      return { success: false, error: 'Admin not found' };
+    }
+    if (admin.totp.enabled) {
+      return { success: false, error: 'Two-factor authentication is already enabled' };
+    }
+    if (!admin.totp.pendingSecret) {
+      return { success: false, error: 'Start two-factor setup first' };
+    }
+
+    const step = Totp.verify(admin.totp.pendingSecret, String(code || '').replace(/\s/g, ''));
+    if (step === null) {
+      return { success: false, error: 'Invalid two-factor code' };
+    }
+
+    await Admin.updateOne({ _id: admin._id }, {
+      $set: {
+        'totp.secret': admin.totp.pendingSecret,
+        'totp.enabled': true,
+        'totp.enabledAt': new Date(),
+        'totp.lastUsedStep': step
+      },
+      $unset: { 'totp.pendingSecret': 1 }
+    });
+
+    console.log(`🔐 Admin ${admin.username} enabled two-factor authentication`);
+    return { success: true, backupCodes: await this.newBackupCodes(admin._id) };
+  }
+
+  /**
+   * Turn 2FA off for an account. Admins turning off their own need their
+   * password and a current code; superadmins resetting someone else's don't.
+   */
+  static async disableTwoFactor(adminId, { password, code, force = false } = {}) {
+    const admin = await this.find(adminId, '+passwordHash +totp.secret');
+    if (!admin) {
+      return { success: false, error: 'Admin not found' };
+    }
+    if (!admin.totp.enabled) {
+      return { success: false, error: 'Two-factor authentication is not enabled' };
+    }
+
+    if (!force) {
+      const valid = await bcrypt.compare(String(password || ''), admin.passwordHash);
+      if (!valid || !code || !await this.checkSecondFactor(admin, code)) {
+        return { success: false, error: 'Password and a current two-factor code are required' };
+      }
+    }
+
+    await Admin.updateOne({ _id: admin._id }, {
+      $set: { 'totp.enabled': false, 'totp.lastUsedStep': -1, backupCodes: [] },
+      $unset: { 'totp.secret': 1, 'totp.pendingSecret': 1, 'totp.enabledAt': 1 }
+    });
+
+    console.log(`🔓 Two-factor authentication disabled for admin ${admin.username}`);
+    return { success: true };
+  }
+
+  static async regenerateBackupCodes(adminId, code) {
+    const admin = await this.find(adminId, '+totp.secret');
+    if (!admin) {
+      return { success: false, error: 'Admin not found' };
+    }
+    if (!admin.totp.enabled) {
+      return { success: false, error: 'Two-factor authentication is not enabled' };
+    }
+    if (!code || !await this.checkSecondFactor(admin, code)) {
+      return { success: false, error: 'Invalid two-factor code' };
+    }
+
+    return { success: true, backupCodes: await this.newBackupCodes(admin._id) };
+  }
+
+  static async loginAttempts({ username, ip, failedOnly, limit = 100 } = {}) {
+    const query = {};
+    if (username) query.username = String(username).toLowerCase();
+    if (ip) query.ip = ip;
+    if (failedOnly) query.success = false;
+
+    return AdminLoginAttempt.find(query).sort({ createdAt: -1 }).limit(limit);
+  }
+
+  static async create({ username, password, role }, createdBy) {
+    const name = String(username || '').toLowerCase().trim();
+    if (!USERNAME_PATTERN.test(name)) {
+      return { success: false, error: 'Username must be 3-32 characters: letters, digits, _ . -' };
+    }
+    if (!ROLES.includes(role)) {
+      return { success: false, error: `Role must be one of: ${ROLES.join(', ')}` };
+    }
+    const passwordError = this.validatePassword(password);
+    if (passwordError) {
+      return { success: false, error: passwordError };
+    }
+
+    try {
+      const admin = await new Admin({
+        username: name,
+        passwordHash: await bcrypt.hash(password, BCRYPT_ROUNDS),
+        role,
+        createdBy
+      }).save();
+      return { success: true, admin: this.describe(admin) };
+    } catch (error) {
+      if (error.code === 11000) {
+        return { success: false, error: 'Username already taken' };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Change role, active flag or password, or lift a login lockout. The last
+   * active superadmin can't be demoted or disabled.
+   */
+  static async update(id, { role, active, password, unlock }) {
+    const admin = await this.find(id);
+    if (!admin) {
+      return { success: false, error: 'Admin not found' };
+    }
+
+    if (role !== undefined && !ROLES.includes(role)) {
+      return { success: false, error: `Role must be one of: ${ROLES.join(', ')}` };
+    }
+    if (password !== undefined) {
+      const passwordError = this.validatePassword(password);
+      if (passwordError) {
+        return { success: false, error: passwordError };
+      }
+      admin.passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+      // Signs out every session opened with the old password
+      admin.tokenVersion = (admin.tokenVersion || 0) + 1;
+      admin.passwordChangedAt = new Date();
+    }
+
+    const losesSuperadmin = admin.role === 'superadmin' && admin.active &&
+      ((role !== undefined && role !== 'superadmin') || active === false);
+    if (losesSuperadmin && await this.isLastSuperadmin(admin)) {
+      return { success: false, error: 'At least one active superadmin must remain' };
+    }
+
+    if (role !== undefined) admin.role = role;
+    if (active !== undefined) admin.active = !!active;
+    if (unlock) {
+      admin.failedLogins = 0;
+      admin.lockedUntil = undefined;
+    }
+    await admin.save();
+
+    return { success: true, admin: this.describe(admin) };
+  }
+
+  static async remove(id) {
+    const admin = await this.find(id);
+    if (!admin) {
+      return { success: false, error: 'Admin not found' };
+    }
+    if (admin.role === 'superadmin' && admin.active && await this.isLastSuperadmin(admin)) {
+      return { success: false, error: 'At least one active superadmin must remain' };
+    }
+
+    await Admin.deleteOne({ _id: admin._id });
+    return { success: true };
+  }
+
+  static async find(id, select = '') {
+    return mongoose.isValidObjectId(id) ? Admin.findById(id).select(select) : null;
+  }
+
+  static async isLastSuperadmin(admin) {
+    const others = await Admin.countDocuments({ _id: { $ne: admin._id }, role: 'superadmin', active: true });
+    return others === 0;
+  }
+
+  static async list() {
+    const admins = await Admin.find().sort({ createdAt: 1 });
+    return admins.map(admin => this.describe(admin));
+  }
+
+  static describe(admin) {
+    return {
+      id: admin._id.toString(),
+      username: admin.username,
+      role: admin.role,
+      active: admin.active,
+      twoFactorEnabled: !!(admin.totp && admin.totp.enabled),
+      lockedUntil: admin.lockedUntil > new Date() ? admin.lockedUntil : undefined,
+      createdBy: admin.createdBy,
+      lastLoginAt: admin.lastLoginAt,
+      passwordChangedAt: admin.passwordChangedAt,
+      createdAt: admin.createdAt
+    };
+  }
+}
+
+module.exports = AdminAccounts;
@@ -0,0 +1,232 @@
+// services/AdminActions.js
+const { User } = require('../db/database');
+const Wallet = require('./Wallet');
+const Withdrawals = require('./Withdrawals');
+const FraudEngine = require('./FraudEngine');
+const SupportTickets = require('./SupportTickets');
+const BulkBonuses = require('./BulkBonuses');
+const Kyc = require('./Kyc');
+const floodControl = require('./FloodControl');
+const AuditLog = require('./AuditLog');
+const { hasPermission } = require('../middleware/adminAuth');
+
+// name -> { permission, handler }
+const actions = new Map();
+
+// Players are referred to by Telegram ID or @username
+const findUser = (ref) => {
+  const text = String(ref ?? '').trim();
+  if (/^\d+$/.test(text)) return User.findOne({ telegramId: parseInt(text) });
+  if (text) return User.findOne({ username: text.replace(/^@/, '') });
+  return null;
+};
+
+/**
+ * Actions the admin dashboard sends over its socket ('admin_action').
+ * Each action names the permission it needs; handlers get the action data
+ * and { admin, ip, userAgent, io, roomManager } and return a result object.
+ */
+class AdminActions {
+  static register(name, permission, handler) {
+    actions.set(name, { permission, handler });
+  }
+
+  static async run(name, data, context) {
+    const action = actions.get(name);
+    if (!action) {
+      return { success: false, error: `Unsupported action: ${name}` };
+    }
+    if (!hasPermission(context.admin.role, action.permission)) {
+      return { success: false, error: `Your role (${context.admin.role}) cannot do this` };
+    }
+    return action.handler(data || {}, context);
+  }
+}
+
+AdminActions.register('add_stars', 'balance.adjust', async ({ playerId, amount, bonusType, reason }, context) => {
+  amount = Number(amount);
+  if (!Number.isInteger(amount) || amount <= 0) {
+    return { success: false, error: 'Amount must be a positive integer' };
+  }
+
+  const user = await findUser(playerId);
+  if (!user) {
+    return { success: false, error: 'User not found' };
+  }
+
+  const description = [bonusType, reason].filter(Boolean).join(' - ') || 'Admin bonus';
+  const result = await Wallet.credit(user.telegramId, amount, { type: 'bonus', description });
+  if (!result.success) {
+    return result;
+  }
+
+  AuditLog.fromAdmin(context, 'user.bonus', {
+    target: { type: 'user', id: user.telegramId },
+    before: { balance: result.user.balance - amount },
+    after: { balance: result.user.balance },
+    details: { amount, reason: description }
+  });
+  return { success: true, telegramId: user.telegramId, newBalance: result.user.balance };
+});
+
+// Matches POST /api/admin/bonus/bulk; progress follows as 'bulk_bonus_update'
+AdminActions.register('bulk_bonus', 'balance.adjust', async ({ segment, filters, amount, reason, maxPlayers }, context) => {
+  const result = await BulkBonuses.create({ segment, filters, amount, reason, maxPlayers }, context.admin.username);
+  if (result.success) {
+    AuditLog.fromAdmin(context, 'bonus.bulk', {
+      target: { type: 'bonusGrant', id: result.grant.id },
+      after: result.grant
+    });
+  }
+  return result;
+});
+
+AdminActions.register('block_user', 'users.ban', async ({ userId, reason }, context) => {
+  const user = await findUser(userId);
+  if (!user) {
+    return { success: false, error: 'User not found' };
+  }
+  if (user.isBanned) {
+    return { success: true, telegramId: user.telegramId, alreadyBanned: true };
+  }
+
+  user.isBanned = true;
+  await user.save();
+
+  AuditLog.fromAdmin(context, 'user.ban', {
+    target: { type: 'user', id: user.telegramId },
+    before: { isBanned: false },
+    after: { isBanned: true },
+    details: { reason }
+  });
+  return { success: true, telegramId: user.telegramId };
+});
+
+// Withdrawal queue, matching POST /api/admin/withdrawals/:id/approve|reject|refund
+const withdrawalReview = (action, review) => async (data, context) => {
+  const result = await review(data, context.admin.username);
+  if (result.success) {
+    AuditLog.fromAdmin(context, `withdrawal.${action}`, {
+      target: { type: 'user', id: result.withdrawal.userId },
+      after: { status: result.withdrawal.status },
+      details: { withdrawalId: result.withdrawal.id, amount: result.withdrawal.amount, payoutReference: data.payoutReference, reason: data.reason }
+    });
+  }
+  return result;
+};
+
+AdminActions.register('approve_star_withdrawal', 'withdrawals.manage', withdrawalReview('approve', (data, admin) =>
+  Withdrawals.approve(data.withdrawalId, { reviewedBy: admin, payoutReference: data.payoutReference })
+));
+
+AdminActions.register('reject_star_withdrawal', 'withdrawals.manage', withdrawalReview('reject', (data, admin) =>
+  Withdrawals.reject(data.withdrawalId, { reviewedBy: admin, reason: data.reason })
+));
+
+AdminActions.register('refund_star_withdrawal', 'withdrawals.manage', withdrawalReview('refund', (data, admin) =>
+  Withdrawals.refund(data.withdrawalId, { refundedBy: admin, reason: data.reason })
+));
+
+// Fraud review, matching POST /api/admin/fraud/cases/:id/block and /fraud/users/:telegramId/flag
+AdminActions.register('block_fraud_network', 'fraud.manage', async ({ networkId }, context) => {
+  const result = await FraudEngine.block(networkId, context.admin.username);
+  if (result.success) {
+    AuditLog.fromAdmin(context, 'fraud.block', {
+      target: { type: 'fraudCase', id: result.case.id },
+      after: { status: result.case.status, blocked: true },
+      details: { userIds: result.case.userIds, blocked: result.blocked }
+    });
+  }
+  return result;
+});
+
+AdminActions.register('flag_user_for_review', 'fraud.manage', async ({ userId, reason }, context) => {
+  const user = await findUser(userId);
+  if (!user) {
+    return { success: false, error: 'User not found' };
+  }
+
+  const result = await FraudEngine.flag(user.telegramId, { by: context.admin.username, reason });
+  if (result.success) {
+    AuditLog.fromAdmin(context, 'fraud.flag', {
+      target: { type: 'user', id: user.telegramId },
+      details: { caseId: result.case.id, reason }
+    });
+  }
+  return result;
+});
+
+// Identity checks, matching POST /api/admin/users/:telegramId/kyc/request
+const requestKyc = async (context, userId, reason) => {
+  const result = await Kyc.request(userId, { by: context.admin.username, reason });
+  if (result.success && !result.existing) {
+    AuditLog.fromAdmin(context, 'kyc.request', {
+      target: { type: 'user', id: userId },
+      after: { kycStatus: result.request.status },
+      details: { requestId: result.request.id, reason }
+    });
+  }
+  return result;
+};
+
+AdminActions.register('require_kyc', 'kyc.review', async ({ userId, reason }, context) => {
+  const user = await findUser(userId);
+  if (!user) {
+    return { success: false, error: 'User not found' };
+  }
+  return requestKyc(context, user.telegramId, reason);
+});
+
+// From the support chat: ask the ticket's player to verify
+AdminActions.register('verify_account_from_ticket', 'kyc.review', async ({ ticketId, reason }, context) => {
+  const ticket = await SupportTickets.find(ticketId);
+  if (!ticket) {
+    return { success: false, error: 'Ticket not found' };
+  }
+  return requestKyc(context, ticket.userId, reason || `Support ticket #${ticket.number}`);
+});
+
+// Bot flood control, matching PUT /api/admin/spam/settings
+AdminActions.register('update_spam_settings', 'fraud.manage', async ({ settings }, context) => {
+  const result = await floodControl.update(settings, context.admin.username);
+  if (result.success) {
+    AuditLog.fromAdmin(context, 'spam.settings', {
+      target: { type: 'floodControl', id: Object.keys(settings).join(',') },
+      before: result.before,
+      after: result.settings
+    });
+  }
+  return result;
+});
+
+// Support inbox, matching POST /api/admin/tickets/:id/reply and /escalate
+const auditTicket = (context, action, ticket, details) => AuditLog.fromAdmin(context, `ticket.${action}`, {
+  target: { type: 'ticket', id: ticket.number },
+  after: { status: ticket.status, priority: ticket.priority, assignedTo: ticket.assignedTo },
+  details: { userId: ticket.userId, ...details }
+});
+
+AdminActions.register('use_template_reply', 'tickets.answer', async ({ ticketId, templateId, variables }, context) => {
+  const result = await SupportTickets.replyWithTemplate(ticketId, context.admin.username, templateId, variables);
+  if (result.success) auditTicket(context, 'reply', result.ticket, { template: templateId });
+  return result;
+});
+
+// Answer with a template and close the ticket in one go
+AdminActions.register('quick_reply_ticket', 'tickets.answer', async ({ ticketId, templateId, variables }, context) => {
+  const reply = await SupportTickets.replyWithTemplate(ticketId, context.admin.username, templateId, variables);
+  if (!reply.success) return reply;
+  auditTicket(context, 'reply', reply.ticket, { template: templateId });
+
+  const result = await SupportTickets.close(reply.ticket.id, context.admin.username);
+  if (result.success) auditTicket(context, 'close', result.ticket);
+  return result;
+});
+
+AdminActions.register('escalate_ticket', 'tickets.answer', async ({ ticketId, reason }, context) => {
+  const result = await SupportTickets.escalate(ticketId, context.admin.username, reason);
+  if (result.success) auditTicket(context, 'escalate', result.ticket, { reason });
+  return result;
+});
+
+module.exports = AdminActions;
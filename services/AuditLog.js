@@ -0,0 +1,170 @@
+// services/AuditLog.js
+const crypto = require('crypto');
+const { AuditLog: AuditEntry } = require('../db/database');
+const events = require('./events');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+// JSON with sorted keys, so an entry hashes the same after a database round trip
+const canonical = (value) => {
+  if (value === undefined || value === null) return 'null';
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (typeof value === 'object') {
+    if (typeof value.toHexString === 'function') return JSON.stringify(value.toHexString());
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonical(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Tamper-evident admin audit log. Entries are numbered and each one's hash
+ * covers its content and the previous entry's hash, so changing, removing
+ * or reordering entries is caught by verify().
+ */
+class AuditLog {
+  static hash(entry) {
+    return crypto.createHash('sha256').update(canonical({
+      seq: entry.seq,
+      actor: entry.actor,
+      action: entry.action,
+      target: entry.target,
+      before: entry.before,
+      after: entry.after,
+      details: entry.details,
+      ip: entry.ip,
+      userAgent: entry.userAgent,
+      createdAt: entry.createdAt,
+      prevHash: entry.prevHash
+    })).digest('hex');
+  }
+
+  /**
+   * Append an entry. Appends are queued so the chain never forks; the unique
+   * seq index catches a second server writing at the same time.
+   * @param {object} entry - { actor, action, target, before, after, details, ip, userAgent }
+   */
+  static record(entry) {
+    this.queue = (this.queue || Promise.resolve())
+      .catch(() => {})
+      .then(() => this.append(entry));
+    return this.queue;
+  }
+
+  static async append(entry, attempt = 1) {
+    const last = await AuditEntry.findOne().sort({ seq: -1 }).select('seq hash');
+    const fields = {
+      actor: entry.actor,
+      action: entry.action,
+      target: entry.target,
+      // Stored as plain JSON so the hash survives the round trip
+      before: entry.before === undefined ? undefined : JSON.parse(JSON.stringify(entry.before)),
+      after: entry.after === undefined ? undefined : JSON.parse(JSON.stringify(entry.after)),
+      details: entry.details === undefined ? undefined : JSON.parse(JSON.stringify(entry.details)),
+      ip: entry.ip,
+      userAgent: entry.userAgent,
+      seq: last ? last.seq + 1 : 1,
+      createdAt: new Date(),
+      prevHash: last ? last.hash : GENESIS_HASH
+    };
+    fields.hash = this.hash(fields);
+
+    try {
+      return await new AuditEntry(fields).save();
+    } catch (error) {
+      if (error.code === 11000 && attempt < 5) return this.append(entry, attempt + 1);
+      throw error;
+    }
+  }
+
+  /**
+   * Record an admin action taken through an HTTP request
+   * @param {object} req - Request authenticated by adminAuth
+   * @param {string} action - e.g. 'user.bonus', 'room.pause'
+   * @param {object} change - { target: { type, id }, before, after, details }
+   */
+  static fromRequest(req, action, change) {
+    return this.fromAdmin({ admin: req.admin, ip: req.ip, userAgent: req.get('User-Agent') }, action, change);
+  }
+
+  /**
+   * Record an admin action from any channel (HTTP, admin socket)
+   * @param {object} context - { admin: { id, username, role }, ip, userAgent }
+   */
+  static fromAdmin({ admin, ip, userAgent }, action, { target, before, after, details } = {}) {
+    return this.record({
+      actor: admin ? { adminId: admin.id, username: admin.username, role: admin.role } : undefined,
+      action,
+      target: target ? { type: target.type, id: String(target.id) } : undefined,
+      before,
+      after,
+      details,
+      ip,
+      userAgent
+    })
+      .then(saved => {
+        events.emit('audit', saved);
+        return saved;
+      })
+      .catch(error => {
+        console.error(`❌ Failed to write audit entry for ${action}:`, error.message);
+      });
+  }
+
+  /**
+   * @param {object} filters - { actor, action, targetType, targetId, from, to, page, limit }
+   */
+  static async query({ actor, action, targetType, targetId, from, to, page = 1, limit = 50 } = {}) {
+    const query = {};
+    if (actor) query['actor.username'] = actor;
+    if (action) query.action = action.endsWith('*') ? new RegExp(`^${action.slice(0, -1).replace(/[.]/g, '\\.')}`) : action;
+    if (targetType) query['target.type'] = targetType;
+    if (targetId) query['target.id'] = String(targetId);
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const [entries, total] = await Promise.all([
+      AuditEntry.find(query).sort({ seq: -1 }).skip((page - 1) * limit).limit(limit),
+      AuditEntry.countDocuments(query)
+    ]);
+    return { entries, total, page, limit };
+  }
+
+  /**
+   * Recompute the chain. Reports the first entry whose hash or link is wrong,
+   * or a gap in the numbering (a removed entry).
+   * @returns {object} { valid, checked, lastSeq, brokenAt, problem }
+   */
+  static async verify() {
+    let previous = null;
+    let checked = 0;
+
+    for await (const entry of AuditEntry.find().sort({ seq: 1 }).lean().cursor()) {
+      const expectedSeq = previous ? previous.seq + 1 : 1;
+      const expectedPrev = previous ? previous.hash : GENESIS_HASH;
+
+      let problem = null;
+      if (entry.seq !== expectedSeq) problem = `Entry ${expectedSeq} is missing`;
+      else if (entry.prevHash !== expectedPrev) problem = 'Link to the previous entry is broken';
+      else if (this.hash(entry) !== entry.hash) problem = 'Entry content does not match its hash';
+
+      if (problem) {
+        return { valid: false, checked, lastSeq: previous ? previous.seq : 0, brokenAt: entry.seq, problem };
+      }
+
+      previous = entry;
+      checked++;
+    }
+
+    return { valid: true, checked, lastSeq: previous ? previous.seq : 0 };
+  }
+}
+
+module.exports = AuditLog;
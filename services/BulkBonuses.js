@@ -0,0 +1,301 @@
+// services/BulkBonuses.js
+const mongoose = require('mongoose');
+const { User, BonusGrant, BonusGrantItem } = require('../db/database');
+const Wallet = require('./Wallet');
+const Segments = require('./Segments');
+const events = require('./events');
+
+const BATCH_SIZE = 200;
+const MAX_AMOUNT = 100000;
+const SAMPLE_SIZE = 20;
+
+// Grants this process is working through, so a resume never runs one twice
+const working = new Set();
+
+/**
+ * Stars for every player in a segment (services/Segments.js), optionally
+ * narrowed by join date, wagered amount or VIP status and capped at
+ * maxPlayers. The players are fixed when the grant is created and credited
+ * in batches, with progress on the 'bulkBonus' event. Reversing takes the
+ * bonus back from players who have not bet since they got it.
+ */
+class BulkBonuses {
+  /**
+   * @param {object} input - { segment, filters, amount, reason, maxPlayers }
+   * @returns {object} { success, grant: {...}, query } or { success: false, error }
+   */
+  static async target(input = {}) {
+    const segment = input.segment || 'all';
+    const amount = Number(input.amount);
+    const reason = typeof input.reason === 'string' ? input.reason.trim() : '';
+    const maxPlayers = input.maxPlayers ? Number(input.maxPlayers) : undefined;
+
+    if (!Segments.exists(segment)) return { success: false, error: 'Unknown segment' };
+    if (!Number.isInteger(amount) || amount <= 0 || amount > MAX_AMOUNT) {
+      return { success: false, error: `Amount must be a whole number of stars between 1 and ${MAX_AMOUNT}` };
+    }
+    if (maxPlayers !== undefined && (!Number.isInteger(maxPlayers) || maxPlayers <= 0)) {
+      return { success: false, error: 'maxPlayers must be a positive integer' };
+    }
+
+    const { conditions, error } = Segments.conditions(input.filters);
+    if (error) return { success: false, error };
+
+    return {
+      success: true,
+      grant: { segment, filters: input.filters || {}, amount, reason, maxPlayers },
+      query: await Segments.query(segment, conditions)
+    };
+  }
+
+  // Players a grant would reach and what it would cost, without giving anything
+  static async preview(input) {
+    const target = await this.target(input);
+    if (!target.success) return target;
+
+    const { amount, maxPlayers } = target.grant;
+    const matching = await User.countDocuments(target.query);
+    const players = maxPlayers ? Math.min(matching, maxPlayers) : matching;
+    const sample = await User.find(target.query)
+      .sort({ telegramId: 1 })
+      .limit(Math.min(players, SAMPLE_SIZE))
+      .select('telegramId username joinDate totalWagered isVIP balance');
+
+    return {
+      success: true,
+      matching,
+      players,
+      totalCost: players * amount,
+      sample: sample.map(user => ({
+        telegramId: user.telegramId,
+        username: user.username,
+        joinDate: user.joinDate,
+        totalWagered: user.totalWagered,
+        isVIP: user.isVIP,
+        balance: user.balance
+      }))
+    };
+  }
+
+  static async create(input, admin) {
+    const target = await this.target(input);
+    if (!target.success) return target;
+    if (!target.grant.reason) return { success: false, error: 'A reason is required' };
+
+    const grant = await new BonusGrant({ ...target.grant, createdBy: admin }).save();
+
+    // Fix the players now so later sign-ups or changes don't alter the grant
+    let cursor = User.find(target.query).sort({ telegramId: 1 }).select('telegramId').lean();
+    if (grant.maxPlayers) cursor = cursor.limit(grant.maxPlayers);
+
+    let batch = [];
+    for await (const user of cursor.cursor()) {
+      batch.push({ grantId: grant._id, userId: user.telegramId });
+      if (batch.length >= 1000) {
+        await BonusGrantItem.insertMany(batch);
+        batch = [];
+      }
+    }
+    if (batch.length > 0) await BonusGrantItem.insertMany(batch);
+
+    grant.stats.targeted = await BonusGrantItem.countDocuments({ grantId: grant._id });
+    await grant.save();
+
+    console.log(`🎁 Bulk bonus of ${grant.amount}⭐ to ${grant.stats.targeted} player(s) started by ${admin}`);
+    this.work(grant._id);
+    return { success: true, grant: this.describe(grant) };
+  }
+
+  // Runs in the background; the caller follows the 'bulkBonus' event
+  static work(grantId) {
+    const id = grantId.toString();
+    if (working.has(id)) return;
+    working.add(id);
+
+    this.process(grantId)
+      .catch(error => console.error(`❌ Bulk bonus ${id} failed:`, error.message))
+      .finally(() => working.delete(id));
+  }
+
+  // Granting can turn into reversing (cancel, then reverse) while a batch is
+  // still running, so keep going until the grant is settled
+  static async process(grantId) {
+    for (;;) {
+      const grant = await BonusGrant.findById(grantId);
+      if (!grant || !['running', 'reversing'].includes(grant.status)) return;
+      await this.step(grant);
+    }
+  }
+
+  static async step(grant) {
+    const grantId = grant._id;
+    const reversing = grant.status === 'reversing';
+
+    while (grant && grant.status === (reversing ? 'reversing' : 'running')) {
+      const items = await BonusGrantItem.find({ grantId, status: reversing ? 'granted' : 'pending' })
+        .sort({ _id: 1 })
+        .limit(BATCH_SIZE);
+      if (items.length === 0) break;
+
+      const counts = {};
+      for (const item of items) {
+        const status = reversing ? await this.reverseItem(grant, item) : await this.grantItem(grant, item);
+        if (status) counts[`stats.${status}`] = (counts[`stats.${status}`] || 0) + 1;
+      }
+
+      grant = await BonusGrant.findByIdAndUpdate(grantId, { $inc: counts }, { new: true });
+      this.announce(grant);
+    }
+
+    const finished = await BonusGrant.findOneAndUpdate(
+      { _id: grantId, status: reversing ? 'reversing' : 'running' },
+      { $set: reversing ? { status: 'reversed', reversedAt: new Date() } : { status: 'completed', completedAt: new Date() } },
+      { new: true }
+    );
+    if (finished) {
+      const { granted, failed, reversed, kept } = finished.stats;
+      console.log(reversing
+        ? `🎁 Bulk bonus ${finished._id} reversed: ${reversed} taken back, ${kept} kept`
+        : `🎁 Bulk bonus ${finished._id} done: ${granted} granted, ${failed} failed`);
+      this.announce(finished);
+    }
+  }
+
+  static async grantItem(grant, item) {
+    const claimed = await BonusGrantItem.updateOne({ _id: item._id, status: 'pending' }, { $set: { status: 'granting' } });
+    if (claimed.modifiedCount === 0) return null;
+
+    const result = await Wallet.credit(item.userId, grant.amount, { type: 'bonus', description: grant.reason });
+    if (!result.success) {
+      await BonusGrantItem.updateOne({ _id: item._id }, { $set: { status: 'failed', lastError: result.error } });
+      return 'failed';
+    }
+
+    await BonusGrantItem.updateOne(
+      { _id: item._id },
+      { $set: { status: 'granted', grantedAt: new Date(), wageredAtGrant: result.user.totalWagered } }
+    );
+    events.emit('activity', { type: 'bonus', userId: item.userId, amount: grant.amount, data: { bonusType: 'bulk', grantId: grant._id.toString() } });
+    return 'granted';
+  }
+
+  static async reverseItem(grant, item) {
+    const claimed = await BonusGrantItem.updateOne({ _id: item._id, status: 'granted' }, { $set: { status: 'reverting' } });
+    if (claimed.modifiedCount === 0) return null;
+
+    const keep = async (reason) => {
+      await BonusGrantItem.updateOne({ _id: item._id }, { $set: { status: 'kept', lastError: reason } });
+      return 'kept';
+    };
+
+    const user = await User.findOne({ telegramId: item.userId }).select('totalWagered');
+    if (!user) return keep('User not found');
+    if (user.totalWagered > item.wageredAtGrant) return keep('Bet since the bonus');
+
+    const result = await Wallet.debit(item.userId, grant.amount, { type: 'bonus', description: `Reversed: ${grant.reason}` });
+    if (!result.success) return keep(result.error);
+
+    await BonusGrantItem.updateOne({ _id: item._id }, { $set: { status: 'reversed', reversedAt: new Date() } });
+    return 'reversed';
+  }
+
+  static async cancel(id, by) {
+    if (!mongoose.isValidObjectId(id)) return { success: false, error: 'Bulk bonus not found' };
+
+    const grant = await BonusGrant.findOneAndUpdate(
+      { _id: id, status: 'running' },
+      { $set: { status: 'cancelled', cancelledBy: by, completedAt: new Date() } },
+      { new: true }
+    );
+    if (!grant) return { success: false, error: 'Bulk bonus not found or not running' };
+
+    this.announce(grant);
+    return { success: true, grant: this.describe(grant) };
+  }
+
+  // Takes the bonus back from players who haven't bet since receiving it
+  static async reverse(id, by) {
+    if (!mongoose.isValidObjectId(id)) return { success: false, error: 'Bulk bonus not found' };
+
+    const grant = await BonusGrant.findOneAndUpdate(
+      { _id: id, status: { $in: ['completed', 'cancelled'] } },
+      { $set: { status: 'reversing', reversedBy: by } },
+      { new: true }
+    );
+    if (!grant) return { success: false, error: 'Only finished bulk bonuses can be reversed' };
+
+    this.work(grant._id);
+    this.announce(grant);
+    return { success: true, grant: this.describe(grant) };
+  }
+
+  // After a restart: wallet calls that were in flight are left for an admin
+  // to check, everything else carries on
+  static async resume() {
+    const interrupted = await BonusGrantItem.updateMany(
+      { status: { $in: ['granting', 'reverting'] } },
+      { $set: { status: 'interrupted', lastError: 'Server stopped during the wallet update - check the player\'s transactions' } }
+    );
+    if (interrupted.modifiedCount > 0) {
+      console.warn(`⚠️ ${interrupted.modifiedCount} bulk bonus payment(s) were interrupted and need checking`);
+    }
+
+    const grants = await BonusGrant.find({ status: { $in: ['running', 'reversing'] } }).select('_id');
+    grants.forEach(grant => this.work(grant._id));
+  }
+
+  static async list({ limit = 50 } = {}) {
+    const grants = await BonusGrant.find().sort({ createdAt: -1 }).limit(limit);
+    return grants.map(grant => this.describe(grant));
+  }
+
+  static async get(id) {
+    if (!mongoose.isValidObjectId(id)) return null;
+    const grant = await BonusGrant.findById(id);
+    if (!grant) return null;
+
+    const problems = await BonusGrantItem.find({ grantId: grant._id, status: { $in: ['failed', 'interrupted'] } })
+      .limit(100)
+      .select('userId status lastError');
+    return {
+      ...this.describe(grant),
+      problems: problems.map(item => ({ userId: item.userId, status: item.status, error: item.lastError }))
+    };
+  }
+
+  static announce(grant) {
+    if (grant) {
+      events.emit('bulkBonus', this.describe(grant));
+    }
+  }
+
+  static describe(grant) {
+    const stats = {
+      targeted: grant.stats.targeted,
+      granted: grant.stats.granted,
+      failed: grant.stats.failed,
+      reversed: grant.stats.reversed,
+      kept: grant.stats.kept
+    };
+    return {
+      id: grant._id.toString(),
+      segment: grant.segment,
+      filters: grant.filters,
+      amount: grant.amount,
+      reason: grant.reason,
+      maxPlayers: grant.maxPlayers,
+      status: grant.status,
+      stats,
+      // Stars still with players
+      totalCost: (stats.granted - stats.reversed) * grant.amount,
+      createdBy: grant.createdBy,
+      cancelledBy: grant.cancelledBy,
+      reversedBy: grant.reversedBy,
+      completedAt: grant.completedAt,
+      reversedAt: grant.reversedAt,
+      createdAt: grant.createdAt
+    };
+  }
+}
+
+module.exports = BulkBonuses;
@@ -0,0 +1,313 @@
+// services/Campaigns.js
+const axios = require('axios');
+const mongoose = require('mongoose');
+const { User, Campaign, CampaignDelivery } = require('../db/database');
+const Segments = require('./Segments');
+const events = require('./events');
+
+const DEFAULT_RATE = 25;          // messages per second, Telegram allows about 30
+const MAX_ATTEMPTS = 5;
+const BATCH_SIZE = 100;
+const CHECK_SECONDS = 30;
+const MAX_MESSAGE_LENGTH = 4096;
+
+// Players who will not get the message again, whatever we retry
+const UNREACHABLE = /blocked by the user|user is deactivated|chat not found|bot can't initiate/i;
+
+// TELEGRAM_API_URL points these calls at a local Bot API stub in tests
+const apiUrl = () => process.env.TELEGRAM_API_URL || 'https://api.telegram.org';
+const webAppUrl = () => process.env.WEB_APP_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Marketing broadcasts through the bot. A campaign targets a segment
+ * (services/Segments.js) minus players who opted out; when it is due, one
+ * delivery per player is recorded and sent through a single queue paced to
+ * CAMPAIGN_RATE messages per second. 429s pause the queue for the
+ * retry_after Telegram asks for. The mini app button carries the delivery id
+ * so opening it counts as a click.
+ */
+class Campaigns {
+  constructor() {
+    this.timer = null;
+    this.running = null;
+  }
+
+  start(seconds = CHECK_SECONDS) {
+    this.stop();
+    if (!process.env.BOT_TOKEN || process.env.BOT_TOKEN === 'YOUR_BOT_TOKEN') {
+      console.log('📣 Campaign sending disabled - BOT_TOKEN not configured');
+      return;
+    }
+
+    this.timer = setInterval(() => this.run(), seconds * 1000);
+    this.timer.unref();
+    this.run();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Sends due campaigns one after another; a pass already running is shared
+  run() {
+    if (!this.running) {
+      this.running = this.sendDue()
+        .catch(error => console.error('❌ Campaign queue failed:', error.message))
+        .finally(() => { this.running = null; });
+    }
+    return this.running;
+  }
+
+  async sendDue() {
+    while (this.timer) {
+      // Campaigns interrupted by a restart go first
+      const campaign = await Campaign.findOne({ status: 'sending' }).sort({ startedAt: 1 }) ||
+        await Campaign.findOneAndUpdate(
+          { status: 'scheduled', scheduledAt: { $lte: new Date() } },
+          { $set: { status: 'sending', startedAt: new Date() } },
+          { new: true, sort: { scheduledAt: 1 } }
+        );
+      if (!campaign) return;
+
+      await this.send(campaign);
+    }
+  }
+
+  async send(campaign) {
+    if (!campaign.stats.targeted) {
+      await this.prepare(campaign);
+    }
+    console.log(`📣 Sending campaign "${campaign.name}" to ${campaign.stats.targeted} player(s)`);
+
+    const interval = 1000 / (parseFloat(process.env.CAMPAIGN_RATE) || DEFAULT_RATE);
+    while (this.timer) {
+      const current = await Campaign.findById(campaign._id).select('status');
+      if (!current || current.status !== 'sending') return;
+
+      const deliveries = await CampaignDelivery.find({ campaignId: campaign._id, status: 'pending' })
+        .sort({ _id: 1 })
+        .limit(BATCH_SIZE);
+      if (deliveries.length === 0) break;
+
+      for (const delivery of deliveries) {
+        const startedAt = Date.now();
+        await this.deliver(campaign, delivery);
+        await sleep(Math.max(0, interval - (Date.now() - startedAt)));
+      }
+      this.announce(await Campaign.findById(campaign._id));
+    }
+    if (!this.timer) return;
+
+    const completed = await Campaign.findOneAndUpdate(
+      { _id: campaign._id, status: 'sending' },
+      { $set: { status: 'completed', completedAt: new Date() } },
+      { new: true }
+    );
+    if (completed) {
+      const { delivered, blocked, failed } = completed.stats;
+      console.log(`📣 Campaign "${completed.name}" done: ${delivered} delivered, ${blocked} blocked, ${failed} failed`);
+      this.announce(completed);
+    }
+  }
+
+  // One pending delivery per player in the segment; safe to repeat after a restart
+  async prepare(campaign) {
+    const cursor = await Segments.cursor(campaign.segment, { marketingOptOut: { $ne: true } });
+    let batch = [];
+    const flush = async () => {
+      if (batch.length === 0) return;
+      await CampaignDelivery.insertMany(batch, { ordered: false }).catch(error => {
+        if (error.code !== 11000 && !(error.writeErrors && error.writeErrors.every(e => e.code === 11000))) {
+          throw error;
+        }
+      });
+      batch = [];
+    };
+
+    for await (const user of cursor) {
+      batch.push({ campaignId: campaign._id, userId: user.telegramId });
+      if (batch.length >= 1000) await flush();
+    }
+    await flush();
+
+    campaign.stats.targeted = await CampaignDelivery.countDocuments({ campaignId: campaign._id });
+    await Campaign.updateOne({ _id: campaign._id }, { $set: { 'stats.targeted': campaign.stats.targeted } });
+  }
+
+  async deliver(campaign, delivery) {
+    let status = 'failed';
+    let lastError;
+
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+      try {
+        await this.sendMessage(campaign, delivery);
+        status = 'delivered';
+        break;
+      } catch (error) {
+        const body = error.response && error.response.data;
+        lastError = (body && body.description) || error.message;
+
+        if (body && body.error_code === 429) {
+          // Flood control: the whole queue waits, not just this player
+          const retryAfter = (body.parameters && body.parameters.retry_after) || 1;
+          console.warn(`⏳ Telegram rate limit hit, pausing campaign queue for ${retryAfter}s`);
+          await sleep(retryAfter * 1000);
+        } else if (body && (body.error_code === 403 || UNREACHABLE.test(lastError))) {
+          status = 'blocked';
+          break;
+        } else if (body && body.error_code === 400) {
+          break;
+        } else {
+          await sleep(attempt * 1000);
+        }
+      }
+    }
+
+    await CampaignDelivery.updateOne(
+      { _id: delivery._id },
+      {
+        $set: status === 'delivered' ? { status, sentAt: new Date() } : { status, lastError },
+        $inc: { attempts: 1 }
+      }
+    );
+    await Campaign.updateOne({ _id: campaign._id }, { $inc: { [`stats.${status}`]: 1 } });
+  }
+
+  sendMessage(campaign, delivery) {
+    const url = new URL(webAppUrl());
+    url.searchParams.set('campaign', delivery._id.toString());
+
+    return axios.post(`${apiUrl()}/bot${process.env.BOT_TOKEN}/sendMessage`, {
+      chat_id: delivery.userId,
+      text: campaign.message,
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: campaign.buttonText || '🛩️ Play Aviator', web_app: { url: url.toString() } }],
+          [{ text: '🔕 Unsubscribe', callback_data: 'marketing_optout' }]
+        ]
+      }
+    }, { timeout: 10000 });
+  }
+
+  /**
+   * @param {object} input - { name, segment, message, buttonText, scheduledAt }
+   * @param {string} admin - Username creating it
+   */
+  async create(input, admin) {
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    const message = typeof input.message === 'string' ? input.message.trim() : '';
+    const buttonText = typeof input.buttonText === 'string' ? input.buttonText.trim() : '';
+    const scheduledAt = input.scheduledAt ? new Date(input.scheduledAt) : new Date();
+
+    if (!name) return { success: false, error: 'Campaign name is required' };
+    if (!Segments.exists(input.segment)) return { success: false, error: 'Unknown segment' };
+    if (!message || message.length > MAX_MESSAGE_LENGTH) {
+      return { success: false, error: `Message must be 1 to ${MAX_MESSAGE_LENGTH} characters` };
+    }
+    if (buttonText.length > 64) return { success: false, error: 'Button text must be at most 64 characters' };
+    if (isNaN(scheduledAt.getTime())) return { success: false, error: 'Invalid schedule time' };
+
+    const campaign = await new Campaign({
+      name,
+      segment: input.segment,
+      message,
+      buttonText: buttonText || undefined,
+      scheduledAt,
+      createdBy: admin
+    }).save();
+
+    this.announce(campaign);
+    if (this.timer && scheduledAt <= new Date()) {
+      this.run();
+    }
+    return { success: true, campaign: this.describe(campaign) };
+  }
+
+  async cancel(id, by) {
+    if (!mongoose.isValidObjectId(id)) return { success: false, error: 'Campaign not found' };
+
+    const campaign = await Campaign.findOneAndUpdate(
+      { _id: id, status: { $in: ['scheduled', 'sending'] } },
+      { $set: { status: 'cancelled', cancelledBy: by, completedAt: new Date() } },
+      { new: true }
+    );
+    if (!campaign) return { success: false, error: 'Campaign not found or already finished' };
+
+    // Players not reached yet stay pending, so the counts show who was skipped
+    this.announce(campaign);
+    return { success: true, campaign: this.describe(campaign) };
+  }
+
+  // The player opened the mini app from a campaign message
+  async click(deliveryId, userId) {
+    if (!mongoose.isValidObjectId(deliveryId)) return { success: false, error: 'Unknown campaign message' };
+
+    const delivery = await CampaignDelivery.findOneAndUpdate(
+      { _id: deliveryId, userId, clickedAt: null },
+      { $set: { clickedAt: new Date() } }
+    );
+    if (delivery) {
+      await Campaign.updateOne({ _id: delivery.campaignId }, { $inc: { 'stats.clicked': 1 } });
+    }
+    return { success: true };
+  }
+
+  async setOptOut(userId, optOut) {
+    const result = await User.updateOne({ telegramId: userId }, { $set: { marketingOptOut: optOut } });
+    return { success: result.matchedCount > 0 };
+  }
+
+  async preview(segment) {
+    if (!Segments.exists(segment)) return { success: false, error: 'Unknown segment' };
+    return { success: true, players: await Segments.count(segment, { marketingOptOut: { $ne: true } }) };
+  }
+
+  async list({ status, limit = 50 } = {}) {
+    const query = status && status !== 'all' ? { status } : {};
+    const campaigns = await Campaign.find(query).sort({ createdAt: -1 }).limit(limit);
+    return campaigns.map(campaign => this.describe(campaign));
+  }
+
+  async get(id) {
+    if (!mongoose.isValidObjectId(id)) return null;
+    const campaign = await Campaign.findById(id);
+    return campaign ? this.describe(campaign) : null;
+  }
+
+  announce(campaign) {
+    if (campaign) {
+      events.emit('campaign', this.describe(campaign));
+    }
+  }
+
+  describe(campaign) {
+    return {
+      id: campaign._id.toString(),
+      name: campaign.name,
+      segment: campaign.segment,
+      message: campaign.message,
+      buttonText: campaign.buttonText,
+      status: campaign.status,
+      scheduledAt: campaign.scheduledAt,
+      startedAt: campaign.startedAt,
+      completedAt: campaign.completedAt,
+      stats: {
+        targeted: campaign.stats.targeted,
+        delivered: campaign.stats.delivered,
+        blocked: campaign.stats.blocked,
+        failed: campaign.stats.failed,
+        clicked: campaign.stats.clicked
+      },
+      createdBy: campaign.createdBy,
+      cancelledBy: campaign.cancelledBy,
+      createdAt: campaign.createdAt
+    };
+  }
+}
+
+module.exports = new Campaigns();
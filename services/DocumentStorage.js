@@ -0,0 +1,87 @@
+// services/DocumentStorage.js
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Files on the server's disk, under KYC_STORAGE_DIR (storage/kyc by default).
+ * Keys are relative paths and may not leave that directory.
+ */
+class LocalStorage {
+  constructor(root) {
+    this.root = path.resolve(root);
+  }
+
+  resolve(key) {
+    const file = path.resolve(this.root, key);
+    if (!file.startsWith(this.root + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return file;
+  }
+
+  async save(key, buffer) {
+    const file = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true, mode: 0o700 });
+    await fs.promises.writeFile(file, buffer, { mode: 0o600, flag: 'wx' });
+  }
+
+  read(key) {
+    return fs.createReadStream(this.resolve(key));
+  }
+
+  async remove(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+}
+
+// name -> factory; DOCUMENT_STORAGE picks one
+const backends = new Map([
+  ['local', () => new LocalStorage(process.env.KYC_STORAGE_DIR || path.join(__dirname, '..', 'storage', 'kyc'))]
+]);
+
+let backend = null;
+
+/**
+ * Where uploaded documents (KYC files) are kept. Backends implement
+ * save(key, buffer, meta), read(key) returning a readable stream, and
+ * remove(key); register() adds one, e.g. for object storage.
+ */
+class DocumentStorage {
+  static register(name, factory) {
+    backends.set(name, factory);
+    backend = null;
+  }
+
+  static backend() {
+    if (!backend) {
+      const name = process.env.DOCUMENT_STORAGE || 'local';
+      const factory = backends.get(name);
+      if (!factory) {
+        throw new Error(`Unknown DOCUMENT_STORAGE: ${name}`);
+      }
+      backend = factory();
+    }
+    return backend;
+  }
+
+  /**
+   * @param {string} key - Path-like name, e.g. <userId>/<requestId>/<file>
+   * @param {Buffer} buffer - File contents
+   * @param {object} meta - { mimeType, fileName }
+   */
+  static save(key, buffer, meta = {}) {
+    return this.backend().save(key, buffer, meta);
+  }
+
+  static read(key) {
+    return this.backend().read(key);
+  }
+
+  static remove(key) {
+    return this.backend().remove(key);
+  }
+}
+
+DocumentStorage.LocalStorage = LocalStorage;
+
+module.exports = DocumentStorage;
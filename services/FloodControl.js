@@ -0,0 +1,326 @@
+// services/FloodControl.js
+const mongoose = require('mongoose');
+const { FloodSettings, SpamLog } = require('../db/database');
+const events = require('./events');
+
+const MINUTE_MS = 60 * 1000;
+const STRIKE_WINDOW = 10 * MINUTE_MS;
+const FLUSH_SECONDS = 10;
+const MAX_MUTE_MINUTES = 7 * 24 * 60;
+
+// Limits admins can change from the dashboard
+const SETTINGS = {
+  enabled: { type: 'boolean', default: true, description: 'Limit bot commands and button presses' },
+  commandBurst: { type: 'int', default: 5, min: 1, max: 100, description: 'Commands a player can send at once' },
+  commandsPerMinute: { type: 'int', default: 20, min: 1, max: 600, description: 'Commands a player gets back per minute' },
+  callbackBurst: { type: 'int', default: 10, min: 1, max: 100, description: 'Button presses a player can make at once' },
+  callbacksPerMinute: { type: 'int', default: 60, min: 1, max: 600, description: 'Button presses a player gets back per minute' },
+  autoMute: { type: 'boolean', default: true, description: 'Mute players who keep flooding' },
+  muteAfter: { type: 'int', default: 3, min: 1, max: 50, description: 'Floods within 10 minutes before a mute' },
+  muteMinutes: { type: 'int', default: 10, min: 1, max: MAX_MUTE_MINUTES, description: 'How long an automatic mute lasts (minutes)' }
+};
+
+const BUCKETS = {
+  command: { burst: 'commandBurst', perMinute: 'commandsPerMinute' },
+  callback: { burst: 'callbackBurst', perMinute: 'callbacksPerMinute' }
+};
+
+const defaults = () => Object.fromEntries(Object.entries(SETTINGS).map(([key, setting]) => [key, setting.default]));
+
+/**
+ * Flood control for the bot. Each player has a token bucket for commands and
+ * one for button presses (callbacks); a full bucket allows a burst, and it
+ * refills at the per-minute rate. An update that finds its bucket empty is
+ * dropped. The first drop of a run starts a flood, logged to SpamLog with the
+ * number of updates dropped; muteAfter floods within 10 minutes mute the
+ * player, and a muted player's updates are all dropped until it ends.
+ * check() is synchronous and in memory - it runs before every update.
+ */
+class FloodControl {
+  constructor() {
+    this.settings = defaults();
+    this.players = new Map();
+    this.timer = null;
+  }
+
+  async start() {
+    const saved = await FloodSettings.findOne().lean();
+    if (saved) {
+      Object.keys(SETTINGS).forEach(key => {
+        if (saved[key] !== undefined && saved[key] !== null) this.settings[key] = saved[key];
+      });
+    }
+
+    // Mutes outlive restarts
+    const mutes = await SpamLog.find({ kind: 'mute', mutedUntil: { $gt: new Date() }, liftedAt: null });
+    mutes.forEach(mute => {
+      this.player(mute.userId).mute = { id: mute._id, until: mute.mutedUntil.getTime() };
+    });
+
+    this.stop();
+    this.timer = setInterval(() => this.flush(), FLUSH_SECONDS * 1000);
+    this.timer.unref();
+    console.log(`🚦 Bot flood control ${this.settings.enabled ? 'on' : 'off'}${mutes.length ? `, ${mutes.length} player(s) muted` : ''}`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  player(userId) {
+    let player = this.players.get(userId);
+    if (!player) {
+      player = { buckets: {}, flood: null, strikes: [], mute: null };
+      this.players.set(userId, player);
+    }
+    return player;
+  }
+
+  /**
+   * @param {object} from - Telegram user ({ id, username })
+   * @param {string} bucket - command|callback, or null for other messages (only mutes apply)
+   * @param {string} sample - The command or button data, for the log
+   * @returns {object} { allowed } - when not allowed, notify says whether to tell the
+   *   player (first drop of a flood, or the mute that just started) and mutedUntil is set while muted
+   */
+  check(from, bucket, sample) {
+    const now = Date.now();
+    const player = this.players.get(from.id);
+
+    if (player && player.mute) {
+      if (player.mute.until > now) {
+        return { allowed: false, notify: false, mutedUntil: new Date(player.mute.until) };
+      }
+      player.mute = null;
+    }
+    if (!this.settings.enabled || !bucket) return { allowed: true };
+
+    const state = player || this.player(from.id);
+    const limits = BUCKETS[bucket];
+    const burst = this.settings[limits.burst];
+    const current = state.buckets[bucket] || { tokens: burst, at: now };
+    current.tokens = Math.min(burst, current.tokens + (now - current.at) * this.settings[limits.perMinute] / MINUTE_MS);
+    current.at = now;
+    state.buckets[bucket] = current;
+
+    if (current.tokens >= 1) {
+      current.tokens -= 1;
+      state.flood = null;
+      return { allowed: true };
+    }
+
+    // Still the same flood
+    if (state.flood) {
+      state.flood.dropped++;
+      state.flood.dirty = true;
+      return { allowed: false, notify: false };
+    }
+
+    state.flood = { id: new mongoose.Types.ObjectId(), dropped: 1, dirty: false };
+    state.strikes = state.strikes.filter(at => now - at < STRIKE_WINDOW).concat(now);
+    this.log({
+      _id: state.flood.id,
+      userId: from.id,
+      username: from.username,
+      kind: 'flood',
+      bucket,
+      sample: sample && String(sample).slice(0, 64),
+      dropped: 1
+    });
+
+    if (this.settings.autoMute && state.strikes.length >= this.settings.muteAfter) {
+      const mute = this.mute(from, { minutes: this.settings.muteMinutes, by: 'auto', reason: `${state.strikes.length} floods in 10 minutes` });
+      return { allowed: false, notify: true, mutedUntil: mute.until };
+    }
+    return { allowed: false, notify: true };
+  }
+
+  /**
+   * @param {object} from - { id, username }
+   * @param {object} options - { minutes, by, reason }
+   * @returns {object} { success, until } or { success: false, error }
+   */
+  mute(from, { minutes, by, reason }) {
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_MUTE_MINUTES) {
+      return { success: false, error: `Mutes last 1 to ${MAX_MUTE_MINUTES} minutes` };
+    }
+
+    const state = this.player(from.id);
+    const until = new Date(Date.now() + minutes * MINUTE_MS);
+    const id = new mongoose.Types.ObjectId();
+
+    if (state.mute) {
+      // A new mute replaces the running one
+      SpamLog.updateOne({ _id: state.mute.id }, { $set: { liftedBy: by, liftedAt: new Date() } })
+        .catch(error => console.error('❌ Could not close the previous mute:', error.message));
+    }
+    state.mute = { id, until: until.getTime() };
+    state.strikes = [];
+
+    console.warn(`🚦 Player ${from.id} muted in the bot for ${minutes} min by ${by}`);
+    this.log({ _id: id, userId: from.id, username: from.username, kind: 'mute', mutedUntil: until, mutedBy: by, reason });
+    return { success: true, until };
+  }
+
+  async unmute(userId, by) {
+    const state = this.players.get(userId);
+    const active = await SpamLog.findOneAndUpdate(
+      { userId, kind: 'mute', mutedUntil: { $gt: new Date() }, liftedAt: null },
+      { $set: { liftedBy: by, liftedAt: new Date() } },
+      { new: true, sort: { createdAt: -1 } }
+    );
+    if (!active && !(state && state.mute)) return { success: false, error: 'Player is not muted' };
+
+    if (state) {
+      state.mute = null;
+      state.strikes = [];
+    }
+    if (active) this.announce('unmute', active);
+    return { success: true };
+  }
+
+  log(entry) {
+    new SpamLog(entry).save()
+      .then(saved => this.announce(saved.kind, saved))
+      .catch(error => console.error('❌ Could not write the spam log:', error.message));
+  }
+
+  // Writes drop counts of running floods and forgets players with nothing going on
+  async flush() {
+    const now = Date.now();
+    const writes = [];
+
+    this.players.forEach((state, userId) => {
+      if (state.flood && state.flood.dirty) {
+        state.flood.dirty = false;
+        writes.push({ updateOne: { filter: { _id: state.flood.id }, update: { $max: { dropped: state.flood.dropped } } } });
+      }
+
+      const idle = Object.entries(state.buckets).every(([bucket, current]) =>
+        current.tokens + (now - current.at) * this.settings[BUCKETS[bucket].perMinute] / MINUTE_MS >= this.settings[BUCKETS[bucket].burst]
+      );
+      const muted = state.mute && state.mute.until > now;
+      const striking = state.strikes.some(at => now - at < STRIKE_WINDOW);
+      if (idle && !muted && !striking && !(state.flood && state.flood.dirty)) {
+        this.players.delete(userId);
+      }
+    });
+
+    if (writes.length > 0) {
+      await SpamLog.bulkWrite(writes, { ordered: false })
+        .catch(error => console.error('❌ Could not update the spam log:', error.message));
+    }
+  }
+
+  /**
+   * Change limits; keys left out keep their values
+   * @returns {object} { success, settings, before } or { success: false, error }
+   */
+  async update(changes, updatedBy) {
+    const keys = Object.keys(changes || {});
+    if (keys.length === 0) return { success: false, error: 'No settings given' };
+
+    const parsed = {};
+    for (const key of keys) {
+      const setting = SETTINGS[key];
+      if (!setting) return { success: false, error: `Unknown setting: ${key}` };
+
+      const value = changes[key];
+      if (setting.type === 'boolean') {
+        if (typeof value !== 'boolean') return { success: false, error: `${key} must be true or false` };
+      } else if (!Number.isInteger(value) || value < setting.min || value > setting.max) {
+        return { success: false, error: `${key} must be a whole number from ${setting.min} to ${setting.max}` };
+      }
+      parsed[key] = value;
+    }
+
+    const before = { ...this.settings };
+    await FloodSettings.findOneAndUpdate({}, { $set: { ...parsed, updatedBy } }, { upsert: true });
+    Object.assign(this.settings, parsed);
+
+    // Buckets refill towards the new burst sizes on the next update
+    console.log(`🚦 Flood control changed by ${updatedBy}: ${keys.map(key => `${key}=${parsed[key]}`).join(', ')}`);
+    this.announce('settings', null);
+    return { success: true, settings: this.describe(), before };
+  }
+
+  describe() {
+    return { ...this.settings };
+  }
+
+  fields() {
+    return Object.entries(SETTINGS).map(([key, setting]) => ({ key, ...setting, value: this.settings[key] }));
+  }
+
+  mutedCount() {
+    const now = Date.now();
+    let count = 0;
+    this.players.forEach(state => {
+      if (state.mute && state.mute.until > now) count++;
+    });
+    return count;
+  }
+
+  /**
+   * @param {object} filters - { kind: flood|mute|all, userId, page, limit }
+   */
+  async list({ kind = 'all', userId, page = 1, limit = 50 } = {}) {
+    const query = {};
+    if (kind && kind !== 'all') query.kind = kind;
+    if (userId) query.userId = userId;
+
+    const [entries, total] = await Promise.all([
+      SpamLog.find(query).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      SpamLog.countDocuments(query)
+    ]);
+    return { entries: entries.map(entry => this.describeEntry(entry)), total, page };
+  }
+
+  // The last 24 hours
+  async stats() {
+    const since = new Date(Date.now() - 24 * 60 * MINUTE_MS);
+    const [floods] = await SpamLog.aggregate([
+      { $match: { kind: 'flood', createdAt: { $gte: since } } },
+      { $group: { _id: null, floods: { $sum: 1 }, dropped: { $sum: '$dropped' }, players: { $addToSet: '$userId' } } }
+    ]);
+    const mutes = await SpamLog.countDocuments({ kind: 'mute', createdAt: { $gte: since } });
+
+    return {
+      floods: floods ? floods.floods : 0,
+      dropped: floods ? floods.dropped : 0,
+      players: floods ? floods.players.length : 0,
+      mutes,
+      mutedNow: this.mutedCount()
+    };
+  }
+
+  announce(type, entry) {
+    events.emit('spam', { type, entry: entry ? this.describeEntry(entry) : undefined, settings: type === 'settings' ? this.describe() : undefined });
+  }
+
+  describeEntry(entry) {
+    return {
+      id: entry._id.toString(),
+      userId: entry.userId,
+      username: entry.username,
+      kind: entry.kind,
+      bucket: entry.bucket,
+      sample: entry.sample,
+      dropped: entry.dropped,
+      mutedUntil: entry.mutedUntil,
+      mutedBy: entry.mutedBy,
+      reason: entry.reason,
+      liftedBy: entry.liftedBy,
+      liftedAt: entry.liftedAt,
+      createdAt: entry.createdAt
+    };
+  }
+}
+
+const floodControl = new FloodControl();
+floodControl.SETTINGS = SETTINGS;
+
+module.exports = floodControl;
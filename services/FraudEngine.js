@@ -0,0 +1,401 @@
+// services/FraudEngine.js
+const mongoose = require('mongoose');
+const { User, Game, PlayerSignal, FraudCase } = require('../db/database');
+const events = require('./events');
+
+// Points each finding adds to a cluster's risk score (capped at 100)
+const WEIGHTS = {
+  device: 40,          // same device ID, per linked account
+  fingerprint: 10,     // same browser fingerprint (common phone models collide)
+  ip: 15,              // same IP address
+  selfReferral: 40,    // referred by an account it shares a device or IP with
+  linkedReferral: 20,  // referral linked to the referrer or another referral
+  idleReferral: 5,     // referral that took the bonus and barely played
+  betPattern: 30       // linked accounts betting the same amounts in the same rounds
+};
+
+// Cases open at FLAG_SCORE; HIGH_SCORE and up is high severity
+const FLAG_SCORE = 50;
+const HIGH_SCORE = 80;
+
+// An IP used by more accounts than this is shared (carrier NAT, public Wi-Fi)
+const MAX_ACCOUNTS_PER_IP = 20;
+
+// Referral abuse: at least this many referrals within the window
+const REFERRAL_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+const MIN_REFERRALS = 3;
+const IDLE_REFERRAL_BETS = 2;
+
+// Bet pattern: rounds compared per pair, and how alike they must be
+const PATTERN_ROUNDS = 100;
+const PATTERN_MIN_SHARED = 5;
+const PATTERN_MIN_MATCH = 0.8;
+const MAX_PATTERN_PAIRS = 10;
+
+const OPEN_STATUSES = ['open', 'reviewing'];
+
+const severityOf = (score) => (score >= HIGH_SCORE ? 'high' : score >= FLAG_SCORE ? 'medium' : 'low');
+const SEVERITY_RANK = { low: 0, medium: 1, high: 2 };
+
+/**
+ * Fraud detection. The mini app reports the player's IP, device ID and
+ * browser fingerprint at login (recordSignals); accounts sharing them are
+ * linked and scored together with their referral chain and betting. A
+ * cluster scoring FLAG_SCORE or more becomes a FraudCase for review and is
+ * announced with a 'fraudAlert' event.
+ */
+class FraudEngine {
+  /**
+   * @param {number} userId - Telegram ID
+   * @param {object} signals - { ip, deviceId, fingerprint }
+   */
+  static async recordSignals(userId, { ip, deviceId, fingerprint } = {}) {
+    const now = new Date();
+    const values = [
+      ['ip', ip],
+      ['device', deviceId],
+      ['fingerprint', fingerprint]
+    ].filter(([, value]) => typeof value === 'string' && value.length > 0 && value.length <= 128);
+
+    if (values.length === 0) return;
+
+    await PlayerSignal.bulkWrite(values.map(([kind, value]) => ({
+      updateOne: {
+        filter: { userId, kind, value },
+        update: { $inc: { seenCount: 1 }, $set: { lastSeen: now }, $setOnInsert: { firstSeen: now } },
+        upsert: true
+      }
+    })));
+  }
+
+  /**
+   * Record what the mini app reported at login and rescan the player in the
+   * background. Logins without device info (the bot's /start) come from our
+   * own server, so their IP says nothing and is skipped.
+   * @param {object} device - { id, fingerprint } from the mini app
+   */
+  static observe(userId, ip, device) {
+    if (!device || typeof device !== 'object') return;
+
+    this.recordSignals(userId, { ip, deviceId: device.id, fingerprint: device.fingerprint })
+      .then(() => this.scanUser(userId))
+      .catch(error => console.error(`❌ Fraud scan for ${userId} failed:`, error));
+  }
+
+  /**
+   * Accounts sharing a signal with the player
+   * @returns {Map} other userId -> Set of shared kinds
+   */
+  static async linkedAccounts(userId) {
+    const own = await PlayerSignal.find({ userId });
+    const linked = new Map();
+
+    for (const signal of own) {
+      const others = await PlayerSignal.find({ kind: signal.kind, value: signal.value, userId: { $ne: userId } })
+        .limit(MAX_ACCOUNTS_PER_IP + 1)
+        .select('userId');
+      if (signal.kind === 'ip' && others.length > MAX_ACCOUNTS_PER_IP) continue;
+
+      others.forEach(other => {
+        if (!linked.has(other.userId)) linked.set(other.userId, new Set());
+        linked.get(other.userId).add(signal.kind);
+      });
+    }
+    return linked;
+  }
+
+  /**
+   * Linked accounts betting the same amounts in the same rounds
+   * @returns {object|null} { shared, matching } when the pair looks coordinated
+   */
+  static async betPattern(userId, otherId) {
+    const games = await Game.find({ 'bets.userId': { $all: [userId, otherId] } })
+      .sort({ createdAt: -1 })
+      .limit(PATTERN_ROUNDS)
+      .select('bets.userId bets.betAmount');
+
+    if (games.length < PATTERN_MIN_SHARED) return null;
+
+    const matching = games.filter(game => {
+      const amounts = (id) => game.bets.filter(bet => bet.userId === id).map(bet => bet.betAmount).sort().join(',');
+      return amounts(userId) === amounts(otherId);
+    }).length;
+
+    return matching / games.length >= PATTERN_MIN_MATCH ? { shared: games.length, matching } : null;
+  }
+
+  /**
+   * Score the player's cluster - linked accounts, who referred them and how
+   * the linked accounts bet - and open or update a case when it is high enough.
+   * The player's referrer is checked for referral abuse too.
+   */
+  static async scanUser(userId) {
+    const user = await User.findOne({ telegramId: userId }).select('telegramId referredBy');
+    if (!user) return null;
+
+    const signals = [];
+    const linked = await this.linkedAccounts(userId);
+
+    linked.forEach((kinds, otherId) => {
+      kinds.forEach(kind => {
+        signals.push({ type: kind, detail: `Shares ${kind === 'ip' ? 'an IP address' : `a ${kind}`} with ${otherId}`, weight: WEIGHTS[kind], userIds: [userId, otherId] });
+      });
+    });
+
+    if (user.referredBy && linked.has(user.referredBy)) {
+      signals.push({ type: 'selfReferral', detail: `Referred by linked account ${user.referredBy}`, weight: WEIGHTS.selfReferral, userIds: [userId, user.referredBy] });
+    }
+
+    for (const otherId of [...linked.keys()].slice(0, MAX_PATTERN_PAIRS)) {
+      const pattern = await this.betPattern(userId, otherId);
+      if (pattern) {
+        signals.push({
+          type: 'betPattern',
+          detail: `Same bets as ${otherId} in ${pattern.matching} of ${pattern.shared} shared rounds`,
+          weight: WEIGHTS.betPattern,
+          userIds: [userId, otherId]
+        });
+      }
+    }
+
+    const result = await this.evaluate('multi_account', userId, signals);
+
+    if (user.referredBy) {
+      await this.scanReferrer(user.referredBy);
+    }
+    return result;
+  }
+
+  /**
+   * Referral abuse: a player whose recent referrals are linked to them or to
+   * each other, or took the referral bonus and hardly played
+   */
+  static async scanReferrer(referrerId) {
+    const referrals = await User.find({
+      referredBy: referrerId,
+      createdAt: { $gte: new Date(Date.now() - REFERRAL_WINDOW_MS) }
+    }).select('telegramId totalBets');
+
+    if (referrals.length < MIN_REFERRALS) return null;
+
+    const cluster = new Set([referrerId, ...referrals.map(referral => referral.telegramId)]);
+    const signals = [];
+
+    for (const referral of referrals) {
+      const linked = await this.linkedAccounts(referral.telegramId);
+      const inCluster = [...linked.keys()].filter(id => cluster.has(id));
+      if (inCluster.length > 0) {
+        signals.push({
+          type: 'linkedReferral',
+          detail: `Referral ${referral.telegramId} is linked to ${inCluster.join(', ')}`,
+          weight: WEIGHTS.linkedReferral,
+          userIds: [referral.telegramId, ...inCluster]
+        });
+      }
+      if (referral.totalBets <= IDLE_REFERRAL_BETS) {
+        signals.push({
+          type: 'idleReferral',
+          detail: `Referral ${referral.telegramId} took the bonus and placed ${referral.totalBets} bet(s)`,
+          weight: WEIGHTS.idleReferral,
+          userIds: [referral.telegramId]
+        });
+      }
+    }
+
+    return this.evaluate('referral_abuse', referrerId, signals);
+  }
+
+  static async evaluate(kind, primaryUserId, signals) {
+    const score = Math.min(100, signals.reduce((sum, signal) => sum + signal.weight, 0));
+    const userIds = [...new Set([primaryUserId, ...signals.flatMap(signal => signal.userIds)])];
+    const result = { score, severity: severityOf(score), signals, userIds };
+
+    if (score >= FLAG_SCORE) {
+      result.case = await this.openCase(kind, primaryUserId, result);
+    }
+    return result;
+  }
+
+  // Update the cluster's open case, or open one; alerts on new cases and escalations
+  static async openCase(kind, primaryUserId, { score, severity, signals, userIds }) {
+    const existing = await FraudCase.findOne({ kind, primaryUserId, status: { $in: OPEN_STATUSES } });
+
+    if (existing) {
+      const escalated = SEVERITY_RANK[severity] > SEVERITY_RANK[existing.severity];
+      existing.score = Math.max(existing.score, score);
+      existing.severity = severityOf(existing.score);
+      existing.signals = signals;
+      existing.userIds = [...new Set([...existing.userIds, ...userIds])];
+      await existing.save();
+
+      if (escalated) await this.alert(existing, `Case escalated to ${existing.severity} risk`);
+      return existing;
+    }
+
+    const fraudCase = await new FraudCase({ kind, primaryUserId, userIds, score, severity, signals }).save();
+    await this.alert(fraudCase, `${kind === 'referral_abuse' ? 'Referral abuse' : 'Multi-accounting'} suspected around ${primaryUserId} (${userIds.length} accounts, score ${score})`);
+    return fraudCase;
+  }
+
+  /**
+   * Put a player up for review by hand
+   * @param {object} flag - { by, reason }
+   */
+  static async flag(userId, { by, reason } = {}) {
+    const user = await User.findOne({ telegramId: userId }).select('telegramId');
+    if (!user) {
+      return { success: false, error: 'User not found' };
+    }
+
+    const note = { by, text: reason || 'Flagged for review' };
+    const existing = await FraudCase.findOne({ userIds: userId, status: { $in: OPEN_STATUSES } });
+    if (existing) {
+      existing.notes.push(note);
+      await existing.save();
+      return { success: true, case: this.describe(existing) };
+    }
+
+    const fraudCase = await new FraudCase({
+      kind: 'manual',
+      primaryUserId: userId,
+      userIds: [userId],
+      severity: 'medium',
+      notes: [note]
+    }).save();
+    await this.alert(fraudCase, `${by} flagged ${userId} for review`);
+    return { success: true, case: this.describe(fraudCase) };
+  }
+
+  // Review workflow
+
+  static async findCase(id) {
+    return mongoose.isValidObjectId(id) ? FraudCase.findById(id) : null;
+  }
+
+  // A case with the accounts it links
+  static async get(id) {
+    const fraudCase = await this.findCase(id);
+    if (!fraudCase) return { success: false, error: 'Case not found' };
+
+    const users = await User.find({ telegramId: { $in: fraudCase.userIds } })
+      .select('telegramId username balance totalBets totalWagered referredBy isBanned createdAt');
+    return { success: true, case: this.describe(fraudCase), users };
+  }
+
+  static async assign(id, admin) {
+    const fraudCase = await this.findCase(id);
+    if (!fraudCase) return { success: false, error: 'Case not found' };
+    if (!OPEN_STATUSES.includes(fraudCase.status)) return { success: false, error: `Case is already ${fraudCase.status}` };
+
+    fraudCase.assignedTo = admin;
+    fraudCase.status = 'reviewing';
+    await fraudCase.save();
+    return { success: true, case: this.describe(fraudCase) };
+  }
+
+  static async addNote(id, by, text) {
+    if (!text || typeof text !== 'string') return { success: false, error: 'Note text required' };
+
+    const fraudCase = await this.findCase(id);
+    if (!fraudCase) return { success: false, error: 'Case not found' };
+
+    fraudCase.notes.push({ by, text: text.slice(0, 2000) });
+    await fraudCase.save();
+    return { success: true, case: this.describe(fraudCase) };
+  }
+
+  /**
+   * Close a case as confirmed fraud or a false alarm
+   * @param {object} resolution - { by, resolution: 'confirmed' | 'dismissed', note }
+   */
+  static async resolve(id, { by, resolution, note }) {
+    if (!['confirmed', 'dismissed'].includes(resolution)) {
+      return { success: false, error: 'Resolution must be confirmed or dismissed' };
+    }
+
+    const fraudCase = await this.findCase(id);
+    if (!fraudCase) return { success: false, error: 'Case not found' };
+    if (!OPEN_STATUSES.includes(fraudCase.status)) return { success: false, error: `Case is already ${fraudCase.status}` };
+
+    fraudCase.status = resolution;
+    fraudCase.resolvedBy = by;
+    fraudCase.resolvedAt = new Date();
+    if (note) fraudCase.notes.push({ by, text: note });
+    await fraudCase.save();
+    return { success: true, case: this.describe(fraudCase) };
+  }
+
+  // Ban every account in the case and close it as confirmed
+  static async block(id, by) {
+    const fraudCase = await this.findCase(id);
+    if (!fraudCase) return { success: false, error: 'Case not found' };
+
+    const result = await User.updateMany({ telegramId: { $in: fraudCase.userIds } }, { $set: { isBanned: true } });
+
+    fraudCase.blocked = true;
+    if (OPEN_STATUSES.includes(fraudCase.status)) {
+      fraudCase.status = 'confirmed';
+      fraudCase.resolvedBy = by;
+      fraudCase.resolvedAt = new Date();
+    }
+    fraudCase.notes.push({ by, text: `Blocked ${result.modifiedCount} account(s)` });
+    await fraudCase.save();
+    return { success: true, case: this.describe(fraudCase), blocked: result.modifiedCount };
+  }
+
+  /**
+   * @param {object} filters - { status, severity, userId, page, limit }
+   */
+  static async list({ status, severity, userId, page = 1, limit = 50 } = {}) {
+    const query = {};
+    if (status === 'active') query.status = { $in: OPEN_STATUSES };
+    else if (status) query.status = status;
+    if (severity) query.severity = severity;
+    if (userId) query.userIds = userId;
+
+    const [cases, total] = await Promise.all([
+      FraudCase.find(query).sort({ score: -1, updatedAt: -1 }).skip((page - 1) * limit).limit(limit),
+      FraudCase.countDocuments(query)
+    ]);
+    return { cases: cases.map(fraudCase => this.describe(fraudCase)), total, page, limit };
+  }
+
+  static async stats() {
+    const startOfDay = new Date();
+    startOfDay.setHours(0, 0, 0, 0);
+
+    const [highRisk, underReview, blockedToday] = await Promise.all([
+      FraudCase.countDocuments({ status: { $in: OPEN_STATUSES }, severity: 'high' }),
+      FraudCase.countDocuments({ status: 'reviewing' }),
+      FraudCase.countDocuments({ blocked: true, resolvedAt: { $gte: startOfDay } })
+    ]);
+    return { highRisk, underReview, blockedToday };
+  }
+
+  static async alert(fraudCase, message) {
+    const { highRisk } = await this.stats();
+    events.emit('fraudAlert', { ...this.describe(fraudCase), message, highRiskCount: highRisk });
+  }
+
+  static describe(fraudCase) {
+    return {
+      id: fraudCase._id.toString(),
+      kind: fraudCase.kind,
+      primaryUserId: fraudCase.primaryUserId,
+      userIds: fraudCase.userIds,
+      score: fraudCase.score,
+      severity: fraudCase.severity,
+      signals: fraudCase.signals,
+      status: fraudCase.status,
+      assignedTo: fraudCase.assignedTo,
+      notes: fraudCase.notes,
+      blocked: fraudCase.blocked,
+      resolvedBy: fraudCase.resolvedBy,
+      resolvedAt: fraudCase.resolvedAt,
+      createdAt: fraudCase.createdAt,
+      updatedAt: fraudCase.updatedAt
+    };
+  }
+}
+
+module.exports = FraudEngine;
@@ -0,0 +1,254 @@
+// services/Kyc.js
+const crypto = require('crypto');
+const path = require('path');
+const mongoose = require('mongoose');
+const { User, KycRequest } = require('../db/database');
+const DocumentStorage = require('./DocumentStorage');
+const events = require('./events');
+
+const MAX_DOCUMENTS = 10;
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+const MIME_TYPES = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'application/pdf': '.pdf'
+};
+
+// Requests still waiting on the player or an admin
+const OUTSTANDING = ['requested', 'submitted', 'rejected'];
+
+// userId -> upload in progress
+const uploads = new Map();
+
+/**
+ * Identity verification (KYC). An admin, a risk rule or the player (/kyc in
+ * the bot) requests it; the player sends photos or files of their documents
+ * to the bot, which stores them through DocumentStorage, and submits them for
+ * review. The player's kycStatus follows their latest request:
+ * none -> requested -> submitted -> approved | rejected; new documents after
+ * a rejection start the next request. Every change is announced with a 'kyc'
+ * event.
+ */
+class Kyc {
+  /**
+   * The one gate for everything KYC guards: withdrawals always need it, bets
+   * only above kycBetLimit. Until then every status but approved is turned away.
+   * @param {string} status - The player's kycStatus
+   * @param {boolean} required - Whether this action needs a verified identity
+   */
+  static clears(status, required = true) {
+    return !required || status === 'approved';
+  }
+
+  /**
+   * @param {number} userId - Telegram ID
+   * @param {object} options - { by, reason }
+   * @returns {object} { success, request, existing } or { success: false, error }
+   */
+  static async request(userId, { by, reason } = {}) {
+    const user = await User.findOne({ telegramId: userId }).select('kycStatus');
+    if (!user) return { success: false, error: 'User not found' };
+
+    const open = await this.openRequest(userId);
+    if (open) return { success: true, existing: true, request: this.describe(open) };
+
+    const request = await new KycRequest({ userId, requestedBy: by, reason }).save();
+    await this.setStatus(userId, 'requested');
+
+    this.announce('requested', request);
+    return { success: true, request: this.describe(request) };
+  }
+
+  // The latest request, while it still waits on the player or an admin
+  static async openRequest(userId) {
+    const request = await this.latest(userId);
+    return request && OUTSTANDING.includes(request.status) ? request : null;
+  }
+
+  static latest(userId) {
+    return KycRequest.findOne({ userId }).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Store a file the player sent. After a rejection the first new file starts
+   * a new request, so the rejected one keeps its documents.
+   * @param {object} file - { buffer, mimeType, fileName, kind: photo|document }
+   */
+  static addDocument(userId, file) {
+    // Albums arrive as several messages at once; one upload per player at a time
+    const previous = uploads.get(userId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(() => this.storeDocument(userId, file));
+    uploads.set(userId, next);
+    next.catch(() => {}).finally(() => {
+      if (uploads.get(userId) === next) uploads.delete(userId);
+    });
+    return next;
+  }
+
+  static async storeDocument(userId, { buffer, mimeType, fileName, kind }) {
+    let request = await this.openRequest(userId);
+    if (!request) return { success: false, error: 'No verification was requested' };
+    if (request.status === 'submitted') return { success: false, error: 'Your documents are being reviewed' };
+    if (!MIME_TYPES[mimeType]) return { success: false, error: 'Send a photo, an image or a PDF' };
+    if (buffer.length > MAX_FILE_SIZE) return { success: false, error: 'Files can be at most 10 MB' };
+
+    if (request.status === 'rejected') {
+      request = await new KycRequest({ userId, requestedBy: 'player', reason: 'New documents after a rejection' }).save();
+      await this.setStatus(userId, 'requested');
+      this.announce('requested', request);
+    }
+    if (request.documents.length >= MAX_DOCUMENTS) {
+      return { success: false, error: `You can send at most ${MAX_DOCUMENTS} files` };
+    }
+
+    const key = path.posix.join(String(userId), request._id.toString(), `${crypto.randomUUID()}${MIME_TYPES[mimeType]}`);
+    await DocumentStorage.save(key, buffer, { mimeType, fileName });
+
+    const updated = await KycRequest.findOneAndUpdate(
+      { _id: request._id, status: 'requested' },
+      { $push: { documents: { key, kind, fileName, mimeType, size: buffer.length, uploadedAt: new Date() } } },
+      { new: true }
+    );
+    if (!updated) {
+      await DocumentStorage.remove(key).catch(() => {});
+      return { success: false, error: 'Your verification changed meanwhile, please send the file again' };
+    }
+    return { success: true, request: this.describe(updated) };
+  }
+
+  static async submit(userId) {
+    const request = await KycRequest.findOneAndUpdate(
+      { userId, status: 'requested', 'documents.0': { $exists: true } },
+      { $set: { status: 'submitted', submittedAt: new Date() } },
+      { new: true, sort: { createdAt: -1 } }
+    );
+    if (!request) {
+      const open = await this.openRequest(userId);
+      return {
+        success: false,
+        error: !open ? 'No verification was requested'
+          : open.status === 'submitted' ? 'Your documents are already being reviewed'
+            : 'Send at least one document first'
+      };
+    }
+
+    await this.setStatus(userId, 'submitted');
+    this.announce('submitted', request);
+    return { success: true, request: this.describe(request) };
+  }
+
+  // Admins may approve without a submission, e.g. when checked over support
+  static async approve(userId, by) {
+    return this.review(userId, { status: 'approved', reviewedBy: by, reviewedAt: new Date() });
+  }
+
+  static async reject(userId, by, reason) {
+    if (!reason) return { success: false, error: 'A reason is required' };
+    return this.review(userId, { status: 'rejected', reviewedBy: by, reviewedAt: new Date(), rejectionReason: reason });
+  }
+
+  static async review(userId, update) {
+    const open = await this.openRequest(userId);
+    if (!open || (update.status === 'rejected' && open.status !== 'submitted')) {
+      return { success: false, error: update.status === 'rejected' ? 'No submitted documents to reject' : 'No open verification for this player' };
+    }
+
+    const request = await KycRequest.findOneAndUpdate({ _id: open._id, status: open.status }, { $set: update }, { new: true });
+    if (!request) return { success: false, error: 'Verification changed meanwhile, reload and try again' };
+
+    await this.setStatus(userId, update.status);
+    this.announce(update.status, request);
+    return { success: true, before: open.status, request: this.describe(request) };
+  }
+
+  // Players marked with the old kycRequired switch get a request instead
+  static async migrateLegacyFlags() {
+    const users = await User.collection.find({ kycRequired: true }).project({ telegramId: 1 }).toArray();
+    for (const user of users) {
+      await this.request(user.telegramId, { by: 'system', reason: 'Required by a risk rule or an admin' });
+    }
+    await User.collection.updateMany({ kycRequired: { $exists: true } }, { $unset: { kycRequired: '' } });
+    if (users.length > 0) {
+      console.log(`🪪 Requested KYC from ${users.length} player(s) marked kycRequired`);
+    }
+  }
+
+  static setStatus(userId, kycStatus) {
+    return User.updateOne({ telegramId: userId }, { $set: { kycStatus } });
+  }
+
+  // Review queue (status: submitted by default, requested|approved|rejected|all)
+  static async list({ status = 'submitted', userId, page = 1, limit = 50 } = {}) {
+    const query = {};
+    if (status && status !== 'all') query.status = status;
+    if (userId) query.userId = userId;
+
+    const [requests, total] = await Promise.all([
+      KycRequest.find(query)
+        .sort(status === 'submitted' ? { submittedAt: 1 } : { createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      KycRequest.countDocuments(query)
+    ]);
+
+    const users = await User.find({ telegramId: { $in: requests.map(request => request.userId) } })
+      .select('telegramId username firstName');
+    const names = new Map(users.map(user => [user.telegramId, user]));
+
+    return {
+      requests: requests.map(request => ({
+        ...this.describe(request),
+        username: names.has(request.userId) ? names.get(request.userId).username : undefined
+      })),
+      total,
+      page
+    };
+  }
+
+  static async get(id) {
+    if (!mongoose.isValidObjectId(id)) return null;
+    return KycRequest.findById(id);
+  }
+
+  /**
+   * @returns {object} { document, stream } or null
+   */
+  static async readDocument(requestId, documentId) {
+    const request = await this.get(requestId);
+    const document = request && request.documents.id(documentId);
+    if (!document) return null;
+    return { request, document, stream: DocumentStorage.read(document.key) };
+  }
+
+  static announce(type, request) {
+    events.emit('kyc', { type, request: this.describe(request) });
+  }
+
+  static describe(request) {
+    return {
+      id: request._id.toString(),
+      userId: request.userId,
+      status: request.status,
+      reason: request.reason,
+      requestedBy: request.requestedBy,
+      documents: request.documents.map(document => ({
+        id: document._id.toString(),
+        kind: document.kind,
+        fileName: document.fileName,
+        mimeType: document.mimeType,
+        size: document.size,
+        uploadedAt: document.uploadedAt
+      })),
+      submittedAt: request.submittedAt,
+      reviewedBy: request.reviewedBy,
+      reviewedAt: request.reviewedAt,
+      rejectionReason: request.rejectionReason,
+      createdAt: request.createdAt
+    };
+  }
+}
+
+Kyc.MAX_FILE_SIZE = MAX_FILE_SIZE;
+
+module.exports = Kyc;
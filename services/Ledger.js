@@ -0,0 +1,190 @@
+// services/Ledger.js
+const crypto = require('crypto');
+const { User, LedgerEntry } = require('../db/database');
+
+// withdrawals holds stars of withdrawal requests waiting for review
+const ACCOUNTS = ['player', 'house', 'bonus', 'promo', 'withdrawals'];
+
+// System account on the other side of each kind of player balance change
+const COUNTER_ACCOUNTS = {
+  bet: 'house',
+  win: 'house',
+  refund: 'house',
+  deposit: 'house',
+  withdrawal: 'house',
+  bonus: 'bonus',
+  referral: 'promo',
+  opening: 'house'
+};
+
+/**
+ * Double-entry ledger. Every balance change is posted as a journal of
+ * entries adding up to zero: what a player gains, a system account (house,
+ * bonus, promo or withdrawals) gives up. Summing a player's entries gives the balance the
+ * user document should hold, which the reconciliation checks.
+ */
+class Ledger {
+  /**
+   * Post one balanced journal
+   * @param {object} journal - { type, description, gameId, roomId, transactionId }
+   * @param {Array} postings - [{ account, userId, amount }], amounts adding up to zero
+   */
+  static async post(journal, postings) {
+    const total = postings.reduce((sum, posting) => sum + posting.amount, 0);
+
+    if (postings.length < 2 || total !== 0) {
+      throw new Error(`Unbalanced ledger journal (${journal.type}): postings add up to ${total}`);
+    }
+    postings.forEach(posting => {
+      if (!ACCOUNTS.includes(posting.account) || !Number.isInteger(posting.amount)) {
+        throw new Error(`Invalid ledger posting: ${posting.account} ${posting.amount}`);
+      }
+      if (posting.account === 'player' && !posting.userId) {
+        throw new Error('Player postings need a userId');
+      }
+    });
+
+    const journalId = crypto.randomUUID();
+    return LedgerEntry.insertMany(postings.map(posting => ({
+      journalId,
+      account: posting.account,
+      userId: posting.account === 'player' ? posting.userId : undefined,
+      amount: posting.amount,
+      type: journal.type,
+      transactionId: journal.transactionId,
+      gameId: journal.gameId,
+      roomId: journal.roomId,
+      description: journal.description
+    })));
+  }
+
+  /**
+   * Post a change to a player's balance against the system account that
+   * funds (or receives) it
+   * @param {number} userId - Telegram ID
+   * @param {number} amount - Signed change to the player's balance
+   * @param {object} journal - Journal fields; `account` overrides the counter account
+   */
+  static async postPlayer(userId, amount, journal) {
+    if (amount === 0) return [];
+
+    const counter = journal.account || COUNTER_ACCOUNTS[journal.type];
+    if (!counter) {
+      throw new Error(`No ledger account for ${journal.type} transactions`);
+    }
+
+    return this.post(journal, [
+      { account: 'player', userId, amount },
+      { account: counter, amount: -amount }
+    ]);
+  }
+
+  static async balanceOf(userId) {
+    const [row] = await LedgerEntry.aggregate([
+      { $match: { account: 'player', userId } },
+      { $group: { _id: null, balance: { $sum: '$amount' } } }
+    ]);
+    return row ? row.balance : 0;
+  }
+
+  static async statement(userId, limit = 50) {
+    return LedgerEntry.find({ account: 'player', userId })
+      .sort({ createdAt: -1 })
+      .limit(limit);
+  }
+
+  // Net position of every account; the player accounts are summed together
+  static async accountBalances() {
+    const rows = await LedgerEntry.aggregate([
+      { $group: { _id: '$account', balance: { $sum: '$amount' }, entries: { $sum: 1 } } }
+    ]);
+
+    const balances = {};
+    ACCOUNTS.forEach(account => { balances[account] = { balance: 0, entries: 0 }; });
+    rows.forEach(row => { balances[row._id] = { balance: row.balance, entries: row.entries }; });
+    return balances;
+  }
+
+  /**
+   * Post the opening balance of players who had no ledger entries before
+   * `before` (accounts from before the ledger existed), so reconciliation
+   * starts from their balance as it stands. Entries such a player already got
+   * since `before` are taken off, so a bet or bonus made while the server
+   * was starting isn't counted twice.
+   * @param {Date} before - Only users created before this
+   */
+  static async openBalances(before = new Date()) {
+    const known = await LedgerEntry.distinct('userId', { account: 'player', createdAt: { $lt: before } });
+    const users = await User.find({ telegramId: { $nin: known }, createdAt: { $lt: before } })
+      .select('telegramId balance');
+
+    let opened = 0;
+    for (const user of users) {
+      const opening = user.balance - await this.balanceOf(user.telegramId);
+      if (opening === 0) continue;
+
+      await this.postPlayer(user.telegramId, opening, {
+        type: 'opening',
+        description: 'Opening balance'
+      });
+      opened++;
+    }
+
+    if (opened > 0) {
+      console.log(`📒 Opened ledger balances for ${opened} existing user(s)`);
+    }
+    return opened;
+  }
+
+  /**
+   * Recompute every player's balance from the ledger and compare it with
+   * the user document
+   * @param {object} options - { userId } to check a single player
+   * @returns {object} { checkedAt, users, drifted, unbalancedJournals, accounts }
+   */
+  static async reconcile({ userId } = {}) {
+    const match = { account: 'player' };
+    if (userId) match.userId = userId;
+
+    const sums = await LedgerEntry.aggregate([
+      { $match: match },
+      { $group: { _id: '$userId', balance: { $sum: '$amount' } } }
+    ]);
+    const ledgerBalances = new Map(sums.map(row => [row._id, row.balance]));
+
+    const users = await User.find(userId ? { telegramId: userId } : {})
+      .select('telegramId username balance');
+
+    const drifted = [];
+    users.forEach(user => {
+      const ledgerBalance = ledgerBalances.get(user.telegramId) || 0;
+      if (ledgerBalance !== user.balance) {
+        drifted.push({
+          telegramId: user.telegramId,
+          username: user.username,
+          balance: user.balance,
+          ledgerBalance,
+          drift: user.balance - ledgerBalance
+        });
+      }
+    });
+
+    const unbalancedJournals = userId ? [] : await LedgerEntry.aggregate([
+      { $group: { _id: '$journalId', total: { $sum: '$amount' }, type: { $first: '$type' } } },
+      { $match: { total: { $ne: 0 } } },
+      { $project: { _id: 0, journalId: '$_id', total: 1, type: 1 } }
+    ]);
+
+    return {
+      checkedAt: new Date(),
+      users: users.length,
+      drifted,
+      unbalancedJournals,
+      accounts: userId ? undefined : await this.accountBalances()
+    };
+  }
+}
+
+Ledger.ACCOUNTS = ACCOUNTS;
+
+module.exports = Ledger;
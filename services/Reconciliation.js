@@ -0,0 +1,71 @@
+// services/Reconciliation.js
+const Ledger = require('./Ledger');
+
+const DEFAULT_INTERVAL_MINUTES = 60;
+
+/**
+ * Periodic check of user balances against the ledger. The last report is
+ * kept for the admin dashboard; drift is logged as soon as it is found.
+ */
+class Reconciliation {
+  constructor() {
+    this.timer = null;
+    this.running = null;
+    this.lastReport = null;
+  }
+
+  /**
+   * @param {number} minutes - Minutes between runs (RECONCILE_INTERVAL, 0 disables)
+   */
+  start(minutes = parseFloat(process.env.RECONCILE_INTERVAL ?? DEFAULT_INTERVAL_MINUTES)) {
+    this.stop();
+    if (!(minutes > 0)) {
+      console.log('📒 Balance reconciliation job disabled');
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.run().catch(error => console.error('❌ Reconciliation failed:', error.message));
+    }, minutes * 60 * 1000);
+    this.timer.unref();
+
+    return this.run().catch(error => console.error('❌ Reconciliation failed:', error.message));
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // A run already in progress is shared rather than started twice
+  async run() {
+    if (!this.running) {
+      this.running = Ledger.reconcile()
+        .then(report => {
+          this.lastReport = report;
+          this.log(report);
+          return report;
+        })
+        .finally(() => { this.running = null; });
+    }
+    return this.running;
+  }
+
+  log(report) {
+    if (report.drifted.length === 0 && report.unbalancedJournals.length === 0) {
+      console.log(`📒 Ledger reconciled: ${report.users} balance(s) match`);
+      return;
+    }
+
+    report.drifted.forEach(row => {
+      console.warn(`⚠️ Balance drift for ${row.username} (${row.telegramId}): balance ${row.balance}, ledger ${row.ledgerBalance}`);
+    });
+    if (report.unbalancedJournals.length > 0) {
+      console.warn(`⚠️ ${report.unbalancedJournals.length} ledger journal(s) do not add up to zero`);
+    }
+  }
+}
+
+module.exports = new Reconciliation();
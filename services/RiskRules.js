@@ -0,0 +1,401 @@
+// services/RiskRules.js
+const mongoose = require('mongoose');
+const { User, PlayerEvent, RiskRule } = require('../db/database');
+const FraudEngine = require('./FraudEngine');
+const Kyc = require('./Kyc');
+const Withdrawals = require('./Withdrawals');
+const events = require('./events');
+
+const EVENTS = ['bet', 'cashout', 'deposit', 'bonus', 'registration'];
+const ACTIONS = ['flag', 'hold_withdrawals', 'require_kyc', 'ban'];
+
+const OPERATORS = {
+  gt: (a, b) => a > b,
+  gte: (a, b) => a >= b,
+  lt: (a, b) => a < b,
+  lte: (a, b) => a <= b,
+  eq: (a, b) => a === b,
+  ne: (a, b) => a !== b
+};
+
+// What conditions can test; `user` fields need the player's record, `window`
+// fields count the player's events of the rule's type within windowMinutes
+const FIELDS = {
+  amount: { description: 'Stars in the event (bet, payout, deposit, bonus or starting balance)' },
+  multiplier: { description: 'Cashout multiplier, or the auto cashout target of a bet' },
+  betAmount: { description: 'Stake of the bet being cashed out' },
+  accountAgeHours: { user: true, description: 'Hours between registration and the event' },
+  totalBets: { user: true, description: 'Bets the player has placed' },
+  totalWagered: { user: true, description: 'Stars the player has wagered' },
+  balance: { user: true, description: 'Player balance' },
+  linkedAccounts: { linked: true, description: 'Accounts sharing a device, fingerprint or IP with the player' },
+  windowCount: { window: true, description: 'Events of this type by the player within the window, this one included' },
+  windowSum: { window: true, description: 'Stars in those events' }
+};
+
+// Starting points for the dashboard's Import Template; imported disabled so
+// they can be dry-run first
+const TEMPLATES = {
+  'deposit-burst': {
+    name: 'Deposit burst',
+    description: 'Five or more Telegram Stars purchases within an hour',
+    event: 'deposit',
+    conditions: [{ field: 'windowCount', op: 'gte', value: 5 }],
+    windowMinutes: 60,
+    actions: ['flag']
+  },
+  'low-multiplier-farming': {
+    name: 'Low multiplier farming',
+    description: 'Large bets cashed out at 1.05x or less',
+    event: 'cashout',
+    conditions: [
+      { field: 'multiplier', op: 'lte', value: 1.05 },
+      { field: 'betAmount', op: 'gte', value: 5000 }
+    ],
+    windowMinutes: 60,
+    actions: ['flag']
+  },
+  'new-account-big-win': {
+    name: 'Big win on a new account',
+    description: 'A payout of 20,000 stars or more within a day of registering',
+    event: 'cashout',
+    conditions: [
+      { field: 'amount', op: 'gte', value: 20000 },
+      { field: 'accountAgeHours', op: 'lte', value: 24 }
+    ],
+    windowMinutes: 1440,
+    actions: ['flag', 'hold_withdrawals']
+  },
+  'bonus-network': {
+    name: 'Bonus claimed from an account network',
+    description: 'A bonus claimed by a player linked to three or more other accounts',
+    event: 'bonus',
+    conditions: [{ field: 'linkedAccounts', op: 'gte', value: 3 }],
+    windowMinutes: 1440,
+    actions: ['flag', 'require_kyc']
+  }
+};
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const MAX_CONDITIONS = 10;
+const MAX_WINDOW_MINUTES = 7 * 24 * 60;
+const MAX_DRY_RUN_DAYS = 90;
+
+// Dry runs stop after this many events and keep this many example matches
+const DRY_RUN_LIMIT = 5000;
+const DRY_RUN_SAMPLES = 50;
+
+/**
+ * Admin-defined risk rules. Services announce what players do with an
+ * 'activity' event ({ type, userId, amount, multiplier, data }); each one is
+ * stored as a PlayerEvent and tested against the enabled rules for its type.
+ * A rule matches when all its conditions hold, and then takes its actions -
+ * at most once per player per window, so a burst of events doesn't repeat them.
+ */
+class RiskRules {
+  constructor() {
+    this.rules = [];
+    this.lastFired = new Map();
+    this.listening = false;
+  }
+
+  async start() {
+    await this.reload();
+    if (!this.listening) {
+      events.on('activity', (activity) => {
+        this.handle(activity).catch(error => console.error(`❌ Risk rules failed for ${activity.type} by ${activity.userId}:`, error));
+      });
+      this.listening = true;
+    }
+    console.log(`🛡️ Risk rules active: ${this.rules.length}`);
+  }
+
+  async reload() {
+    this.rules = await RiskRule.find({ enabled: true }).lean();
+  }
+
+  async handle(activity) {
+    const event = await new PlayerEvent({
+      userId: activity.userId,
+      type: activity.type,
+      amount: activity.amount,
+      multiplier: activity.multiplier,
+      data: activity.data
+    }).save();
+
+    for (const rule of this.rules.filter(rule => rule.event === event.type)) {
+      const key = `${rule._id}:${event.userId}`;
+      const last = this.lastFired.get(key);
+      if (last && event.createdAt - last < rule.windowMinutes * MINUTE_MS) continue;
+
+      if (await this.matches(rule, event)) {
+        this.lastFired.set(key, event.createdAt);
+        await this.act(rule, event);
+      }
+    }
+  }
+
+  // Values of the fields the rule tests, as they were when the event happened
+  async values(rule, event, cache = {}) {
+    const fields = rule.conditions.map(condition => FIELDS[condition.field]);
+    const values = {
+      amount: event.amount,
+      multiplier: event.multiplier,
+      betAmount: event.data && event.data.betAmount
+    };
+
+    if (fields.some(field => field.user)) {
+      const user = cache.user || await User.findOne({ telegramId: event.userId }).select('createdAt totalBets totalWagered balance');
+      if (user) {
+        values.accountAgeHours = (event.createdAt - user.createdAt) / (60 * MINUTE_MS);
+        values.totalBets = user.totalBets;
+        values.totalWagered = user.totalWagered;
+        values.balance = user.balance;
+      }
+    }
+
+    if (fields.some(field => field.linked)) {
+      values.linkedAccounts = cache.linkedAccounts ?? (await FraudEngine.linkedAccounts(event.userId)).size;
+    }
+
+    if (fields.some(field => field.window)) {
+      const [window] = await PlayerEvent.aggregate([
+        {
+          $match: {
+            userId: event.userId,
+            type: event.type,
+            createdAt: { $gt: new Date(event.createdAt - rule.windowMinutes * MINUTE_MS), $lte: event.createdAt }
+          }
+        },
+        { $group: { _id: null, count: { $sum: 1 }, sum: { $sum: '$amount' } } }
+      ]);
+      values.windowCount = window ? window.count : 0;
+      values.windowSum = window ? window.sum : 0;
+    }
+
+    return values;
+  }
+
+  async matches(rule, event, cache) {
+    const values = await this.values(rule, event, cache);
+    return rule.conditions.every(condition => {
+      const value = values[condition.field];
+      return typeof value === 'number' && OPERATORS[condition.op](value, condition.value);
+    });
+  }
+
+  async act(rule, event) {
+    const reason = `Matched risk rule "${rule.name}" on ${event.type}${event.amount !== undefined ? ` of ${event.amount}⭐` : ''}`;
+    const set = {};
+
+    for (const action of rule.actions) {
+      if (action === 'flag') {
+        await FraudEngine.flag(event.userId, { by: `rule:${rule.name}`, reason });
+      } else if (action === 'hold_withdrawals') {
+        set.withdrawalsHeld = true;
+      } else if (action === 'require_kyc') {
+        await Kyc.request(event.userId, { by: `rule:${rule.name}`, reason });
+      } else if (action === 'ban') {
+        set.isBanned = true;
+      }
+    }
+
+    if (Object.keys(set).length > 0) {
+      await User.updateOne({ telegramId: event.userId }, { $set: set });
+    }
+    // A request already waiting in the queue is held too
+    if (set.withdrawalsHeld) {
+      await Withdrawals.hold(event.userId, { by: `rule:${rule.name}`, reason });
+    }
+    await RiskRule.updateOne({ _id: rule._id }, { $inc: { hits: 1 }, $set: { lastMatchedAt: event.createdAt } });
+
+    console.log(`🛡️ ${reason}: ${event.userId} -> ${rule.actions.join(', ')}`);
+  }
+
+  /**
+   * Check a rule definition and strip unknown fields
+   * @param {object} input - { name, description, event, conditions, windowMinutes, actions, enabled }
+   * @param {boolean} requireActions - Saved rules need an action; dry runs don't
+   * @returns {object} { rule } or { error }
+   */
+  validate(input, requireActions = true) {
+    const { name, description, event, conditions, actions = [], enabled } = input || {};
+    const windowMinutes = Number(input && input.windowMinutes !== undefined ? input.windowMinutes : 60);
+
+    if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+      return { error: 'Name must be text of up to 100 characters' };
+    }
+    if (!EVENTS.includes(event)) {
+      return { error: `Event must be one of: ${EVENTS.join(', ')}` };
+    }
+    if (!Array.isArray(conditions) || conditions.length === 0 || conditions.length > MAX_CONDITIONS) {
+      return { error: `A rule needs 1-${MAX_CONDITIONS} conditions` };
+    }
+    for (const condition of conditions) {
+      if (!condition || !FIELDS[condition.field]) {
+        return { error: `Unknown field: ${condition && condition.field}. Fields: ${Object.keys(FIELDS).join(', ')}` };
+      }
+      if (!OPERATORS[condition.op]) {
+        return { error: `Unknown operator: ${condition.op}. Operators: ${Object.keys(OPERATORS).join(', ')}` };
+      }
+      if (!Number.isFinite(Number(condition.value))) {
+        return { error: `Value for ${condition.field} must be a number` };
+      }
+    }
+    if (!Number.isInteger(windowMinutes) || windowMinutes < 1 || windowMinutes > MAX_WINDOW_MINUTES) {
+      return { error: `Window must be 1-${MAX_WINDOW_MINUTES} minutes` };
+    }
+    if (!Array.isArray(actions) || actions.some(action => !ACTIONS.includes(action))) {
+      return { error: `Actions must be some of: ${ACTIONS.join(', ')}` };
+    }
+    if (requireActions && actions.length === 0) {
+      return { error: 'A rule needs at least one action' };
+    }
+
+    return {
+      rule: {
+        name: name.trim(),
+        description: typeof description === 'string' ? description.slice(0, 500) : undefined,
+        event,
+        conditions: conditions.map(({ field, op, value }) => ({ field, op, value: Number(value) })),
+        windowMinutes,
+        actions: [...new Set(actions)],
+        enabled: enabled === undefined ? true : Boolean(enabled)
+      }
+    };
+  }
+
+  // What the rule editor offers
+  options() {
+    return {
+      events: EVENTS,
+      actions: ACTIONS,
+      operators: Object.keys(OPERATORS),
+      fields: Object.entries(FIELDS).map(([name, field]) => ({ name, description: field.description }))
+    };
+  }
+
+  async list() {
+    const rules = await RiskRule.find().sort({ enabled: -1, createdAt: 1 });
+    return rules.map(rule => this.describe(rule));
+  }
+
+  async create(input, createdBy) {
+    const { rule, error } = this.validate(input);
+    if (error) return { success: false, error };
+
+    const saved = await new RiskRule({ ...rule, createdBy }).save();
+    await this.reload();
+    return { success: true, rule: this.describe(saved) };
+  }
+
+  /**
+   * Change a rule; fields left out keep their values
+   * @returns {object} { success, rule, before } or { success: false, error }
+   */
+  async update(id, changes, updatedBy) {
+    const existing = mongoose.isValidObjectId(id) ? await RiskRule.findById(id) : null;
+    if (!existing) return { success: false, error: 'Rule not found' };
+
+    const before = this.describe(existing);
+    const { rule, error } = this.validate({ ...before, ...changes });
+    if (error) return { success: false, error };
+
+    Object.assign(existing, rule, { updatedBy });
+    await existing.save();
+    await this.reload();
+    return { success: true, rule: this.describe(existing), before };
+  }
+
+  async remove(id) {
+    const rule = mongoose.isValidObjectId(id) ? await RiskRule.findByIdAndDelete(id) : null;
+    if (!rule) return { success: false, error: 'Rule not found' };
+
+    await this.reload();
+    return { success: true, rule: this.describe(rule) };
+  }
+
+  templates() {
+    return Object.entries(TEMPLATES).map(([id, template]) => ({ id, ...template }));
+  }
+
+  async importTemplate(id, createdBy) {
+    const template = TEMPLATES[id];
+    if (!template) return { success: false, error: 'Template not found' };
+
+    const rule = await new RiskRule({ ...template, template: id, enabled: false, createdBy }).save();
+    return { success: true, rule: this.describe(rule) };
+  }
+
+  /**
+   * What a rule would have matched over the last `days` days. Nothing is
+   * acted on. Player counters (totalBets, balance, ...) are today's values.
+   * @returns {object} { success, scanned, matched, players, truncated, matches }
+   */
+  async dryRun(input, days = 7) {
+    const { rule, error } = this.validate(input, false);
+    if (error) return { success: false, error };
+
+    days = Number(days);
+    if (!(days > 0 && days <= MAX_DRY_RUN_DAYS)) {
+      return { success: false, error: `Days must be between 1 and ${MAX_DRY_RUN_DAYS}` };
+    }
+
+    const cursor = PlayerEvent.find({ type: rule.event, createdAt: { $gte: new Date(Date.now() - days * DAY_MS) } })
+      .sort({ createdAt: 1 })
+      .limit(DRY_RUN_LIMIT)
+      .cursor();
+
+    const users = new Map();
+    const linked = new Map();
+    const needsLinked = rule.conditions.some(condition => FIELDS[condition.field].linked);
+    const report = { scanned: 0, matched: 0, players: 0, matches: [] };
+    const players = new Set();
+
+    for await (const event of cursor) {
+      report.scanned++;
+
+      if (!users.has(event.userId)) {
+        users.set(event.userId, await User.findOne({ telegramId: event.userId }).select('createdAt totalBets totalWagered balance'));
+      }
+      if (needsLinked && !linked.has(event.userId)) {
+        linked.set(event.userId, (await FraudEngine.linkedAccounts(event.userId)).size);
+      }
+
+      const cache = { user: users.get(event.userId), linkedAccounts: linked.get(event.userId) };
+      if (await this.matches(rule, event, cache)) {
+        report.matched++;
+        players.add(event.userId);
+        if (report.matches.length < DRY_RUN_SAMPLES) {
+          report.matches.push({ userId: event.userId, amount: event.amount, multiplier: event.multiplier, createdAt: event.createdAt });
+        }
+      }
+    }
+
+    report.players = players.size;
+    report.truncated = report.scanned === DRY_RUN_LIMIT;
+    return { success: true, days, ...report };
+  }
+
+  describe(rule) {
+    return {
+      id: rule._id.toString(),
+      name: rule.name,
+      description: rule.description,
+      event: rule.event,
+      conditions: rule.conditions.map(({ field, op, value }) => ({ field, op, value })),
+      windowMinutes: rule.windowMinutes,
+      actions: [...rule.actions],
+      enabled: rule.enabled,
+      template: rule.template,
+      hits: rule.hits,
+      lastMatchedAt: rule.lastMatchedAt,
+      createdBy: rule.createdBy,
+      updatedBy: rule.updatedBy,
+      updatedAt: rule.updatedAt
+    };
+  }
+}
+
+module.exports = new RiskRules();
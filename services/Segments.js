@@ -0,0 +1,118 @@
+// services/Segments.js
+const { User, StarPayment } = require('../db/database');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Payments that put stars on a balance at some point
+const DEPOSITED = { status: { $in: ['crediting', 'paid', 'refunding'] } };
+
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS);
+
+// Each segment builds a User query; banned players are never included
+const SEGMENTS = {
+  all: {
+    name: 'All players',
+    query: async () => ({})
+  },
+  active_7d: {
+    name: 'Active in the last 7 days',
+    query: async () => ({ lastActive: { $gte: daysAgo(7) } })
+  },
+  inactive_7d: {
+    name: 'Inactive for 7 days',
+    query: async () => ({ lastActive: { $lt: daysAgo(7) } })
+  },
+  inactive_30d: {
+    name: 'Inactive for 30 days',
+    query: async () => ({ lastActive: { $lt: daysAgo(30) } })
+  },
+  new_7d: {
+    name: 'Joined in the last 7 days',
+    query: async () => ({ joinDate: { $gte: daysAgo(7) } })
+  },
+  loyal: {
+    name: 'Joined 90+ days ago',
+    query: async () => ({ joinDate: { $lt: daysAgo(90) } })
+  },
+  vip: {
+    name: 'VIP players',
+    query: async () => ({ isVIP: true })
+  },
+  depositors: {
+    name: 'Bought stars at least once',
+    query: async () => ({ telegramId: { $in: await StarPayment.distinct('userId', DEPOSITED) } })
+  },
+  never_deposited: {
+    name: 'Never bought stars',
+    query: async () => ({ telegramId: { $nin: await StarPayment.distinct('userId', DEPOSITED) } })
+  }
+};
+
+/**
+ * Named groups of players for campaigns and bulk actions.
+ */
+class Segments {
+  static exists(segment) {
+    return Object.prototype.hasOwnProperty.call(SEGMENTS, segment);
+  }
+
+  /**
+   * @param {string} segment - Key of SEGMENTS
+   * @param {object} extra - More conditions, e.g. { marketingOptOut: { $ne: true } }
+   * @returns {object} User query
+   */
+  static async query(segment, extra = {}) {
+    if (!this.exists(segment)) {
+      throw new Error(`Unknown segment: ${segment}`);
+    }
+    return { $and: [await SEGMENTS[segment].query(), extra], isBanned: { $ne: true } };
+  }
+
+  /**
+   * Narrow a segment down further
+   * @param {object} filters - { joinedBefore, joinedAfter, minWagered, maxWagered, vip }
+   * @returns {object} { conditions } (User query) or { error }
+   */
+  static conditions(filters = {}) {
+    const conditions = {};
+
+    for (const [field, op] of [['joinedBefore', '$lt'], ['joinedAfter', '$gte']]) {
+      if (filters[field] === undefined || filters[field] === '') continue;
+      const date = new Date(filters[field]);
+      if (isNaN(date.getTime())) return { error: `${field} must be a date` };
+      conditions.joinDate = { ...conditions.joinDate, [op]: date };
+    }
+
+    for (const [field, op] of [['minWagered', '$gte'], ['maxWagered', '$lte']]) {
+      if (filters[field] === undefined || filters[field] === '') continue;
+      const value = Number(filters[field]);
+      if (!Number.isFinite(value) || value < 0) return { error: `${field} must be a non-negative number` };
+      conditions.totalWagered = { ...conditions.totalWagered, [op]: value };
+    }
+
+    if (filters.vip !== undefined && filters.vip !== '') {
+      if (typeof filters.vip !== 'boolean') return { error: 'vip must be true or false' };
+      conditions.isVIP = filters.vip;
+    }
+    return { conditions };
+  }
+
+  static async count(segment, extra) {
+    return User.countDocuments(await this.query(segment, extra));
+  }
+
+  // Telegram IDs in the segment, for walking it in batches
+  static async cursor(segment, extra) {
+    return User.find(await this.query(segment, extra)).select('telegramId').lean().cursor();
+  }
+
+  static async list(withCounts = false) {
+    return Promise.all(Object.entries(SEGMENTS).map(async ([key, segment]) => ({
+      key,
+      name: segment.name,
+      players: withCounts ? await this.count(key) : undefined
+    })));
+  }
+}
+
+module.exports = Segments;
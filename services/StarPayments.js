@@ -0,0 +1,382 @@
+// services/StarPayments.js
+const crypto = require('crypto');
+const axios = require('axios');
+const mongoose = require('mongoose');
+const { User, StarPayment, Transaction } = require('../db/database');
+const gameConfig = require('../config/gameConfig');
+const Wallet = require('./Wallet');
+const events = require('./events');
+
+// Telegram Stars; invoices in XTR take no provider token
+const CURRENCY = 'XTR';
+
+// Unpaid invoices are refused at checkout after this long
+const INVOICE_TTL_MS = 24 * 60 * 60 * 1000;
+
+// TELEGRAM_API_URL points the bot and these calls at a local Bot API stub in tests
+const apiUrl = () => process.env.TELEGRAM_API_URL || 'https://api.telegram.org';
+
+const chargeKey = (payment) => `stars:${payment.telegramPaymentChargeId}`;
+
+// Carried by both the refund debit and its credit-back, so recover() can tell
+// whether a cut-off refund still holds the player's stars
+const refundKey = (payment) => `stars-refund:${payment.telegramPaymentChargeId}`;
+
+/**
+ * Buying stars with Telegram Stars. One Telegram Star buys one game star.
+ *
+ * Flow: createInvoice() records a pending payment and returns the invoice
+ * (sent by the bot, or as a link the mini app opens); Telegram asks the bot
+ * to confirm with a pre_checkout_query (checkout()); after the player pays,
+ * the bot gets a successful_payment message (complete()), which credits the
+ * balance once per telegram_payment_charge_id.
+ */
+class StarPayments {
+  static async callApi(method, params) {
+    try {
+      const response = await axios.post(`${apiUrl()}/bot${process.env.BOT_TOKEN}/${method}`, params, { timeout: 10000 });
+      return response.data.result;
+    } catch (error) {
+      const description = error.response && error.response.data && error.response.data.description;
+      throw new Error(description || error.message);
+    }
+  }
+
+  /**
+   * @param {number} userId - Telegram ID
+   * @param {number} amount - Stars to buy
+   * @returns {object} { success, payment, invoice: { title, description, payload, currency, prices } }
+   */
+  static async createInvoice(userId, amount) {
+    amount = Number(amount);
+    const minDeposit = gameConfig.get('minDeposit');
+    const maxDeposit = gameConfig.get('maxDeposit');
+
+    if (!Number.isInteger(amount) || amount < minDeposit || amount > maxDeposit) {
+      return { success: false, error: `Amount must be a whole number of stars between ${minDeposit} and ${maxDeposit}` };
+    }
+
+    const user = await User.findOne({ telegramId: userId }).select('isBanned');
+    if (!user || user.isBanned) {
+      return { success: false, error: 'User not found or banned' };
+    }
+
+    const payment = await new StarPayment({
+      invoiceId: crypto.randomUUID(),
+      userId,
+      amount,
+      expiresAt: new Date(Date.now() + INVOICE_TTL_MS)
+    }).save();
+
+    return {
+      success: true,
+      payment: this.describe(payment),
+      invoice: {
+        title: `${amount.toLocaleString()} Aviator stars`,
+        description: `Buy ${amount.toLocaleString()}⭐ to play Aviator`,
+        payload: payment.invoiceId,
+        currency: CURRENCY,
+        prices: [{ label: `${amount}⭐`, amount }]
+      }
+    };
+  }
+
+  // Invoice link for Telegram.WebApp.openInvoice() in the mini app
+  static async createInvoiceLink(userId, amount) {
+    const result = await this.createInvoice(userId, amount);
+    if (!result.success) return result;
+
+    const { title, description, payload, currency, prices } = result.invoice;
+    const invoiceLink = await this.callApi('createInvoiceLink', {
+      title,
+      description,
+      payload,
+      provider_token: '',
+      currency,
+      prices
+    });
+    return { success: true, payment: result.payment, invoiceLink };
+  }
+
+  /**
+   * Decide a pre_checkout_query - Telegram charges the player only if we say yes
+   * @returns {object} { ok, error }
+   */
+  static async checkout(query) {
+    const payment = await StarPayment.findOne({ invoiceId: query.invoice_payload });
+
+    if (!payment || payment.status !== 'pending') {
+      return { ok: false, error: 'This invoice is no longer valid' };
+    }
+    if (payment.userId !== query.from.id) {
+      return { ok: false, error: 'This invoice belongs to another player' };
+    }
+    if (query.currency !== CURRENCY || query.total_amount !== payment.amount) {
+      return { ok: false, error: 'Invoice amount does not match' };
+    }
+    if (payment.expiresAt < new Date()) {
+      return { ok: false, error: 'This invoice has expired, please request a new one' };
+    }
+
+    const user = await User.findOne({ telegramId: payment.userId }).select('isBanned');
+    if (!user || user.isBanned) {
+      return { ok: false, error: 'Your account cannot buy stars' };
+    }
+
+    return { ok: true };
+  }
+
+  /**
+   * Credit a successful_payment. Telegram can deliver the same update more
+   * than once; only the first delivery moves the payment on and credits.
+   * The payment stays 'crediting' until the credit is recorded, so a crash in
+   * between is finished by recover() on the next start.
+   * @param {number} userId - Telegram ID of the payer
+   * @param {object} paid - The message's successful_payment object
+   * @returns {object} { success, payment, user } or { success, duplicate: true }
+   */
+  static async complete(userId, paid) {
+    const payment = await StarPayment.findOneAndUpdate(
+      {
+        invoiceId: paid.invoice_payload,
+        userId,
+        amount: paid.total_amount,
+        status: 'pending'
+      },
+      {
+        $set: {
+          status: 'crediting',
+          telegramPaymentChargeId: paid.telegram_payment_charge_id,
+          providerPaymentChargeId: paid.provider_payment_charge_id,
+          paidAt: new Date()
+        }
+      },
+      { new: true }
+    );
+
+    if (!payment) {
+      const existing = await StarPayment.findOne({ telegramPaymentChargeId: paid.telegram_payment_charge_id });
+      if (existing) {
+        return { success: true, duplicate: true, payment: this.describe(existing) };
+      }
+      console.error(`❌ Stars payment ${paid.telegram_payment_charge_id} from ${userId} matches no open invoice`);
+      return { success: false, error: 'No matching invoice' };
+    }
+
+    const result = await this.credit(payment);
+    if (!result.success) return result;
+
+    console.log(`⭐ ${userId} bought ${payment.amount} stars (${payment.telegramPaymentChargeId})`);
+    events.emit('activity', { type: 'deposit', userId, amount: payment.amount, data: { paymentId: payment._id.toString() } });
+    return { success: true, payment: this.describe(payment), user: result.user };
+  }
+
+  // The deposit carries the charge ID as its idempotency key, which is how
+  // recover() tells a credited payment from one that still needs its stars
+  static async credit(payment) {
+    const result = await Wallet.credit(payment.userId, payment.amount, {
+      type: 'deposit',
+      idempotencyKey: chargeKey(payment),
+      description: `Telegram Stars purchase (${payment.telegramPaymentChargeId})`
+    });
+    if (!result.success) {
+      console.error(`❌ Stars payment ${payment.telegramPaymentChargeId} could not be credited: ${result.error}`);
+      return result;
+    }
+
+    payment.status = 'paid';
+    payment.transactionId = result.transaction._id;
+    await payment.save();
+    return result;
+  }
+
+  /**
+   * Finish payments cut short by a restart. Credits: credit those with no
+   * deposit yet and mark the rest paid. Refunds: put back the ones that never
+   * took the stars, finish the rest with Telegram. Payments changed since
+   * `startedAt` are left to the running complete() and refund().
+   * @returns {number} Payments recovered
+   */
+  static async recover(startedAt = new Date()) {
+    const payments = await StarPayment.find({
+      $or: [{ status: 'crediting' }, { status: 'paid', transactionId: null }],
+      paidAt: { $lt: startedAt }
+    });
+
+    let recovered = 0;
+    for (const payment of payments) {
+      try {
+        const transaction = await Transaction.findOne({
+          userId: payment.userId,
+          type: 'deposit',
+          $or: [
+            { idempotencyKey: chargeKey(payment) },
+            // Credited before deposits carried the charge ID
+            { description: `Telegram Stars purchase (${payment.telegramPaymentChargeId})` }
+          ]
+        }).select('_id');
+
+        if (transaction) {
+          payment.status = 'paid';
+          payment.transactionId = transaction._id;
+          await payment.save();
+        } else {
+          const result = await this.credit(payment);
+          if (!result.success) continue;
+          console.log(`⭐ Credited ${payment.amount} stars to ${payment.userId} after a restart (${payment.telegramPaymentChargeId})`);
+        }
+        recovered++;
+      } catch (error) {
+        console.error(`❌ Failed to recover Stars payment ${payment.telegramPaymentChargeId}:`, error.message);
+      }
+    }
+
+    const refunds = await StarPayment.find({ status: 'refunding', updatedAt: { $lt: startedAt } });
+    for (const payment of refunds) {
+      try {
+        await this.recoverRefund(payment);
+        recovered++;
+      } catch (error) {
+        console.error(`❌ Failed to recover Stars refund ${payment.telegramPaymentChargeId}:`, error.message);
+      }
+    }
+    return recovered;
+  }
+
+  /**
+   * Give a payment back: take the stars off the player's balance, then ask
+   * Telegram to return them. Stars the player has already spent can't be
+   * refunded. The payment stays 'refunding' until Telegram answers, so a
+   * crash in between is finished by recover() on the next start.
+   * @param {string} id - Payment ID
+   * @param {object} options - { refundedBy, reason }
+   */
+  static async refund(id, { refundedBy, reason } = {}) {
+    if (!mongoose.isValidObjectId(id)) {
+      return { success: false, error: 'Payment not found' };
+    }
+
+    const payment = await StarPayment.findOneAndUpdate(
+      { _id: id, status: 'paid' },
+      { $set: { status: 'refunding', refundedBy, refundReason: reason } },
+      { new: true }
+    );
+    if (!payment) {
+      const existing = await StarPayment.findById(id);
+      return { success: false, error: existing ? `Payment is ${existing.status}, only paid payments can be refunded` : 'Payment not found' };
+    }
+
+    const debit = await Wallet.debit(payment.userId, payment.amount, {
+      type: 'deposit',
+      idempotencyKey: refundKey(payment),
+      description: `Refund of Telegram Stars purchase (${payment.telegramPaymentChargeId})`
+    });
+    if (!debit.success) {
+      await this.keepPayment(payment);
+      return { success: false, error: debit.error };
+    }
+
+    try {
+      await this.returnCharge(payment);
+    } catch (error) {
+      await this.cancelRefund(payment);
+      return { success: false, error: `Telegram refused the refund: ${error.message}` };
+    }
+
+    await this.finishRefund(payment);
+    return { success: true, payment: this.describe(payment) };
+  }
+
+  // A charge Telegram has already refunded means an earlier attempt got
+  // through before the server stopped
+  static async returnCharge(payment) {
+    try {
+      await this.callApi('refundStarPayment', {
+        user_id: payment.userId,
+        telegram_payment_charge_id: payment.telegramPaymentChargeId
+      });
+    } catch (error) {
+      if (!/CHARGE_ALREADY_REFUNDED/.test(error.message)) throw error;
+    }
+  }
+
+  static async finishRefund(payment) {
+    payment.status = 'refunded';
+    payment.refundedAt = new Date();
+    await payment.save();
+    console.log(`↩️ Refunded ${payment.amount} stars to ${payment.userId} (${payment.telegramPaymentChargeId})`);
+  }
+
+  // Telegram kept the stars, so the player keeps theirs
+  static async cancelRefund(payment) {
+    await Wallet.credit(payment.userId, payment.amount, {
+      type: 'deposit',
+      idempotencyKey: refundKey(payment),
+      description: `Refund failed, Telegram Stars purchase restored (${payment.telegramPaymentChargeId})`
+    });
+    await this.keepPayment(payment);
+  }
+
+  static async keepPayment(payment) {
+    await StarPayment.updateOne(
+      { _id: payment._id, status: 'refunding' },
+      { $set: { status: 'paid' }, $unset: { refundedBy: 1, refundReason: 1 } }
+    );
+  }
+
+  /**
+   * Settle a refund cut off by a restart. The refund transactions say where
+   * it stopped: stars taken and not given back means the admin's refund was
+   * under way, so it is sent to Telegram again; otherwise it never took the
+   * stars (or already gave them back) and the payment is paid again.
+   */
+  static async recoverRefund(payment) {
+    const transactions = await Transaction.find({ userId: payment.userId, idempotencyKey: refundKey(payment) }).select('amount');
+    const held = -transactions.reduce((sum, transaction) => sum + transaction.amount, 0);
+
+    if (held <= 0) {
+      await this.keepPayment(payment);
+      console.log(`↩️ Stars refund ${payment.telegramPaymentChargeId} was cut off before it took the stars, payment kept`);
+      return;
+    }
+
+    try {
+      await this.returnCharge(payment);
+    } catch (error) {
+      console.error(`❌ Telegram refused the refund of ${payment.telegramPaymentChargeId} after a restart: ${error.message}`);
+      await this.cancelRefund(payment);
+      return;
+    }
+
+    await this.finishRefund(payment);
+  }
+
+  static async list({ userId, status, page = 1, limit = 50 } = {}) {
+    const query = {};
+    if (userId) query.userId = userId;
+    if (status) query.status = status;
+
+    const [payments, total] = await Promise.all([
+      StarPayment.find(query).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      StarPayment.countDocuments(query)
+    ]);
+    return { payments: payments.map(payment => this.describe(payment)), total, page, limit };
+  }
+
+  static describe(payment) {
+    return {
+      id: payment._id.toString(),
+      userId: payment.userId,
+      amount: payment.amount,
+      status: payment.status,
+      telegramPaymentChargeId: payment.telegramPaymentChargeId,
+      paidAt: payment.paidAt,
+      refundedAt: payment.refundedAt,
+      refundedBy: payment.refundedBy,
+      refundReason: payment.refundReason,
+      createdAt: payment.createdAt
+    };
+  }
+}
+
+module.exports = StarPayments;
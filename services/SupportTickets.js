@@ -0,0 +1,522 @@
+// services/SupportTickets.js
+const mongoose = require('mongoose');
+const { User, SupportTicket, ReplyTemplate } = require('../db/database');
+const events = require('./events');
+
+const PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+
+// Minutes support has to answer, by priority
+const RESPONSE_MINUTES = { urgent: 30, high: 120, normal: 480, low: 1440 };
+
+// Tickets mentioning money start urgent; VIP players start high
+const PAYMENT_WORDS = /deposit|withdraw|payment|paid|refund|missing stars|transaction|invoice/i;
+
+const MAX_MESSAGE_LENGTH = 4000;
+const MINUTE_MS = 60 * 1000;
+
+// Replies the dashboard's quick buttons use; created when missing
+const DEFAULT_TEMPLATES = [
+  {
+    key: 'deposit_resolved',
+    title: 'Deposit credited',
+    body: 'Hi {first_name}, we checked your purchase and the stars are now on your balance ({balance}⭐). Sorry for the wait!'
+  },
+  {
+    key: 'deposit_delay',
+    title: 'Deposit processing delay',
+    body: 'Hi {first_name}, we are sorry for the delay. Your purchase is being checked and the stars will be credited within 24 hours.'
+  },
+  {
+    key: 'verification_guide',
+    title: 'Account verification guide',
+    body: 'Hi {first_name}, to verify your account open the game, tap your balance and follow the verification steps. Reply here if anything goes wrong.'
+  },
+  {
+    key: 'auto_cashout_guide',
+    title: 'Auto cashout explanation',
+    body: 'Hi {first_name}! Set an auto cashout multiplier next to your bet and it is cashed out for you as soon as the plane reaches it. Each of your two bets can have its own target, so you can take a safe 1.5x on one and aim higher with the other.'
+  }
+];
+
+let slaTimer = null;
+
+/**
+ * Support tickets. A player opens one with the bot's /support command; while
+ * it is open their chat messages are added to it and admin replies are sent
+ * back to the chat by the bot. Every change is announced with a 'ticket' event.
+ *
+ * Each priority has a response target: responseDueAt is set whenever the
+ * player is waiting, and the SLA monitor escalates tickets that miss it.
+ */
+class SupportTickets {
+  /**
+   * Open a ticket, or add to the player's open one
+   * @param {object} from - Telegram user ({ id, username, first_name })
+   * @param {string} text - First message (may be empty)
+   * @returns {object} { success, ticket, created }
+   */
+  static async open(from, text) {
+    const existing = await SupportTicket.findOne({ userId: from.id, status: { $ne: 'closed' } });
+    if (existing) {
+      if (text) return this.addPlayerMessage(from.id, text);
+      return { success: true, ticket: this.describe(existing), created: false };
+    }
+
+    const user = await User.findOne({ telegramId: from.id }).select('isVIP');
+    const priority = text && PAYMENT_WORDS.test(text) ? 'urgent' : user && user.isVIP ? 'high' : 'normal';
+    const now = new Date();
+
+    // Ticket numbers count up; a parallel open taking the same number retries
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const last = await SupportTicket.findOne().sort({ number: -1 }).select('number');
+      try {
+        const ticket = await new SupportTicket({
+          number: last ? last.number + 1 : 1,
+          userId: from.id,
+          username: from.username,
+          subject: text ? text.slice(0, 100) : undefined,
+          priority,
+          messages: text ? [{ from: 'player', author: from.username, text: text.slice(0, MAX_MESSAGE_LENGTH), at: now }] : [],
+          responseDueAt: new Date(now.getTime() + RESPONSE_MINUTES[priority] * MINUTE_MS)
+        }).save();
+
+        this.announce('opened', ticket);
+        return { success: true, ticket: this.describe(ticket), created: true };
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+      }
+    }
+    throw new Error('Could not allocate a ticket number');
+  }
+
+  /**
+   * A chat message from the player for their open ticket
+   * @returns {object} { success, ticket } or { success: false } when they have none
+   */
+  static async addPlayerMessage(userId, text) {
+    const ticket = await SupportTicket.findOne({ userId, status: { $ne: 'closed' } });
+    if (!ticket) return { success: false, error: 'No open ticket' };
+
+    const now = new Date();
+    const message = { from: 'player', author: ticket.username, text: String(text).slice(0, MAX_MESSAGE_LENGTH), at: now };
+    ticket.messages.push(message);
+    if (!ticket.subject) ticket.subject = message.text.slice(0, 100);
+
+    // The clock starts again once support has answered
+    if (ticket.status === 'answered') {
+      ticket.status = 'open';
+      ticket.responseDueAt = new Date(now.getTime() + RESPONSE_MINUTES[ticket.priority] * MINUTE_MS);
+    }
+    await ticket.save();
+
+    this.announce('message', ticket, message);
+    return { success: true, ticket: this.describe(ticket) };
+  }
+
+  /**
+   * Answer a ticket; the bot relays the text to the player
+   * @param {string} admin - Admin username
+   */
+  static async reply(ref, admin, text) {
+    if (!text || typeof text !== 'string' || !text.trim()) {
+      return { success: false, error: 'Reply text required' };
+    }
+
+    const ticket = await this.find(ref);
+    if (!ticket) return { success: false, error: 'Ticket not found' };
+    if (ticket.status === 'closed') return { success: false, error: 'Ticket is closed' };
+
+    const now = new Date();
+    const message = { from: 'admin', author: admin, text: text.trim().slice(0, MAX_MESSAGE_LENGTH), at: now };
+    ticket.messages.push(message);
+    ticket.status = 'answered';
+    ticket.responseDueAt = undefined;
+    if (!ticket.firstResponseAt) ticket.firstResponseAt = now;
+    if (!ticket.assignedTo) ticket.assignedTo = admin;
+    await ticket.save();
+
+    this.announce('reply', ticket, message);
+    return { success: true, ticket: this.describe(ticket) };
+  }
+
+  /**
+   * Answer with a saved template
+   * @param {object} variables - Values for placeholders the ticket can't fill itself
+   */
+  static async replyWithTemplate(ref, admin, key, variables = {}) {
+    const ticket = await this.find(ref);
+    if (!ticket) return { success: false, error: 'Ticket not found' };
+
+    const template = await ReplyTemplate.findOne({ key });
+    if (!template) return { success: false, error: 'Template not found' };
+
+    const rendered = await this.render(template.body, ticket, admin, variables);
+    if (rendered.error) return { success: false, error: rendered.error };
+
+    const result = await this.reply(ticket._id, admin, rendered.text);
+    if (result.success) {
+      await ReplyTemplate.updateOne({ _id: template._id }, { $inc: { usageCount: 1 } });
+    }
+    return result;
+  }
+
+  // Fill {placeholders}: the ticket's own values, then the caller's
+  static async render(body, ticket, admin, variables = {}) {
+    const user = await User.findOne({ telegramId: ticket.userId }).select('username firstName balance');
+    const values = {
+      username: user ? user.username : ticket.username,
+      first_name: user ? user.firstName : ticket.username,
+      user_id: ticket.userId,
+      balance: user ? user.balance.toLocaleString() : undefined,
+      ticket_number: ticket.number,
+      admin,
+      ...variables
+    };
+
+    const missing = [...new Set([...body.matchAll(/\{(\w+)\}/g)].map(match => match[1]))]
+      .filter(name => values[name] === undefined || values[name] === null || values[name] === '');
+    if (missing.length > 0) {
+      return { error: `Missing template variables: ${missing.join(', ')}` };
+    }
+    return { text: body.replace(/\{(\w+)\}/g, (match, name) => String(values[name])) };
+  }
+
+  static async assign(ref, assignTo) {
+    const ticket = await this.find(ref);
+    if (!ticket) return { success: false, error: 'Ticket not found' };
+
+    ticket.assignedTo = assignTo || undefined;
+    await ticket.save();
+
+    this.announce('assigned', ticket);
+    return { success: true, ticket: this.describe(ticket) };
+  }
+
+  static async setPriority(ref, priority) {
+    if (!PRIORITIES.includes(priority)) {
+      return { success: false, error: `Priority must be one of: ${PRIORITIES.join(', ')}` };
+    }
+
+    const ticket = await this.find(ref);
+    if (!ticket) return { success: false, error: 'Ticket not found' };
+
+    ticket.priority = priority;
+    if (ticket.status === 'open') {
+      ticket.responseDueAt = this.dueAt(ticket);
+    }
+    await ticket.save();
+
+    this.announce('priority', ticket);
+    return { success: true, ticket: this.describe(ticket) };
+  }
+
+  /**
+   * Hand a ticket up: one priority level higher, back in the unassigned queue
+   * @param {string} by - Admin username, or 'sla' when the response target was missed
+   */
+  static async escalate(ref, by, reason) {
+    const ticket = await this.find(ref);
+    if (!ticket) return { success: false, error: 'Ticket not found' };
+    if (ticket.status === 'closed') return { success: false, error: 'Ticket is closed' };
+
+    ticket.escalated = true;
+    ticket.escalatedBy = by;
+    ticket.escalatedAt = new Date();
+    ticket.priority = PRIORITIES[Math.min(PRIORITIES.indexOf(ticket.priority) + 1, PRIORITIES.length - 1)];
+    ticket.assignedTo = undefined;
+    if (ticket.status === 'open') {
+      ticket.responseDueAt = this.dueAt(ticket);
+    }
+    await ticket.save();
+
+    this.announce('escalated', ticket, reason ? { from: 'admin', author: by, text: reason } : undefined);
+    return { success: true, ticket: this.describe(ticket) };
+  }
+
+  // Response target counted from the player's last message
+  static dueAt(ticket) {
+    const lastPlayerMessage = [...ticket.messages].reverse().find(message => message.from === 'player');
+    const since = lastPlayerMessage ? lastPlayerMessage.at : ticket.createdAt;
+    return new Date(since.getTime() + RESPONSE_MINUTES[ticket.priority] * MINUTE_MS);
+  }
+
+  /**
+   * @param {string} by - Admin username, or 'player' when the player closed it
+   */
+  static async close(ref, by) {
+    const ticket = await this.find(ref);
+    if (!ticket) return { success: false, error: 'Ticket not found' };
+    if (ticket.status === 'closed') return { success: false, error: 'Ticket is already closed' };
+
+    ticket.status = 'closed';
+    ticket.closedBy = by;
+    ticket.closedAt = new Date();
+    ticket.responseDueAt = undefined;
+    await ticket.save();
+
+    this.announce('closed', ticket);
+    return { success: true, ticket: this.describe(ticket) };
+  }
+
+  // The player's open ticket, used by the bot to route chat messages
+  static async openTicketOf(userId) {
+    return SupportTicket.findOne({ userId, status: { $ne: 'closed' } });
+  }
+
+  // By ID or ticket number ('42' or '#42')
+  static async find(ref) {
+    if (ref instanceof mongoose.Types.ObjectId || mongoose.isValidObjectId(ref)) {
+      return SupportTicket.findById(ref);
+    }
+    const number = parseInt(String(ref ?? '').replace(/^#/, ''));
+    return Number.isInteger(number) ? SupportTicket.findOne({ number }) : null;
+  }
+
+  static async get(ref) {
+    const ticket = await this.find(ref);
+    if (!ticket) return { success: false, error: 'Ticket not found' };
+    return { success: true, ticket: this.describe(ticket, true) };
+  }
+
+  /**
+   * Inbox - most urgent first, then oldest
+   * @param {object} filters - { status: open|answered|closed|active, priority, assignedTo, userId, page, limit }
+   */
+  static async list({ status = 'active', priority, assignedTo, userId, page = 1, limit = 50 } = {}) {
+    const query = this.query({ status, priority, assignedTo, userId });
+
+    const [tickets, total] = await Promise.all([
+      SupportTicket.aggregate([
+        { $match: query },
+        { $addFields: { rank: { $indexOfArray: [PRIORITIES, '$priority'] } } },
+        { $sort: { rank: -1, createdAt: 1 } },
+        { $skip: (page - 1) * limit },
+        { $limit: limit }
+      ]),
+      SupportTicket.countDocuments(query)
+    ]);
+    return { tickets: tickets.map(ticket => this.describe(ticket)), total, page, limit };
+  }
+
+  static query({ status, priority, assignedTo, userId, from, to }) {
+    const query = {};
+    if (status === 'active') query.status = { $ne: 'closed' };
+    else if (status && status !== 'all') query.status = status;
+    if (priority) query.priority = priority;
+    if (assignedTo) query.assignedTo = assignedTo;
+    if (userId) query.userId = userId;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+    return query;
+  }
+
+  /**
+   * Inbox numbers for the dashboard; response and resolution times and the
+   * first contact resolution rate (%) cover tickets of the last 7 days
+   */
+  static async stats() {
+    const startOfDay = new Date();
+    startOfDay.setHours(0, 0, 0, 0);
+    const weekAgo = new Date(Date.now() - 7 * 24 * 60 * MINUTE_MS);
+
+    const [openCount, activeCount, breachedCount, ticketsToday, [times]] = await Promise.all([
+      SupportTicket.countDocuments({ status: 'open' }),
+      SupportTicket.countDocuments({ status: { $ne: 'closed' } }),
+      SupportTicket.countDocuments({ status: { $ne: 'closed' }, slaBreached: true }),
+      SupportTicket.countDocuments({ createdAt: { $gte: startOfDay } }),
+      SupportTicket.aggregate([
+        { $match: { createdAt: { $gte: weekAgo } } },
+        {
+          $group: {
+            _id: null,
+            response: { $avg: { $cond: ['$firstResponseAt', { $subtract: ['$firstResponseAt', '$createdAt'] }, null] } },
+            resolution: { $avg: { $cond: ['$closedAt', { $subtract: ['$closedAt', '$createdAt'] }, null] } },
+            closed: { $sum: { $cond: ['$closedAt', 1, 0] } },
+            // Closed after a single answer from support
+            firstContact: {
+              $sum: {
+                $cond: [{
+                  $and: [
+                    '$closedAt',
+                    { $eq: [{ $size: { $filter: { input: '$messages', cond: { $eq: ['$$this.from', 'admin'] } } } }, 1] }
+                  ]
+                }, 1, 0]
+              }
+            }
+          }
+        }
+      ])
+    ]);
+
+    const minutes = (ms) => (ms === null || ms === undefined ? null : Math.round(ms / MINUTE_MS));
+    return {
+      openCount,
+      activeCount,
+      breachedCount,
+      ticketsToday,
+      avgResponseMinutes: minutes(times && times.response),
+      avgResolutionMinutes: minutes(times && times.resolution),
+      firstContactResolution: times && times.closed ? Math.round(times.firstContact / times.closed * 100) : null
+    };
+  }
+
+  /**
+   * Tickets as CSV, one row per ticket
+   * @param {object} filters - { status, priority, assignedTo, userId, from, to }
+   */
+  static async exportCsv(filters = {}) {
+    const tickets = await SupportTicket.find(this.query({ status: 'all', ...filters })).sort({ number: 1 });
+
+    const columns = ['number', 'status', 'priority', 'escalated', 'userId', 'username', 'subject', 'assignedTo',
+      'messages', 'createdAt', 'firstResponseAt', 'firstResponseMinutes', 'slaBreached', 'closedAt', 'closedBy'];
+    const cell = (value) => {
+      if (value === undefined || value === null) return '';
+      const text = value instanceof Date ? value.toISOString() : String(value);
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = tickets.map(ticket => [
+      ticket.number,
+      ticket.status,
+      ticket.priority,
+      ticket.escalated,
+      ticket.userId,
+      ticket.username,
+      ticket.subject,
+      ticket.assignedTo,
+      ticket.messages.length,
+      ticket.createdAt,
+      ticket.firstResponseAt,
+      ticket.firstResponseAt ? Math.round((ticket.firstResponseAt - ticket.createdAt) / MINUTE_MS) : null,
+      ticket.slaBreached,
+      ticket.closedAt,
+      ticket.closedBy
+    ].map(cell).join(','));
+
+    return [columns.join(','), ...rows].join('\n') + '\n';
+  }
+
+  /**
+   * Check response targets every `minutes`; tickets past theirs are marked
+   * breached and escalated once
+   */
+  static startSlaMonitor(minutes = 1) {
+    this.stopSlaMonitor();
+    slaTimer = setInterval(() => {
+      this.checkSla().catch(error => console.error('❌ Ticket SLA check failed:', error.message));
+    }, minutes * MINUTE_MS);
+    slaTimer.unref();
+  }
+
+  static stopSlaMonitor() {
+    if (slaTimer) {
+      clearInterval(slaTimer);
+      slaTimer = null;
+    }
+  }
+
+  static async checkSla() {
+    const overdue = await SupportTicket.find({ status: 'open', slaBreached: false, responseDueAt: { $lte: new Date() } });
+
+    for (const ticket of overdue) {
+      const marked = await SupportTicket.updateOne({ _id: ticket._id, slaBreached: false }, { slaBreached: true });
+      if (!marked.modifiedCount) continue;
+
+      console.log(`⏰ Ticket #${ticket.number} missed its ${ticket.priority} response target`);
+      await this.escalate(ticket._id, 'sla', `No response within ${RESPONSE_MINUTES[ticket.priority]} minutes`);
+    }
+    return overdue.length;
+  }
+
+  // Reply templates
+
+  static async templates() {
+    const templates = await ReplyTemplate.find().sort({ title: 1 });
+    return templates.map(template => this.describeTemplate(template));
+  }
+
+  static async ensureDefaultTemplates() {
+    for (const template of DEFAULT_TEMPLATES) {
+      await ReplyTemplate.updateOne({ key: template.key }, { $setOnInsert: { ...template, createdBy: 'system' } }, { upsert: true });
+    }
+  }
+
+  /**
+   * @param {object} input - { key, title, body }
+   */
+  static async saveTemplate({ key, title, body }, admin) {
+    if (typeof key !== 'string' || !/^[a-z0-9_]{1,50}$/.test(key)) {
+      return { success: false, error: 'Key must be 1-50 lowercase letters, digits or underscores' };
+    }
+    if (typeof title !== 'string' || !title.trim() || title.length > 100) {
+      return { success: false, error: 'Title must be text of up to 100 characters' };
+    }
+    if (typeof body !== 'string' || !body.trim() || body.length > MAX_MESSAGE_LENGTH) {
+      return { success: false, error: `Body must be text of up to ${MAX_MESSAGE_LENGTH} characters` };
+    }
+
+    const before = await ReplyTemplate.findOne({ key });
+    const template = await ReplyTemplate.findOneAndUpdate(
+      { key },
+      { $set: { title: title.trim(), body: body.trim(), updatedBy: admin }, $setOnInsert: { createdBy: admin } },
+      { upsert: true, new: true }
+    );
+    return {
+      success: true,
+      template: this.describeTemplate(template),
+      before: before ? this.describeTemplate(before) : undefined
+    };
+  }
+
+  static async deleteTemplate(key) {
+    const template = await ReplyTemplate.findOneAndDelete({ key });
+    if (!template) return { success: false, error: 'Template not found' };
+    return { success: true, template: this.describeTemplate(template) };
+  }
+
+  static announce(type, ticket, message) {
+    events.emit('ticket', { type, ticket: this.describe(ticket), message });
+  }
+
+  static describe(ticket, withMessages = false) {
+    const last = ticket.messages[ticket.messages.length - 1];
+    return {
+      id: ticket._id.toString(),
+      number: ticket.number,
+      userId: ticket.userId,
+      username: ticket.username,
+      subject: ticket.subject,
+      priority: ticket.priority,
+      status: ticket.status,
+      assignedTo: ticket.assignedTo,
+      escalated: ticket.escalated,
+      escalatedBy: ticket.escalatedBy,
+      responseDueAt: ticket.responseDueAt,
+      slaBreached: ticket.slaBreached,
+      firstResponseAt: ticket.firstResponseAt,
+      messageCount: ticket.messages.length,
+      lastMessage: last ? { from: last.from, author: last.author, text: last.text, at: last.at } : undefined,
+      messages: withMessages ? ticket.messages : undefined,
+      closedBy: ticket.closedBy,
+      closedAt: ticket.closedAt,
+      createdAt: ticket.createdAt
+    };
+  }
+
+  static describeTemplate(template) {
+    return {
+      key: template.key,
+      title: template.title,
+      body: template.body,
+      variables: [...new Set([...template.body.matchAll(/\{(\w+)\}/g)].map(match => match[1]))],
+      usageCount: template.usageCount,
+      updatedBy: template.updatedBy,
+      updatedAt: template.updatedAt
+    };
+  }
+}
+
+module.exports = SupportTickets;
@@ -0,0 +1,116 @@
+// services/TelegramAuth.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// How old Mini App initData may be when exchanged for a session (seconds)
+const INIT_DATA_MAX_AGE = parseInt(process.env.INIT_DATA_MAX_AGE) || 3600;
+const PLAYER_SESSION_TTL = process.env.PLAYER_SESSION_TTL || '12h';
+
+/**
+ * Player identity. The Mini App sends Telegram's signed initData once; it is
+ * checked against BOT_TOKEN and exchanged for a short-lived player session
+ * (a JWT) that every later request and socket event carries.
+ *
+ * See https://core.telegram.org/bots/webapps#validating-data-received-via-the-mini-app
+ */
+class TelegramAuth {
+  static secretKey(botToken) {
+    return crypto.createHmac('sha256', 'WebAppData').update(botToken).digest();
+  }
+
+  static dataCheckString(params) {
+    return Array.from(params.entries())
+      .filter(([key]) => key !== 'hash')
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([key, value]) => `${key}=${value}`)
+      .join('\n');
+  }
+
+  /**
+   * Check Mini App initData
+   * @param {string} initData - Raw query string from Telegram.WebApp.initData
+   * @returns {object} { success, user } or { success: false, error }
+   */
+  static verifyInitData(initData, botToken = process.env.BOT_TOKEN, maxAge = INIT_DATA_MAX_AGE) {
+    if (!botToken) {
+      return { success: false, error: 'Telegram login is not configured' };
+    }
+    if (typeof initData !== 'string' || initData.length === 0) {
+      return { success: false, error: 'Telegram init data required' };
+    }
+
+    const params = new URLSearchParams(initData);
+    const hash = params.get('hash') || '';
+    const expected = crypto.createHmac('sha256', this.secretKey(botToken))
+      .update(this.dataCheckString(params))
+      .digest('hex');
+
+    if (hash.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(hash), Buffer.from(expected))) {
+      return { success: false, error: 'Invalid Telegram init data' };
+    }
+
+    const authDate = parseInt(params.get('auth_date'));
+    const age = Math.floor(Date.now() / 1000) - authDate;
+    if (!Number.isFinite(age) || age > maxAge || age < -60) {
+      return { success: false, error: 'Telegram init data expired' };
+    }
+
+    let user;
+    try {
+      user = JSON.parse(params.get('user'));
+    } catch (error) {
+      user = null;
+    }
+    if (!user || !Number.isInteger(user.id)) {
+      return { success: false, error: 'Telegram init data has no user' };
+    }
+
+    return { success: true, user };
+  }
+
+  /**
+   * Build initData for a Telegram user, signed with the bot token - for the
+   * bot, which already knows who it is talking to, and for local testing
+   * @param {object} user - Telegram user ({ id, username, first_name, last_name })
+   */
+  static signInitData(user, botToken = process.env.BOT_TOKEN) {
+    const params = new URLSearchParams({
+      auth_date: String(Math.floor(Date.now() / 1000)),
+      user: JSON.stringify(user)
+    });
+    params.set('hash', crypto.createHmac('sha256', this.secretKey(botToken))
+      .update(this.dataCheckString(params))
+      .digest('hex'));
+    return params.toString();
+  }
+
+  /**
+   * @param {object} player - { telegramId, username }
+   * @returns {string} Session token
+   */
+  static createSession(player) {
+    return jwt.sign(
+      { telegramId: player.telegramId, username: player.username, role: 'player' },
+      process.env.JWT_SECRET,
+      { expiresIn: PLAYER_SESSION_TTL }
+    );
+  }
+
+  /**
+   * @returns {object|null} { telegramId, username } for a valid player session
+   */
+  static verifySession(token) {
+    if (!token) return null;
+
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      if (decoded.role !== 'player' || !Number.isInteger(decoded.telegramId)) return null;
+      return { telegramId: decoded.telegramId, username: decoded.username };
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = TelegramAuth;
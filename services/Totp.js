@@ -0,0 +1,88 @@
+// services/Totp.js
+const crypto = require('crypto');
+
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * Time-based one-time passwords (RFC 6238, HMAC-SHA1, 6 digits, 30 s),
+ * compatible with Google Authenticator, Authy and similar apps
+ */
+class Totp {
+  static generateSecret(bytes = 20) {
+    return this.base32Encode(crypto.randomBytes(bytes));
+  }
+
+  static base32Encode(buffer) {
+    let bits = '';
+    buffer.forEach(byte => { bits += byte.toString(2).padStart(8, '0'); });
+
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+      output += BASE32[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+  }
+
+  static base32Decode(text) {
+    const bits = text.replace(/=+$/, '').toUpperCase().split('')
+      .map(char => {
+        const index = BASE32.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 character');
+        return index.toString(2).padStart(5, '0');
+      })
+      .join('');
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+      bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+  }
+
+  // HOTP value for one counter (RFC 4226)
+  static codeAt(secret, counter) {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(message).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const value = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+    return String(value).padStart(DIGITS, '0');
+  }
+
+  static currentStep(now = Date.now()) {
+    return Math.floor(now / 1000 / STEP_SECONDS);
+  }
+
+  /**
+   * Check a code, allowing `window` steps of clock drift either way
+   * @param {number} afterStep - Steps up to this one were already used (replay protection)
+   * @returns {number|null} The matching time step, or null
+   */
+  static verify(secret, code, { window = 1, afterStep = -1, now = Date.now() } = {}) {
+    if (typeof code !== 'string' || !/^\d{6}$/.test(code)) return null;
+
+    const current = this.currentStep(now);
+    for (let step = current - window; step <= current + window; step++) {
+      if (step <= afterStep) continue;
+      const expected = this.codeAt(secret, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+        return step;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * otpauth:// URI for authenticator apps (shown as a QR code when enrolling)
+   */
+  static otpauthUri(secret, account, issuer = 'Aviator Admin') {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(DIGITS), period: String(STEP_SECONDS) });
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+}
+
+module.exports = Totp;
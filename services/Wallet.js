@@ -0,0 +1,246 @@
+// services/Wallet.js
+const { User, Transaction, IdempotencyKey } = require('../db/database');
+const gameConfig = require('../config/gameConfig');
+const Ledger = require('./Ledger');
+const events = require('./events');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long a request may hold its idempotency key before a retry can take it over
+const IDEMPOTENCY_LEASE_MS = 60 * 1000;
+
+/**
+ * Player balances. Every change is one conditional update on the user
+ * document followed by its Transaction record and ledger journal, so
+ * concurrent requests from HTTP, sockets and the bot can't double-spend or
+ * lose an update, and no change goes unrecorded.
+ */
+class Wallet {
+  /**
+   * Take stars from a player. Nothing changes when the player is missing,
+   * banned or can't cover the amount.
+   * @param {number} userId - Telegram ID
+   * @param {number} amount - Positive amount to take
+   * @param {object} entry - Transaction fields (type, gameId, roomId, slot, description, ...);
+   *   `account` picks the ledger account on the other side
+   * @param {object} inc - Other user counters to increment in the same update
+   * @returns {object} { success, user, transaction } or { success: false, error }
+   */
+  static async debit(userId, amount, entry, inc = {}) {
+    if (!Number.isInteger(amount) || amount <= 0) {
+      return { success: false, error: 'Invalid amount' };
+    }
+
+    const user = await User.findOneAndUpdate(
+      { telegramId: userId, isBanned: { $ne: true }, balance: { $gte: amount } },
+      { $inc: { balance: -amount, ...inc } },
+      { new: true }
+    );
+
+    if (!user) {
+      const existing = await User.findOne({ telegramId: userId }).select('isBanned');
+      return {
+        success: false,
+        error: !existing || existing.isBanned ? 'User not found or banned' : 'Insufficient balance'
+      };
+    }
+
+    const transaction = await this.record(user, -amount, entry);
+    return { success: true, user, transaction };
+  }
+
+  /**
+   * Give stars to a player (winnings, refunds, bonuses)
+   * @param {number} userId - Telegram ID
+   * @param {number} amount - Positive amount to give
+   * @param {object} entry - Transaction fields
+   * @param {object} inc - Other user counters to increment in the same update
+   * @returns {object} { success, user, transaction } or { success: false, error }
+   */
+  static async credit(userId, amount, entry, inc = {}) {
+    if (!Number.isInteger(amount) || amount <= 0) {
+      return { success: false, error: 'Invalid amount' };
+    }
+
+    const user = await User.findOneAndUpdate(
+      { telegramId: userId },
+      { $inc: { balance: amount, ...inc } },
+      { new: true }
+    );
+
+    if (!user) {
+      return { success: false, error: 'User not found' };
+    }
+
+    const transaction = await this.record(user, amount, entry);
+    return { success: true, user, transaction };
+  }
+
+  static async record(user, amount, entry) {
+    const { account, ...fields } = entry;
+
+    const transaction = await new Transaction({
+      ...fields,
+      userId: user.telegramId,
+      amount: amount,
+      balanceBefore: user.balance - amount,
+      balanceAfter: user.balance
+    }).save();
+
+    await Ledger.postPlayer(user.telegramId, amount, {
+      ...fields,
+      account,
+      transactionId: transaction._id
+    });
+
+    events.emit('balance', {
+      userId: user.telegramId,
+      balance: user.balance,
+      change: amount,
+      type: fields.type,
+      gameId: fields.gameId,
+      roomId: fields.roomId,
+      slot: fields.slot
+    });
+
+    return transaction;
+  }
+
+  /**
+   * Create a player with the configured starting balance, or return the
+   * existing one
+   * @param {object} profile - { telegramId, username, firstName, lastName }
+   * @returns {object} { user, created }
+   */
+  static async openAccount(profile) {
+    const existing = await User.findOne({ telegramId: profile.telegramId });
+    if (existing) return { user: existing, created: false };
+
+    const startingBalance = gameConfig.get('startingBalance');
+    let user;
+    try {
+      user = await new User({
+        ...profile,
+        balance: startingBalance,
+        referralCode: Math.random().toString(36).substring(2, 8).toUpperCase()
+      }).save();
+    } catch (error) {
+      // Registered by a parallel request
+      if (error.code !== 11000) throw error;
+      return { user: await User.findOne({ telegramId: profile.telegramId }), created: false };
+    }
+
+    if (startingBalance > 0) {
+      await this.record(user, startingBalance, { type: 'bonus', account: 'promo', description: 'Welcome bonus' });
+    }
+    events.emit('activity', { type: 'registration', userId: user.telegramId, amount: startingBalance });
+    return { user, created: true };
+  }
+
+  /**
+   * Pay the daily bonus once per 24 hours. The claim and the payment are the
+   * same update, so parallel claims can't both succeed.
+   */
+  static async claimDailyBonus(userId) {
+    const existing = await User.findOne({ telegramId: userId }).select('isVIP lastDailyBonus');
+    if (!existing) {
+      return { success: false, error: 'User not found' };
+    }
+
+    const now = new Date();
+    const amount = gameConfig.get(existing.isVIP ? 'vipDailyBonus' : 'dailyBonus');
+
+    const user = await User.findOneAndUpdate(
+      {
+        telegramId: userId,
+        $or: [{ lastDailyBonus: null }, { lastDailyBonus: { $lte: new Date(now - DAY_MS) } }]
+      },
+      { $inc: { balance: amount }, $set: { lastDailyBonus: now } },
+      { new: true }
+    );
+
+    if (!user) {
+      const claimed = await User.findOne({ telegramId: userId }).select('lastDailyBonus');
+      const hoursLeft = Math.max(0, (claimed.lastDailyBonus.getTime() + DAY_MS - now) / (60 * 60 * 1000));
+      return { success: false, error: 'Daily bonus already claimed', hoursLeft };
+    }
+
+    await this.record(user, amount, { type: 'bonus', description: 'Daily bonus' });
+    events.emit('activity', { type: 'bonus', userId, amount, data: { bonusType: 'daily' } });
+    return { success: true, bonus: amount, user };
+  }
+
+  /**
+   * Run `fn` once per idempotency key. Retries with the same key get the
+   * first successful response back instead of running again; failed attempts
+   * release the key so the request can be retried. A key left pending for
+   * longer than the lease (the server stopped mid-operation) is taken over
+   * by the next retry, unless a transaction shows the operation went through.
+   * @param {number} userId - Telegram ID the key belongs to
+   * @param {string} scope - Operation, e.g. 'bet' or 'cashout'
+   * @param {string} key - Client-chosen key (no key: just run fn)
+   * @param {Function} fn - Operation returning { success, ... }
+   */
+  static async idempotent(userId, scope, key, fn) {
+    if (key === undefined || key === null || key === '') return fn();
+
+    if (typeof key !== 'string' || key.length > 100) {
+      return { success: false, error: 'Idempotency key must be a string of up to 100 characters' };
+    }
+
+    try {
+      await new IdempotencyKey({ userId, scope, key }).save();
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      const existing = await IdempotencyKey.findOne({ userId, scope, key }).lean();
+      if (existing && existing.status === 'done') {
+        return { ...existing.response, replayed: true };
+      }
+      if (!existing || !(await this.takeOver(existing))) {
+        return { success: false, error: 'A request with this idempotency key is still being processed' };
+      }
+
+      // Transactions carry the key of the request that made them
+      const transaction = await Transaction.findOne({ userId, idempotencyKey: key }).select('_id');
+      if (transaction) {
+        const response = { success: true, transactionId: transaction._id.toString() };
+        await IdempotencyKey.updateOne({ _id: existing._id }, { status: 'done', response });
+        return { ...response, replayed: true };
+      }
+    }
+
+    let result;
+    try {
+      result = await fn();
+    } catch (error) {
+      await IdempotencyKey.deleteOne({ userId, scope, key });
+      throw error;
+    }
+
+    if (result && result.success) {
+      await IdempotencyKey.updateOne({ userId, scope, key }, { status: 'done', response: result });
+    } else {
+      await IdempotencyKey.deleteOne({ userId, scope, key });
+    }
+
+    return result;
+  }
+
+  // Claim a pending key whose lease ran out; only one retry wins it
+  static async takeOver(pending) {
+    const leasedAt = pending.leasedAt || pending.createdAt;
+    if (Date.now() - leasedAt < IDEMPOTENCY_LEASE_MS) return false;
+
+    const taken = await IdempotencyKey.findOneAndUpdate(
+      { _id: pending._id, status: 'pending', leasedAt: pending.leasedAt || null },
+      { $set: { leasedAt: new Date() } }
+    );
+    if (taken) {
+      console.warn(`⚠️ Idempotency key ${pending.scope}/${pending.key} of ${pending.userId} was left pending, retrying`);
+    }
+    return Boolean(taken);
+  }
+}
+
+module.exports = Wallet;
@@ -0,0 +1,272 @@
+// services/Withdrawals.js
+const mongoose = require('mongoose');
+const { User, Withdrawal, Transaction } = require('../db/database');
+const gameConfig = require('../config/gameConfig');
+const Wallet = require('./Wallet');
+const Ledger = require('./Ledger');
+const Kyc = require('./Kyc');
+const events = require('./events');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Player withdrawals. Requesting holds the amount from the balance at once
+ * (posted to the withdrawals ledger account), so it can't be bet while the
+ * request waits in the admin queue. Approving pays the hold out, rejecting
+ * returns it, and refunding returns an approved payout that did not arrive.
+ * Every status change is announced with a 'withdrawal' event.
+ */
+class Withdrawals {
+  /**
+   * @param {number} userId - Telegram ID
+   * @param {number} amount - Stars to withdraw
+   * @param {string} destination - Where the player wants the payout sent
+   * @returns {object} { success, withdrawal, user } or { success: false, error, hoursLeft }
+   */
+  static async request(userId, amount, destination) {
+    amount = Number(amount);
+    const minWithdrawal = gameConfig.get('minWithdrawal');
+    const maxWithdrawal = gameConfig.get('maxWithdrawal');
+
+    if (!Number.isInteger(amount) || amount < minWithdrawal || amount > maxWithdrawal) {
+      return { success: false, error: `Amount must be a whole number of stars between ${minWithdrawal} and ${maxWithdrawal}` };
+    }
+    if (destination !== undefined && (typeof destination !== 'string' || destination.length > 200)) {
+      return { success: false, error: 'Destination must be text of up to 200 characters' };
+    }
+
+    // Holds set by risk rules or admins, and identity checks not yet passed
+    const user = await User.findOne({ telegramId: userId }).select('withdrawalsHeld kycStatus');
+    if (user && user.withdrawalsHeld) {
+      return { success: false, error: 'Withdrawals are on hold for your account, please contact support' };
+    }
+    if (user && !Kyc.clears(user.kycStatus)) {
+      return { success: false, error: 'Please verify your identity before withdrawing - send /kyc to the bot' };
+    }
+
+    // Rejected requests don't count towards the cooldown
+    const cooldownMs = gameConfig.get('withdrawalCooldown') * HOUR_MS;
+    const last = await Withdrawal.findOne({ userId, status: { $ne: 'rejected' } }).sort({ createdAt: -1 });
+    if (last && last.status !== 'pending' && Date.now() - last.createdAt < cooldownMs) {
+      const hoursLeft = (cooldownMs - (Date.now() - last.createdAt)) / HOUR_MS;
+      return { success: false, error: `Next withdrawal possible in ${hoursLeft.toFixed(1)} hours`, hoursLeft };
+    }
+
+    let withdrawal;
+    try {
+      withdrawal = await new Withdrawal({ userId, amount, destination: destination && destination.trim() }).save();
+    } catch (error) {
+      if (error.code === 11000) {
+        return { success: false, error: 'You already have a withdrawal waiting for review' };
+      }
+      throw error;
+    }
+
+    // A request left behind without its hold would block the player's next
+    // one and could be approved without the stars ever being taken
+    let hold;
+    try {
+      hold = await Wallet.debit(userId, amount, {
+        type: 'withdrawal',
+        account: 'withdrawals',
+        status: 'pending',
+        description: 'Withdrawal request (held for review)'
+      });
+    } catch (error) {
+      await Withdrawal.deleteOne({ _id: withdrawal._id });
+      throw error;
+    }
+    if (!hold.success) {
+      await Withdrawal.deleteOne({ _id: withdrawal._id });
+      return { success: false, error: hold.error };
+    }
+
+    withdrawal.holdTransactionId = hold.transaction._id;
+    await withdrawal.save();
+
+    this.announce(withdrawal);
+    return { success: true, withdrawal: this.describe(withdrawal), user: hold.user };
+  }
+
+  /**
+   * Pay out a pending request
+   * @param {object} review - { reviewedBy, payoutReference }
+   */
+  static async approve(id, { reviewedBy, payoutReference } = {}) {
+    const withdrawal = await this.transition(id, 'pending', {
+      status: 'approved',
+      reviewedBy,
+      reviewedAt: new Date(),
+      payoutReference
+    }, { heldAt: null });
+    if (withdrawal.error) return { success: false, error: withdrawal.error };
+
+    // The held stars leave the game
+    await Ledger.post(
+      { type: 'withdrawal', description: `Withdrawal ${withdrawal._id} paid out`, transactionId: withdrawal.holdTransactionId },
+      [
+        { account: 'withdrawals', amount: -withdrawal.amount },
+        { account: 'house', amount: withdrawal.amount }
+      ]
+    );
+    await Transaction.updateOne({ _id: withdrawal.holdTransactionId }, { status: 'completed' });
+
+    this.announce(withdrawal);
+    return { success: true, withdrawal: this.describe(withdrawal) };
+  }
+
+  /**
+   * Turn down a pending request; the held stars go back to the player
+   * @param {object} review - { reviewedBy, reason }
+   */
+  static async reject(id, { reviewedBy, reason } = {}) {
+    const withdrawal = await this.transition(id, 'pending', {
+      status: 'rejected',
+      reviewedBy,
+      reviewedAt: new Date(),
+      reason
+    });
+    if (withdrawal.error) return { success: false, error: withdrawal.error };
+
+    await Wallet.credit(withdrawal.userId, withdrawal.amount, {
+      type: 'withdrawal',
+      account: 'withdrawals',
+      description: 'Withdrawal rejected, stars returned'
+    });
+    await Transaction.updateOne({ _id: withdrawal.holdTransactionId }, { status: 'cancelled' });
+
+    this.announce(withdrawal);
+    return { success: true, withdrawal: this.describe(withdrawal) };
+  }
+
+  /**
+   * Give back an approved withdrawal whose payout failed
+   * @param {object} refund - { refundedBy, reason }
+   */
+  static async refund(id, { refundedBy, reason } = {}) {
+    const withdrawal = await this.transition(id, 'approved', {
+      status: 'refunded',
+      refundedBy,
+      refundedAt: new Date(),
+      reason
+    });
+    if (withdrawal.error) return { success: false, error: withdrawal.error };
+
+    await Wallet.credit(withdrawal.userId, withdrawal.amount, {
+      type: 'withdrawal',
+      description: 'Withdrawal refunded'
+    });
+
+    this.announce(withdrawal);
+    return { success: true, withdrawal: this.describe(withdrawal) };
+  }
+
+  /**
+   * Put a player's pending request on hold, when a risk rule or an admin
+   * holds their withdrawals. It stays in the queue, marked held, and can be
+   * rejected but not approved until the hold is released.
+   * @param {object} hold - { by, reason }
+   * @returns {object|null} The held request
+   */
+  static async hold(userId, { by, reason } = {}) {
+    const withdrawal = await Withdrawal.findOneAndUpdate(
+      { userId, status: 'pending', heldAt: null },
+      { $set: { heldAt: new Date(), heldBy: by, holdReason: reason } },
+      { new: true }
+    );
+    if (withdrawal) {
+      console.log(`✋ Withdrawal ${withdrawal._id} of ${userId} put on hold by ${by}`);
+      this.announce(withdrawal, true);
+    }
+    return withdrawal;
+  }
+
+  // Release the hold on a player's pending request
+  static async release(userId) {
+    const withdrawal = await Withdrawal.findOneAndUpdate(
+      { userId, status: 'pending', heldAt: { $ne: null } },
+      { $unset: { heldAt: 1, heldBy: 1, holdReason: 1 } },
+      { new: true }
+    );
+    if (withdrawal) this.announce(withdrawal, true);
+    return withdrawal;
+  }
+
+  // Move a request from one status to the next; only one caller can win
+  static async transition(id, from, changes, filter = {}) {
+    if (!mongoose.isValidObjectId(id)) {
+      return { error: 'Withdrawal not found' };
+    }
+
+    const withdrawal = await Withdrawal.findOneAndUpdate(
+      { _id: id, status: from, ...filter },
+      { $set: changes },
+      { new: true }
+    );
+    if (withdrawal) return withdrawal;
+
+    const existing = await Withdrawal.findById(id);
+    if (!existing) return { error: 'Withdrawal not found' };
+    if (existing.status === from && existing.heldAt) {
+      return { error: 'Withdrawal is on hold, release the player\'s withdrawal hold first' };
+    }
+    return { error: `Withdrawal is already ${existing.status}` };
+  }
+
+  /**
+   * Admin queue - pending (and held) requests oldest first, other statuses newest first
+   * @param {object} filters - { status: pending|held|approved|rejected|refunded|all, userId, page, limit }
+   */
+  static async list({ status = 'pending', userId, page = 1, limit = 50 } = {}) {
+    const query = {};
+    if (status === 'held') {
+      query.status = 'pending';
+      query.heldAt = { $ne: null };
+    } else if (status !== 'all') {
+      query.status = status;
+    }
+    if (userId) query.userId = userId;
+
+    const [withdrawals, total] = await Promise.all([
+      Withdrawal.find(query)
+        .sort({ createdAt: status === 'pending' || status === 'held' ? 1 : -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Withdrawal.countDocuments(query)
+    ]);
+    return { withdrawals: withdrawals.map(withdrawal => this.describe(withdrawal, true)), total, page, limit };
+  }
+
+  static async history(userId, limit = 20) {
+    const withdrawals = await Withdrawal.find({ userId }).sort({ createdAt: -1 }).limit(limit);
+    return withdrawals.map(withdrawal => this.describe(withdrawal));
+  }
+
+  // holdChanged: the request was held or released, its status is unchanged
+  static announce(withdrawal, holdChanged = false) {
+    events.emit('withdrawal', { ...this.describe(withdrawal), holdChanged: holdChanged || undefined });
+  }
+
+  // Who held a request and why is only shown to admins
+  static describe(withdrawal, forAdmin = false) {
+    return {
+      id: withdrawal._id.toString(),
+      userId: withdrawal.userId,
+      amount: withdrawal.amount,
+      destination: withdrawal.destination,
+      status: withdrawal.status,
+      held: Boolean(withdrawal.heldAt),
+      heldAt: forAdmin ? withdrawal.heldAt : undefined,
+      heldBy: forAdmin ? withdrawal.heldBy : undefined,
+      holdReason: forAdmin ? withdrawal.holdReason : undefined,
+      reviewedBy: withdrawal.reviewedBy,
+      reviewedAt: withdrawal.reviewedAt,
+      payoutReference: withdrawal.payoutReference,
+      reason: withdrawal.reason,
+      refundedAt: withdrawal.refundedAt,
+      createdAt: withdrawal.createdAt
+    };
+  }
+}
+
+module.exports = Withdrawals;
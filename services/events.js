@@ -0,0 +1,25 @@
+// services/events.js
+const EventEmitter = require('events');
+
+/**
+ * In-process event bus for things players and admins should hear about as
+ * they happen, without the services that cause them knowing about sockets.
+ * server.js forwards them to the right socket.io rooms.
+ *
+ * Events:
+ *   balance - { userId, balance, change, type, gameId, roomId, slot }
+ *   round   - { roomId, gameId, crashPoint, players, totalBets, totalPayout, houseProfit }
+ *   audit   - A saved audit log entry (an admin changed something)
+ *   withdrawal - { id, userId, amount, status, reason, ... } on every status change
+ *   activity - { type: bet|cashout|deposit|bonus|registration, userId, amount, multiplier, data }
+ *              for risk rules (services/RiskRules.js)
+ *   fraudAlert - { id, kind, severity, score, userIds, message, highRiskCount } when a fraud case opens or escalates
+ *   ticket - { type: opened|message|reply|assigned|priority|escalated|closed, ticket, message } on support ticket changes
+ *   campaign - { id, name, segment, status, stats, ... } when a campaign is created, makes progress or finishes
+ *   bulkBonus - { id, amount, status, stats, totalCost, ... } as a bulk bonus grant or reversal progresses
+ *   kyc - { type: requested|submitted|approved|rejected, request } on identity verification changes
+ *   spam - { type: flood|mute|unmute|settings, entry, settings } from the bot's flood control
+ */
+const events = new EventEmitter();
+
+module.exports = events;
@@ -0,0 +1,70 @@
+// test/harness.js
+const mongoose = require('mongoose');
+
+const TEST_DB = process.env.TEST_MONGODB_URI || 'mongodb://localhost:27017/aviator-test';
+
+/**
+ * Shared by the test scripts: colored logging, named checks and the report
+ * that sets the exit code
+ */
+class Tester {
+  constructor() {
+    this.results = [];
+  }
+
+  log(message, type = 'info') {
+    const colors = {
+      info: '\x1b[36m',    // Cyan
+      success: '\x1b[32m', // Green
+      error: '\x1b[31m',   // Red
+      warning: '\x1b[33m'  // Yellow
+    };
+
+    const reset = '\x1b[0m';
+    const timestamp = new Date().toLocaleTimeString();
+    console.log(`${colors[type]}[${timestamp}] ${message}${reset}`);
+  }
+
+  async check(name, fn) {
+    try {
+      await fn();
+      this.log(`✅ ${name}`, 'success');
+      this.results.push({ name, result: true });
+    } catch (error) {
+      this.log(`❌ ${name}: ${error.message}`, 'error');
+      this.results.push({ name, result: false });
+    }
+  }
+
+  generateTestReport() {
+    const passed = this.results.filter(test => test.result).length;
+
+    this.log('', 'info');
+    this.log(`📊 Results: ${passed}/${this.results.length} tests passed`, passed === this.results.length ? 'success' : 'error');
+    if (passed !== this.results.length) {
+      process.exitCode = 1;
+    }
+  }
+}
+
+// Every run starts from an empty database, so never point this at a real one
+async function connectTestDb() {
+  if (!/test/i.test(new URL(TEST_DB).pathname)) {
+    throw new Error(`Refusing to run against ${TEST_DB}: the database name must contain "test"`);
+  }
+
+  await mongoose.connect(TEST_DB, { serverSelectionTimeoutMS: 5000 });
+  await mongoose.connection.dropDatabase();
+  await Promise.all(Object.values(mongoose.models).map(model => model.createIndexes()));
+}
+
+async function closeTestDb() {
+  if (mongoose.connection.readyState === 1) {
+    await mongoose.connection.dropDatabase();
+    await mongoose.disconnect();
+  }
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+module.exports = { Tester, TEST_DB, connectTestDb, closeTestDb, wait };
@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+
+/**
+ * Aviator Auth Tests
+ * Checks the login pieces that need neither the server nor a database:
+ * Mini App login (initData signatures) and admin one-time passwords
+ */
+
+const assert = require('assert');
+const crypto = require('crypto');
+const TelegramAuth = require('../services/TelegramAuth');
+const Totp = require('../services/Totp');
+const { Tester } = require('./harness');
+
+const BOT_TOKEN = '123456:TEST-bot-token';
+
+// RFC 6238 appendix B: the ASCII secret "12345678901234567890", truncated to 6 digits
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const RFC_VECTORS = [
+  { time: 59, code: '287082' },
+  { time: 1111111109, code: '081804' },
+  { time: 1234567890, code: '005924' },
+  { time: 2000000000, code: '279037' }
+];
+
+class AuthTester extends Tester {
+  async testTelegramAuth() {
+    this.log('Testing Mini App initData verification...', 'info');
+    const user = { id: 777000, username: 'tester', first_name: 'Test' };
+
+    await this.check('initData signed with the bot token is accepted', () => {
+      const result = TelegramAuth.verifyInitData(TelegramAuth.signInitData(user, BOT_TOKEN), BOT_TOKEN);
+      assert.strictEqual(result.success, true);
+      assert.deepStrictEqual(result.user, user);
+    });
+
+    await this.check('initData signed with another token is rejected', () => {
+      const result = TelegramAuth.verifyInitData(TelegramAuth.signInitData(user, '654321:OTHER'), BOT_TOKEN);
+      assert.strictEqual(result.success, false);
+      assert.strictEqual(result.error, 'Invalid Telegram init data');
+    });
+
+    await this.check('Tampered initData is rejected', () => {
+      const params = new URLSearchParams(TelegramAuth.signInitData(user, BOT_TOKEN));
+      params.set('user', JSON.stringify({ ...user, id: 1 }));
+      assert.strictEqual(TelegramAuth.verifyInitData(params.toString(), BOT_TOKEN).success, false);
+    });
+
+    await this.check('initData without a hash is rejected', () => {
+      const params = new URLSearchParams(TelegramAuth.signInitData(user, BOT_TOKEN));
+      params.delete('hash');
+      assert.strictEqual(TelegramAuth.verifyInitData(params.toString(), BOT_TOKEN).success, false);
+    });
+
+    await this.check('Expired initData is rejected', () => {
+      const initData = TelegramAuth.signInitData(user, BOT_TOKEN);
+      const realNow = Date.now;
+      Date.now = () => realNow() + 2 * 60 * 60 * 1000;
+      try {
+        const result = TelegramAuth.verifyInitData(initData, BOT_TOKEN, 3600);
+        assert.strictEqual(result.error, 'Telegram init data expired');
+      } finally {
+        Date.now = realNow;
+      }
+    });
+
+    await this.check('initData without a user is rejected', () => {
+      const params = new URLSearchParams({ auth_date: String(Math.floor(Date.now() / 1000)) });
+      params.set('hash', crypto.createHmac('sha256', TelegramAuth.secretKey(BOT_TOKEN))
+        .update(TelegramAuth.dataCheckString(params))
+        .digest('hex'));
+      assert.strictEqual(TelegramAuth.verifyInitData(params.toString(), BOT_TOKEN).error, 'Telegram init data has no user');
+    });
+
+    await this.check('Login is refused without a bot token', () => {
+      assert.strictEqual(TelegramAuth.verifyInitData('hash=abc', '').success, false);
+    });
+
+    await this.check('Player sessions carry the Telegram ID', () => {
+      const realSecret = process.env.JWT_SECRET;
+      process.env.JWT_SECRET = 'test-secret';
+      try {
+        const token = TelegramAuth.createSession({ telegramId: 777000, username: 'tester' });
+        assert.deepStrictEqual(TelegramAuth.verifySession(token), { telegramId: 777000, username: 'tester' });
+        assert.strictEqual(TelegramAuth.verifySession(`${token}x`), null);
+        assert.strictEqual(TelegramAuth.verifySession(undefined), null);
+      } finally {
+        process.env.JWT_SECRET = realSecret;
+      }
+    });
+  }
+
+  async testTotp() {
+    this.log('Testing admin one-time passwords...', 'info');
+
+    await this.check('Codes match the RFC 6238 test vectors', () => {
+      RFC_VECTORS.forEach(({ time, code }) => {
+        assert.strictEqual(Totp.codeAt(RFC_SECRET, Totp.currentStep(time * 1000)), code, `at ${time}s`);
+      });
+    });
+
+    await this.check('Base32 round-trips', () => {
+      const secret = Totp.generateSecret();
+      assert.match(secret, /^[A-Z2-7]{32}$/);
+      assert.strictEqual(Totp.base32Encode(Totp.base32Decode(secret)), secret);
+      assert.throws(() => Totp.base32Decode('not base32!'));
+    });
+
+    await this.check('Codes from the neighbouring steps are accepted', () => {
+      const now = 1234567890 * 1000;
+      const step = Totp.currentStep(now);
+      assert.strictEqual(Totp.verify(RFC_SECRET, Totp.codeAt(RFC_SECRET, step), { now }), step);
+      assert.strictEqual(Totp.verify(RFC_SECRET, Totp.codeAt(RFC_SECRET, step - 1), { now }), step - 1);
+      assert.strictEqual(Totp.verify(RFC_SECRET, Totp.codeAt(RFC_SECRET, step + 1), { now }), step + 1);
+      assert.strictEqual(Totp.verify(RFC_SECRET, Totp.codeAt(RFC_SECRET, step - 2), { now }), null);
+    });
+
+    await this.check('A used code cannot be replayed', () => {
+      const now = 1234567890 * 1000;
+      const step = Totp.currentStep(now);
+      const code = Totp.codeAt(RFC_SECRET, step);
+      assert.strictEqual(Totp.verify(RFC_SECRET, code, { now, afterStep: step }), null);
+    });
+
+    await this.check('Malformed codes are rejected', () => {
+      ['', '12345', '1234567', 'abcdef', 123456, null].forEach(code => {
+        assert.strictEqual(Totp.verify(RFC_SECRET, code), null, `code ${code}`);
+      });
+    });
+
+    await this.check('otpauth URI carries the secret and issuer', () => {
+      const uri = new URL(Totp.otpauthUri(RFC_SECRET, 'admin'));
+      assert.strictEqual(uri.protocol, 'otpauth:');
+      assert.strictEqual(uri.searchParams.get('secret'), RFC_SECRET);
+      assert.strictEqual(uri.searchParams.get('issuer'), 'Aviator Admin');
+    });
+  }
+}
+
+// CLI Interface
+async function main() {
+  const command = process.argv[2];
+  const tester = new AuthTester();
+
+  switch (command) {
+    case 'login':
+      await tester.testTelegramAuth();
+      break;
+    case 'totp':
+      await tester.testTotp();
+      break;
+    default:
+      await tester.testTelegramAuth();
+      await tester.testTotp();
+  }
+  tester.generateTestReport();
+}
+
+if (require.main === module) {
+  if (process.argv.includes('--help') || process.argv.includes('-h')) {
+    console.log(`
+🧪 Aviator Auth Tests
+
+Usage:
+  node test-auth.js [command]
+
+Commands:
+  (none)  Run all auth tests
+  login   Mini App initData verification and player sessions
+  totp    Admin one-time passwords
+
+No server or database is needed.
+`);
+  } else {
+    main().catch(error => {
+      console.error(error);
+      process.exitCode = 1;
+    });
+  }
+}
+
+module.exports = { AuthTester };
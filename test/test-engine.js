@@ -0,0 +1,422 @@
+#!/usr/bin/env node
+
+/**
+ * Aviator Engine Tests
+ * Checks the game engine's money paths - stakes, cashouts, auto cashouts, the
+ * crash and recovery after a restart - on a throwaway MongoDB database. The
+ * tests drive the rounds themselves instead of waiting on the game loop.
+ */
+
+require('dotenv').config();
+const assert = require('assert');
+const { Tester, TEST_DB, connectTestDb, closeTestDb } = require('./harness');
+
+// Rounds draw fresh seeds, so no seed chain has to be generated first
+process.env.SEED_MODE = 'random';
+
+const { User, Game, Transaction } = require('../db/database');
+const Wallet = require('../services/Wallet');
+const Ledger = require('../services/Ledger');
+const GameEngine = require('../game/GameEngine');
+
+// Stands in for socket.io; the engine only broadcasts through it
+const io = { to: () => ({ emit: () => {} }) };
+
+class EngineTester extends Tester {
+  constructor() {
+    super();
+    this.engines = [];
+    this.nextUserId = 930000001;
+  }
+
+  async setup() {
+    await connectTestDb();
+    await GameEngine.migrate();
+    this.log(`🧪 Using ${TEST_DB}`, 'info');
+  }
+
+  async cleanup() {
+    this.engines.forEach(engine => engine.destroy());
+    await closeTestDb();
+  }
+
+  async createPlayer() {
+    const telegramId = this.nextUserId++;
+    const { user } = await Wallet.openAccount({ telegramId, username: `player${telegramId}`, firstName: 'Test' });
+    return user;
+  }
+
+  async balanceOf(userId) {
+    return (await User.findOne({ telegramId: userId })).balance;
+  }
+
+  // An engine that is never ready, so its loop starts no round by itself
+  createEngine(roomId) {
+    const engine = new GameEngine(io, { roomId }, new Promise(() => {}));
+    clearInterval(engine.intervals.gameLoop);
+    this.engines.push(engine);
+    return engine;
+  }
+
+  async openRound(engine) {
+    engine.gameState = 'starting';
+    await engine.openRound();
+    assert.strictEqual(engine.gameState, 'betting');
+  }
+
+  // Take off with a crash point chosen by the test
+  async takeOff(engine, crashPoint) {
+    engine.startFlight();
+    engine.crashPoint = crashPoint;
+    await engine.flightSaved;
+    await Game.updateOne({ _id: engine.currentGame._id }, { crashPoint });
+  }
+
+  async crash(engine) {
+    engine.gameState = 'crashed';
+    await engine.settleRound(engine.crashPoint);
+  }
+
+  bet(engine, user, slot = 1) {
+    return engine.activeBets.get(engine.betKey(user.telegramId, slot));
+  }
+
+  async testBets() {
+    this.log('Testing bets and cashouts...', 'info');
+
+    await this.check('A bet takes the stake once and keeps its auto cashout target', async () => {
+      const engine = this.createEngine('test-stake');
+      const user = await this.createPlayer();
+      await this.openRound(engine);
+
+      const result = await engine.placeBet(user.telegramId, 100, 2.555, 1);
+      assert.strictEqual(result.success, true, result.error);
+      assert.strictEqual(result.autoCashout, 2.55);
+      assert.strictEqual(await this.balanceOf(user.telegramId), user.balance - 100);
+      assert.strictEqual((await User.findOne({ telegramId: user.telegramId })).totalWagered, 100);
+
+      const stakes = await Transaction.find({ userId: user.telegramId, type: 'bet', roomId: 'test-stake', gameId: engine.gameId });
+      assert.strictEqual(stakes.length, 1);
+      assert.strictEqual(stakes[0].amount, -100);
+
+      const game = await Game.findById(engine.currentGame._id);
+      assert.strictEqual(game.bets.length, 1);
+      assert.strictEqual(game.bets[0].autoCashout, 2.55);
+    });
+
+    await this.check('Parallel bets on one slot take one stake', async () => {
+      const engine = this.createEngine('test-parallel');
+      const user = await this.createPlayer();
+      await this.openRound(engine);
+
+      const results = await Promise.all([
+        engine.placeBet(user.telegramId, 100, null, 1),
+        engine.placeBet(user.telegramId, 100, null, 1)
+      ]);
+      assert.strictEqual(results.filter(result => result.success).length, 1);
+      assert.strictEqual((await engine.placeBet(user.telegramId, 50, null, 2)).success, true, 'the second slot is separate');
+      assert.strictEqual(await this.balanceOf(user.telegramId), user.balance - 150);
+    });
+
+    await this.check('Bets the balance cannot cover, or with bad targets, take nothing', async () => {
+      const engine = this.createEngine('test-refused');
+      const user = await this.createPlayer();
+      await this.openRound(engine);
+
+      assert.match((await engine.placeBet(user.telegramId, user.balance + 100)).error, /Insufficient balance/);
+      assert.match((await engine.placeBet(user.telegramId, 100, 1.0)).error, /Invalid auto cashout/);
+      assert.match((await engine.placeBet(user.telegramId, 100, 1001)).error, /Invalid auto cashout/);
+      assert.strictEqual(engine.activeBets.size, 0);
+      assert.strictEqual(await this.balanceOf(user.telegramId), user.balance);
+    });
+
+    await this.check('A stake taken as betting closes is refunded', async () => {
+      const engine = this.createEngine('test-closing');
+      const user = await this.createPlayer();
+      await this.openRound(engine);
+
+      // The flight starts while the stake is being taken
+      const debit = Wallet.debit;
+      Wallet.debit = async (...args) => {
+        const result = await debit.apply(Wallet, args);
+        engine.gameState = 'flying';
+        return result;
+      };
+      let result;
+      try {
+        result = await engine.placeBet(user.telegramId, 100);
+      } finally {
+        Wallet.debit = debit;
+      }
+
+      assert.strictEqual(result.success, false);
+      assert.match(result.error, /Betting phase ended/);
+      assert.strictEqual(engine.activeBets.size, 0);
+
+      const after = await User.findOne({ telegramId: user.telegramId });
+      assert.strictEqual(after.balance, user.balance);
+      assert.strictEqual(after.totalWagered, 0);
+      assert.strictEqual(await Transaction.countDocuments({ userId: user.telegramId, type: 'refund', gameId: engine.gameId }), 1);
+    });
+
+    await this.check('A cashout pays the stake times the multiplier once', async () => {
+      const engine = this.createEngine('test-cashout');
+      const user = await this.createPlayer();
+      await this.openRound(engine);
+      await engine.placeBet(user.telegramId, 100, null, 1);
+      await engine.placeBet(user.telegramId, 100, null, 2);
+      await this.takeOff(engine, 5);
+
+      const result = await engine.settleCashout(this.bet(engine, user, 1), 2.37);
+      assert.strictEqual(result.success, true, result.error);
+      assert.strictEqual(result.payout, 237);
+      assert.match((await engine.executeCashOut(user.telegramId, 1)).error, /No active bet/);
+
+      // Two cashouts of the other bet at once
+      const results = await Promise.all([engine.executeCashOut(user.telegramId, 2), engine.executeCashOut(user.telegramId, 2)]);
+      assert.strictEqual(results.filter(cashout => cashout.success).length, 1);
+      const second = results.find(cashout => cashout.success).payout;
+
+      assert.strictEqual(await this.balanceOf(user.telegramId), user.balance - 200 + 237 + second);
+      assert.strictEqual(await Transaction.countDocuments({ userId: user.telegramId, type: 'win', roomId: 'test-cashout' }), 2);
+
+      const game = await Game.findById(engine.currentGame._id);
+      assert.strictEqual(game.bets.find(bet => bet.slot === 1).payout, 237);
+    });
+
+    await this.check('An auto cashout racing a manual one pays the bet once', async () => {
+      const engine = this.createEngine('test-auto-race');
+      const user = await this.createPlayer();
+      await this.openRound(engine);
+      await engine.placeBet(user.telegramId, 100, 1.5);
+      await this.takeOff(engine, 3);
+
+      // The game loop reaches the target while the player's cashout arrives
+      engine.processAutoCashouts(1.6);
+      const manual = await engine.executeCashOut(user.telegramId, 1);
+      engine.processAutoCashouts(1.7);
+      await this.bet(engine, user).settling;
+
+      assert.strictEqual(manual.success, false);
+      assert.strictEqual(this.bet(engine, user).cashoutMultiplier, 1.5);
+      assert.strictEqual(await this.balanceOf(user.telegramId), user.balance - 100 + 150);
+      assert.strictEqual(await Transaction.countDocuments({ userId: user.telegramId, type: 'win', roomId: 'test-auto-race' }), 1);
+    });
+
+    await this.check('Auto cashout targets at the crash point lose', async () => {
+      const engine = this.createEngine('test-auto-crash');
+      const user = await this.createPlayer();
+      await this.openRound(engine);
+      await engine.placeBet(user.telegramId, 100, 1.5);
+      await this.takeOff(engine, 1.5);
+
+      engine.processAutoCashouts(1.5);
+      assert.strictEqual(this.bet(engine, user).cashedOut, false);
+
+      await this.crash(engine);
+      assert.strictEqual(await this.balanceOf(user.telegramId), user.balance - 100);
+      assert.strictEqual(await Transaction.countDocuments({ userId: user.telegramId, type: 'win' }), 0);
+    });
+
+    await this.check('The crash settles lost bets without charging the stake again', async () => {
+      const engine = this.createEngine('test-crash');
+      const winner = await this.createPlayer();
+      const loser = await this.createPlayer();
+      await this.openRound(engine);
+      await engine.placeBet(winner.telegramId, 100);
+      await engine.placeBet(loser.telegramId, 100);
+      await this.takeOff(engine, 2);
+
+      // The crash comes while the cashout is still being credited
+      const cashout = engine.settleCashout(this.bet(engine, winner), 1.8);
+      await this.crash(engine);
+      assert.strictEqual((await cashout).success, true);
+
+      assert.strictEqual(await this.balanceOf(winner.telegramId), winner.balance - 100 + 180);
+      assert.strictEqual(await this.balanceOf(loser.telegramId), loser.balance - 100);
+
+      const loss = await Transaction.findOne({ userId: loser.telegramId, type: 'loss', roomId: 'test-crash' });
+      assert.strictEqual(loss.amount, 0);
+      assert.strictEqual((await User.findOne({ telegramId: loser.telegramId })).totalBets, 1);
+
+      const game = await Game.findById(engine.currentGame._id);
+      assert.strictEqual(game.status, 'crashed');
+      assert.strictEqual(game.totalBets, 200);
+      assert.strictEqual(game.totalPayout, 180);
+      assert.strictEqual(game.houseProfit, 20);
+    });
+
+    await this.check('A cashout that cannot be credited leaves the bet to the crash', async () => {
+      const engine = this.createEngine('test-credit-failed');
+      const user = await this.createPlayer();
+      await this.openRound(engine);
+      await engine.placeBet(user.telegramId, 100);
+      await this.takeOff(engine, 4);
+
+      const credit = Wallet.credit;
+      Wallet.credit = async () => ({ success: false, error: 'User not found' });
+      let result;
+      try {
+        result = await engine.settleCashout(this.bet(engine, user), 2);
+      } finally {
+        Wallet.credit = credit;
+      }
+
+      assert.strictEqual(result.success, false);
+      assert.strictEqual(this.bet(engine, user).cashedOut, false);
+      await this.crash(engine);
+      assert.strictEqual((await Game.findById(engine.currentGame._id)).totalPayout, 0);
+      assert.strictEqual(await this.balanceOf(user.telegramId), user.balance - 100);
+    });
+
+    await this.check('Rounds keep the ledger balanced', async () => {
+      const report = await Ledger.reconcile();
+      assert.deepStrictEqual(report.drifted, []);
+      assert.deepStrictEqual(report.unbalancedJournals, []);
+    });
+  }
+
+  async testRecovery() {
+    this.log('Testing recovery after a restart...', 'info');
+
+    await this.check('Round numbers continue after a restart', async () => {
+      await Game.create({ roomId: 'test-counter', gameId: 41, status: 'crashed', crashPoint: 1.5 });
+      const engine = this.createEngine('test-counter');
+
+      await engine.recover();
+      assert.strictEqual(engine.gameId, 41);
+      await this.openRound(engine);
+      assert.strictEqual(engine.gameId, 42);
+      assert.ok(await Game.exists({ roomId: 'test-counter', gameId: 42 }));
+    });
+
+    await this.check('An interrupted flight pays reached auto cashout targets and refunds the rest', async () => {
+      const engine = this.createEngine('test-flying');
+      const [reached, missed, manual, cashedOut] = await Promise.all([1, 2, 3, 4].map(() => this.createPlayer()));
+      await this.openRound(engine);
+      await engine.placeBet(reached.telegramId, 100, 1.5);
+      await engine.placeBet(missed.telegramId, 100, 3);
+      await engine.placeBet(manual.telegramId, 100);
+      await engine.placeBet(cashedOut.telegramId, 100);
+      await this.takeOff(engine, 2);
+      await engine.settleCashout(this.bet(engine, cashedOut), 1.2);
+
+      // The server stops mid-flight; the next start settles the round
+      engine.destroy();
+      assert.strictEqual(await GameEngine.recoverRoom('test-flying'), 1);
+
+      assert.strictEqual(await this.balanceOf(reached.telegramId), reached.balance - 100 + 150);
+      assert.strictEqual(await this.balanceOf(missed.telegramId), missed.balance);
+      assert.strictEqual(await this.balanceOf(manual.telegramId), manual.balance);
+      assert.strictEqual(await this.balanceOf(cashedOut.telegramId), cashedOut.balance - 100 + 120);
+      assert.strictEqual(await Transaction.countDocuments({ userId: cashedOut.telegramId, type: { $in: ['win', 'refund'] } }), 1);
+
+      const game = await Game.findById(engine.currentGame._id);
+      assert.strictEqual(game.status, 'recovered');
+      assert.strictEqual(game.totalBets, 400);
+      assert.strictEqual(game.totalPayout, 150 + 100 + 100 + 120);
+
+      // A second start finds nothing left to settle
+      assert.strictEqual(await GameEngine.recoverRoom('test-flying'), 0);
+      assert.strictEqual(await this.balanceOf(reached.telegramId), reached.balance + 50);
+    });
+
+    await this.check('An interrupted betting phase refunds every bet', async () => {
+      const engine = this.createEngine('test-betting');
+      const user = await this.createPlayer();
+      await this.openRound(engine);
+      await engine.placeBet(user.telegramId, 100, 1.5);
+      engine.destroy();
+
+      assert.strictEqual(await GameEngine.recoverRoom('test-betting'), 1);
+      const after = await User.findOne({ telegramId: user.telegramId });
+      assert.strictEqual(after.balance, user.balance);
+      assert.strictEqual(after.totalWagered, 0);
+      assert.strictEqual(await Transaction.countDocuments({ userId: user.telegramId, type: 'win' }), 0);
+    });
+
+    await this.check('A round that crashed before the restart is not refunded', async () => {
+      const engine = this.createEngine('test-crashed');
+      const user = await this.createPlayer();
+      await this.openRound(engine);
+      await engine.placeBet(user.telegramId, 100, 1.5);
+      await this.takeOff(engine, 1.2);
+      await this.crash(engine);
+      engine.destroy();
+
+      assert.strictEqual(await GameEngine.recoverRoom('test-crashed'), 0);
+      assert.strictEqual(await this.balanceOf(user.telegramId), user.balance - 100);
+    });
+
+    await this.check('Engines settle their room before the first round', async () => {
+      const engine = this.createEngine('test-restart');
+      const user = await this.createPlayer();
+      await this.openRound(engine);
+      await engine.placeBet(user.telegramId, 100);
+      engine.destroy();
+
+      const restarted = this.createEngine('test-restart');
+      await restarted.recover();
+      assert.strictEqual(restarted.gameId, 1);
+      assert.strictEqual(await this.balanceOf(user.telegramId), user.balance);
+      assert.strictEqual((await Game.findOne({ roomId: 'test-restart', gameId: 1 })).status, 'recovered');
+    });
+
+    await this.check('Recovery keeps the ledger balanced', async () => {
+      const report = await Ledger.reconcile();
+      assert.deepStrictEqual(report.drifted, []);
+      assert.deepStrictEqual(report.unbalancedJournals, []);
+    });
+  }
+}
+
+// CLI Interface
+async function main() {
+  const command = process.argv[2];
+  const tester = new EngineTester();
+
+  try {
+    await tester.setup();
+
+    switch (command) {
+      case 'bets':
+        await tester.testBets();
+        break;
+      case 'recovery':
+        await tester.testRecovery();
+        break;
+      default:
+        await tester.testBets();
+        await tester.testRecovery();
+    }
+  } catch (error) {
+    tester.log(`❌ Could not run the engine tests: ${error.message}`, 'error');
+    process.exitCode = 1;
+  } finally {
+    await tester.cleanup().catch(() => {});
+    if (tester.results.length > 0) tester.generateTestReport();
+  }
+}
+
+if (require.main === module) {
+  if (process.argv.includes('--help') || process.argv.includes('-h')) {
+    console.log(`
+🧪 Aviator Engine Tests
+
+Usage:
+  node test-engine.js [command]
+
+Commands:
+  (none)    Run all engine tests
+  bets      Stakes, cashouts, auto cashouts and the crash
+  recovery  Round numbers and interrupted rounds after a restart
+
+Needs a MongoDB server; the tests create and drop their own database:
+  TEST_MONGODB_URI=mongodb://localhost:27017/aviator-test (default)
+`);
+  } else {
+    main();
+  }
+}
+
+module.exports = { EngineTester };
@@ -5,8 +5,10 @@
  * Test your game functionality before going live
  */
 
+require('dotenv').config();
 const http = require('http');
 const io = require('socket.io-client');
+const TelegramAuth = require('../services/TelegramAuth');
 
 const API_BASE = 'http://localhost:3000';
 
@@ -67,6 +69,25 @@ class GameTester {
     });
   }
 
+  // Log in the way the Mini App does, with initData signed by the bot token
+  register(user) {
+    return this.makeRequest('/api/register', {
+      method: 'POST',
+      data: {
+        initData: TelegramAuth.signInitData({
+          id: user.telegramId,
+          username: user.username,
+          first_name: user.firstName,
+          last_name: user.lastName
+        })
+      }
+    });
+  }
+
+  authHeaders(user) {
+    return { Authorization: `Bearer ${user.token}` };
+  }
+
   async testServerConnection() {
     this.log('Testing server connection...', 'info');
     
@@ -97,13 +118,10 @@ class GameTester {
 
     for (const userData of testUsers) {
       try {
-        const response = await this.makeRequest('/api/register', {
-          method: 'POST',
-          data: userData
-        });
+        const response = await this.register(userData);
 
         if (response.status === 200 && response.data.success) {
-          this.users.push({ ...userData, ...response.data.user });
+          this.users.push({ ...userData, ...response.data.user, token: response.data.token });
           this.log(`✅ Registered user: ${userData.firstName} (${userData.telegramId})`, 'success');
         } else {
           this.log(`❌ Failed to register user: ${userData.firstName}`, 'error');
@@ -224,7 +242,8 @@ class GameTester {
       try {
         const response = await this.makeRequest('/api/bet', {
           method: 'POST',
-          data: { telegramId: user.telegramId, amount: betAmount }
+          headers: this.authHeaders(user),
+          data: { amount: betAmount }
         });
 
         if (response.status === 200 && response.data.success) {
@@ -259,7 +278,7 @@ class GameTester {
     try {
       const response = await this.makeRequest('/api/cashout', {
         method: 'POST',
-        data: { telegramId: user.telegramId }
+        headers: this.authHeaders(user)
       });
 
       if (response.status === 200 && response.data.success) {
@@ -282,7 +301,7 @@ class GameTester {
     try {
       const loginResponse = await this.makeRequest('/api/admin/login', {
         method: 'POST',
-        data: { username: 'admin', password: 'admin123' }
+        data: { username: process.env.ADMIN_USERNAME || 'admin', password: process.env.ADMIN_SECRET }
       });
 
       if (loginResponse.status === 200 && loginResponse.data.success) {
@@ -349,9 +368,9 @@ class GameTester {
 
     try {
       // Test daily bonus
-      const bonusResponse = await this.makeRequest('/api/bonus/daily', {
+      const bonusResponse = await this.makeRequest('/api/player/bonus/daily', {
         method: 'POST',
-        data: { telegramId: testUser.telegramId }
+        headers: this.authHeaders(testUser)
       });
 
       if (bonusResponse.status === 200) {
@@ -386,12 +405,7 @@ class GameTester {
     }
 
     // Register all users quickly
-    const registrationPromises = virtualUsers.map(user => 
-      this.makeRequest('/api/register', {
-        method: 'POST',
-        data: user
-      })
-    );
+    const registrationPromises = virtualUsers.map(user => this.register(user));
 
     try {
       await Promise.all(registrationPromises);
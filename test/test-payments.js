@@ -0,0 +1,555 @@
+#!/usr/bin/env node
+
+/**
+ * Aviator Payment Tests
+ * Checks Telegram Stars payments against a local Bot API stub, idempotent
+ * wallet operations and the ledger, on a throwaway MongoDB database
+ */
+
+require('dotenv').config();
+const assert = require('assert');
+const http = require('http');
+const { Tester, TEST_DB, connectTestDb, closeTestDb, wait } = require('./harness');
+
+const BOT_TOKEN = '123456:TEST-bot-token';
+
+process.env.BOT_TOKEN = BOT_TOKEN;
+
+const { User, Transaction, StarPayment, LedgerEntry, IdempotencyKey } = require('../db/database');
+const Wallet = require('../services/Wallet');
+const Ledger = require('../services/Ledger');
+const StarPayments = require('../services/StarPayments');
+
+/**
+ * Stands in for api.telegram.org: answers the methods the server calls and
+ * records them. Set `failures[method]` to make a method fail with that
+ * description.
+ */
+class BotApiStub {
+  constructor() {
+    this.calls = [];
+    this.failures = {};
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  start() {
+    return new Promise(resolve => {
+      this.server.listen(0, '127.0.0.1', () => {
+        this.url = `http://127.0.0.1:${this.server.address().port}`;
+        resolve(this.url);
+      });
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => this.server.close(resolve));
+  }
+
+  handle(req, res) {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      const [, token, method] = req.url.match(/^\/bot([^/]+)\/(\w+)/) || [];
+      const params = body ? JSON.parse(body) : {};
+      this.calls.push({ method, params });
+
+      const reply = (status, payload) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+      };
+
+      if (token !== BOT_TOKEN) return reply(401, { ok: false, error_code: 401, description: 'Unauthorized' });
+      if (this.failures[method]) return reply(400, { ok: false, error_code: 400, description: this.failures[method] });
+
+      switch (method) {
+        case 'createInvoiceLink':
+          return reply(200, { ok: true, result: `https://t.me/$${params.payload}` });
+        case 'refundStarPayment':
+          return reply(200, { ok: true, result: true });
+        default:
+          return reply(404, { ok: false, error_code: 404, description: 'Not Found: method not found' });
+      }
+    });
+  }
+
+  callsTo(method) {
+    return this.calls.filter(call => call.method === method);
+  }
+}
+
+class PaymentTester extends Tester {
+  constructor() {
+    super();
+    this.stub = new BotApiStub();
+    this.nextUserId = 900000001;
+  }
+
+  async setup() {
+    process.env.TELEGRAM_API_URL = await this.stub.start();
+    await connectTestDb();
+    this.log(`🧪 Using ${TEST_DB} and a Bot API stub at ${process.env.TELEGRAM_API_URL}`, 'info');
+  }
+
+  async cleanup() {
+    await closeTestDb();
+    await this.stub.stop();
+  }
+
+  async createPlayer() {
+    const telegramId = this.nextUserId++;
+    const { user } = await Wallet.openAccount({ telegramId, username: `player${telegramId}`, firstName: 'Test' });
+    return user;
+  }
+
+  async balanceOf(userId) {
+    return (await User.findOne({ telegramId: userId })).balance;
+  }
+
+  // What the bot receives after the player pays
+  async buy(user, amount) {
+    const { invoice } = await StarPayments.createInvoice(user.telegramId, amount);
+    const checkout = await StarPayments.checkout({
+      invoice_payload: invoice.payload,
+      from: { id: user.telegramId },
+      currency: invoice.currency,
+      total_amount: amount
+    });
+    assert.strictEqual(checkout.ok, true, checkout.error);
+
+    return {
+      currency: invoice.currency,
+      total_amount: amount,
+      invoice_payload: invoice.payload,
+      telegram_payment_charge_id: `charge-${invoice.payload}`,
+      provider_payment_charge_id: ''
+    };
+  }
+
+  async testIdempotency() {
+    this.log('Testing idempotent wallet operations...', 'info');
+    const user = await this.createPlayer();
+
+    await this.check('A repeated key runs the operation once', async () => {
+      let runs = 0;
+      const debit = () => {
+        runs++;
+        return Wallet.debit(user.telegramId, 10, { type: 'bet', description: 'Idempotency test' });
+      };
+
+      const first = await Wallet.idempotent(user.telegramId, 'bet', 'key-1', debit);
+      const second = await Wallet.idempotent(user.telegramId, 'bet', 'key-1', debit);
+
+      assert.strictEqual(runs, 1);
+      assert.strictEqual(first.success, true);
+      assert.strictEqual(second.replayed, true);
+      assert.strictEqual(await this.balanceOf(user.telegramId), user.balance - 10);
+    });
+
+    await this.check('Parallel requests with one key run once', async () => {
+      let runs = 0;
+      const results = await Promise.all([1, 2, 3].map(() => Wallet.idempotent(user.telegramId, 'bet', 'key-2', async () => {
+        runs++;
+        return Wallet.debit(user.telegramId, 10, { type: 'bet' });
+      })));
+
+      assert.strictEqual(runs, 1);
+      assert.strictEqual(results.filter(result => result.success && !result.replayed).length, 1);
+    });
+
+    await this.check('The same key in another scope is a different request', async () => {
+      const result = await Wallet.idempotent(user.telegramId, 'cashout', 'key-1', async () => ({ success: true }));
+      assert.strictEqual(result.replayed, undefined);
+    });
+
+    await this.check('A failed operation releases its key', async () => {
+      let runs = 0;
+      await Wallet.idempotent(user.telegramId, 'bet', 'key-3', async () => { runs++; return { success: false, error: 'No' }; });
+      await assert.rejects(Wallet.idempotent(user.telegramId, 'bet', 'key-3', async () => { runs++; throw new Error('Boom'); }));
+      const retry = await Wallet.idempotent(user.telegramId, 'bet', 'key-3', async () => { runs++; return { success: true }; });
+
+      assert.strictEqual(runs, 3);
+      assert.strictEqual(retry.success, true);
+    });
+
+    await this.check('A key left pending by a stopped server is taken over', async () => {
+      const stale = new Date(Date.now() - 5 * 60 * 1000);
+      await IdempotencyKey.create({ userId: user.telegramId, scope: 'bet', key: 'key-4', leasedAt: stale, createdAt: stale });
+
+      let runs = 0;
+      const run = async () => { runs++; return { success: true }; };
+      const fresh = await Wallet.idempotent(user.telegramId, 'bet', 'key-4', run);
+      const replay = await Wallet.idempotent(user.telegramId, 'bet', 'key-4', run);
+
+      assert.strictEqual(runs, 1);
+      assert.strictEqual(fresh.replayed, undefined);
+      assert.strictEqual(replay.replayed, true);
+    });
+
+    await this.check('A recently pending key is not taken over', async () => {
+      await IdempotencyKey.create({ userId: user.telegramId, scope: 'bet', key: 'key-5' });
+      const result = await Wallet.idempotent(user.telegramId, 'bet', 'key-5', async () => ({ success: true }));
+      assert.strictEqual(result.success, false);
+    });
+
+    await this.check('A stale key whose bet went through is not run again', async () => {
+      const stale = new Date(Date.now() - 5 * 60 * 1000);
+      await IdempotencyKey.create({ userId: user.telegramId, scope: 'bet', key: 'key-6', leasedAt: stale, createdAt: stale });
+      const { transaction } = await Wallet.debit(user.telegramId, 10, { type: 'bet', idempotencyKey: 'key-6' });
+
+      let runs = 0;
+      const result = await Wallet.idempotent(user.telegramId, 'bet', 'key-6', async () => { runs++; return { success: true }; });
+      assert.strictEqual(runs, 0);
+      assert.strictEqual(result.replayed, true);
+      assert.strictEqual(result.transactionId, transaction._id.toString());
+    });
+
+    await this.check('Operations without a key always run', async () => {
+      let runs = 0;
+      await Wallet.idempotent(user.telegramId, 'bet', undefined, async () => { runs++; return { success: true }; });
+      await Wallet.idempotent(user.telegramId, 'bet', '', async () => { runs++; return { success: true }; });
+      assert.strictEqual(runs, 2);
+    });
+
+    await this.check('Over-long keys are refused', async () => {
+      const result = await Wallet.idempotent(user.telegramId, 'bet', 'x'.repeat(101), async () => ({ success: true }));
+      assert.strictEqual(result.success, false);
+    });
+  }
+
+  async testLedger() {
+    this.log('Testing the ledger...', 'info');
+    const user = await this.createPlayer();
+
+    await this.check('The ledger follows every balance change', async () => {
+      await Wallet.debit(user.telegramId, 100, { type: 'bet' });
+      await Wallet.credit(user.telegramId, 250, { type: 'win' });
+      await Wallet.credit(user.telegramId, 30, { type: 'bonus', account: 'promo' });
+      const refused = await Wallet.debit(user.telegramId, 1000000, { type: 'bet' });
+
+      assert.strictEqual(refused.success, false);
+      assert.strictEqual(await Ledger.balanceOf(user.telegramId), await this.balanceOf(user.telegramId));
+    });
+
+    await this.check('Every journal adds up to zero', async () => {
+      const report = await Ledger.reconcile();
+      assert.deepStrictEqual(report.unbalancedJournals, []);
+      assert.deepStrictEqual(report.drifted, []);
+
+      const total = Object.values(report.accounts).reduce((sum, account) => sum + account.balance, 0);
+      assert.strictEqual(total, 0);
+    });
+
+    await this.check('Unbalanced journals are refused', async () => {
+      await assert.rejects(Ledger.post({ type: 'win' }, [
+        { account: 'player', userId: user.telegramId, amount: 10 },
+        { account: 'house', amount: -9 }
+      ]), /Unbalanced/);
+      await assert.rejects(Ledger.postPlayer(user.telegramId, 10, { type: 'unknown' }), /No ledger account/);
+    });
+
+    await this.check('Reconciliation finds a balance changed behind the ledger', async () => {
+      await User.updateOne({ telegramId: user.telegramId }, { $inc: { balance: 77 } });
+
+      const report = await Ledger.reconcile({ userId: user.telegramId });
+      assert.strictEqual(report.drifted.length, 1);
+      assert.strictEqual(report.drifted[0].drift, 77);
+
+      await User.updateOne({ telegramId: user.telegramId }, { $inc: { balance: -77 } });
+      assert.deepStrictEqual((await Ledger.reconcile({ userId: user.telegramId })).drifted, []);
+    });
+
+    await this.check('Opening balances cover players from before the ledger', async () => {
+      const legacy = await new User({ telegramId: this.nextUserId++, username: 'legacy', balance: 420 }).save();
+      assert.strictEqual(await Ledger.balanceOf(legacy.telegramId), 0);
+
+      await Ledger.openBalances(new Date(Date.now() + 1000));
+      assert.strictEqual(await Ledger.balanceOf(legacy.telegramId), 420);
+      assert.deepStrictEqual((await Ledger.reconcile()).drifted, []);
+    });
+
+    await this.check('A bet made while the server starts is not counted twice', async () => {
+      const legacy = await new User({ telegramId: this.nextUserId++, username: 'legacy2', balance: 500 }).save();
+      await wait(10);
+      const startedAt = new Date();
+      await wait(10);
+
+      // The bet gets the player's first ledger entry before the opening balance does
+      await Wallet.debit(legacy.telegramId, 100, { type: 'bet' });
+      assert.strictEqual(await Ledger.openBalances(startedAt), 1);
+      assert.strictEqual(await Ledger.openBalances(startedAt), 0);
+
+      assert.strictEqual(await Ledger.balanceOf(legacy.telegramId), 400);
+      assert.deepStrictEqual((await Ledger.reconcile({ userId: legacy.telegramId })).drifted, []);
+    });
+  }
+
+  async testStarPayments() {
+    this.log('Testing Telegram Stars payments...', 'info');
+    const user = await this.createPlayer();
+
+    await this.check('Invoice links come from the Bot API', async () => {
+      const result = await StarPayments.createInvoiceLink(user.telegramId, 100);
+      assert.strictEqual(result.success, true);
+      const [call] = this.stub.callsTo('createInvoiceLink');
+      assert.strictEqual(call.params.currency, 'XTR');
+      assert.strictEqual(call.params.prices[0].amount, 100);
+    });
+
+    await this.check('Checkout refuses invoices that do not match', async () => {
+      const { invoice } = await StarPayments.createInvoice(user.telegramId, 100);
+      const query = { invoice_payload: invoice.payload, from: { id: user.telegramId }, currency: 'XTR', total_amount: 100 };
+
+      assert.strictEqual((await StarPayments.checkout({ ...query, total_amount: 99 })).ok, false);
+      assert.strictEqual((await StarPayments.checkout({ ...query, from: { id: 1 } })).ok, false);
+      assert.strictEqual((await StarPayments.checkout({ ...query, invoice_payload: 'unknown' })).ok, false);
+      assert.strictEqual((await StarPayments.checkout(query)).ok, true);
+    });
+
+    await this.check('A payment is credited exactly once', async () => {
+      const before = await this.balanceOf(user.telegramId);
+      const paid = await this.buy(user, 500);
+
+      // Telegram delivering the update twice at once, then again later
+      const results = await Promise.all([
+        StarPayments.complete(user.telegramId, paid),
+        StarPayments.complete(user.telegramId, paid)
+      ]);
+      const late = await StarPayments.complete(user.telegramId, paid);
+
+      assert.strictEqual(results.filter(result => result.success && !result.duplicate).length, 1);
+      assert.strictEqual(late.duplicate, true);
+      assert.strictEqual(await this.balanceOf(user.telegramId), before + 500);
+      assert.strictEqual(await Transaction.countDocuments({ userId: user.telegramId, idempotencyKey: `stars:${paid.telegram_payment_charge_id}` }), 1);
+
+      const payment = await StarPayment.findOne({ invoiceId: paid.invoice_payload });
+      assert.strictEqual(payment.status, 'paid');
+      assert.ok(payment.transactionId);
+    });
+
+    await this.check('A paid invoice cannot be checked out again', async () => {
+      const paid = await this.buy(user, 60);
+      await StarPayments.complete(user.telegramId, paid);
+      const again = await StarPayments.checkout({ invoice_payload: paid.invoice_payload, from: { id: user.telegramId }, currency: 'XTR', total_amount: 60 });
+      assert.strictEqual(again.ok, false);
+    });
+
+    await this.check('A refund takes the stars back and asks Telegram to return them', async () => {
+      const paid = await this.buy(user, 200);
+      const { payment } = await StarPayments.complete(user.telegramId, paid);
+      const before = await this.balanceOf(user.telegramId);
+
+      const result = await StarPayments.refund(payment.id, { refundedBy: 'tester', reason: 'Test' });
+      assert.strictEqual(result.success, true, result.error);
+      assert.strictEqual(result.payment.status, 'refunded');
+      assert.strictEqual(await this.balanceOf(user.telegramId), before - 200);
+
+      const call = this.stub.callsTo('refundStarPayment').pop();
+      assert.deepStrictEqual(call.params, { user_id: user.telegramId, telegram_payment_charge_id: paid.telegram_payment_charge_id });
+
+      const again = await StarPayments.refund(payment.id, { refundedBy: 'tester' });
+      assert.strictEqual(again.success, false);
+      assert.strictEqual(await this.balanceOf(user.telegramId), before - 200);
+    });
+
+    await this.check('A refund Telegram refuses leaves the balance alone', async () => {
+      const paid = await this.buy(user, 300);
+      const { payment } = await StarPayments.complete(user.telegramId, paid);
+      const before = await this.balanceOf(user.telegramId);
+
+      this.stub.failures.refundStarPayment = 'Bad Request: CHARGE_NOT_FOUND';
+      try {
+        const result = await StarPayments.refund(payment.id, { refundedBy: 'tester' });
+        assert.strictEqual(result.success, false);
+        assert.match(result.error, /CHARGE_NOT_FOUND/);
+      } finally {
+        delete this.stub.failures.refundStarPayment;
+      }
+
+      assert.strictEqual(await this.balanceOf(user.telegramId), before);
+      assert.strictEqual((await StarPayment.findById(payment.id)).status, 'paid');
+    });
+
+    await this.check('Stars already spent cannot be refunded', async () => {
+      const poor = await this.createPlayer();
+      const paid = await this.buy(poor, 100);
+      const { payment } = await StarPayments.complete(poor.telegramId, paid);
+      await Wallet.debit(poor.telegramId, await this.balanceOf(poor.telegramId), { type: 'bet' });
+      const calls = this.stub.callsTo('refundStarPayment').length;
+
+      const result = await StarPayments.refund(payment.id, { refundedBy: 'tester' });
+      assert.strictEqual(result.success, false);
+      assert.strictEqual(this.stub.callsTo('refundStarPayment').length, calls);
+      assert.strictEqual((await StarPayment.findById(payment.id)).status, 'paid');
+    });
+
+    await this.check('Payments cut off mid-credit are finished once at startup', async () => {
+      const paid = await this.buy(user, 150);
+      const before = await this.balanceOf(user.telegramId);
+
+      // The state a crash between taking the payment and crediting it leaves behind
+      await StarPayment.updateOne({ invoiceId: paid.invoice_payload }, {
+        status: 'crediting',
+        telegramPaymentChargeId: paid.telegram_payment_charge_id,
+        paidAt: new Date(Date.now() - 60000)
+      });
+
+      assert.strictEqual(await StarPayments.recover(new Date()), 1);
+      assert.strictEqual(await StarPayments.recover(new Date()), 0);
+      assert.strictEqual(await this.balanceOf(user.telegramId), before + 150);
+      assert.strictEqual((await StarPayment.findOne({ invoiceId: paid.invoice_payload })).status, 'paid');
+      assert.strictEqual((await StarPayments.complete(user.telegramId, paid)).duplicate, true);
+    });
+
+    await this.check('Payments credited before a crash are not credited again', async () => {
+      const paid = await this.buy(user, 80);
+      await StarPayments.complete(user.telegramId, paid);
+      const before = await this.balanceOf(user.telegramId);
+      await StarPayment.updateOne({ invoiceId: paid.invoice_payload }, { status: 'crediting', paidAt: new Date(Date.now() - 60000) });
+
+      assert.strictEqual(await StarPayments.recover(new Date()), 1);
+      assert.strictEqual(await this.balanceOf(user.telegramId), before);
+      assert.strictEqual((await StarPayment.findOne({ invoiceId: paid.invoice_payload })).status, 'paid');
+    });
+
+    await this.check('A refund cut off before it took the stars goes back to paid', async () => {
+      const paid = await this.buy(user, 70);
+      const { payment } = await StarPayments.complete(user.telegramId, paid);
+      const before = await this.balanceOf(user.telegramId);
+      const calls = this.stub.callsTo('refundStarPayment').length;
+      await StarPayment.updateOne({ _id: payment.id }, { status: 'refunding' });
+      await wait(10);
+
+      assert.strictEqual(await StarPayments.recover(new Date()), 1);
+      assert.strictEqual((await StarPayment.findById(payment.id)).status, 'paid');
+      assert.strictEqual(await this.balanceOf(user.telegramId), before);
+      assert.strictEqual(this.stub.callsTo('refundStarPayment').length, calls);
+    });
+
+    await this.check('A refund cut off after it took the stars is finished once', async () => {
+      const paid = await this.buy(user, 90);
+      const { payment } = await StarPayments.complete(user.telegramId, paid);
+      const before = await this.balanceOf(user.telegramId);
+
+      // The state a crash between the debit and Telegram's answer leaves behind
+      await StarPayment.updateOne({ _id: payment.id }, { status: 'refunding', refundedBy: 'tester' });
+      await Wallet.debit(user.telegramId, 90, { type: 'deposit', idempotencyKey: `stars-refund:${paid.telegram_payment_charge_id}` });
+      await wait(10);
+
+      assert.strictEqual(await StarPayments.recover(new Date()), 1);
+      assert.strictEqual(await StarPayments.recover(new Date()), 0);
+
+      const refunded = await StarPayment.findById(payment.id);
+      assert.strictEqual(refunded.status, 'refunded');
+      assert.strictEqual(refunded.refundedBy, 'tester');
+      assert.strictEqual(await this.balanceOf(user.telegramId), before - 90);
+      assert.strictEqual(this.stub.callsTo('refundStarPayment').pop().params.telegram_payment_charge_id, paid.telegram_payment_charge_id);
+    });
+
+    await this.check('A refund Telegram already made counts as done after a restart', async () => {
+      const paid = await this.buy(user, 40);
+      const { payment } = await StarPayments.complete(user.telegramId, paid);
+      const before = await this.balanceOf(user.telegramId);
+      await StarPayment.updateOne({ _id: payment.id }, { status: 'refunding' });
+      await Wallet.debit(user.telegramId, 40, { type: 'deposit', idempotencyKey: `stars-refund:${paid.telegram_payment_charge_id}` });
+      await wait(10);
+
+      this.stub.failures.refundStarPayment = 'Bad Request: CHARGE_ALREADY_REFUNDED';
+      try {
+        assert.strictEqual(await StarPayments.recover(new Date()), 1);
+      } finally {
+        delete this.stub.failures.refundStarPayment;
+      }
+
+      assert.strictEqual((await StarPayment.findById(payment.id)).status, 'refunded');
+      assert.strictEqual(await this.balanceOf(user.telegramId), before - 40);
+    });
+
+    await this.check('A refund Telegram refuses after a restart gives the stars back', async () => {
+      const paid = await this.buy(user, 30);
+      const { payment } = await StarPayments.complete(user.telegramId, paid);
+      const before = await this.balanceOf(user.telegramId);
+      await StarPayment.updateOne({ _id: payment.id }, { status: 'refunding' });
+      await Wallet.debit(user.telegramId, 30, { type: 'deposit', idempotencyKey: `stars-refund:${paid.telegram_payment_charge_id}` });
+      await wait(10);
+
+      this.stub.failures.refundStarPayment = 'Bad Request: CHARGE_NOT_FOUND';
+      try {
+        assert.strictEqual(await StarPayments.recover(new Date()), 1);
+      } finally {
+        delete this.stub.failures.refundStarPayment;
+      }
+
+      assert.strictEqual((await StarPayment.findById(payment.id)).status, 'paid');
+      assert.strictEqual(await this.balanceOf(user.telegramId), before);
+
+      // Refunding again later nets out against the earlier attempt
+      const result = await StarPayments.refund(payment.id, { refundedBy: 'tester' });
+      assert.strictEqual(result.success, true, result.error);
+      assert.strictEqual(await this.balanceOf(user.telegramId), before - 30);
+    });
+
+    await this.check('Payments keep the ledger balanced', async () => {
+      const report = await Ledger.reconcile();
+      assert.deepStrictEqual(report.drifted, []);
+      assert.deepStrictEqual(report.unbalancedJournals, []);
+      assert.ok(await LedgerEntry.countDocuments({ account: 'player', userId: user.telegramId, type: 'deposit' }) > 0);
+    });
+  }
+}
+
+// CLI Interface
+async function main() {
+  const command = process.argv[2];
+  const tester = new PaymentTester();
+
+  try {
+    await tester.setup();
+
+    switch (command) {
+      case 'idempotency':
+        await tester.testIdempotency();
+        break;
+      case 'ledger':
+        await tester.testLedger();
+        break;
+      case 'stars':
+        await tester.testStarPayments();
+        break;
+      default:
+        await tester.testIdempotency();
+        await tester.testLedger();
+        await tester.testStarPayments();
+    }
+  } catch (error) {
+    tester.log(`❌ Could not run the payment tests: ${error.message}`, 'error');
+    process.exitCode = 1;
+  } finally {
+    await tester.cleanup().catch(() => {});
+    if (tester.results.length > 0) tester.generateTestReport();
+  }
+}
+
+if (require.main === module) {
+  if (process.argv.includes('--help') || process.argv.includes('-h')) {
+    console.log(`
+🧪 Aviator Payment Tests
+
+Usage:
+  node test-payments.js [command]
+
+Commands:
+  (none)       Run all payment tests
+  idempotency  Idempotent wallet operations
+  ledger       Ledger balances and reconciliation
+  stars        Telegram Stars payments and refunds
+
+Needs a MongoDB server; the tests create and drop their own database:
+  TEST_MONGODB_URI=mongodb://localhost:27017/aviator-test (default)
+Telegram is replaced by a local Bot API stub, so no bot token is used.
+`);
+  } else {
+    main();
+  }
+}
+
+module.exports = { PaymentTester, BotApiStub };
@@ -0,0 +1,588 @@
+#!/usr/bin/env node
+
+/**
+ * Aviator Service Tests
+ * Checks the cashier and moderation services (withdrawals, identity checks,
+ * risk rules, bulk bonuses, chat flood control) on a throwaway MongoDB database
+ */
+
+require('dotenv').config();
+const assert = require('assert');
+const { Tester, TEST_DB, connectTestDb, closeTestDb, wait } = require('./harness');
+
+// Small enough for a new player's starting balance, with no wait between requests
+process.env.MIN_WITHDRAWAL = '100';
+process.env.WITHDRAWAL_COOLDOWN = '0';
+
+const {
+  User, Withdrawal, Transaction, KycRequest, PlayerEvent, RiskRule, FraudCase, BonusGrant, BonusGrantItem, SpamLog
+} = require('../db/database');
+const Wallet = require('../services/Wallet');
+const Ledger = require('../services/Ledger');
+const Withdrawals = require('../services/Withdrawals');
+const Kyc = require('../services/Kyc');
+const riskRules = require('../services/RiskRules');
+const BulkBonuses = require('../services/BulkBonuses');
+const floodControl = require('../services/FloodControl');
+
+const KYC_STATUSES = ['none', 'requested', 'submitted', 'approved', 'rejected'];
+
+class ServiceTester extends Tester {
+  constructor() {
+    super();
+    this.nextUserId = 910000001;
+  }
+
+  async setup() {
+    await connectTestDb();
+    this.log(`🧪 Using ${TEST_DB}`, 'info');
+  }
+
+  async cleanup() {
+    await closeTestDb();
+  }
+
+  // fields: user fields to set after opening the account, e.g. { kycStatus: 'approved' }
+  async createPlayer(fields = {}) {
+    const telegramId = this.nextUserId++;
+    await Wallet.openAccount({ telegramId, username: `player${telegramId}`, firstName: 'Test' });
+    return User.findOneAndUpdate({ telegramId }, { $set: fields }, { new: true });
+  }
+
+  // Withdrawals need a verified identity
+  createVerifiedPlayer() {
+    return this.createPlayer({ kycStatus: 'approved' });
+  }
+
+  async balanceOf(userId) {
+    return (await User.findOne({ telegramId: userId })).balance;
+  }
+
+  // Bulk bonuses run in the background; wait until one is granted or reversed
+  async settle(grantId) {
+    for (let i = 0; i < 200; i++) {
+      const grant = await BonusGrant.findById(grantId);
+      if (!['running', 'reversing'].includes(grant.status)) return grant;
+      await wait(50);
+    }
+    throw new Error(`Bulk bonus ${grantId} did not finish`);
+  }
+
+  // A flood controller of its own, recording its log entries instead of saving them
+  createFloodControl(settings = {}) {
+    const flood = new floodControl.constructor();
+    Object.assign(flood.settings, settings);
+    flood.entries = [];
+    flood.log = (entry) => flood.entries.push(entry);
+    flood.announce = () => {};
+    return flood;
+  }
+
+  // Players to target, told apart from everyone else by their join date
+  async createCohort(size) {
+    const joinedAfter = new Date();
+    await wait(10);
+    const players = [];
+    for (let i = 0; i < size; i++) players.push(await this.createPlayer());
+    return { players, filters: { joinedAfter } };
+  }
+
+  async testWithdrawals() {
+    this.log('Testing withdrawals...', 'info');
+
+    await this.check('A request holds the stars and approving pays them out', async () => {
+      const user = await this.createVerifiedPlayer();
+      const result = await Withdrawals.request(user.telegramId, 300, 'wallet-1');
+      assert.strictEqual(result.success, true, result.error);
+      assert.strictEqual(await this.balanceOf(user.telegramId), user.balance - 300);
+
+      const approved = await Withdrawals.approve(result.withdrawal.id, { reviewedBy: 'tester', payoutReference: 'tx-1' });
+      assert.strictEqual(approved.success, true, approved.error);
+      assert.strictEqual(approved.withdrawal.status, 'approved');
+      assert.strictEqual(await this.balanceOf(user.telegramId), user.balance - 300);
+
+      const hold = await Transaction.findById((await Withdrawal.findById(result.withdrawal.id)).holdTransactionId);
+      assert.strictEqual(hold.status, 'completed');
+      assert.strictEqual((await Withdrawals.approve(result.withdrawal.id, { reviewedBy: 'tester' })).success, false);
+    });
+
+    await this.check('Rejecting a request gives the stars back', async () => {
+      const user = await this.createVerifiedPlayer();
+      const { withdrawal } = await Withdrawals.request(user.telegramId, 200);
+
+      const result = await Withdrawals.reject(withdrawal.id, { reviewedBy: 'tester', reason: 'Test' });
+      assert.strictEqual(result.success, true, result.error);
+      assert.strictEqual(await this.balanceOf(user.telegramId), user.balance);
+    });
+
+    await this.check('A player has one pending request at a time', async () => {
+      const user = await this.createVerifiedPlayer();
+      assert.strictEqual((await Withdrawals.request(user.telegramId, 100)).success, true);
+
+      const second = await Withdrawals.request(user.telegramId, 100);
+      assert.strictEqual(second.success, false);
+      assert.strictEqual(await this.balanceOf(user.telegramId), user.balance - 100);
+    });
+
+    await this.check('Requests the balance cannot cover are refused and leave nothing behind', async () => {
+      const user = await this.createVerifiedPlayer();
+      const result = await Withdrawals.request(user.telegramId, user.balance + 100);
+      assert.strictEqual(result.success, false);
+      assert.strictEqual(await Withdrawal.countDocuments({ userId: user.telegramId }), 0);
+    });
+
+    await this.check('A hold that fails to save leaves no request behind', async () => {
+      const user = await this.createVerifiedPlayer();
+      const debit = Wallet.debit;
+      Wallet.debit = async () => { throw new Error('Connection lost'); };
+      try {
+        await assert.rejects(Withdrawals.request(user.telegramId, 100), /Connection lost/);
+      } finally {
+        Wallet.debit = debit;
+      }
+
+      assert.strictEqual(await Withdrawal.countDocuments({ userId: user.telegramId }), 0);
+      assert.strictEqual((await Withdrawals.request(user.telegramId, 100)).success, true);
+    });
+
+    await this.check('Approving a held request is refused until the hold is released', async () => {
+      const user = await this.createVerifiedPlayer();
+      const { withdrawal } = await Withdrawals.request(user.telegramId, 100);
+      await User.updateOne({ telegramId: user.telegramId }, { withdrawalsHeld: true });
+      await Withdrawals.hold(user.telegramId, { by: 'tester', reason: 'Test' });
+
+      const refused = await Withdrawals.approve(withdrawal.id, { reviewedBy: 'tester' });
+      assert.strictEqual(refused.success, false);
+      assert.match(refused.error, /on hold/);
+      assert.strictEqual((await Withdrawal.findById(withdrawal.id)).status, 'pending');
+
+      const { withdrawals } = await Withdrawals.list({ status: 'held' });
+      assert.ok(withdrawals.some(held => held.id === withdrawal.id && held.heldBy === 'tester'));
+
+      await Withdrawals.release(user.telegramId);
+      assert.strictEqual((await Withdrawals.approve(withdrawal.id, { reviewedBy: 'tester' })).success, true);
+    });
+
+    await this.check('Players with held withdrawals cannot request new ones', async () => {
+      const user = await this.createVerifiedPlayer();
+      await User.updateOne({ telegramId: user.telegramId }, { withdrawalsHeld: true });
+
+      const result = await Withdrawals.request(user.telegramId, 100);
+      assert.strictEqual(result.success, false);
+      assert.strictEqual(await this.balanceOf(user.telegramId), user.balance);
+    });
+
+    await this.check('Withdrawals keep the ledger balanced', async () => {
+      const report = await Ledger.reconcile();
+      assert.deepStrictEqual(report.drifted, []);
+      assert.deepStrictEqual(report.unbalancedJournals, []);
+    });
+  }
+
+  async testKyc() {
+    this.log('Testing the identity check...', 'info');
+
+    await this.check('Only approved players can withdraw', async () => {
+      for (const kycStatus of KYC_STATUSES) {
+        const user = await this.createPlayer({ kycStatus });
+        const result = await Withdrawals.request(user.telegramId, 100);
+
+        assert.strictEqual(result.success, kycStatus === 'approved', `${kycStatus}: ${result.error}`);
+        if (!result.success) assert.match(result.error, /verify your identity/);
+        assert.strictEqual(await this.balanceOf(user.telegramId), kycStatus === 'approved' ? user.balance - 100 : user.balance);
+      }
+    });
+
+    await this.check('Only approved players clear a required check', () => {
+      KYC_STATUSES.forEach(status => {
+        assert.strictEqual(Kyc.clears(status), status === 'approved', status);
+        assert.strictEqual(Kyc.clears(status, true), status === 'approved', status);
+      });
+    });
+
+    await this.check('Every status clears a check that is not required', () => {
+      KYC_STATUSES.forEach(status => assert.strictEqual(Kyc.clears(status, false), true, status));
+    });
+
+    await this.check('A player can withdraw once their documents are approved', async () => {
+      const user = await this.createPlayer();
+      const requested = await Kyc.request(user.telegramId, { by: 'tester', reason: 'Test' });
+      assert.strictEqual(requested.success, true, requested.error);
+      assert.strictEqual((await Withdrawals.request(user.telegramId, 100)).success, false);
+
+      const approved = await Kyc.approve(user.telegramId, 'tester');
+      assert.strictEqual(approved.success, true, approved.error);
+      assert.strictEqual((await User.findOne({ telegramId: user.telegramId })).kycStatus, 'approved');
+      assert.strictEqual((await Withdrawals.request(user.telegramId, 100)).success, true);
+    });
+
+    await this.check('Rejected documents block withdrawals again', async () => {
+      const user = await this.createVerifiedPlayer();
+      const { request } = await Kyc.request(user.telegramId, { by: 'tester' });
+      // As if the player had sent documents through the bot
+      await KycRequest.updateOne({ _id: request.id }, { status: 'submitted', submittedAt: new Date() });
+      assert.strictEqual((await Kyc.reject(user.telegramId, 'tester', 'Unreadable')).success, true);
+
+      const result = await Withdrawals.request(user.telegramId, 100);
+      assert.strictEqual(result.success, false);
+      assert.match(result.error, /verify your identity/);
+    });
+  }
+
+  async testRiskRules() {
+    this.log('Testing risk rules...', 'info');
+
+    await this.check('Rules with unknown fields or no actions are refused', () => {
+      const rule = { name: 'Big deposit', event: 'deposit', conditions: [{ field: 'amount', op: 'gte', value: 1000 }] };
+
+      assert.match(riskRules.validate({ ...rule, conditions: [{ field: 'nope', op: 'gte', value: 1 }], actions: ['flag'] }).error, /Unknown field/);
+      assert.match(riskRules.validate({ ...rule, actions: ['delete_account'] }).error, /Actions must be/);
+      assert.match(riskRules.validate(rule).error, /at least one action/);
+      assert.ok(riskRules.validate(rule, false).rule, 'dry runs need no action');
+    });
+
+    await this.check('A dry run reports matches without acting on them', async () => {
+      const user = await this.createPlayer();
+      await PlayerEvent.create([
+        { userId: user.telegramId, type: 'deposit', amount: 5000 },
+        { userId: user.telegramId, type: 'deposit', amount: 50 }
+      ]);
+
+      const result = await riskRules.dryRun({
+        name: 'Big deposit',
+        event: 'deposit',
+        conditions: [{ field: 'amount', op: 'gte', value: 1000 }],
+        actions: ['flag', 'hold_withdrawals', 'require_kyc', 'ban']
+      }, 1);
+      assert.strictEqual(result.success, true, result.error);
+      assert.strictEqual(result.scanned, 2);
+      assert.strictEqual(result.matched, 1);
+      assert.deepStrictEqual(result.matches.map(match => match.amount), [5000]);
+
+      const after = await User.findOne({ telegramId: user.telegramId });
+      assert.strictEqual(after.isBanned, false);
+      assert.strictEqual(after.withdrawalsHeld, false);
+      assert.strictEqual(after.kycStatus, 'none');
+      assert.strictEqual(await FraudCase.countDocuments({ userIds: user.telegramId }), 0);
+      assert.strictEqual(await RiskRule.countDocuments(), 0);
+    });
+
+    await this.check('A hold rule holds the player\'s pending withdrawal', async () => {
+      const user = await this.createVerifiedPlayer();
+      const { withdrawal } = await Withdrawals.request(user.telegramId, 100);
+      const { rule } = await riskRules.create({
+        name: 'Big deposit',
+        event: 'deposit',
+        conditions: [{ field: 'amount', op: 'gte', value: 1000 }],
+        actions: ['flag', 'hold_withdrawals']
+      }, 'tester');
+
+      try {
+        await riskRules.handle({ type: 'deposit', userId: user.telegramId, amount: 50 });
+        assert.strictEqual((await User.findOne({ telegramId: user.telegramId })).withdrawalsHeld, false);
+
+        await riskRules.handle({ type: 'deposit', userId: user.telegramId, amount: 5000 });
+        assert.strictEqual((await User.findOne({ telegramId: user.telegramId })).withdrawalsHeld, true);
+        assert.strictEqual((await Withdrawal.findById(withdrawal.id)).heldBy, 'rule:Big deposit');
+        assert.strictEqual(await FraudCase.countDocuments({ userIds: user.telegramId }), 1);
+        assert.strictEqual((await Withdrawals.approve(withdrawal.id, { reviewedBy: 'tester' })).success, false);
+      } finally {
+        await riskRules.remove(rule.id);
+      }
+    });
+
+    await this.check('A rule acts once per player per window', async () => {
+      const user = await this.createPlayer();
+      const { rule } = await riskRules.create({
+        name: 'Any bonus',
+        event: 'bonus',
+        conditions: [{ field: 'amount', op: 'gt', value: 0 }],
+        windowMinutes: 60,
+        actions: ['flag']
+      }, 'tester');
+
+      try {
+        for (let i = 0; i < 3; i++) {
+          await riskRules.handle({ type: 'bonus', userId: user.telegramId, amount: 100 });
+        }
+        assert.strictEqual((await RiskRule.findById(rule.id)).hits, 1);
+        assert.strictEqual((await FraudCase.findOne({ userIds: user.telegramId })).notes.length, 1);
+      } finally {
+        await riskRules.remove(rule.id);
+      }
+    });
+
+    await this.check('Window conditions count the player\'s earlier events', async () => {
+      const user = await this.createPlayer();
+      const { rule } = await riskRules.create({
+        name: 'Bet burst',
+        event: 'bet',
+        conditions: [{ field: 'windowCount', op: 'gte', value: 3 }],
+        windowMinutes: 10,
+        actions: ['ban']
+      }, 'tester');
+
+      try {
+        await riskRules.handle({ type: 'bet', userId: user.telegramId, amount: 10 });
+        await riskRules.handle({ type: 'bet', userId: user.telegramId, amount: 10 });
+        assert.strictEqual((await User.findOne({ telegramId: user.telegramId })).isBanned, false);
+
+        await riskRules.handle({ type: 'bet', userId: user.telegramId, amount: 10 });
+        assert.strictEqual((await User.findOne({ telegramId: user.telegramId })).isBanned, true);
+      } finally {
+        await riskRules.remove(rule.id);
+      }
+    });
+  }
+
+  async testBulkBonuses() {
+    this.log('Testing bulk bonuses...', 'info');
+
+    await this.check('A preview counts the players without giving anything', async () => {
+      const { players, filters } = await this.createCohort(3);
+      const preview = await BulkBonuses.preview({ segment: 'all', filters, amount: 50 });
+
+      assert.strictEqual(preview.success, true, preview.error);
+      assert.strictEqual(preview.players, 3);
+      assert.strictEqual(preview.totalCost, 150);
+      assert.strictEqual(await this.balanceOf(players[0].telegramId), players[0].balance);
+      assert.strictEqual(await BonusGrant.countDocuments(), 0);
+
+      assert.match((await BulkBonuses.create({ segment: 'all', filters, amount: 50 }, 'tester')).error, /reason/);
+      assert.match((await BulkBonuses.preview({ segment: 'nope', amount: 50 })).error, /Unknown segment/);
+    });
+
+    await this.check('A grant credits every targeted player once', async () => {
+      const { players, filters } = await this.createCohort(3);
+      const created = await BulkBonuses.create({ segment: 'all', filters, amount: 75, reason: 'Bulk test', maxPlayers: 2 }, 'tester');
+      assert.strictEqual(created.success, true, created.error);
+
+      const grant = await this.settle(created.grant.id);
+      assert.strictEqual(grant.status, 'completed');
+      assert.strictEqual(grant.stats.targeted, 2);
+      assert.strictEqual(grant.stats.granted, 2);
+
+      // Running it again, or resuming after a restart, finds nothing left to pay
+      await BulkBonuses.process(grant._id);
+      await BulkBonuses.resume();
+      await wait(100);
+
+      const balances = await Promise.all(players.map(player => this.balanceOf(player.telegramId)));
+      assert.deepStrictEqual(balances, [players[0].balance + 75, players[1].balance + 75, players[2].balance]);
+      assert.strictEqual(await Transaction.countDocuments({ type: 'bonus', description: 'Bulk test' }), 2);
+    });
+
+    await this.check('Two workers on one grant still credit each player once', async () => {
+      const { players } = await this.createCohort(4);
+      const grant = await BonusGrant.create({ segment: 'all', amount: 40, reason: 'Parallel test', stats: { targeted: players.length } });
+      await BonusGrantItem.insertMany(players.map(player => ({ grantId: grant._id, userId: player.telegramId })));
+
+      await Promise.all([BulkBonuses.process(grant._id), BulkBonuses.process(grant._id)]);
+
+      const settled = await BonusGrant.findById(grant._id);
+      assert.strictEqual(settled.status, 'completed');
+      assert.strictEqual(settled.stats.granted, players.length);
+      for (const player of players) {
+        assert.strictEqual(await this.balanceOf(player.telegramId), player.balance + 40);
+      }
+      assert.strictEqual(await Transaction.countDocuments({ type: 'bonus', description: 'Parallel test' }), players.length);
+    });
+
+    await this.check('Reversing takes the bonus back unless the player bet since', async () => {
+      const { players: [idle, bettor], filters } = await this.createCohort(2);
+      const created = await BulkBonuses.create({ segment: 'all', filters, amount: 60, reason: 'Reverse test' }, 'tester');
+      await this.settle(created.grant.id);
+      await Wallet.debit(bettor.telegramId, 10, { type: 'bet' }, { totalWagered: 10 });
+
+      assert.strictEqual((await BulkBonuses.reverse(created.grant.id, 'tester')).success, true);
+      const grant = await this.settle(created.grant.id);
+      assert.strictEqual(grant.status, 'reversed');
+      assert.strictEqual(grant.stats.reversed, 1);
+      assert.strictEqual(grant.stats.kept, 1);
+
+      assert.strictEqual(await this.balanceOf(idle.telegramId), idle.balance);
+      assert.strictEqual(await this.balanceOf(bettor.telegramId), bettor.balance + 60 - 10);
+      assert.strictEqual((await BulkBonuses.reverse(created.grant.id, 'tester')).success, false);
+    });
+
+    await this.check('Bulk bonuses keep the ledger balanced', async () => {
+      const report = await Ledger.reconcile();
+      assert.deepStrictEqual(report.drifted, []);
+      assert.deepStrictEqual(report.unbalancedJournals, []);
+    });
+  }
+
+  async testFloodControl() {
+    this.log('Testing bot flood control...', 'info');
+    const from = { id: 920000001, username: 'flooder' };
+    const realNow = Date.now;
+
+    await this.check('Commands past the burst are dropped', () => {
+      const flood = this.createFloodControl({ commandBurst: 3 });
+      const results = [1, 2, 3, 4, 5].map(() => flood.check(from, 'command', '/balance'));
+
+      assert.deepStrictEqual(results.map(result => result.allowed), [true, true, true, false, false]);
+      assert.strictEqual(results[3].notify, true, 'the first drop tells the player');
+      assert.strictEqual(results[4].notify, false, 'later drops stay quiet');
+      assert.strictEqual(flood.entries.length, 1);
+      assert.strictEqual(flood.entries[0].kind, 'flood');
+      assert.strictEqual(flood.entries[0].sample, '/balance');
+    });
+
+    await this.check('Button presses have a bucket of their own', () => {
+      const flood = this.createFloodControl({ commandBurst: 1 });
+      assert.strictEqual(flood.check(from, 'command').allowed, true);
+      assert.strictEqual(flood.check(from, 'command').allowed, false);
+      assert.strictEqual(flood.check(from, 'callback').allowed, true);
+      assert.strictEqual(flood.check(from, null).allowed, true, 'other messages are only stopped by mutes');
+    });
+
+    await this.check('The bucket refills at the per-minute rate', () => {
+      const flood = this.createFloodControl({ commandBurst: 1, commandsPerMinute: 20 });
+      let now = realNow();
+      Date.now = () => now;
+      try {
+        assert.strictEqual(flood.check(from, 'command').allowed, true);
+        assert.strictEqual(flood.check(from, 'command').allowed, false);
+        now += 1000;
+        assert.strictEqual(flood.check(from, 'command').allowed, false);
+        now += 2100;
+        assert.strictEqual(flood.check(from, 'command').allowed, true);
+      } finally {
+        Date.now = realNow;
+      }
+    });
+
+    await this.check('Repeated floods mute the player', () => {
+      const flood = this.createFloodControl({ commandBurst: 1, commandsPerMinute: 60, muteAfter: 2, muteMinutes: 5 });
+      let now = realNow();
+      Date.now = () => now;
+      try {
+        flood.check(from, 'command');
+        assert.strictEqual(flood.check(from, 'command').mutedUntil, undefined);
+        now += 1000;
+        flood.check(from, 'command');
+        const muted = flood.check(from, 'command');
+
+        assert.strictEqual(muted.notify, true);
+        assert.strictEqual(muted.mutedUntil.getTime(), now + 5 * 60 * 1000);
+        assert.deepStrictEqual(flood.entries.map(entry => entry.kind), ['flood', 'flood', 'mute']);
+
+        now += 60 * 1000;
+        assert.strictEqual(flood.check(from, 'command').allowed, false);
+        assert.strictEqual(flood.check(from, null).allowed, false);
+        now += 5 * 60 * 1000;
+        assert.strictEqual(flood.check(from, 'command').allowed, true);
+      } finally {
+        Date.now = realNow;
+      }
+    });
+
+    await this.check('Nothing is dropped while flood control is off', () => {
+      const flood = this.createFloodControl({ enabled: false, commandBurst: 1 });
+      for (let i = 0; i < 10; i++) {
+        assert.strictEqual(flood.check(from, 'command').allowed, true);
+      }
+      assert.strictEqual(flood.entries.length, 0);
+    });
+
+    await this.check('Settings outside their limits are refused', async () => {
+      const flood = this.createFloodControl();
+      assert.strictEqual((await flood.update({ commandBurst: 0 }, 'tester')).success, false);
+      assert.strictEqual((await flood.update({ enabled: 'no' }, 'tester')).success, false);
+      assert.strictEqual((await flood.update({ unknown: 1 }, 'tester')).success, false);
+      assert.strictEqual(flood.settings.commandBurst, 5);
+    });
+
+    await this.check('Drop counts and mutes are saved and mutes outlive a restart', async () => {
+      const flood = new floodControl.constructor();
+      Object.assign(flood.settings, { commandBurst: 1, muteAfter: 5 });
+      flood.check(from, 'command');
+      flood.check(from, 'command');
+      flood.check(from, 'command');
+      flood.check(from, 'command');
+      flood.mute(from, { minutes: 10, by: 'tester', reason: 'Test' });
+      await wait(200);
+      await flood.flush();
+
+      const logged = await SpamLog.findOne({ userId: from.id, kind: 'flood' });
+      assert.strictEqual(logged.dropped, 3);
+
+      const restarted = new floodControl.constructor();
+      await restarted.start();
+      restarted.stop();
+      assert.strictEqual(restarted.check(from, null).allowed, false);
+      assert.strictEqual(restarted.mutedCount(), 1);
+
+      assert.strictEqual((await restarted.unmute(from.id, 'tester')).success, true);
+      assert.strictEqual(restarted.check(from, null).allowed, true);
+      assert.ok((await SpamLog.findOne({ userId: from.id, kind: 'mute' })).liftedAt);
+    });
+  }
+}
+
+// CLI Interface
+async function main() {
+  const command = process.argv[2];
+  const tester = new ServiceTester();
+
+  try {
+    await tester.setup();
+
+    switch (command) {
+      case 'withdrawals':
+        await tester.testWithdrawals();
+        break;
+      case 'kyc':
+        await tester.testKyc();
+        break;
+      case 'risk':
+        await tester.testRiskRules();
+        break;
+      case 'bonuses':
+        await tester.testBulkBonuses();
+        break;
+      case 'flood':
+        await tester.testFloodControl();
+        break;
+      default:
+        await tester.testWithdrawals();
+        await tester.testKyc();
+        await tester.testRiskRules();
+        await tester.testBulkBonuses();
+        await tester.testFloodControl();
+    }
+  } catch (error) {
+    tester.log(`❌ Could not run the service tests: ${error.message}`, 'error');
+    process.exitCode = 1;
+  } finally {
+    await tester.cleanup().catch(() => {});
+    if (tester.results.length > 0) tester.generateTestReport();
+  }
+}
+
+if (require.main === module) {
+  if (process.argv.includes('--help') || process.argv.includes('-h')) {
+    console.log(`
+🧪 Aviator Service Tests
+
+Usage:
+  node test-services.js [command]
+
+Commands:
+  (none)       Run all service tests
+  withdrawals  Withdrawal requests, reviews and holds
+  kyc          The identity check on withdrawals and large bets
+  risk         Risk rules, their dry runs and actions
+  bonuses      Bulk bonus grants and their reversal
+  flood        Bot flood limits and mutes
+
+Needs a MongoDB server; the tests create and drop their own database:
+  TEST_MONGODB_URI=mongodb://localhost:27017/aviator-test (default)
+`);
+  } else {
+    main();
+  }
+}
+
+module.exports = { ServiceTester };